@@ -57,11 +57,14 @@ public class SharpInspectOptions
         ApplicationRefreshIntervalMs = 30000;
         MaxNetworkEntries = 1000;
         MaxBodySizeBytes = 1048576; // 1MB
+        BreakpointTimeoutMs = 60000;
         IgnoreUrlPatterns = [];
         CaptureRequestBody = true;
         CaptureResponseBody = true;
         MaxConsoleEntries = 5000;
+        MaxGrpcMessages = 1000;
         MaxPerformanceEntries = 2000;
+        MaxWebSocketFrames = 1000;
         PerformanceCaptureIntervalMs = 1000;
         MinLogLevel = SharpInspectLogLevel.Trace;
         EnableInDevelopmentOnly = true;
@@ -150,6 +153,13 @@ public class SharpInspectOptions
     /// </summary>
     public int ApplicationRefreshIntervalMs { get; set; }
 
+    /// <summary>
+    ///     브레이크포인트에서 멈춘 요청이 DevTools의 응답을 기다리는 최대 시간(밀리초)을 가져오거나 설정합니다.
+    ///     시간이 지나면 요청은 편집 없이 계속 진행되므로, 브라우저를 닫아도 앱이 멈추지 않습니다.
+    ///     기본값: 60000 (60초)
+    /// </summary>
+    public int BreakpointTimeoutMs { get; set; }
+
     /// <summary>
     ///     캡처할 최대 본문 크기(바이트)를 가져오거나 설정합니다.
     ///     기본값: 1MB (1048576)
@@ -162,6 +172,13 @@ public class SharpInspectOptions
     /// </summary>
     public int MaxConsoleEntries { get; set; }
 
+    /// <summary>
+    ///     gRPC 호출마다 저장할 최대 메시지 수를 가져오거나 설정합니다.
+    ///     스트리밍 호출에서 초과하면 오래된 메시지부터 버립니다.
+    ///     기본값: 1000
+    /// </summary>
+    public int MaxGrpcMessages { get; set; }
+
     /// <summary>
     ///     저장할 최대 네트워크 엔트리 수를 가져오거나 설정합니다.
     ///     기본값: 1000
@@ -174,6 +191,13 @@ public class SharpInspectOptions
     /// </summary>
     public int MaxPerformanceEntries { get; set; }
 
+    /// <summary>
+    ///     WebSocket 연결마다 저장할 최대 메시지 수를 가져오거나 설정합니다.
+    ///     초과하면 오래된 메시지부터 버립니다.
+    ///     기본값: 1000
+    /// </summary>
+    public int MaxWebSocketFrames { get; set; }
+
     /// <summary>
     ///     성능 메트릭 캡처 간격(밀리초)을 가져오거나 설정합니다.
     ///     기본값: 1000 (1초)
@@ -233,10 +257,13 @@ public class SharpInspectOptions
             ApplicationRefreshIntervalMs = ApplicationRefreshIntervalMs,
             MaxNetworkEntries = MaxNetworkEntries,
             MaxBodySizeBytes = MaxBodySizeBytes,
+            BreakpointTimeoutMs = BreakpointTimeoutMs,
             CaptureRequestBody = CaptureRequestBody,
             CaptureResponseBody = CaptureResponseBody,
             MaxConsoleEntries = MaxConsoleEntries,
+            MaxGrpcMessages = MaxGrpcMessages,
             MaxPerformanceEntries = MaxPerformanceEntries,
+            MaxWebSocketFrames = MaxWebSocketFrames,
             PerformanceCaptureIntervalMs = PerformanceCaptureIntervalMs,
             MinLogLevel = MinLogLevel,
             EnableInDevelopmentOnly = EnableInDevelopmentOnly,
@@ -258,4 +285,21 @@ public class SharpInspectOptions
     {
         return $"http://{Host}:{Port}";
     }
+
+    /// <summary>
+    ///     URL이 IgnoreUrlPatterns 중 하나를 포함하여 네트워크 캡처에서 제외되는지 확인합니다.
+    /// </summary>
+    /// <param name="uri">요청 URI.</param>
+    /// <returns>캡처하지 않을 URL이면 true.</returns>
+    public bool ShouldIgnoreUrl(Uri uri)
+    {
+        if (uri == null || IgnoreUrlPatterns == null)
+            return false;
+
+        var url = uri.ToString();
+        foreach (var pattern in IgnoreUrlPatterns)
+            if (url.Contains(pattern))
+                return true;
+        return false;
+    }
 }
\ No newline at end of file
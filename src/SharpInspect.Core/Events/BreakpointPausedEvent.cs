@@ -0,0 +1,31 @@
+using System;
+using SharpInspect.Core.Models;
+
+namespace SharpInspect.Core.Events;
+
+/// <summary>
+///     요청 또는 응답이 브레이크포인트에서 멈췄을 때 발생하는 이벤트.
+/// </summary>
+public class BreakpointPausedEvent : SharpInspectEventBase
+{
+    /// <summary>
+    ///     새 브레이크포인트 멈춤 이벤트를 생성합니다.
+    /// </summary>
+    public BreakpointPausedEvent(PausedRequest paused)
+    {
+        if (paused == null)
+            throw new ArgumentNullException(nameof(paused));
+
+        Paused = paused;
+    }
+
+    /// <summary>
+    ///     멈춘 요청을 가져옵니다.
+    /// </summary>
+    public PausedRequest Paused { get; private set; }
+
+    /// <summary>
+    ///     이벤트 타입 이름을 가져옵니다.
+    /// </summary>
+    public override string EventType => "breakpoint:paused";
+}
\ No newline at end of file
@@ -0,0 +1,38 @@
+using System;
+
+namespace SharpInspect.Core.Events;
+
+/// <summary>
+///     멈춘 요청이 계속 진행되거나 중단되어 대기열에서 빠질 때 발생하는 이벤트.
+/// </summary>
+public class BreakpointResolvedEvent : SharpInspectEventBase
+{
+    /// <summary>
+    ///     새 브레이크포인트 해제 이벤트를 생성합니다.
+    /// </summary>
+    /// <param name="id">PausedRequest ID.</param>
+    /// <param name="reason">해제 사유 (continued, aborted, timeout, cancelled).</param>
+    public BreakpointResolvedEvent(string id, string reason)
+    {
+        if (id == null)
+            throw new ArgumentNullException(nameof(id));
+
+        Id = id;
+        Reason = reason;
+    }
+
+    /// <summary>
+    ///     해제된 PausedRequest ID를 가져옵니다.
+    /// </summary>
+    public string Id { get; private set; }
+
+    /// <summary>
+    ///     해제 사유를 가져옵니다.
+    /// </summary>
+    public string Reason { get; private set; }
+
+    /// <summary>
+    ///     이벤트 타입 이름을 가져옵니다.
+    /// </summary>
+    public override string EventType => "breakpoint:resolved";
+}
\ No newline at end of file
@@ -0,0 +1,32 @@
+using System;
+using SharpInspect.Core.Models;
+
+namespace SharpInspect.Core.Events;
+
+/// <summary>
+///     gRPC 호출의 응답 스트림이 끝나 트레일러의 grpc-status를 확인했을 때 발생하는 이벤트.
+/// </summary>
+public class GrpcCompletedEvent : SharpInspectEventBase
+{
+    /// <summary>
+    ///     새 gRPC 호출 완료 이벤트를 생성합니다.
+    /// </summary>
+    /// <param name="entry">완료된 호출의 네트워크 엔트리.</param>
+    public GrpcCompletedEvent(NetworkEntry entry)
+    {
+        if (entry == null)
+            throw new ArgumentNullException(nameof(entry));
+
+        Entry = entry;
+    }
+
+    /// <summary>
+    ///     완료된 호출의 네트워크 엔트리를 가져옵니다.
+    /// </summary>
+    public NetworkEntry Entry { get; private set; }
+
+    /// <summary>
+    ///     이벤트 타입 이름을 가져옵니다.
+    /// </summary>
+    public override string EventType => "grpc:completed";
+}
\ No newline at end of file
@@ -0,0 +1,35 @@
+using SharpInspect.Core.Models;
+
+namespace SharpInspect.Core.Events;
+
+/// <summary>
+///     캡처 중인 gRPC 호출에서 요청 또는 응답 메시지가 오갔을 때 발생하는 이벤트.
+/// </summary>
+public class GrpcMessageEvent : SharpInspectEventBase
+{
+    /// <summary>
+    ///     새 gRPC 메시지 이벤트를 생성합니다.
+    /// </summary>
+    /// <param name="entryId">호출을 나타내는 네트워크 엔트리 ID.</param>
+    /// <param name="message">캡처된 메시지.</param>
+    public GrpcMessageEvent(string entryId, GrpcMessage message)
+    {
+        EntryId = entryId;
+        Message = message;
+    }
+
+    /// <summary>
+    ///     캡처된 메시지를 가져옵니다.
+    /// </summary>
+    public GrpcMessage Message { get; private set; }
+
+    /// <summary>
+    ///     호출을 나타내는 네트워크 엔트리 ID를 가져옵니다.
+    /// </summary>
+    public string EntryId { get; private set; }
+
+    /// <summary>
+    ///     이벤트 타입 이름을 가져옵니다.
+    /// </summary>
+    public override string EventType => "grpc:message";
+}
\ No newline at end of file
@@ -0,0 +1,28 @@
+using SharpInspect.Core.Models;
+
+namespace SharpInspect.Core.Events;
+
+/// <summary>
+///     네트워크 스로틀링 프로필이 바뀌었을 때 발생하는 이벤트.
+/// </summary>
+public class ThrottleChangedEvent : SharpInspectEventBase
+{
+    /// <summary>
+    ///     새 스로틀링 변경 이벤트를 생성합니다.
+    /// </summary>
+    /// <param name="profile">새 프로필, 스로틀링을 끈 경우 null.</param>
+    public ThrottleChangedEvent(ThrottleProfile profile)
+    {
+        Profile = profile;
+    }
+
+    /// <summary>
+    ///     새 프로필을 가져옵니다. 스로틀링을 끈 경우 null입니다.
+    /// </summary>
+    public ThrottleProfile Profile { get; private set; }
+
+    /// <summary>
+    ///     이벤트 타입 이름을 가져옵니다.
+    /// </summary>
+    public override string EventType => "throttling:changed";
+}
\ No newline at end of file
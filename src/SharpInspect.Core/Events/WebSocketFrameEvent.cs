@@ -0,0 +1,35 @@
+using SharpInspect.Core.Models;
+
+namespace SharpInspect.Core.Events;
+
+/// <summary>
+///     캡처 중인 WebSocket 연결에서 메시지를 보내거나 받았을 때 발생하는 이벤트.
+/// </summary>
+public class WebSocketFrameEvent : SharpInspectEventBase
+{
+    /// <summary>
+    ///     새 WebSocket 메시지 이벤트를 생성합니다.
+    /// </summary>
+    /// <param name="entryId">연결을 나타내는 네트워크 엔트리 ID.</param>
+    /// <param name="frame">캡처된 메시지.</param>
+    public WebSocketFrameEvent(string entryId, WebSocketFrame frame)
+    {
+        EntryId = entryId;
+        Frame = frame;
+    }
+
+    /// <summary>
+    ///     캡처된 메시지를 가져옵니다.
+    /// </summary>
+    public WebSocketFrame Frame { get; private set; }
+
+    /// <summary>
+    ///     연결을 나타내는 네트워크 엔트리 ID를 가져옵니다.
+    /// </summary>
+    public string EntryId { get; private set; }
+
+    /// <summary>
+    ///     이벤트 타입 이름을 가져옵니다.
+    /// </summary>
+    public override string EventType => "websocket:frame";
+}
\ No newline at end of file
@@ -0,0 +1,54 @@
+using System;
+using SharpInspect.Core.Models;
+
+namespace SharpInspect.Core.Interceptors;
+
+/// <summary>
+///     DevTools 세션의 요청 차단 목록을 관리합니다.
+///     목록은 메모리에만 유지되며 마지막 DevTools 창의 연결이 끊기면 비워집니다.
+/// </summary>
+public class BlockManager
+{
+    private readonly object _lock = new();
+    private BlockList _blockList = new();
+
+    /// <summary>
+    ///     현재 차단 목록을 가져옵니다.
+    /// </summary>
+    public BlockList GetBlockList()
+    {
+        lock (_lock)
+        {
+            return _blockList;
+        }
+    }
+
+    /// <summary>
+    ///     차단 목록을 교체합니다. null이면 목록을 비웁니다.
+    /// </summary>
+    public void SetBlockList(BlockList blockList)
+    {
+        var list = blockList ?? new BlockList();
+        if (list.Rules == null)
+            list.Rules = [];
+        list.Rules.RemoveAll(rule => rule == null);
+
+        lock (_lock)
+        {
+            _blockList = list;
+        }
+    }
+
+    /// <summary>
+    ///     요청 URL과 일치하는 첫 번째 활성 규칙을 찾습니다.
+    /// </summary>
+    /// <returns>일치하는 규칙, 없으면 null.</returns>
+    public BlockRule FindRule(Uri uri)
+    {
+        var list = GetBlockList();
+        foreach (var rule in list.Rules)
+            if (rule.Matches(uri))
+                return rule;
+        return null;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,198 @@
+using System;
+using System.Collections.Generic;
+using System.Threading;
+using System.Threading.Tasks;
+using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Events;
+using SharpInspect.Core.Models;
+
+namespace SharpInspect.Core.Interceptors;
+
+/// <summary>
+///     HTTP 브레이크포인트 규칙과 멈춘 요청 대기열을 관리합니다.
+///     멈춘 요청은 DevTools가 Resume을 호출하거나 BreakpointTimeoutMs가 지나면 계속 진행됩니다.
+/// </summary>
+public class BreakpointManager
+{
+    private readonly EventBus _eventBus;
+    private readonly object _lock = new();
+    private readonly SharpInspectOptions _options;
+    private readonly List<PendingBreakpoint> _paused = [];
+    private BreakpointRule[] _rules = [];
+
+    /// <summary>
+    ///     새 BreakpointManager를 생성합니다.
+    /// </summary>
+    public BreakpointManager(SharpInspectOptions options, EventBus eventBus = null)
+    {
+        _options = options ?? throw new ArgumentNullException(nameof(options));
+        _eventBus = eventBus ?? EventBus.Instance;
+    }
+
+    /// <summary>
+    ///     현재 멈춰 있는 요청 수를 가져옵니다.
+    /// </summary>
+    public int PausedCount
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _paused.Count;
+            }
+        }
+    }
+
+    /// <summary>
+    ///     모든 브레이크포인트 규칙을 가져옵니다.
+    /// </summary>
+    public BreakpointRule[] GetRules()
+    {
+        lock (_lock)
+        {
+            return (BreakpointRule[])_rules.Clone();
+        }
+    }
+
+    /// <summary>
+    ///     브레이크포인트 규칙 목록을 교체합니다.
+    /// </summary>
+    public void SetRules(IEnumerable<BreakpointRule> rules)
+    {
+        var list = new List<BreakpointRule>();
+        if (rules != null)
+            foreach (var rule in rules)
+                if (rule != null)
+                    list.Add(rule);
+
+        lock (_lock)
+        {
+            _rules = list.ToArray();
+        }
+    }
+
+    /// <summary>
+    ///     지정된 단계에서 메서드와 URL에 일치하는 첫 번째 활성 규칙을 찾습니다.
+    /// </summary>
+    /// <returns>일치하는 규칙, 없으면 null.</returns>
+    public BreakpointRule FindRule(BreakpointPhase phase, string method, string url)
+    {
+        BreakpointRule[] rules;
+        lock (_lock)
+        {
+            rules = _rules;
+        }
+
+        foreach (var rule in rules)
+            if (rule.Phase == phase && rule.Matches(method, url))
+                return rule;
+        return null;
+    }
+
+    /// <summary>
+    ///     현재 멈춰 있는 요청 목록을 가져옵니다.
+    /// </summary>
+    public PausedRequest[] GetPaused()
+    {
+        lock (_lock)
+        {
+            var result = new PausedRequest[_paused.Count];
+            for (var i = 0; i < _paused.Count; i++)
+                result[i] = _paused[i].Request;
+            return result;
+        }
+    }
+
+    /// <summary>
+    ///     요청을 대기열에 넣고 DevTools의 결정을 기다립니다.
+    ///     시간이 초과되면 편집 없이 계속 진행하는 결정을 반환합니다.
+    /// </summary>
+    /// <exception cref="OperationCanceledException">호출자가 요청을 취소한 경우.</exception>
+    public async Task<BreakpointResolution> PauseAsync(PausedRequest paused, CancellationToken cancellationToken)
+    {
+        if (paused == null) throw new ArgumentNullException(nameof(paused));
+
+        paused.PausedAt = DateTime.UtcNow;
+        paused.ExpiresAt = paused.PausedAt.AddMilliseconds(_options.BreakpointTimeoutMs);
+
+        var pending = new PendingBreakpoint(paused);
+        lock (_lock)
+        {
+            _paused.Add(pending);
+        }
+
+        _eventBus.Publish(new BreakpointPausedEvent(paused));
+
+        using (var timeout = new CancellationTokenSource(_options.BreakpointTimeoutMs))
+        using (timeout.Token.Register(() => Complete(paused.Id, null, "timeout")))
+        using (cancellationToken.Register(() => Complete(paused.Id, null, "cancelled")))
+        {
+            return await pending.Completion.Task.ConfigureAwait(false);
+        }
+    }
+
+    /// <summary>
+    ///     멈춘 요청을 DevTools의 결정대로 계속 진행하거나 중단합니다.
+    /// </summary>
+    /// <returns>대기 중인 요청을 찾았으면 true.</returns>
+    public bool Resume(BreakpointResolution resolution)
+    {
+        if (resolution == null) throw new ArgumentNullException(nameof(resolution));
+
+        var reason = resolution.Action == BreakpointAction.Abort ? "aborted" : "continued";
+        return Complete(resolution.Id, resolution, reason);
+    }
+
+    /// <summary>
+    ///     멈춰 있는 모든 요청을 편집 없이 계속 진행합니다.
+    /// </summary>
+    public void ResumeAll()
+    {
+        foreach (var paused in GetPaused())
+            Complete(paused.Id, null, "continued");
+    }
+
+    private bool Complete(string id, BreakpointResolution resolution, string reason)
+    {
+        PendingBreakpoint pending = null;
+        lock (_lock)
+        {
+            for (var i = 0; i < _paused.Count; i++)
+                if (_paused[i].Request.Id == id)
+                {
+                    pending = _paused[i];
+                    _paused.RemoveAt(i);
+                    break;
+                }
+        }
+
+        if (pending == null)
+            return false;
+
+        if (reason == "cancelled")
+            pending.Completion.TrySetCanceled();
+        else
+            pending.Completion.TrySetResult(resolution ?? new BreakpointResolution { Id = id });
+
+        _eventBus.Publish(new BreakpointResolvedEvent(id, reason));
+        return true;
+    }
+
+    /// <summary>
+    ///     대기열의 멈춘 요청과 결정을 기다리는 TaskCompletionSource.
+    /// </summary>
+    private class PendingBreakpoint
+    {
+        public PendingBreakpoint(PausedRequest request)
+        {
+            Request = request;
+            // 결정을 보낸 WebSocket 수신 스레드에서 HTTP 파이프라인이 이어서 실행되지 않도록 함
+            Completion = new TaskCompletionSource<BreakpointResolution>(
+                TaskCreationOptions.RunContinuationsAsynchronously);
+        }
+
+        public PausedRequest Request { get; }
+
+        public TaskCompletionSource<BreakpointResolution> Completion { get; }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,37 @@
+namespace SharpInspect.Core.Interceptors;
+
+/// <summary>
+///     Content-Type 헤더를 기준으로 본문을 텍스트로 캡처할지 판단하는 유틸리티.
+/// </summary>
+public static class ContentTypeHelper
+{
+    /// <summary>
+    ///     Base64 인코딩된 본문을 나타내는 인코딩 이름.
+    /// </summary>
+    public const string Base64Encoding = "base64";
+
+    private static readonly string[] TextMarkers =
+    {
+        "json", "xml", "javascript", "ecmascript", "x-www-form-urlencoded", "multipart/form-data",
+        "graphql", "yaml", "csv"
+    };
+
+    /// <summary>
+    ///     지정된 Content-Type이 텍스트 본문인지 확인합니다.
+    ///     Content-Type이 없으면 기존 동작과 동일하게 텍스트로 간주합니다.
+    /// </summary>
+    public static bool IsTextContentType(string contentType)
+    {
+        if (string.IsNullOrEmpty(contentType))
+            return true;
+
+        var ct = contentType.ToLowerInvariant();
+        if (ct.StartsWith("text/"))
+            return true;
+
+        foreach (var marker in TextMarkers)
+            if (ct.Contains(marker))
+                return true;
+        return false;
+    }
+}
\ No newline at end of file
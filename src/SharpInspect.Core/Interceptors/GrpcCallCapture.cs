@@ -0,0 +1,425 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Net;
+using System.Net.Http;
+using System.Net.Http.Headers;
+using System.Text;
+using System.Threading;
+using System.Threading.Tasks;
+using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Events;
+using SharpInspect.Core.Models;
+using SharpInspect.Core.Storage;
+
+namespace SharpInspect.Core.Interceptors;
+
+/// <summary>
+///     하나의 gRPC 호출에서 오가는 길이 접두사 메시지를 네트워크 엔트리에 기록합니다.
+///     스트리밍 호출이 멈추지 않도록 본문을 버퍼링하지 않고, 호출자가 쓰고 읽는 스트림을 그대로 통과시키며 기록합니다.
+///     응답 스트림이 끝나면 트레일러의 grpc-status를 엔트리에 기록하고 GrpcCompletedEvent를 발행합니다.
+/// </summary>
+internal sealed class GrpcCallCapture
+{
+    private const string StatusHeader = "grpc-status";
+    private const string MessageHeader = "grpc-message";
+    private const string EncodingHeader = "grpc-encoding";
+
+    private readonly NetworkEntry _entry;
+    private readonly EventBus _eventBus;
+    private readonly object _lock = new();
+    private readonly RingBuffer<GrpcMessage> _messages;
+    private readonly SharpInspectOptions _options;
+    private int _completed;
+    private int _nextIndex;
+
+    /// <summary>
+    ///     gRPC 요청 경로를 해석해 엔트리를 gRPC 호출로 표시하고 새 캡처를 생성합니다.
+    /// </summary>
+    public GrpcCallCapture(NetworkEntry entry, SharpInspectOptions options, EventBus eventBus)
+    {
+        _entry = entry;
+        _options = options;
+        _eventBus = eventBus ?? EventBus.Instance;
+
+        entry.IsGrpc = true;
+        _messages = new RingBuffer<GrpcMessage>(Math.Max(1, options.MaxGrpcMessages));
+        entry.UseGrpcMessageBuffer(_messages);
+        if (GrpcHelper.TryParseMethod(entry.Path, out var service, out var method))
+        {
+            entry.GrpcService = service;
+            entry.GrpcMethod = method;
+        }
+    }
+
+    /// <summary>
+    ///     요청 콘텐츠를 전송되는 메시지를 기록하는 콘텐츠로 감쌉니다.
+    /// </summary>
+    public void CaptureRequest(HttpRequestMessage request)
+    {
+        if (request.Content == null)
+            return;
+
+        // 길이는 스트림을 지나는 바이트로 다시 셈
+        _entry.RequestContentLength = 0;
+        var reader = new MessageReader(this, GrpcMessageDirection.Request, GetHeader(request.Headers, EncodingHeader));
+        request.Content = new CaptureContent(request.Content, reader, null);
+    }
+
+    /// <summary>
+    ///     응답 헤더에서 호출 결과를 확인하고, 응답 콘텐츠를 수신되는 메시지를 기록하는 콘텐츠로 감쌉니다.
+    /// </summary>
+    /// <returns>응답 본문을 메시지 단위로 기록하면 true, gRPC 응답이 아니거나 본문이 없으면 false.</returns>
+    public bool CaptureResponse(HttpResponseMessage response)
+    {
+        // 메시지 없이 헤더만으로 끝난 호출(Trailers-Only)은 헤더에 grpc-status가 있음
+        if (GetHeader(response.Headers, StatusHeader) != null || response.Content == null ||
+            !GrpcHelper.IsGrpcContentType(response.Content.Headers.ContentType?.ToString()))
+        {
+            Complete(response, null);
+            return false;
+        }
+
+        _entry.ResponseContentLength = 0;
+        var reader = new MessageReader(this, GrpcMessageDirection.Response, GetHeader(response.Headers, EncodingHeader))
+        {
+            ReadsTrailerFrame = GrpcHelper.IsGrpcWebContentType(response.Content.Headers.ContentType?.ToString())
+        };
+        response.Content = new CaptureContent(response.Content, reader, () => Complete(response, reader.Trailers));
+        return true;
+    }
+
+    private void AddBytes(GrpcMessageDirection direction, int count)
+    {
+        lock (_lock)
+        {
+            if (direction == GrpcMessageDirection.Request)
+                _entry.RequestContentLength += count;
+            else
+                _entry.ResponseContentLength += count;
+        }
+    }
+
+    private void AddMessage(GrpcMessage message)
+    {
+        message.Timestamp = DateTime.UtcNow;
+
+        lock (_lock)
+        {
+            message.Index = _nextIndex++;
+
+            // 메시지마다 배열을 복사하지 않도록 링 버퍼에 기록 (가득 차면 오래된 메시지를 덮어씀)
+            _messages.Add(message);
+        }
+
+        _eventBus.Publish(new GrpcMessageEvent(_entry.Id, message));
+    }
+
+    /// <summary>
+    ///     트레일러(gRPC-Web은 본문의 트레일러 프레임)에서 grpc-status를 읽어 호출을 완료합니다.
+    /// </summary>
+    private void Complete(HttpResponseMessage response, Dictionary<string, string> bodyTrailers)
+    {
+        if (Interlocked.Exchange(ref _completed, 1) == 1)
+            return;
+
+        var trailers = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+#if MODERN_DOTNET
+        foreach (var header in response.TrailingHeaders)
+            trailers[header.Key] = string.Join(", ", header.Value);
+#endif
+        if (bodyTrailers != null)
+            foreach (var trailer in bodyTrailers)
+                trailers[trailer.Key] = trailer.Value;
+
+        trailers.TryGetValue(StatusHeader, out var status);
+        trailers.TryGetValue(MessageHeader, out var message);
+        status ??= GetHeader(response.Headers, StatusHeader);
+        message ??= GetHeader(response.Headers, MessageHeader);
+
+        lock (_lock)
+        {
+            foreach (var trailer in trailers)
+                _entry.ResponseTrailers[trailer.Key] = trailer.Value;
+            if (int.TryParse(status, out var code))
+                _entry.GrpcStatus = code;
+            if (!string.IsNullOrEmpty(message))
+                _entry.GrpcStatusMessage = DecodeStatusMessage(message);
+            _entry.TotalMs = Math.Max(_entry.TotalMs, (DateTime.UtcNow - _entry.Timestamp).TotalMilliseconds);
+        }
+
+        _eventBus.Publish(new GrpcCompletedEvent(_entry));
+    }
+
+    /// <summary>
+    ///     grpc-message는 퍼센트 인코딩된 UTF-8 문자열입니다.
+    /// </summary>
+    private static string DecodeStatusMessage(string message)
+    {
+        try
+        {
+            return Uri.UnescapeDataString(message);
+        }
+        catch (UriFormatException)
+        {
+            return message;
+        }
+    }
+
+    private static string GetHeader(HttpHeaders headers, string name)
+    {
+        return headers.TryGetValues(name, out var values) ? values.FirstOrDefault() : null;
+    }
+
+    /// <summary>
+    ///     스트림을 지나는 바이트를 5바이트 헤더(압축 플래그, 빅 엔디언 길이)와 본문으로 나누어 메시지로 기록합니다.
+    /// </summary>
+    private sealed class MessageReader
+    {
+        private readonly GrpcCallCapture _call;
+        private readonly GrpcMessageDirection _direction;
+        private readonly string _encoding;
+        private readonly byte[] _header = new byte[5];
+        private MemoryStream _body;
+        private int _headerRead;
+        private long _remaining;
+        private long _size;
+
+        public MessageReader(GrpcCallCapture call, GrpcMessageDirection direction, string encoding)
+        {
+            _call = call;
+            _direction = direction;
+            _encoding = encoding;
+        }
+
+        public bool ReadsTrailerFrame { get; set; }
+
+        /// <summary>
+        ///     gRPC-Web 트레일러 프레임에서 읽은 트레일러.
+        /// </summary>
+        public Dictionary<string, string> Trailers { get; private set; }
+
+        public void Feed(byte[] buffer, int offset, int count)
+        {
+            _call.AddBytes(_direction, count);
+
+            while (count > 0)
+            {
+                if (_headerRead < _header.Length)
+                {
+                    var headerBytes = Math.Min(count, _header.Length - _headerRead);
+                    Array.Copy(buffer, offset, _header, _headerRead, headerBytes);
+                    _headerRead += headerBytes;
+                    offset += headerBytes;
+                    count -= headerBytes;
+
+                    if (_headerRead == _header.Length)
+                    {
+                        _size = ((long)_header[1] << 24) | ((long)_header[2] << 16) | ((long)_header[3] << 8) | _header[4];
+                        _remaining = _size;
+                        _body = new MemoryStream();
+                        if (_remaining == 0)
+                            EndMessage();
+                    }
+
+                    continue;
+                }
+
+                var bodyBytes = (int)Math.Min(count, _remaining);
+                var capacity = Math.Max(0, _call._options.MaxBodySizeBytes - (int)_body.Length);
+                _body.Write(buffer, offset, Math.Min(bodyBytes, capacity));
+                _remaining -= bodyBytes;
+                offset += bodyBytes;
+                count -= bodyBytes;
+
+                if (_remaining == 0)
+                    EndMessage();
+            }
+        }
+
+        private void EndMessage()
+        {
+            var flags = _header[0];
+            var data = _body.ToArray();
+            _headerRead = 0;
+            _body = null;
+
+            if (ReadsTrailerFrame && (flags & 0x80) != 0)
+            {
+                Trailers = ParseTrailerFrame(data);
+                return;
+            }
+
+            var message = new GrpcMessage
+            {
+                Truncated = data.Length < _size,
+                Size = _size,
+                Direction = _direction
+            };
+
+            if ((flags & 0x01) != 0)
+            {
+                var decompressed = message.Truncated ? null : GrpcHelper.Decompress(data, _encoding);
+                message.Compressed = decompressed == null;
+                data = decompressed ?? data;
+            }
+
+            message.Payload = Convert.ToBase64String(data);
+            _call.AddMessage(message);
+        }
+
+        private static Dictionary<string, string> ParseTrailerFrame(byte[] data)
+        {
+            var trailers = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+            foreach (var line in Encoding.ASCII.GetString(data).Split(new[] { "\r\n" }, StringSplitOptions.RemoveEmptyEntries))
+            {
+                var colon = line.IndexOf(':');
+                if (colon > 0)
+                    trailers[line.Substring(0, colon).Trim()] = line.Substring(colon + 1).Trim();
+            }
+
+            return trailers;
+        }
+    }
+
+    /// <summary>
+    ///     원본 콘텐츠를 쓰거나 읽는 동안 지나가는 바이트를 MessageReader에 전달하는 HttpContent.
+    ///     원본 콘텐츠 헤더를 그대로 유지합니다.
+    /// </summary>
+    private sealed class CaptureContent : HttpContent
+    {
+        private readonly HttpContent _inner;
+        private readonly Action _onEnd;
+        private readonly MessageReader _reader;
+
+        public CaptureContent(HttpContent inner, MessageReader reader, Action onEnd)
+        {
+            _inner = inner;
+            _reader = reader;
+            _onEnd = onEnd;
+
+            foreach (var header in inner.Headers)
+                Headers.TryAddWithoutValidation(header.Key, header.Value);
+        }
+
+        protected override async Task SerializeToStreamAsync(Stream stream, TransportContext context)
+        {
+            // 요청 스트리밍: 원본 콘텐츠가 메시지를 쓸 때마다 기록
+            // 응답을 버퍼링(ResponseContentRead)하는 경우에도 이 경로로 끝까지 복사됨
+            await _inner.CopyToAsync(new CaptureStream(stream, _reader, null)).ConfigureAwait(false);
+            _onEnd?.Invoke();
+        }
+
+        protected override async Task<Stream> CreateContentReadStreamAsync()
+        {
+            var inner = await _inner.ReadAsStreamAsync().ConfigureAwait(false);
+            return new CaptureStream(inner, _reader, _onEnd);
+        }
+
+        protected override bool TryComputeLength(out long length)
+        {
+            length = _inner.Headers.ContentLength ?? -1;
+            return length >= 0;
+        }
+
+        protected override void Dispose(bool disposing)
+        {
+            if (disposing)
+                _inner.Dispose();
+            base.Dispose(disposing);
+        }
+    }
+
+    /// <summary>
+    ///     읽거나 쓴 바이트를 MessageReader에 전달하고, 끝까지 읽으면 종료 콜백을 호출하는 스트림.
+    /// </summary>
+    private sealed class CaptureStream : Stream
+    {
+        private readonly Stream _inner;
+        private readonly Action _onEnd;
+        private readonly MessageReader _reader;
+
+        public CaptureStream(Stream inner, MessageReader reader, Action onEnd)
+        {
+            _inner = inner;
+            _reader = reader;
+            _onEnd = onEnd;
+        }
+
+        public override bool CanRead => _inner.CanRead;
+
+        public override bool CanSeek => false;
+
+        public override bool CanWrite => _inner.CanWrite;
+
+        public override long Length => throw new NotSupportedException();
+
+        public override long Position
+        {
+            get => throw new NotSupportedException();
+            set => throw new NotSupportedException();
+        }
+
+        public override int Read(byte[] buffer, int offset, int count)
+        {
+            return OnRead(buffer, offset, count, _inner.Read(buffer, offset, count));
+        }
+
+        public override async Task<int> ReadAsync(byte[] buffer, int offset, int count,
+            CancellationToken cancellationToken)
+        {
+            var read = await _inner.ReadAsync(buffer, offset, count, cancellationToken).ConfigureAwait(false);
+            return OnRead(buffer, offset, count, read);
+        }
+
+        public override void Write(byte[] buffer, int offset, int count)
+        {
+            _inner.Write(buffer, offset, count);
+            _reader.Feed(buffer, offset, count);
+        }
+
+        public override async Task WriteAsync(byte[] buffer, int offset, int count,
+            CancellationToken cancellationToken)
+        {
+            await _inner.WriteAsync(buffer, offset, count, cancellationToken).ConfigureAwait(false);
+            _reader.Feed(buffer, offset, count);
+        }
+
+        public override void Flush()
+        {
+            _inner.Flush();
+        }
+
+        public override Task FlushAsync(CancellationToken cancellationToken)
+        {
+            return _inner.FlushAsync(cancellationToken);
+        }
+
+        public override long Seek(long offset, SeekOrigin origin)
+        {
+            throw new NotSupportedException();
+        }
+
+        public override void SetLength(long value)
+        {
+            throw new NotSupportedException();
+        }
+
+        protected override void Dispose(bool disposing)
+        {
+            if (disposing)
+                _inner.Dispose();
+            base.Dispose(disposing);
+        }
+
+        private int OnRead(byte[] buffer, int offset, int count, int read)
+        {
+            if (read > 0)
+                _reader.Feed(buffer, offset, read);
+            else if (count > 0)
+                _onEnd?.Invoke();
+            return read;
+        }
+    }
+}
\ No newline at end of file
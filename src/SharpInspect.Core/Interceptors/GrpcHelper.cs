@@ -0,0 +1,100 @@
+using System;
+using System.IO;
+using System.IO.Compression;
+
+namespace SharpInspect.Core.Interceptors;
+
+/// <summary>
+///     gRPC 호출 감지, 서비스/메서드 해석, 메시지 압축 해제를 위한 유틸리티.
+/// </summary>
+public static class GrpcHelper
+{
+    /// <summary>
+    ///     지정된 Content-Type이 gRPC(application/grpc, application/grpc+proto, application/grpc-web)인지 확인합니다.
+    ///     본문이 Base64 텍스트인 application/grpc-web-text는 제외합니다.
+    /// </summary>
+    public static bool IsGrpcContentType(string contentType)
+    {
+        if (string.IsNullOrEmpty(contentType))
+            return false;
+
+        var ct = contentType.ToLowerInvariant();
+        return ct.StartsWith("application/grpc") && !ct.StartsWith("application/grpc-web-text");
+    }
+
+    /// <summary>
+    ///     gRPC-Web 응답인지 확인합니다. 트레일러가 본문의 마지막 프레임으로 전달됩니다.
+    /// </summary>
+    public static bool IsGrpcWebContentType(string contentType)
+    {
+        return !string.IsNullOrEmpty(contentType) &&
+               contentType.ToLowerInvariant().StartsWith("application/grpc-web");
+    }
+
+    /// <summary>
+    ///     "/패키지.서비스/메서드" 형식의 요청 경로에서 서비스와 메서드 이름을 추출합니다.
+    /// </summary>
+    /// <returns>경로가 gRPC 형식이면 true.</returns>
+    public static bool TryParseMethod(string path, out string service, out string method)
+    {
+        service = null;
+        method = null;
+        if (string.IsNullOrEmpty(path))
+            return false;
+
+        var parts = path.Trim('/').Split('/');
+        if (parts.Length < 2 || parts[parts.Length - 2].Length == 0 || parts[parts.Length - 1].Length == 0)
+            return false;
+
+        // 경로 접두사가 붙은 경우(예: /api/greet.Greeter/SayHello)에도 마지막 두 부분을 사용
+        service = parts[parts.Length - 2];
+        method = parts[parts.Length - 1];
+        return true;
+    }
+
+    /// <summary>
+    ///     grpc-encoding으로 압축된 메시지의 압축을 풉니다.
+    /// </summary>
+    /// <returns>압축을 푼 바이트, 지원하지 않는 인코딩이거나 실패하면 null.</returns>
+    public static byte[] Decompress(byte[] data, string encoding)
+    {
+        if (data == null || string.IsNullOrEmpty(encoding))
+            return null;
+
+        try
+        {
+            using (var input = new MemoryStream(data))
+            using (var decompressor = CreateDecompressor(input, encoding.Trim().ToLowerInvariant()))
+            {
+                if (decompressor == null)
+                    return null;
+
+                using (var output = new MemoryStream())
+                {
+                    decompressor.CopyTo(output);
+                    return output.ToArray();
+                }
+            }
+        }
+        catch (InvalidDataException)
+        {
+            return null;
+        }
+    }
+
+    private static Stream CreateDecompressor(Stream input, string encoding)
+    {
+        switch (encoding)
+        {
+            case "gzip":
+                return new GZipStream(input, CompressionMode.Decompress);
+#if MODERN_DOTNET
+            // gRPC의 deflate는 zlib 형식
+            case "deflate":
+                return new ZLibStream(input, CompressionMode.Decompress);
+#endif
+            default:
+                return null;
+        }
+    }
+}
\ No newline at end of file
@@ -1,10 +1,13 @@
 using System;
+using System.Collections.Generic;
 using System.Diagnostics;
 using System.IO;
 using System.Net;
 using System.Text;
+using System.Threading;
 using SharpInspect.Core.Configuration;
 using SharpInspect.Core.Events;
+using SharpInspect.Core.Logging;
 using SharpInspect.Core.Models;
 using SharpInspect.Core.Storage;
 
@@ -20,6 +23,7 @@ public static class HttpWebRequestInterceptor
     private static ISharpInspectStore _store;
     private static readonly object _initLock = new();
     private static SharpInspectOptions _options;
+    private static TrafficControl _traffic;
 
     /// <summary>
     ///     요청/응답을 캡처하는 HttpWebRequest 래퍼를 생성합니다.
@@ -28,7 +32,7 @@ public static class HttpWebRequestInterceptor
     {
         if (!_initialized || !_options.EnableNetworkCapture) return (HttpWebResponse)request.GetResponse();
 
-        if (ShouldIgnoreUrl(request.RequestUri)) return (HttpWebResponse)request.GetResponse();
+        if (_options.ShouldIgnoreUrl(request.RequestUri)) return (HttpWebResponse)request.GetResponse();
 
         var entry = new NetworkEntry();
         var stopwatch = Stopwatch.StartNew();
@@ -38,8 +42,18 @@ public static class HttpWebRequestInterceptor
             // 요청 캡처
             CaptureRequest(entry, request);
 
-            // 응답 가져오기
-            var response = (HttpWebResponse)request.GetResponse();
+            // 응답 가져오기 (일치하는 목 규칙이 있으면 규칙에 따라 처리)
+            var mock = FindMock(request);
+            HttpWebResponse response;
+            if (mock != null)
+            {
+                entry.MockRuleId = mock.Id;
+                response = GetMockResponse(mock, request);
+            }
+            else
+            {
+                response = (HttpWebResponse)request.GetResponse();
+            }
 
             stopwatch.Stop();
 
@@ -86,7 +100,7 @@ public static class HttpWebRequestInterceptor
     {
         if (!_initialized || !_options.EnableNetworkCapture) return null;
 
-        if (ShouldIgnoreUrl(request.RequestUri)) return null;
+        if (_options.ShouldIgnoreUrl(request.RequestUri)) return null;
 
         var entry = new NetworkEntry();
         CaptureRequest(entry, request);
@@ -123,11 +137,24 @@ public static class HttpWebRequestInterceptor
     public static void Initialize(
         ISharpInspectStore store,
         SharpInspectOptions options)
+    {
+        Initialize(store, options, (TrafficControl)null);
+    }
+
+    /// <summary>
+    ///     지정된 의존성으로 인터셉터를 초기화합니다.
+    ///     traffic이 지정되면 GetResponseWithCapture에 DevTools의 목 규칙을 적용합니다.
+    /// </summary>
+    public static void Initialize(
+        ISharpInspectStore store,
+        SharpInspectOptions options,
+        TrafficControl traffic)
     {
         lock (_initLock)
         {
             _store = store;
             _options = options;
+            _traffic = traffic;
             _initialized = true;
         }
     }
@@ -144,16 +171,36 @@ public static class HttpWebRequestInterceptor
         Initialize(store, options);
     }
 
-    private static bool ShouldIgnoreUrl(Uri uri)
+    private static MockRule FindMock(HttpWebRequest request)
     {
-        if (uri == null || _options?.IgnoreUrlPatterns == null)
-            return false;
+        if (_traffic == null)
+            return null;
 
-        var url = uri.ToString();
-        foreach (var pattern in _options.IgnoreUrlPatterns)
-            if (url.Contains(pattern))
-                return true;
-        return false;
+        var headers = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+        if (request.Headers != null)
+            foreach (var key in request.Headers.AllKeys)
+                headers[key] = request.Headers[key];
+
+        // HttpWebResponse는 공개 생성자가 없어 목 응답을 만들 수 없으므로 지연(Delay)과 오류(Fail) 규칙만 적용
+        // 처음 일치하는 규칙이 Respond이면 목 없이 실제로 전송
+        var rule = _traffic.Mocks.FindRule(request.Method, request.RequestUri.ToString(), headers);
+        return rule != null && rule.Action != MockAction.Respond ? rule : null;
+    }
+
+    /// <summary>
+    ///     목 규칙의 동작에 따라 지연 후 오류를 발생시키거나 실제로 전송합니다.
+    /// </summary>
+    private static HttpWebResponse GetMockResponse(MockRule mock, HttpWebRequest request)
+    {
+        if (mock.DelayMs > 0)
+            Thread.Sleep(mock.DelayMs);
+
+        if (mock.Action == MockAction.Fail)
+            throw new WebException(string.IsNullOrEmpty(mock.ErrorMessage)
+                ? "Simulated network error (SharpInspect mock)"
+                : mock.ErrorMessage, WebExceptionStatus.ConnectFailure);
+
+        return (HttpWebResponse)request.GetResponse();
     }
 
     private static bool ShouldMaskHeader(string headerName)
@@ -236,6 +283,27 @@ public static class HttpWebRequestInterceptor
         }
     }
 
+    private static string ReadResponseBodyAsBase64(HttpWebResponse response)
+    {
+        try
+        {
+            using var stream = response.GetResponseStream();
+            if (stream == null)
+                return null;
+
+            using var buffer = new MemoryStream();
+            var chunk = new byte[8192];
+            int read;
+            while ((read = stream.Read(chunk, 0, chunk.Length)) > 0)
+                buffer.Write(chunk, 0, read);
+            return Convert.ToBase64String(buffer.ToArray());
+        }
+        catch
+        {
+            return null;
+        }
+    }
+
     private static void CaptureError(NetworkEntry entry, Exception ex, TimeSpan elapsed)
     {
         entry.IsError = true;
@@ -250,6 +318,7 @@ public static class HttpWebRequestInterceptor
         entry.Host = request.RequestUri.Host;
         entry.Path = request.RequestUri.AbsolutePath;
         entry.QueryString = request.RequestUri.Query;
+        entry.TraceId = LogCorrelation.TraceId;
 
         // 헤더 캡처
         if (request.Headers != null)
@@ -288,7 +357,19 @@ public static class HttpWebRequestInterceptor
         if (_options.CaptureResponseBody &&
             response.ContentLength <= _options.MaxBodySizeBytes &&
             response.ContentLength != -1)
-            entry.ResponseBody = ReadResponseBody(response);
+        {
+            if (ContentTypeHelper.IsTextContentType(entry.ResponseContentType))
+            {
+                entry.ResponseBody = ReadResponseBody(response);
+            }
+            else
+            {
+                // 바이너리 본문은 UI 미리보기를 위해 Base64로 저장
+                entry.ResponseBody = ReadResponseBodyAsBase64(response);
+                if (entry.ResponseBody != null)
+                    entry.ResponseBodyEncoding = ContentTypeHelper.Base64Encoding;
+            }
+        }
     }
 
     private static void StoreAndPublish(NetworkEntry entry)
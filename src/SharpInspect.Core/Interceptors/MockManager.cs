@@ -0,0 +1,84 @@
+using System;
+using System.Collections.Generic;
+using SharpInspect.Core.Models;
+
+namespace SharpInspect.Core.Interceptors;
+
+/// <summary>
+///     목(자동 응답) 규칙 목록을 관리합니다.
+///     규칙은 순서대로 평가되며 처음 일치하는 규칙이 적용됩니다.
+/// </summary>
+public class MockManager
+{
+    private readonly object _lock = new();
+    private MockRule[] _rules = [];
+
+    /// <summary>
+    ///     모든 목 규칙을 순서대로 가져옵니다.
+    /// </summary>
+    public MockRule[] GetRules()
+    {
+        lock (_lock)
+        {
+            return (MockRule[])_rules.Clone();
+        }
+    }
+
+    /// <summary>
+    ///     목 규칙 목록을 교체합니다.
+    /// </summary>
+    /// <exception cref="ArgumentException">상태 코드가 0~999 범위를 벗어나거나 base64 본문이 올바르지 않은 경우.</exception>
+    public void SetRules(IEnumerable<MockRule> rules)
+    {
+        var list = new List<MockRule>();
+        if (rules != null)
+            foreach (var rule in rules)
+                if (rule != null)
+                {
+                    Validate(rule);
+                    list.Add(rule);
+                }
+
+        lock (_lock)
+        {
+            _rules = list.ToArray();
+        }
+    }
+
+    /// <summary>
+    ///     요청과 일치하는 첫 번째 활성 규칙을 찾습니다.
+    /// </summary>
+    /// <param name="method">HTTP 메서드.</param>
+    /// <param name="url">요청 URL.</param>
+    /// <param name="headers">대소문자를 구분하지 않는 요청 헤더 딕셔너리.</param>
+    /// <returns>일치하는 규칙, 없으면 null.</returns>
+    public MockRule FindRule(string method, string url, IDictionary<string, string> headers)
+    {
+        MockRule[] rules;
+        lock (_lock)
+        {
+            rules = _rules;
+        }
+
+        foreach (var rule in rules)
+            if (rule.Matches(method, url, headers))
+                return rule;
+        return null;
+    }
+
+    private static void Validate(MockRule rule)
+    {
+        if (rule.StatusCode < 0 || rule.StatusCode > 999)
+            throw new ArgumentException(
+                $"Status code {rule.StatusCode} of mock rule '{rule.Id}' must be between 0 and 999.", nameof(rule));
+
+        try
+        {
+            rule.GetBodyBytes();
+        }
+        catch (FormatException)
+        {
+            throw new ArgumentException($"Body of mock rule '{rule.Id}' is not valid base64.", nameof(rule));
+        }
+    }
+}
\ No newline at end of file
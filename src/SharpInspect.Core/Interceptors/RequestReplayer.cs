@@ -0,0 +1,187 @@
+using System;
+using System.Collections.Generic;
+using System.Net.Http;
+using System.Text;
+using System.Threading.Tasks;
+using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Models;
+using SharpInspect.Core.Storage;
+
+namespace SharpInspect.Core.Interceptors
+{
+    /// <summary>
+    ///     캡처된 요청을 검사 대상 프로세스 안에서 다시 전송합니다.
+    ///     요청은 TrafficControl.ReplayClient(등록된 경우) 또는 기본 핸들러 위의 SharpInspectHandler를 거치므로
+    ///     일반 요청과 동일하게 캡처되고 DevTools 규칙(목, 브레이크포인트, 스로틀링, 차단)이 적용되며,
+    ///     생성된 엔트리에는 원본 엔트리 ID가 ReplayOfId로 기록됩니다.
+    /// </summary>
+    public class RequestReplayer : IDisposable
+    {
+        private const string ReplayPropertyKey = "SharpInspect.Replay";
+        private const string MaskedValue = "***masked***";
+
+        // 전송 시 HttpClient가 직접 계산하거나 연결 단위로만 의미가 있는 헤더
+        private static readonly HashSet<string> SkippedHeaders = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "Host", "Content-Length", "Connection", "Keep-Alive", "Proxy-Connection",
+            "Transfer-Encoding", "TE", "Trailer", "Upgrade", "Expect"
+        };
+
+        private readonly HttpClient _client;
+        private readonly TrafficControl _traffic;
+
+        /// <summary>
+        ///     기본 HttpClientHandler를 사용하는 새 RequestReplayer를 생성합니다.
+        /// </summary>
+        public RequestReplayer(ISharpInspectStore store, SharpInspectOptions options, TrafficControl traffic = null)
+            : this(store, options, new HttpClientHandler(), traffic)
+        {
+        }
+
+        /// <summary>
+        ///     지정된 내부 핸들러를 사용하는 새 RequestReplayer를 생성합니다.
+        ///     traffic은 앱의 SharpInspectHandler와 같은 인스턴스여야 DevTools 규칙과 등록된 ReplayClient가 적용됩니다.
+        /// </summary>
+        public RequestReplayer(
+            ISharpInspectStore store,
+            SharpInspectOptions options,
+            HttpMessageHandler innerHandler,
+            TrafficControl traffic = null)
+        {
+            if (store == null) throw new ArgumentNullException(nameof(store));
+            if (options == null) throw new ArgumentNullException(nameof(options));
+
+            _traffic = traffic;
+            _client = new HttpClient(new SharpInspectHandler(store, options, innerHandler, traffic));
+        }
+
+        /// <summary>
+        ///     RequestReplayer를 해제합니다.
+        /// </summary>
+        public void Dispose()
+        {
+            _client.Dispose();
+        }
+
+        /// <summary>
+        ///     요청을 다시 전송하고 캡처된 NetworkEntry를 반환합니다.
+        ///     전송이 실패해도 오류가 기록된 엔트리를 반환하며,
+        ///     캡처가 비활성화되었거나 무시 대상 URL이거나 ReplayClient에 SharpInspectHandler가 없으면 null을 반환합니다.
+        /// </summary>
+        /// <param name="originalId">재전송할 원본 엔트리 ID.</param>
+        /// <param name="replay">전송할 요청.</param>
+        /// <exception cref="ArgumentException">URL이 절대 경로가 아니거나 마스킹된 헤더 값이 남아 있는 경우.</exception>
+        public async Task<NetworkEntry> ReplayAsync(string originalId, ReplayRequest replay)
+        {
+            if (replay == null) throw new ArgumentNullException(nameof(replay));
+
+            var request = CreateRequestMessage(replay);
+            var context = new ReplayContext { OriginalId = originalId };
+            SetReplayContext(request, context);
+
+            try
+            {
+                var client = _traffic?.ReplayClient ?? _client;
+                var response = await client.SendAsync(request).ConfigureAwait(false);
+                response.Dispose();
+            }
+            catch (Exception) when (context.Entry != null)
+            {
+                // 오류는 SharpInspectHandler가 엔트리에 기록함
+            }
+            finally
+            {
+                request.Dispose();
+            }
+
+            return context.Entry;
+        }
+
+        /// <summary>
+        ///     ReplayRequest로 HttpRequestMessage를 생성합니다.
+        ///     HttpClient가 직접 계산하는 헤더는 제외합니다.
+        /// </summary>
+        /// <exception cref="ArgumentException">URL이 절대 경로가 아니거나 마스킹된 헤더 값이 남아 있는 경우.</exception>
+        public static HttpRequestMessage CreateRequestMessage(ReplayRequest replay)
+        {
+            if (!Uri.TryCreate(replay.Url, UriKind.Absolute, out var uri))
+                throw new ArgumentException("Replay URL must be an absolute URL: " + replay.Url);
+
+            var method = string.IsNullOrEmpty(replay.Method) ? "GET" : replay.Method.Trim().ToUpperInvariant();
+            var request = new HttpRequestMessage(new HttpMethod(method), uri);
+
+            if (!string.IsNullOrEmpty(replay.Body))
+                request.Content = new ByteArrayContent(Encoding.UTF8.GetBytes(replay.Body));
+
+            if (replay.Headers == null)
+                return request;
+
+            foreach (var header in replay.Headers)
+            {
+                if (string.IsNullOrEmpty(header.Key) || SkippedHeaders.Contains(header.Key))
+                    continue;
+
+                // 헤더를 빼고 보내면 원본과 다른 요청이 되므로 값을 직접 입력하도록 거부
+                if (header.Value == MaskedValue)
+                {
+                    request.Dispose();
+                    throw new ArgumentException(
+                        $"Header '{header.Key}' was masked when the request was captured. Enter its value with Edit and Replay, or remove the header.");
+                }
+
+                if (request.Headers.TryAddWithoutValidation(header.Key, header.Value))
+                    continue;
+
+                // Content-Type 등 콘텐츠 헤더
+                if (request.Content != null)
+                {
+                    request.Content.Headers.Remove(header.Key);
+                    request.Content.Headers.TryAddWithoutValidation(header.Key, header.Value);
+                }
+            }
+
+            return request;
+        }
+
+        /// <summary>
+        ///     재전송 요청이면 해당 컨텍스트를, 일반 요청이면 null을 반환합니다.
+        /// </summary>
+        internal static ReplayContext GetReplayContext(HttpRequestMessage request)
+        {
+#if MODERN_DOTNET
+            return request.Options.TryGetValue(new HttpRequestOptionsKey<ReplayContext>(ReplayPropertyKey), out var context)
+                ? context
+                : null;
+#else
+            return request.Properties.TryGetValue(ReplayPropertyKey, out var context)
+                ? context as ReplayContext
+                : null;
+#endif
+        }
+
+        private static void SetReplayContext(HttpRequestMessage request, ReplayContext context)
+        {
+#if MODERN_DOTNET
+            request.Options.Set(new HttpRequestOptionsKey<ReplayContext>(ReplayPropertyKey), context);
+#else
+            request.Properties[ReplayPropertyKey] = context;
+#endif
+        }
+
+        /// <summary>
+        ///     재전송 요청과 SharpInspectHandler가 캡처한 엔트리를 연결합니다.
+        /// </summary>
+        internal class ReplayContext
+        {
+            /// <summary>
+            ///     SharpInspectHandler가 생성한 엔트리.
+            /// </summary>
+            public NetworkEntry Entry { get; set; }
+
+            /// <summary>
+            ///     원본 엔트리 ID.
+            /// </summary>
+            public string OriginalId { get; set; }
+        }
+    }
+}
\ No newline at end of file
@@ -1,10 +1,14 @@
 using System;
+using System.Collections.Generic;
 using System.Diagnostics;
+using System.Net;
 using System.Net.Http;
+using System.Net.Http.Headers;
 using System.Text;
 using System.Threading;
 using System.Threading.Tasks;
 using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Logging;
 using SharpInspect.Core.Models;
 using SharpInspect.Core.Storage;
 
@@ -16,8 +20,11 @@ namespace SharpInspect.Core.Interceptors
     /// </summary>
     public class SharpInspectHandler : DelegatingHandler
     {
+        private const string MaskedValue = "***masked***";
+
         private readonly ISharpInspectStore _store;
         private readonly SharpInspectOptions _options;
+        private readonly TrafficControl _traffic;
 
         /// <summary>
         ///     지정된 의존성으로 새 SharpInspectHandler를 생성합니다.
@@ -36,10 +43,24 @@ namespace SharpInspect.Core.Interceptors
             ISharpInspectStore store,
             SharpInspectOptions options,
             HttpMessageHandler innerHandler)
+            : this(store, options, innerHandler, null)
+        {
+        }
+
+        /// <summary>
+        ///     지정된 의존성과 내부 핸들러로 새 SharpInspectHandler를 생성합니다.
+        ///     traffic이 지정되면 DevTools에서 설정한 브레이크포인트, 목 규칙, 스로틀링을 적용합니다.
+        /// </summary>
+        public SharpInspectHandler(
+            ISharpInspectStore store,
+            SharpInspectOptions options,
+            HttpMessageHandler innerHandler,
+            TrafficControl traffic)
             : base(innerHandler)
         {
             _store = store ?? throw new ArgumentNullException(nameof(store));
             _options = options ?? throw new ArgumentNullException(nameof(options));
+            _traffic = traffic;
         }
 
         /// <summary>
@@ -72,24 +93,92 @@ namespace SharpInspect.Core.Interceptors
             HttpRequestMessage request,
             CancellationToken cancellationToken)
         {
-            if (!_options.EnableNetworkCapture || ShouldIgnoreUrl(request.RequestUri))
+            if (!_options.EnableNetworkCapture || _options.ShouldIgnoreUrl(request.RequestUri))
                 return await base.SendAsync(request, cancellationToken).ConfigureAwait(false);
 
             var entry = new NetworkEntry();
             var stopwatch = Stopwatch.StartNew();
 
+            // 요청이 진행되는 동안 남겨진 로그를 이 엔트리와 연결
+            using var correlation = LogCorrelation.BeginNetworkEntry(entry.Id);
+
+            // DevTools에서 재전송한 요청이면 원본 엔트리와 연결
+            var replay = RequestReplayer.GetReplayContext(request);
+            if (replay != null)
+            {
+                entry.ReplayOfId = replay.OriginalId;
+                replay.Entry = entry;
+            }
+
             try
             {
+                // 요청 단계 브레이크포인트 (멈춘 시간은 소요 시간에서 제외)
+                var requestBreak = await BreakAtRequest(request, cancellationToken).ConfigureAwait(false);
+                if (requestBreak != null)
+                {
+                    entry.Timestamp = DateTime.UtcNow;
+                    stopwatch.Restart();
+                }
+
                 // 요청 상세 정보 캡처
                 await CaptureRequest(entry, request).ConfigureAwait(false);
 
-                // 요청 전송
-                var response = await base.SendAsync(request, cancellationToken).ConfigureAwait(false);
+                // gRPC 호출은 본문 대신 메시지 단위로 기록
+                GrpcCallCapture grpc = null;
+                if (GrpcHelper.IsGrpcContentType(entry.RequestContentType))
+                {
+                    grpc = new GrpcCallCapture(entry, _options, _traffic?.EventBus);
+                    grpc.CaptureRequest(request);
+                }
+
+                if (requestBreak?.Action == BreakpointAction.Abort)
+                    throw new HttpRequestException("Request aborted at SharpInspect breakpoint");
+
+                // 요청 차단 목록 (스로틀링과 목 규칙보다 먼저 적용)
+                ThrottleProfile throttle = null;
+                HttpResponseMessage response;
+                if (_traffic?.Blocking.FindRule(request.RequestUri) != null)
+                {
+                    entry.IsBlocked = true;
+                    response = CreateBlockedResponse(_traffic.Blocking.GetBlockList(), request);
+                }
+                else
+                {
+                    // 네트워크 스로틀링 (오프라인, 지연 시간, 요청 본문 대역폭)
+                    throttle = _traffic?.Throttling.FindProfile(request.RequestUri.Host);
+                    if (throttle != null)
+                        await ThrottleRequest(throttle, request, cancellationToken).ConfigureAwait(false);
+
+                    // 요청 전송 (일치하는 목 규칙이 있으면 규칙에 따라 처리)
+                    var mock = FindMock(request);
+                    if (mock != null)
+                    {
+                        entry.MockRuleId = mock.Id;
+                        response = await SendMock(mock, request, cancellationToken).ConfigureAwait(false);
+                    }
+                    else
+                    {
+                        response = await base.SendAsync(request, cancellationToken).ConfigureAwait(false);
+                    }
+                }
 
                 stopwatch.Stop();
 
+                // 응답 본문 대역폭 제한 (다운로드 시간은 ContentDownloadMs로 따로 기록)
+                if (throttle != null && throttle.DownloadKbps > 0 && response.Content != null)
+                    await ThrottleResponse(entry, response, throttle, grpc != null).ConfigureAwait(false);
+
+                // 응답 단계 브레이크포인트
+                var responseBreak = await BreakAtResponse(request, response, cancellationToken).ConfigureAwait(false);
+
                 // 응답 상세 정보 캡처
-                await CaptureResponse(entry, response, stopwatch.Elapsed).ConfigureAwait(false);
+                await CaptureResponse(entry, response, stopwatch.Elapsed, grpc).ConfigureAwait(false);
+
+                if (responseBreak?.Action == BreakpointAction.Abort)
+                {
+                    response.Dispose();
+                    throw new HttpRequestException("Response aborted at SharpInspect breakpoint");
+                }
 
                 return response;
             }
@@ -106,16 +195,294 @@ namespace SharpInspect.Core.Interceptors
             }
         }
 
-        private bool ShouldIgnoreUrl(Uri uri)
+        /// <summary>
+        ///     요청 단계 규칙과 일치하면 요청을 멈추고, 계속 진행 시 편집 내용을 요청에 적용합니다.
+        /// </summary>
+        /// <returns>DevTools의 결정, 일치하는 규칙이 없으면 null.</returns>
+        private async Task<BreakpointResolution> BreakAtRequest(
+            HttpRequestMessage request,
+            CancellationToken cancellationToken)
         {
-            if (uri == null || _options.IgnoreUrlPatterns == null)
-                return false;
+            var url = request.RequestUri.ToString();
+            var rule = _traffic?.Breakpoints.FindRule(BreakpointPhase.Request, request.Method.Method, url);
+            if (rule == null)
+                return null;
 
-            var url = uri.ToString();
-            foreach (var pattern in _options.IgnoreUrlPatterns)
-                if (url.Contains(pattern))
-                    return true;
-            return false;
+            var paused = new PausedRequest
+            {
+                Phase = BreakpointPhase.Request,
+                RuleId = rule.Id,
+                Method = request.Method.Method,
+                Url = url,
+                Headers = GetHeaders(request.Headers, request.Content)
+            };
+            if (request.Content != null &&
+                ContentTypeHelper.IsTextContentType(request.Content.Headers.ContentType?.ToString()))
+                paused.Body = await ReadContentAsString(request.Content).ConfigureAwait(false);
+
+            var resolution = await _traffic.Breakpoints.PauseAsync(paused, cancellationToken).ConfigureAwait(false);
+            if (resolution.Action != BreakpointAction.Continue)
+                return resolution;
+
+            if (!string.IsNullOrEmpty(resolution.Method))
+                request.Method = new HttpMethod(resolution.Method.Trim().ToUpperInvariant());
+
+            if (!string.IsNullOrEmpty(resolution.Url) && resolution.Url != url &&
+                Uri.TryCreate(resolution.Url, UriKind.Absolute, out var uri))
+                request.RequestUri = uri;
+
+            if (resolution.Body != null && resolution.Body != paused.Body)
+                request.Content = ReplaceContent(request.Content, resolution.Body);
+
+            if (resolution.Headers != null)
+                ApplyHeaders(request.Headers, request.Content, paused.Headers, resolution.Headers);
+
+            return resolution;
+        }
+
+        /// <summary>
+        ///     응답 단계 규칙과 일치하면 응답을 멈추고, 계속 진행 시 편집 내용을 응답에 적용합니다.
+        /// </summary>
+        /// <returns>DevTools의 결정, 일치하는 규칙이 없으면 null.</returns>
+        private async Task<BreakpointResolution> BreakAtResponse(
+            HttpRequestMessage request,
+            HttpResponseMessage response,
+            CancellationToken cancellationToken)
+        {
+            var url = request.RequestUri.ToString();
+            var rule = _traffic?.Breakpoints.FindRule(BreakpointPhase.Response, request.Method.Method, url);
+            if (rule == null)
+                return null;
+
+            var paused = new PausedRequest
+            {
+                Phase = BreakpointPhase.Response,
+                RuleId = rule.Id,
+                Method = request.Method.Method,
+                Url = url,
+                StatusCode = (int)response.StatusCode,
+                StatusText = response.ReasonPhrase,
+                Headers = GetHeaders(response.Headers, response.Content)
+            };
+            if (response.Content != null &&
+                ContentTypeHelper.IsTextContentType(response.Content.Headers.ContentType?.ToString()))
+                paused.Body = await ReadContentAsString(response.Content).ConfigureAwait(false);
+
+            var resolution = await _traffic.Breakpoints.PauseAsync(paused, cancellationToken).ConfigureAwait(false);
+            if (resolution.Action != BreakpointAction.Continue)
+                return resolution;
+
+            if (resolution.StatusCode.HasValue)
+                response.StatusCode = (HttpStatusCode)resolution.StatusCode.Value;
+
+            if (resolution.StatusText != null)
+                response.ReasonPhrase = resolution.StatusText;
+
+            if (resolution.Body != null && resolution.Body != paused.Body)
+                response.Content = ReplaceContent(response.Content, resolution.Body);
+
+            if (resolution.Headers != null)
+                ApplyHeaders(response.Headers, response.Content, paused.Headers, resolution.Headers);
+
+            return resolution;
+        }
+
+        /// <summary>
+        ///     응답 본문을 다운로드 대역폭으로 제한합니다.
+        ///     캡처할 본문은 제한된 속도로 미리 버퍼링하여 걸린 시간을 ContentDownloadMs에 기록하고,
+        ///     캡처하지 않는 본문(크기 초과, gRPC 스트림)은 호출자가 읽는 동안 제한됩니다.
+        /// </summary>
+        private async Task ThrottleResponse(
+            NetworkEntry entry,
+            HttpResponseMessage response,
+            ThrottleProfile throttle,
+            bool streamed)
+        {
+            response.Content = new ThrottledContent(response.Content, throttle.DownloadKbps);
+            if (streamed || !ShouldCaptureResponseBody(response.Content))
+                return;
+
+            var download = Stopwatch.StartNew();
+            await response.Content.LoadIntoBufferAsync().ConfigureAwait(false);
+            entry.ContentDownloadMs = download.Elapsed.TotalMilliseconds;
+        }
+
+        private static async Task ThrottleRequest(
+            ThrottleProfile throttle,
+            HttpRequestMessage request,
+            CancellationToken cancellationToken)
+        {
+            if (throttle.Offline)
+                throw new HttpRequestException("Network is offline (SharpInspect throttling)");
+
+            if (throttle.LatencyMs > 0)
+                await Task.Delay(throttle.LatencyMs, cancellationToken).ConfigureAwait(false);
+
+            if (throttle.UploadKbps > 0 && request.Content != null)
+                request.Content = new ThrottledContent(request.Content, throttle.UploadKbps);
+        }
+
+        /// <summary>
+        ///     차단 목록의 방식에 따라 예외를 발생시키거나 503 응답을 만듭니다.
+        /// </summary>
+        private static HttpResponseMessage CreateBlockedResponse(BlockList blockList, HttpRequestMessage request)
+        {
+            if (blockList.Behavior == BlockBehavior.Throw)
+                throw new HttpRequestException(string.IsNullOrEmpty(blockList.ErrorMessage)
+                    ? "Request blocked by SharpInspect"
+                    : blockList.ErrorMessage);
+
+            return new HttpResponseMessage(HttpStatusCode.ServiceUnavailable)
+            {
+                RequestMessage = request,
+                Content = new StringContent("Request blocked by SharpInspect")
+            };
+        }
+
+        private MockRule FindMock(HttpRequestMessage request)
+        {
+            if (_traffic == null)
+                return null;
+
+            var headers = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+            foreach (var header in request.Headers)
+                headers[header.Key] = string.Join(", ", header.Value);
+            if (request.Content != null)
+                foreach (var header in request.Content.Headers)
+                    headers[header.Key] = string.Join(", ", header.Value);
+
+            return _traffic.Mocks.FindRule(request.Method.Method, request.RequestUri.ToString(), headers);
+        }
+
+        /// <summary>
+        ///     목 규칙의 동작에 따라 지연 후 목 응답을 반환하거나, 오류를 발생시키거나, 실제로 전송합니다.
+        /// </summary>
+        private async Task<HttpResponseMessage> SendMock(
+            MockRule mock,
+            HttpRequestMessage request,
+            CancellationToken cancellationToken)
+        {
+            if (mock.DelayMs > 0)
+                await Task.Delay(mock.DelayMs, cancellationToken).ConfigureAwait(false);
+
+            switch (mock.Action)
+            {
+                case MockAction.Fail:
+                    throw new HttpRequestException(string.IsNullOrEmpty(mock.ErrorMessage)
+                        ? "Simulated network error (SharpInspect mock)"
+                        : mock.ErrorMessage);
+                case MockAction.Delay:
+                    return await base.SendAsync(request, cancellationToken).ConfigureAwait(false);
+                default:
+                    return CreateMockResponse(mock, request);
+            }
+        }
+
+        private static HttpResponseMessage CreateMockResponse(MockRule mock, HttpRequestMessage request)
+        {
+            var response = new HttpResponseMessage((HttpStatusCode)mock.StatusCode)
+            {
+                RequestMessage = request,
+                Content = new ByteArrayContent(mock.GetBodyBytes())
+            };
+
+            if (!string.IsNullOrEmpty(mock.StatusText))
+                response.ReasonPhrase = mock.StatusText;
+
+            if (mock.ResponseHeaders != null)
+                foreach (var header in mock.ResponseHeaders)
+                {
+                    // Content-Length는 목 본문에서 계산
+                    if (string.IsNullOrEmpty(header.Key) ||
+                        string.Equals(header.Key, "Content-Length", StringComparison.OrdinalIgnoreCase))
+                        continue;
+
+                    if (!response.Headers.TryAddWithoutValidation(header.Key, header.Value))
+                        response.Content.Headers.TryAddWithoutValidation(header.Key, header.Value);
+                }
+
+            return response;
+        }
+
+        private Dictionary<string, string> GetHeaders(HttpHeaders headers, HttpContent content)
+        {
+            var result = new Dictionary<string, string>();
+
+            foreach (var header in headers)
+            {
+                var value = string.Join(", ", header.Value);
+                if (ShouldMaskHeader(header.Key)) value = MaskedValue;
+                result[header.Key] = value;
+            }
+
+            if (content != null)
+                foreach (var header in content.Headers)
+                    result[header.Key] = string.Join(", ", header.Value);
+
+            return result;
+        }
+
+        /// <summary>
+        ///     원본 콘텐츠 헤더(Content-Length 제외)를 유지하며 본문을 교체한 새 콘텐츠를 만듭니다.
+        /// </summary>
+        private static HttpContent ReplaceContent(HttpContent original, string body)
+        {
+            var content = new ByteArrayContent(Encoding.UTF8.GetBytes(body));
+
+            if (original != null)
+            {
+                foreach (var header in original.Headers)
+                    if (!string.Equals(header.Key, "Content-Length", StringComparison.OrdinalIgnoreCase))
+                        content.Headers.TryAddWithoutValidation(header.Key, header.Value);
+                original.Dispose();
+            }
+
+            return content;
+        }
+
+        /// <summary>
+        ///     편집된 헤더 목록을 적용합니다. 목록에서 빠진 헤더는 제거하고,
+        ///     바뀌지 않았거나 마스킹된 채로 남은 헤더는 원래 값을 유지합니다.
+        /// </summary>
+        private static void ApplyHeaders(
+            HttpHeaders headers,
+            HttpContent content,
+            Dictionary<string, string> original,
+            Dictionary<string, string> edited)
+        {
+            var editedKeys = new Dictionary<string, string>(edited, StringComparer.OrdinalIgnoreCase);
+            foreach (var name in original.Keys)
+                if (!editedKeys.ContainsKey(name))
+                {
+                    RemoveHeader(headers, name);
+                    if (content != null) RemoveHeader(content.Headers, name);
+                }
+
+            var originalKeys = new Dictionary<string, string>(original, StringComparer.OrdinalIgnoreCase);
+            foreach (var header in edited)
+            {
+                if (string.IsNullOrEmpty(header.Key) || header.Value == MaskedValue ||
+                    (originalKeys.TryGetValue(header.Key, out var value) && value == header.Value))
+                    continue;
+
+                RemoveHeader(headers, header.Key);
+                if (headers.TryAddWithoutValidation(header.Key, header.Value))
+                    continue;
+
+                // Content-Type 등 콘텐츠 헤더
+                if (content != null)
+                {
+                    RemoveHeader(content.Headers, header.Key);
+                    content.Headers.TryAddWithoutValidation(header.Key, header.Value);
+                }
+            }
+        }
+
+        private static void RemoveHeader(HttpHeaders headers, string name)
+        {
+            // Remove는 컬렉션에 맞지 않는 헤더 이름(예: 요청 헤더의 Content-Type)에 예외를 던짐
+            if (headers.TryGetValues(name, out _))
+                headers.Remove(name);
         }
 
         private bool ShouldMaskHeader(string headerName)
@@ -187,12 +554,13 @@ namespace SharpInspect.Core.Interceptors
             entry.Host = request.RequestUri.Host;
             entry.Path = request.RequestUri.AbsolutePath;
             entry.QueryString = request.RequestUri.Query;
+            entry.TraceId = LogCorrelation.TraceId;
 
             // 헤더 캡처
             foreach (var header in request.Headers)
             {
                 var value = string.Join(", ", header.Value);
-                if (ShouldMaskHeader(header.Key)) value = "***masked***";
+                if (ShouldMaskHeader(header.Key)) value = MaskedValue;
                 entry.RequestHeaders[header.Key] = value;
             }
 
@@ -208,7 +576,9 @@ namespace SharpInspect.Core.Interceptors
                 entry.RequestContentType = request.Content.Headers.ContentType?.ToString();
                 entry.RequestContentLength = request.Content.Headers.ContentLength ?? 0;
 
-                if (_options.CaptureRequestBody && entry.RequestContentLength <= _options.MaxBodySizeBytes)
+                // gRPC 요청 본문은 스트리밍될 수 있으므로 버퍼링하지 않음
+                if (_options.CaptureRequestBody && entry.RequestContentLength <= _options.MaxBodySizeBytes &&
+                    !GrpcHelper.IsGrpcContentType(entry.RequestContentType))
                     entry.RequestBody = await ReadContentAsString(request.Content).ConfigureAwait(false);
             }
 
@@ -216,11 +586,16 @@ namespace SharpInspect.Core.Interceptors
             entry.Initiator = GetInitiator();
         }
 
-        private async Task CaptureResponse(NetworkEntry entry, HttpResponseMessage response, TimeSpan elapsed)
+        private async Task CaptureResponse(
+            NetworkEntry entry,
+            HttpResponseMessage response,
+            TimeSpan elapsed,
+            GrpcCallCapture grpc)
         {
             entry.StatusCode = (int)response.StatusCode;
             entry.StatusText = response.ReasonPhrase;
-            entry.TotalMs = elapsed.TotalMilliseconds;
+            // 스로틀링된 본문 다운로드 시간 포함
+            entry.TotalMs = elapsed.TotalMilliseconds + entry.ContentDownloadMs;
 
 #if MODERN_DOTNET
             entry.Protocol = response.Version.ToString();
@@ -232,7 +607,7 @@ namespace SharpInspect.Core.Interceptors
             foreach (var header in response.Headers)
             {
                 var value = string.Join(", ", header.Value);
-                if (ShouldMaskHeader(header.Key)) value = "***masked***";
+                if (ShouldMaskHeader(header.Key)) value = MaskedValue;
                 entry.ResponseHeaders[header.Key] = value;
             }
 
@@ -248,11 +623,33 @@ namespace SharpInspect.Core.Interceptors
                 entry.ResponseContentType = response.Content.Headers.ContentType?.ToString();
                 entry.ResponseContentLength = response.Content.Headers.ContentLength ?? 0;
 
-                if (_options.CaptureResponseBody && entry.ResponseContentLength <= _options.MaxBodySizeBytes)
-                    entry.ResponseBody = await ReadContentAsString(response.Content).ConfigureAwait(false);
+                // gRPC 응답 메시지는 호출자가 스트림을 읽는 동안 기록
+                if (grpc != null && grpc.CaptureResponse(response))
+                    return;
+
+                if (ShouldCaptureResponseBody(response.Content))
+                {
+                    if (ContentTypeHelper.IsTextContentType(entry.ResponseContentType))
+                    {
+                        entry.ResponseBody = await ReadContentAsString(response.Content).ConfigureAwait(false);
+                    }
+                    else
+                    {
+                        // 바이너리 본문은 UI 미리보기를 위해 Base64로 저장
+                        entry.ResponseBody = await ReadContentAsBase64(response.Content).ConfigureAwait(false);
+                        if (entry.ResponseBody != null)
+                            entry.ResponseBodyEncoding = ContentTypeHelper.Base64Encoding;
+                    }
+                }
             }
         }
 
+        private bool ShouldCaptureResponseBody(HttpContent content)
+        {
+            return _options.CaptureResponseBody &&
+                   (content.Headers.ContentLength ?? 0) <= _options.MaxBodySizeBytes;
+        }
+
         private async Task<string> ReadContentAsString(HttpContent content)
         {
             try
@@ -267,6 +664,21 @@ namespace SharpInspect.Core.Interceptors
             }
         }
 
+        private async Task<string> ReadContentAsBase64(HttpContent content)
+        {
+            try
+            {
+                // 다중 읽기를 위해 콘텐츠 버퍼링
+                await content.LoadIntoBufferAsync().ConfigureAwait(false);
+                var bytes = await content.ReadAsByteArrayAsync().ConfigureAwait(false);
+                return Convert.ToBase64String(bytes);
+            }
+            catch
+            {
+                return null;
+            }
+        }
+
         private void CaptureError(NetworkEntry entry, Exception ex, TimeSpan elapsed)
         {
             entry.IsError = true;
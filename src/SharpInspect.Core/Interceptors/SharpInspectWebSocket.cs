@@ -0,0 +1,279 @@
+using System;
+using System.IO;
+using System.Net.WebSockets;
+using System.Text;
+using System.Threading;
+using System.Threading.Tasks;
+using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Events;
+using SharpInspect.Core.Models;
+using SharpInspect.Core.Storage;
+
+namespace SharpInspect.Core.Interceptors;
+
+/// <summary>
+///     연결된 WebSocket(ClientWebSocket 등)을 감싸 주고받는 메시지를 캡처하는 WebSocket.
+///     연결은 네트워크 엔트리로 저장되고, 메시지는 엔트리의 WebSocketFrames에 추가되며 WebSocketFrameEvent로 발행됩니다.
+///     SignalR 클라이언트는 HttpConnectionOptions.WebSocketFactory에서 이 래퍼를 반환하면 캡처됩니다.
+/// </summary>
+public class SharpInspectWebSocket : WebSocket
+{
+    private readonly DateTime _connectedAt;
+    private readonly EventBus _eventBus;
+    private readonly RingBuffer<WebSocketFrame> _frames;
+    private readonly WebSocket _inner;
+    private readonly object _lock = new();
+    private readonly SharpInspectOptions _options;
+    private readonly MessageBuffer _received = new(WebSocketFrameDirection.Received);
+    private readonly MessageBuffer _sent = new(WebSocketFrameDirection.Sent);
+    private int _nextIndex;
+
+    /// <summary>
+    ///     연결된 WebSocket을 감싸고 연결을 네트워크 엔트리로 저장합니다.
+    /// </summary>
+    /// <param name="store">엔트리를 저장할 스토어.</param>
+    /// <param name="options">캡처 옵션 (MaxBodySizeBytes, MaxWebSocketFrames).</param>
+    /// <param name="inner">이미 연결된 WebSocket.</param>
+    /// <param name="uri">연결한 WebSocket URI.</param>
+    /// <param name="eventBus">메시지 이벤트를 발행할 EventBus. null이면 EventBus.Instance.</param>
+    public SharpInspectWebSocket(
+        ISharpInspectStore store,
+        SharpInspectOptions options,
+        WebSocket inner,
+        Uri uri,
+        EventBus eventBus = null)
+    {
+        if (store == null) throw new ArgumentNullException(nameof(store));
+        if (uri == null) throw new ArgumentNullException(nameof(uri));
+        _options = options ?? throw new ArgumentNullException(nameof(options));
+        _inner = inner ?? throw new ArgumentNullException(nameof(inner));
+        _eventBus = eventBus ?? EventBus.Instance;
+        _connectedAt = DateTime.UtcNow;
+        _frames = new RingBuffer<WebSocketFrame>(Math.Max(1, _options.MaxWebSocketFrames));
+
+        Entry = new NetworkEntry
+        {
+            IsWebSocket = true,
+            Timestamp = _connectedAt,
+            Method = "GET",
+            Url = uri.ToString(),
+            Host = uri.Host,
+            Path = uri.AbsolutePath,
+            QueryString = uri.Query,
+            Protocol = "websocket",
+            StatusCode = 101,
+            StatusText = "Switching Protocols"
+        };
+        Entry.UseWebSocketFrameBuffer(_frames);
+        if (!string.IsNullOrEmpty(inner.SubProtocol))
+            Entry.ResponseHeaders["Sec-WebSocket-Protocol"] = inner.SubProtocol;
+
+        store.AddNetworkEntry(Entry);
+    }
+
+    /// <summary>
+    ///     연결을 나타내는 네트워크 엔트리를 가져옵니다.
+    /// </summary>
+    public NetworkEntry Entry { get; }
+
+    /// <inheritdoc />
+    public override WebSocketCloseStatus? CloseStatus => _inner.CloseStatus;
+
+    /// <inheritdoc />
+    public override string CloseStatusDescription => _inner.CloseStatusDescription;
+
+    /// <inheritdoc />
+    public override WebSocketState State => _inner.State;
+
+    /// <inheritdoc />
+    public override string SubProtocol => _inner.SubProtocol;
+
+    /// <inheritdoc />
+    public override void Abort()
+    {
+        _inner.Abort();
+    }
+
+    /// <inheritdoc />
+    public override Task CloseAsync(
+        WebSocketCloseStatus closeStatus,
+        string statusDescription,
+        CancellationToken cancellationToken)
+    {
+        RecordClose(WebSocketFrameDirection.Sent, closeStatus, statusDescription);
+        return _inner.CloseAsync(closeStatus, statusDescription, cancellationToken);
+    }
+
+    /// <inheritdoc />
+    public override Task CloseOutputAsync(
+        WebSocketCloseStatus closeStatus,
+        string statusDescription,
+        CancellationToken cancellationToken)
+    {
+        RecordClose(WebSocketFrameDirection.Sent, closeStatus, statusDescription);
+        return _inner.CloseOutputAsync(closeStatus, statusDescription, cancellationToken);
+    }
+
+    /// <inheritdoc />
+    public override void Dispose()
+    {
+        _inner.Dispose();
+    }
+
+    /// <inheritdoc />
+    public override async Task<WebSocketReceiveResult> ReceiveAsync(
+        ArraySegment<byte> buffer,
+        CancellationToken cancellationToken)
+    {
+        var result = await _inner.ReceiveAsync(buffer, cancellationToken).ConfigureAwait(false);
+
+        if (result.MessageType == WebSocketMessageType.Close)
+            RecordClose(WebSocketFrameDirection.Received, result.CloseStatus, result.CloseStatusDescription);
+        else
+            Append(_received, result.MessageType, buffer.Array, buffer.Offset, result.Count, result.EndOfMessage);
+
+        return result;
+    }
+
+    /// <inheritdoc />
+    public override async Task SendAsync(
+        ArraySegment<byte> buffer,
+        WebSocketMessageType messageType,
+        bool endOfMessage,
+        CancellationToken cancellationToken)
+    {
+        await _inner.SendAsync(buffer, messageType, endOfMessage, cancellationToken).ConfigureAwait(false);
+
+        // 실패하거나 취소된 전송은 기록하지 않음
+        Append(_sent, messageType, buffer.Array, buffer.Offset, buffer.Count, endOfMessage);
+    }
+
+    /// <summary>
+    ///     프레임 데이터를 방향별 버퍼에 모으고, 메시지가 끝나면 하나의 메시지로 기록합니다.
+    /// </summary>
+    private void Append(
+        MessageBuffer message,
+        WebSocketMessageType messageType,
+        byte[] data,
+        int offset,
+        int count,
+        bool endOfMessage)
+    {
+        WebSocketFrame frame = null;
+        lock (message)
+        {
+            var capacity = Math.Max(0, _options.MaxBodySizeBytes - (int)message.Data.Length);
+            if (data != null && count > 0)
+            {
+                message.Data.Write(data, offset, Math.Min(count, capacity));
+                message.Truncated |= count > capacity;
+                message.Size += count;
+            }
+
+            if (endOfMessage)
+            {
+                var bytes = message.Data.ToArray();
+                frame = new WebSocketFrame
+                {
+                    Truncated = message.Truncated,
+                    Size = message.Size,
+                    Direction = message.Direction,
+                    Opcode = messageType
+                };
+                if (messageType == WebSocketMessageType.Binary)
+                {
+                    frame.Payload = Convert.ToBase64String(bytes);
+                    frame.PayloadEncoding = "base64";
+                }
+                else
+                {
+                    var length = message.Truncated ? GetCompleteUtf8Length(bytes) : bytes.Length;
+                    frame.Payload = Encoding.UTF8.GetString(bytes, 0, length);
+                }
+
+                message.Reset();
+            }
+        }
+
+        if (frame != null)
+            AddFrame(frame);
+    }
+
+    /// <summary>
+    ///     잘린 UTF-8 데이터에서 마지막 문자가 완전하지 않으면 그 문자의 시작 위치를, 아니면 전체 길이를 반환합니다.
+    /// </summary>
+    private static int GetCompleteUtf8Length(byte[] bytes)
+    {
+        var start = bytes.Length - 1;
+        while (start >= 0 && bytes.Length - start <= 4 && (bytes[start] & 0xC0) == 0x80)
+            start--;
+
+        if (start < 0)
+            return bytes.Length;
+
+        var lead = bytes[start];
+        var expected = (lead & 0xE0) == 0xC0 ? 2 : (lead & 0xF0) == 0xE0 ? 3 : (lead & 0xF8) == 0xF0 ? 4 : 1;
+        return bytes.Length - start < expected ? start : bytes.Length;
+    }
+
+    private void RecordClose(WebSocketFrameDirection direction, WebSocketCloseStatus? status, string description)
+    {
+        var payload = status.HasValue ? ((int)status.Value).ToString() : "";
+        if (!string.IsNullOrEmpty(description))
+            payload = (payload + " " + description).Trim();
+
+        AddFrame(new WebSocketFrame
+        {
+            Size = string.IsNullOrEmpty(description) ? 0 : Encoding.UTF8.GetByteCount(description),
+            Direction = direction,
+            Opcode = WebSocketMessageType.Close,
+            Payload = payload
+        });
+    }
+
+    /// <summary>
+    ///     메시지를 엔트리에 추가하고 이벤트를 발행합니다.
+    ///     메시지는 MaxWebSocketFrames 크기의 링 버퍼에 기록되어, 가득 차면 오래된 메시지를 덮어씁니다.
+    /// </summary>
+    private void AddFrame(WebSocketFrame frame)
+    {
+        frame.Timestamp = DateTime.UtcNow;
+
+        lock (_lock)
+        {
+            frame.Index = _nextIndex++;
+
+            _frames.Add(frame);
+            Entry.TotalMs = (frame.Timestamp - _connectedAt).TotalMilliseconds;
+        }
+
+        _eventBus.Publish(new WebSocketFrameEvent(Entry.Id, frame));
+    }
+
+    /// <summary>
+    ///     한 방향에서 아직 끝나지 않은 메시지의 프레임 데이터.
+    /// </summary>
+    private class MessageBuffer
+    {
+        public MessageBuffer(WebSocketFrameDirection direction)
+        {
+            Direction = direction;
+            Data = new MemoryStream();
+        }
+
+        public bool Truncated { get; set; }
+
+        public long Size { get; set; }
+
+        public WebSocketFrameDirection Direction { get; }
+
+        public MemoryStream Data { get; }
+
+        public void Reset()
+        {
+            Data.SetLength(0);
+            Size = 0;
+            Truncated = false;
+        }
+    }
+}
\ No newline at end of file
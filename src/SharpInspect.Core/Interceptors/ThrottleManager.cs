@@ -0,0 +1,61 @@
+using System;
+using SharpInspect.Core.Events;
+using SharpInspect.Core.Models;
+
+namespace SharpInspect.Core.Interceptors;
+
+/// <summary>
+///     DevTools에서 선택한 네트워크 스로틀링 프로필을 관리합니다.
+/// </summary>
+public class ThrottleManager
+{
+    private readonly EventBus _eventBus;
+    private readonly object _lock = new();
+    private ThrottleProfile _profile;
+
+    /// <summary>
+    ///     스로틀링이 꺼진 새 ThrottleManager를 생성합니다.
+    /// </summary>
+    public ThrottleManager(EventBus eventBus = null)
+    {
+        _eventBus = eventBus ?? EventBus.Instance;
+    }
+
+    /// <summary>
+    ///     현재 프로필을 가져옵니다. 스로틀링이 꺼져 있으면 null입니다.
+    /// </summary>
+    public ThrottleProfile GetProfile()
+    {
+        lock (_lock)
+        {
+            return _profile;
+        }
+    }
+
+    /// <summary>
+    ///     프로필을 교체하고 변경 이벤트를 발행합니다. null이면 스로틀링을 끕니다.
+    /// </summary>
+    /// <exception cref="ArgumentException">지연 시간이나 대역폭이 음수인 경우.</exception>
+    public void SetProfile(ThrottleProfile profile)
+    {
+        if (profile != null && (profile.LatencyMs < 0 || profile.DownloadKbps < 0 || profile.UploadKbps < 0))
+            throw new ArgumentException("Latency and bandwidth must not be negative.", nameof(profile));
+
+        lock (_lock)
+        {
+            _profile = profile;
+        }
+
+        _eventBus.Publish(new ThrottleChangedEvent(profile));
+    }
+
+    /// <summary>
+    ///     지정된 호스트에 적용할 프로필을 찾습니다.
+    /// </summary>
+    /// <returns>적용할 프로필, 스로틀링이 꺼져 있거나 범위 밖의 호스트이면 null.</returns>
+    public ThrottleProfile FindProfile(string host)
+    {
+        var profile = GetProfile();
+        return profile != null && profile.AppliesTo(host) ? profile : null;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,150 @@
+using System;
+using System.Diagnostics;
+using System.IO;
+using System.Net;
+using System.Net.Http;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace SharpInspect.Core.Interceptors;
+
+/// <summary>
+///     원본 콘텐츠를 지정된 대역폭으로 나누어 읽고 쓰는 HttpContent.
+///     원본 콘텐츠 헤더를 그대로 유지합니다.
+/// </summary>
+internal sealed class ThrottledContent : HttpContent
+{
+    private readonly long _bytesPerSecond;
+    private readonly HttpContent _inner;
+
+    /// <summary>
+    ///     새 ThrottledContent를 생성합니다.
+    /// </summary>
+    /// <param name="inner">원본 콘텐츠.</param>
+    /// <param name="kbps">대역폭(kbit/s).</param>
+    public ThrottledContent(HttpContent inner, int kbps)
+    {
+        _inner = inner ?? throw new ArgumentNullException(nameof(inner));
+        // 큰 사용자 지정 대역폭에서 int 곱셈이 넘치지 않도록 long으로 계산
+        _bytesPerSecond = Math.Max(1, kbps * 1000L / 8);
+
+        foreach (var header in inner.Headers)
+            Headers.TryAddWithoutValidation(header.Key, header.Value);
+    }
+
+    /// <inheritdoc />
+    protected override async Task SerializeToStreamAsync(Stream stream, TransportContext context)
+    {
+        using (var source = await CreateContentReadStreamAsync().ConfigureAwait(false))
+        {
+            var buffer = new byte[8192];
+            int read;
+            while ((read = await source.ReadAsync(buffer, 0, buffer.Length).ConfigureAwait(false)) > 0)
+                await stream.WriteAsync(buffer, 0, read).ConfigureAwait(false);
+        }
+    }
+
+    /// <inheritdoc />
+    protected override async Task<Stream> CreateContentReadStreamAsync()
+    {
+        var inner = await _inner.ReadAsStreamAsync().ConfigureAwait(false);
+        return new ThrottledStream(inner, _bytesPerSecond);
+    }
+
+    /// <inheritdoc />
+    protected override bool TryComputeLength(out long length)
+    {
+        length = _inner.Headers.ContentLength ?? -1;
+        return length >= 0;
+    }
+
+    /// <inheritdoc />
+    protected override void Dispose(bool disposing)
+    {
+        if (disposing)
+            _inner.Dispose();
+        base.Dispose(disposing);
+    }
+
+    /// <summary>
+    ///     누적 읽기 속도가 대역폭을 넘지 않도록 읽기 사이에 대기하는 읽기 전용 스트림.
+    /// </summary>
+    private sealed class ThrottledStream : Stream
+    {
+        private readonly long _bytesPerSecond;
+        private readonly int _chunkSize;
+        private readonly Stream _inner;
+        private readonly Stopwatch _stopwatch = new();
+        private long _total;
+
+        public ThrottledStream(Stream inner, long bytesPerSecond)
+        {
+            _inner = inner;
+            _bytesPerSecond = bytesPerSecond;
+            // 약 100ms 단위로 나누어 전달
+            _chunkSize = (int)Math.Max(1, Math.Min(64 * 1024, bytesPerSecond / 10));
+        }
+
+        public override bool CanRead => true;
+
+        public override bool CanSeek => false;
+
+        public override bool CanWrite => false;
+
+        public override long Length => throw new NotSupportedException();
+
+        public override long Position
+        {
+            get => _total;
+            set => throw new NotSupportedException();
+        }
+
+        public override int Read(byte[] buffer, int offset, int count)
+        {
+            return ReadAsync(buffer, offset, count, CancellationToken.None).GetAwaiter().GetResult();
+        }
+
+        public override async Task<int> ReadAsync(byte[] buffer, int offset, int count,
+            CancellationToken cancellationToken)
+        {
+            if (!_stopwatch.IsRunning)
+                _stopwatch.Start();
+
+            var read = await _inner.ReadAsync(buffer, offset, Math.Min(count, _chunkSize), cancellationToken)
+                .ConfigureAwait(false);
+            _total += read;
+
+            var wait = _total * 1000 / _bytesPerSecond - _stopwatch.ElapsedMilliseconds;
+            if (read > 0 && wait > 0)
+                await Task.Delay((int)wait, cancellationToken).ConfigureAwait(false);
+
+            return read;
+        }
+
+        public override void Flush()
+        {
+        }
+
+        public override long Seek(long offset, SeekOrigin origin)
+        {
+            throw new NotSupportedException();
+        }
+
+        public override void SetLength(long value)
+        {
+            throw new NotSupportedException();
+        }
+
+        public override void Write(byte[] buffer, int offset, int count)
+        {
+            throw new NotSupportedException();
+        }
+
+        protected override void Dispose(bool disposing)
+        {
+            if (disposing)
+                _inner.Dispose();
+            base.Dispose(disposing);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,56 @@
+using System.Net.Http;
+using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Events;
+
+namespace SharpInspect.Core.Interceptors;
+
+/// <summary>
+///     DevTools에서 설정하여 캡처 대상 트래픽에 적용하는 규칙(브레이크포인트, 목, 스로틀링, 요청 차단)을 묶습니다.
+///     인터셉터와 웹 서버가 같은 인스턴스를 공유합니다.
+/// </summary>
+public class TrafficControl
+{
+    /// <summary>
+    ///     새 TrafficControl을 생성합니다.
+    /// </summary>
+    public TrafficControl(SharpInspectOptions options, EventBus eventBus = null)
+    {
+        EventBus = eventBus ?? EventBus.Instance;
+        Breakpoints = new BreakpointManager(options, eventBus);
+        Mocks = new MockManager();
+        Throttling = new ThrottleManager(eventBus);
+        Blocking = new BlockManager();
+    }
+
+    /// <summary>
+    ///     인터셉터가 캡처 중인 호출의 진행 상황(gRPC 메시지 등)을 발행하는 EventBus.
+    /// </summary>
+    public EventBus EventBus { get; }
+
+    /// <summary>
+    ///     HTTP 브레이크포인트 규칙과 멈춘 요청 대기열.
+    /// </summary>
+    public BreakpointManager Breakpoints { get; }
+
+    /// <summary>
+    ///     목(자동 응답) 규칙.
+    /// </summary>
+    public MockManager Mocks { get; }
+
+    /// <summary>
+    ///     네트워크 스로틀링 프로필.
+    /// </summary>
+    public ThrottleManager Throttling { get; }
+
+    /// <summary>
+    ///     DevTools 세션의 요청 차단 목록.
+    /// </summary>
+    public BlockManager Blocking { get; }
+
+    /// <summary>
+    ///     DevTools의 재전송(Replay)에 사용할 앱의 HttpClient.
+    ///     앱의 핸들러 체인(인증, 재시도 등)을 그대로 거치도록 SharpInspectHandler가 포함된 클라이언트를 등록합니다.
+    ///     null이면 기본 HttpClientHandler 위의 SharpInspectHandler로 전송합니다.
+    /// </summary>
+    public HttpClient ReplayClient { get; set; }
+}
\ No newline at end of file
@@ -0,0 +1,43 @@
+using System;
+using System.Text.RegularExpressions;
+
+namespace SharpInspect.Core.Interceptors;
+
+/// <summary>
+///     DevTools 규칙의 URL 패턴과 호스트 패턴을 요청과 비교하는 유틸리티.
+/// </summary>
+public static class UrlPatternHelper
+{
+    /// <summary>
+    ///     URL이 패턴을 포함하는지 대소문자 구분 없이 확인합니다.
+    ///     '*'는 임의의 문자열과 일치하며, 패턴이 비어 있으면 항상 true를 반환합니다.
+    /// </summary>
+    public static bool IsMatch(string pattern, string url)
+    {
+        if (string.IsNullOrEmpty(pattern))
+            return true;
+
+        var regex = Regex.Escape(pattern).Replace("\\*", ".*");
+        return url != null && Regex.IsMatch(url, regex, RegexOptions.IgnoreCase);
+    }
+
+    /// <summary>
+    ///     호스트가 패턴과 일치하는지 대소문자 구분 없이 확인합니다.
+    ///     '*'가 있으면 호스트 전체와 비교하고, 없으면 같은 호스트와 하위 도메인이 일치합니다.
+    /// </summary>
+    public static bool IsHostMatch(string pattern, string host)
+    {
+        if (string.IsNullOrEmpty(pattern) || string.IsNullOrEmpty(host))
+            return false;
+
+        var value = pattern.Trim();
+        if (value.Contains("*"))
+        {
+            var regex = "^" + Regex.Escape(value).Replace("\\*", ".*") + "$";
+            return Regex.IsMatch(host, regex, RegexOptions.IgnoreCase);
+        }
+
+        return string.Equals(host, value, StringComparison.OrdinalIgnoreCase) ||
+               host.EndsWith("." + value, StringComparison.OrdinalIgnoreCase);
+    }
+}
\ No newline at end of file
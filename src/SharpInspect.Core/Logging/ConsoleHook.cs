@@ -135,7 +135,9 @@ namespace SharpInspect.Core.Logging
                 Message = message,
                 Level = level,
                 Category = level == SharpInspectLogLevel.Error ? "Console.Error" : "Console.Out",
-                Source = GetSource()
+                Source = GetSource(),
+                NetworkEntryId = LogCorrelation.NetworkEntryId,
+                TraceId = LogCorrelation.TraceId
             };
 
             // Store에서 자동으로 이벤트 발행
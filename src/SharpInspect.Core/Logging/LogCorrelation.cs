@@ -0,0 +1,62 @@
+using System;
+using System.Threading;
+#if MODERN_DOTNET
+using System.Diagnostics;
+#endif
+
+namespace SharpInspect.Core.Logging;
+
+/// <summary>
+///     로그 엔트리를 그 로그를 남긴 시점의 네트워크 요청과 연결하기 위한 비동기 흐름 컨텍스트.
+///     진행 중인 HttpClient 호출의 NetworkEntry ID와 현재 Activity의 트레이스 ID를 제공합니다.
+/// </summary>
+public static class LogCorrelation
+{
+    private static readonly AsyncLocal<string> CurrentNetworkEntryId = new();
+
+    /// <summary>
+    ///     현재 비동기 흐름에서 진행 중인 네트워크 요청의 NetworkEntry ID. 없으면 null.
+    /// </summary>
+    public static string NetworkEntryId => CurrentNetworkEntryId.Value;
+
+    /// <summary>
+    ///     현재 Activity의 트레이스 ID (ASP.NET Core 요청 처리 중이면 해당 요청의 트레이스).
+    ///     Activity가 없거나 .NET 6 미만이면 null.
+    /// </summary>
+    public static string TraceId
+    {
+        get
+        {
+#if MODERN_DOTNET
+            var activity = Activity.Current;
+            if (activity == null)
+                return null;
+
+            return activity.IdFormat == ActivityIdFormat.W3C
+                ? activity.TraceId.ToHexString()
+                : activity.RootId;
+#else
+            return null;
+#endif
+        }
+    }
+
+    /// <summary>
+    ///     지정된 네트워크 엔트리를 현재 비동기 흐름의 진행 중인 요청으로 설정합니다.
+    /// </summary>
+    /// <returns>Dispose하면 이전 값으로 되돌리는 객체.</returns>
+    public static IDisposable BeginNetworkEntry(string networkEntryId)
+    {
+        var previous = CurrentNetworkEntryId.Value;
+        CurrentNetworkEntryId.Value = networkEntryId;
+        return new RestoreScope(previous);
+    }
+
+    private sealed class RestoreScope(string previous) : IDisposable
+    {
+        public void Dispose()
+        {
+            CurrentNetworkEntryId.Value = previous;
+        }
+    }
+}
\ No newline at end of file
@@ -1,7 +1,12 @@
 #if MODERN_DOTNET || NETSTANDARD2_0
 using System;
+using System.Collections;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
 using System.Diagnostics;
+using System.Globalization;
 using System.IO;
+using System.Linq;
 using Microsoft.Extensions.Logging;
 using SharpInspect.Core.Configuration;
 using SharpInspect.Core.Models;
@@ -15,6 +20,8 @@ namespace SharpInspect.Core.Logging
     /// </summary>
     public class SharpInspectLogger : ILogger
     {
+        private const string OriginalFormatKey = "{OriginalFormat}";
+
         private readonly ISharpInspectStore _store;
         private readonly SharpInspectOptions _options;
         private readonly string _categoryName;
@@ -30,6 +37,7 @@ namespace SharpInspect.Core.Logging
             _categoryName = categoryName ?? "";
             _store = store ?? throw new ArgumentNullException(nameof(store));
             _options = options ?? throw new ArgumentNullException(nameof(options));
+            ScopeProvider = new LoggerExternalScopeProvider();
         }
 
         /// <summary>
@@ -45,6 +53,11 @@ namespace SharpInspect.Core.Logging
         {
         }
 
+        /// <summary>
+        ///     활성 스코프를 보관하는 스코프 공급자. LoggerFactory를 통해 생성되면 팩토리의 공급자를 공유합니다.
+        /// </summary>
+        internal IExternalScopeProvider ScopeProvider { get; set; }
+
         /// <inheritdoc />
         public bool IsEnabled(LogLevel logLevel)
         {
@@ -58,8 +71,7 @@ namespace SharpInspect.Core.Logging
         /// <inheritdoc />
         public IDisposable BeginScope<TState>(TState state)
         {
-            // 스코프는 현재 캡처되지 않음
-            return NullScope.Instance;
+            return ScopeProvider.Push(state);
         }
 
         /// <inheritdoc />
@@ -82,9 +94,14 @@ namespace SharpInspect.Core.Logging
                 Message = message,
                 Level = MapToSharpInspectLevel(logLevel),
                 Category = _categoryName,
-                Source = GetSource()
+                Source = GetSource(),
+                NetworkEntryId = LogCorrelation.NetworkEntryId,
+                TraceId = LogCorrelation.TraceId
             };
 
+            CaptureProperties(entry, state);
+            CaptureScopes(entry);
+
             if (exception != null)
             {
                 entry.ExceptionType = exception.GetType().FullName;
@@ -97,6 +114,80 @@ namespace SharpInspect.Core.Logging
             _store.AddConsoleEntry(entry);
         }
 
+        /// <summary>
+        ///     메시지 템플릿 로그의 상태(IReadOnlyList&lt;KeyValuePair&lt;string, object&gt;&gt;)에서 템플릿과 속성을 기록합니다.
+        /// </summary>
+        private static void CaptureProperties<TState>(ConsoleEntry entry, TState state)
+        {
+            if (!(state is IEnumerable<KeyValuePair<string, object>> values))
+                return;
+
+            string template = null;
+            foreach (var pair in values)
+            {
+                if (pair.Key == OriginalFormatKey)
+                {
+                    template = pair.Value as string;
+                    continue;
+                }
+
+                entry.Properties ??= new Dictionary<string, string>();
+                entry.Properties[pair.Key] = FormatValue(pair.Value);
+            }
+
+            // 자리 표시자가 없는 메시지는 템플릿이 메시지와 같으므로 기록하지 않음
+            if (entry.Properties != null)
+                entry.MessageTemplate = template;
+        }
+
+        /// <summary>
+        ///     활성 스코프를 바깥쪽부터 기록합니다. 키/값 스코프는 ScopeProperties에도 병합합니다.
+        /// </summary>
+        private void CaptureScopes(ConsoleEntry entry)
+        {
+            var scopes = new List<string>();
+            ScopeProvider.ForEachScope((scope, target) =>
+            {
+                if (scope == null)
+                    return;
+
+                var text = scope.ToString();
+                if (scope is IEnumerable<KeyValuePair<string, object>> values)
+                {
+                    var pairs = values.Where(p => p.Key != OriginalFormatKey).ToList();
+                    foreach (var pair in pairs)
+                    {
+                        target.ScopeProperties ??= new Dictionary<string, string>();
+                        target.ScopeProperties[pair.Key] = FormatValue(pair.Value);
+                    }
+
+                    // Dictionary 등 ToString()이 타입 이름인 스코프는 키/값으로 표시
+                    if (text == scope.GetType().ToString())
+                        text = string.Join(", ", pairs.Select(p => p.Key + ": " + FormatValue(p.Value)));
+                }
+
+                scopes.Add(text);
+            }, entry);
+
+            if (scopes.Count > 0)
+                entry.Scopes = scopes.ToArray();
+        }
+
+        private static string FormatValue(object value)
+        {
+            switch (value)
+            {
+                case null:
+                    return null;
+                case string text:
+                    return text;
+                case IEnumerable items:
+                    return "[" + string.Join(", ", items.Cast<object>().Select(FormatValue)) + "]";
+                default:
+                    return Convert.ToString(value, CultureInfo.InvariantCulture);
+            }
+        }
+
         private LogLevel MapLogLevel(SharpInspectLogLevel level)
         {
             switch (level)
@@ -180,24 +271,18 @@ namespace SharpInspect.Core.Logging
                 return null;
             }
         }
-
-        private class NullScope : IDisposable
-        {
-            public static NullScope Instance { get; } = new();
-
-            public void Dispose()
-            {
-            }
-        }
     }
 
     /// <summary>
     ///     SharpInspectLogger 인스턴스를 생성하는 ILoggerProvider.
+    ///     LoggerFactory가 전달하는 스코프 공급자를 로거들과 공유하여 BeginScope로 시작한 스코프를 캡처합니다.
     /// </summary>
-    public class SharpInspectLoggerProvider : ILoggerProvider
+    public class SharpInspectLoggerProvider : ILoggerProvider, ISupportExternalScope
     {
+        private readonly ConcurrentDictionary<string, SharpInspectLogger> _loggers = new();
         private readonly ISharpInspectStore _store;
         private readonly SharpInspectOptions _options;
+        private IExternalScopeProvider _scopeProvider = new LoggerExternalScopeProvider();
 
         /// <summary>
         ///     새 SharpInspectLoggerProvider를 생성합니다.
@@ -231,7 +316,18 @@ namespace SharpInspect.Core.Logging
         /// <inheritdoc />
         public ILogger CreateLogger(string categoryName)
         {
-            return new SharpInspectLogger(categoryName, _store, _options);
+            return _loggers.GetOrAdd(categoryName ?? "", name => new SharpInspectLogger(name, _store, _options)
+            {
+                ScopeProvider = _scopeProvider
+            });
+        }
+
+        /// <inheritdoc />
+        public void SetScopeProvider(IExternalScopeProvider scopeProvider)
+        {
+            _scopeProvider = scopeProvider ?? new LoggerExternalScopeProvider();
+            foreach (var logger in _loggers.Values)
+                logger.ScopeProvider = _scopeProvider;
         }
     }
 }
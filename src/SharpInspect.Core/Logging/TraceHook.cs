@@ -72,7 +72,9 @@ namespace SharpInspect.Core.Logging
                 Message = message,
                 Level = level,
                 Category = source ?? "Trace",
-                Source = GetSource()
+                Source = GetSource(),
+                NetworkEntryId = LogCorrelation.NetworkEntryId,
+                TraceId = LogCorrelation.TraceId
             };
 
             // Store에서 자동으로 이벤트 발행
@@ -142,7 +144,9 @@ namespace SharpInspect.Core.Logging
                 Message = fullMessage,
                 Level = level,
                 Category = "Trace",
-                Source = GetSource()
+                Source = GetSource(),
+                NetworkEntryId = LogCorrelation.NetworkEntryId,
+                TraceId = LogCorrelation.TraceId
             };
 
             // Store에서 자동으로 이벤트 발행
@@ -0,0 +1,48 @@
+using System.Collections.Generic;
+
+namespace SharpInspect.Core.Models;
+
+/// <summary>
+///     차단된 요청을 처리하는 방식.
+/// </summary>
+public enum BlockBehavior
+{
+    /// <summary>
+    ///     요청을 보내지 않고 HttpRequestException을 발생시킵니다.
+    /// </summary>
+    Throw,
+
+    /// <summary>
+    ///     요청을 보내지 않고 503 Service Unavailable 응답을 반환합니다.
+    /// </summary>
+    ServiceUnavailable
+}
+
+/// <summary>
+///     DevTools 세션에서 설정한 요청 차단 목록을 나타냅니다.
+/// </summary>
+public class BlockList
+{
+    /// <summary>
+    ///     빈 차단 목록을 생성합니다.
+    /// </summary>
+    public BlockList()
+    {
+        Rules = [];
+    }
+
+    /// <summary>
+    ///     차단 규칙 목록.
+    /// </summary>
+    public List<BlockRule> Rules { get; set; }
+
+    /// <summary>
+    ///     차단된 요청을 처리하는 방식.
+    /// </summary>
+    public BlockBehavior Behavior { get; set; }
+
+    /// <summary>
+    ///     Throw 방식에서 발생시킬 예외 메시지. 비어 있으면 기본 메시지를 사용합니다.
+    /// </summary>
+    public string ErrorMessage { get; set; }
+}
\ No newline at end of file
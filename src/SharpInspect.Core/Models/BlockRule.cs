@@ -0,0 +1,54 @@
+using System;
+using SharpInspect.Core.Interceptors;
+
+namespace SharpInspect.Core.Models;
+
+/// <summary>
+///     DevTools의 요청 차단 목록 항목을 나타냅니다.
+/// </summary>
+public class BlockRule
+{
+    /// <summary>
+    ///     고유 ID로 활성화된 새 BlockRule을 생성합니다.
+    /// </summary>
+    public BlockRule()
+    {
+        Id = Guid.NewGuid().ToString("N");
+        Enabled = true;
+    }
+
+    /// <summary>
+    ///     규칙 활성화 여부.
+    /// </summary>
+    public bool Enabled { get; set; }
+
+    /// <summary>
+    ///     차단할 도메인 ('*' 와일드카드 사용 가능, 하위 도메인 포함). 지정하면 UrlPattern 대신 사용합니다.
+    /// </summary>
+    public string Domain { get; set; }
+
+    /// <summary>
+    ///     규칙 고유 식별자.
+    /// </summary>
+    public string Id { get; set; }
+
+    /// <summary>
+    ///     URL에 포함되어야 하는 패턴 ('*' 와일드카드 사용 가능).
+    /// </summary>
+    public string UrlPattern { get; set; }
+
+    /// <summary>
+    ///     요청 URL이 이 규칙과 일치하는지 확인합니다.
+    ///     도메인과 URL 패턴이 모두 비어 있으면 아무 요청도 차단하지 않습니다.
+    /// </summary>
+    public bool Matches(Uri uri)
+    {
+        if (!Enabled || uri == null)
+            return false;
+
+        if (!string.IsNullOrEmpty(Domain))
+            return UrlPatternHelper.IsHostMatch(Domain, uri.Host);
+
+        return !string.IsNullOrEmpty(UrlPattern) && UrlPatternHelper.IsMatch(UrlPattern, uri.ToString());
+    }
+}
\ No newline at end of file
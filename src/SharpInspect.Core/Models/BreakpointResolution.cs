@@ -0,0 +1,67 @@
+using System.Collections.Generic;
+
+namespace SharpInspect.Core.Models;
+
+/// <summary>
+///     멈춘 요청에 대한 처리 방식.
+/// </summary>
+public enum BreakpointAction
+{
+    /// <summary>
+    ///     편집 내용을 적용하고 계속 진행.
+    /// </summary>
+    Continue,
+
+    /// <summary>
+    ///     요청을 중단하고 호출자에게 예외를 발생.
+    /// </summary>
+    Abort
+}
+
+/// <summary>
+///     DevTools가 멈춘 요청에 대해 내린 결정을 나타냅니다.
+///     null인 항목은 원래 값을 그대로 유지합니다.
+/// </summary>
+public class BreakpointResolution
+{
+    /// <summary>
+    ///     처리 방식.
+    /// </summary>
+    public BreakpointAction Action { get; set; }
+
+    /// <summary>
+    ///     편집된 헤더 전체. 목록에서 빠진 헤더는 제거되며,
+    ///     마스킹된 값은 원래 값을 유지합니다.
+    /// </summary>
+    public Dictionary<string, string> Headers { get; set; }
+
+    /// <summary>
+    ///     편집된 HTTP 상태 코드. 응답 단계에서만 적용됩니다.
+    /// </summary>
+    public int? StatusCode { get; set; }
+
+    /// <summary>
+    ///     편집된 본문.
+    /// </summary>
+    public string Body { get; set; }
+
+    /// <summary>
+    ///     대상 PausedRequest ID.
+    /// </summary>
+    public string Id { get; set; }
+
+    /// <summary>
+    ///     편집된 HTTP 메서드. 요청 단계에서만 적용됩니다.
+    /// </summary>
+    public string Method { get; set; }
+
+    /// <summary>
+    ///     편집된 HTTP 상태 텍스트. 응답 단계에서만 적용됩니다.
+    /// </summary>
+    public string StatusText { get; set; }
+
+    /// <summary>
+    ///     편집된 전체 URL. 요청 단계에서만 적용됩니다.
+    /// </summary>
+    public string Url { get; set; }
+}
\ No newline at end of file
@@ -0,0 +1,76 @@
+using System;
+using SharpInspect.Core.Interceptors;
+
+namespace SharpInspect.Core.Models;
+
+/// <summary>
+///     브레이크포인트가 트래픽을 멈추는 단계.
+/// </summary>
+public enum BreakpointPhase
+{
+    /// <summary>
+    ///     요청을 전송하기 전.
+    /// </summary>
+    Request,
+
+    /// <summary>
+    ///     응답을 받은 후, 호출자에게 반환하기 전.
+    /// </summary>
+    Response
+}
+
+/// <summary>
+///     DevTools에서 정의한 HTTP 브레이크포인트 규칙을 나타냅니다.
+/// </summary>
+public class BreakpointRule
+{
+    /// <summary>
+    ///     고유 ID로 활성화된 새 BreakpointRule을 생성합니다.
+    /// </summary>
+    public BreakpointRule()
+    {
+        Id = Guid.NewGuid().ToString("N");
+        Enabled = true;
+    }
+
+    /// <summary>
+    ///     규칙 활성화 여부.
+    /// </summary>
+    public bool Enabled { get; set; }
+
+    /// <summary>
+    ///     트래픽을 멈출 단계.
+    /// </summary>
+    public BreakpointPhase Phase { get; set; }
+
+    /// <summary>
+    ///     규칙 ID.
+    /// </summary>
+    public string Id { get; set; }
+
+    /// <summary>
+    ///     일치시킬 HTTP 메서드. 비어 있으면 모든 메서드와 일치합니다.
+    /// </summary>
+    public string Method { get; set; }
+
+    /// <summary>
+    ///     URL에 포함되어야 하는 패턴. '*'는 임의의 문자열과 일치하며,
+    ///     비어 있으면 모든 URL과 일치합니다.
+    /// </summary>
+    public string UrlPattern { get; set; }
+
+    /// <summary>
+    ///     지정된 메서드와 URL이 이 규칙과 일치하는지 확인합니다.
+    ///     비활성화된 규칙은 항상 false를 반환합니다.
+    /// </summary>
+    public bool Matches(string method, string url)
+    {
+        if (!Enabled)
+            return false;
+
+        if (!string.IsNullOrEmpty(Method) && !string.Equals(Method, method, StringComparison.OrdinalIgnoreCase))
+            return false;
+
+        return UrlPatternHelper.IsMatch(UrlPattern, url);
+    }
+}
\ No newline at end of file
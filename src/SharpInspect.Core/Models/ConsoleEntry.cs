@@ -1,4 +1,5 @@
 using System;
+using System.Collections.Generic;
 
 namespace SharpInspect.Core.Models;
 
@@ -45,6 +46,21 @@ public class ConsoleEntry
     /// </summary>
     public DateTime Timestamp { get; set; }
 
+    /// <summary>
+    ///     메시지 템플릿의 이름 있는 속성 값 (예: {OrderId}). 구조화 로그가 아니면 null.
+    /// </summary>
+    public Dictionary<string, string> Properties { get; set; }
+
+    /// <summary>
+    ///     로그 시점에 활성화된 스코프의 키/값 속성 (안쪽 스코프가 우선). 키/값 스코프가 없으면 null.
+    /// </summary>
+    public Dictionary<string, string> ScopeProperties { get; set; }
+
+    /// <summary>
+    ///     로그 시점에 활성화된 스코프 (바깥쪽부터). 스코프가 없으면 null.
+    /// </summary>
+    public string[] Scopes { get; set; }
+
     /// <summary>
     ///     로그 레벨 (Trace, Debug, Info, Warning, Error, Critical).
     /// </summary>
@@ -80,6 +96,16 @@ public class ConsoleEntry
     /// </summary>
     public string Message { get; set; }
 
+    /// <summary>
+    ///     구조화 로그의 메시지 템플릿 (예: "Order {OrderId} failed"). 구조화 로그가 아니면 null.
+    /// </summary>
+    public string MessageTemplate { get; set; }
+
+    /// <summary>
+    ///     이 로그가 남겨진 동안 진행 중이던 HttpClient 호출의 NetworkEntry ID. 없으면 null.
+    /// </summary>
+    public string NetworkEntryId { get; set; }
+
     /// <summary>
     ///     이 로그를 생성한 소스 코드 위치.
     /// </summary>
@@ -90,6 +116,11 @@ public class ConsoleEntry
     /// </summary>
     public string StackTrace { get; set; }
 
+    /// <summary>
+    ///     로그 시점의 Activity 트레이스 ID (ASP.NET Core 요청 등). 없으면 null.
+    /// </summary>
+    public string TraceId { get; set; }
+
     /// <summary>
     ///     예외로부터 새 ConsoleEntry를 생성합니다.
     /// </summary>
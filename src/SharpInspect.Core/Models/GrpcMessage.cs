@@ -0,0 +1,61 @@
+using System;
+
+namespace SharpInspect.Core.Models;
+
+/// <summary>
+///     gRPC 메시지의 방향.
+/// </summary>
+public enum GrpcMessageDirection
+{
+    /// <summary>
+    ///     클라이언트가 보낸 요청 메시지.
+    /// </summary>
+    Request,
+
+    /// <summary>
+    ///     서버가 보낸 응답 메시지.
+    /// </summary>
+    Response
+}
+
+/// <summary>
+///     gRPC 호출에서 길이 접두사로 구분된 하나의 protobuf 메시지를 나타냅니다.
+/// </summary>
+public class GrpcMessage
+{
+    /// <summary>
+    ///     페이로드가 압축된 상태로 저장되었는지 여부.
+    ///     gzip 압축 메시지는 압축을 풀어 저장하고, 지원하지 않는 grpc-encoding이거나 잘린 경우에만 true입니다.
+    /// </summary>
+    public bool Compressed { get; set; }
+
+    /// <summary>
+    ///     페이로드가 MaxBodySizeBytes를 넘어 잘렸는지 여부.
+    /// </summary>
+    public bool Truncated { get; set; }
+
+    /// <summary>
+    ///     메시지가 완료된 타임스탬프.
+    /// </summary>
+    public DateTime Timestamp { get; set; }
+
+    /// <summary>
+    ///     호출 안에서의 메시지 순번 (0부터 시작, 요청과 응답이 번호를 공유).
+    /// </summary>
+    public int Index { get; set; }
+
+    /// <summary>
+    ///     길이 접두사에 기록된 메시지 크기(바이트).
+    /// </summary>
+    public long Size { get; set; }
+
+    /// <summary>
+    ///     메시지 방향.
+    /// </summary>
+    public GrpcMessageDirection Direction { get; set; }
+
+    /// <summary>
+    ///     Base64로 인코딩된 protobuf 메시지 바이트.
+    /// </summary>
+    public string Payload { get; set; }
+}
\ No newline at end of file
@@ -0,0 +1,165 @@
+using System;
+using System.Collections.Generic;
+using System.Text;
+using SharpInspect.Core.Interceptors;
+
+namespace SharpInspect.Core.Models;
+
+/// <summary>
+///     목 규칙과 일치한 요청을 처리하는 방식.
+/// </summary>
+public enum MockAction
+{
+    /// <summary>
+    ///     실제 서버에 보내지 않고 미리 정의한 응답을 반환합니다.
+    /// </summary>
+    Respond,
+
+    /// <summary>
+    ///     지연 시간만 추가하고 실제 서버로 전송합니다.
+    /// </summary>
+    Delay,
+
+    /// <summary>
+    ///     실제 서버에 보내지 않고 네트워크 오류를 발생시킵니다.
+    /// </summary>
+    Fail
+}
+
+/// <summary>
+///     DevTools에서 정의한 목(자동 응답) 규칙을 나타냅니다.
+/// </summary>
+public class MockRule
+{
+    /// <summary>
+    ///     고유 ID로 활성화된 새 MockRule을 생성합니다.
+    /// </summary>
+    public MockRule()
+    {
+        Id = Guid.NewGuid().ToString("N");
+        Enabled = true;
+        StatusCode = 200;
+        RequestHeaders = new Dictionary<string, string>();
+        ResponseHeaders = new Dictionary<string, string>();
+    }
+
+    /// <summary>
+    ///     규칙 활성화 여부.
+    /// </summary>
+    public bool Enabled { get; set; }
+
+    /// <summary>
+    ///     일치시킬 요청 헤더 (이름 → 포함되어야 하는 값). 값이 비어 있으면 헤더가 있기만 하면 일치합니다.
+    /// </summary>
+    public Dictionary<string, string> RequestHeaders { get; set; }
+
+    /// <summary>
+    ///     목 응답 헤더 (Content-Type 등 콘텐츠 헤더 포함).
+    /// </summary>
+    public Dictionary<string, string> ResponseHeaders { get; set; }
+
+    /// <summary>
+    ///     응답 또는 오류 전에 추가할 지연 시간(밀리초).
+    /// </summary>
+    public int DelayMs { get; set; }
+
+    /// <summary>
+    ///     목 응답의 HTTP 상태 코드.
+    /// </summary>
+    public int StatusCode { get; set; }
+
+    /// <summary>
+    ///     일치한 요청을 처리하는 방식.
+    /// </summary>
+    public MockAction Action { get; set; }
+
+    /// <summary>
+    ///     목 응답 본문. BodyEncoding이 "base64"이면 Base64로 인코딩된 바이너리 본문입니다.
+    /// </summary>
+    public string Body { get; set; }
+
+    /// <summary>
+    ///     본문 인코딩. 텍스트 본문이면 null.
+    /// </summary>
+    public string BodyEncoding { get; set; }
+
+    /// <summary>
+    ///     Fail 동작에서 발생시킬 오류 메시지.
+    /// </summary>
+    public string ErrorMessage { get; set; }
+
+    /// <summary>
+    ///     규칙 ID.
+    /// </summary>
+    public string Id { get; set; }
+
+    /// <summary>
+    ///     일치시킬 HTTP 메서드. 비어 있으면 모든 메서드와 일치합니다.
+    /// </summary>
+    public string Method { get; set; }
+
+    /// <summary>
+    ///     DevTools에 표시할 규칙 이름.
+    /// </summary>
+    public string Name { get; set; }
+
+    /// <summary>
+    ///     목 응답의 상태 텍스트. 비어 있으면 상태 코드의 기본 텍스트를 사용합니다.
+    /// </summary>
+    public string StatusText { get; set; }
+
+    /// <summary>
+    ///     URL에 포함되어야 하는 패턴. '*'는 임의의 문자열과 일치하며,
+    ///     비어 있으면 모든 URL과 일치합니다.
+    /// </summary>
+    public string UrlPattern { get; set; }
+
+    /// <summary>
+    ///     BodyEncoding에 따라 목 응답 본문을 바이트 배열로 변환합니다.
+    /// </summary>
+    /// <exception cref="FormatException">Base64 본문이 올바르지 않은 경우.</exception>
+    public byte[] GetBodyBytes()
+    {
+        if (string.IsNullOrEmpty(Body))
+            return new byte[0];
+
+        return string.Equals(BodyEncoding, ContentTypeHelper.Base64Encoding, StringComparison.OrdinalIgnoreCase)
+            ? Convert.FromBase64String(Body)
+            : Encoding.UTF8.GetBytes(Body);
+    }
+
+    /// <summary>
+    ///     지정된 요청이 이 규칙과 일치하는지 확인합니다.
+    ///     비활성화된 규칙은 항상 false를 반환합니다.
+    /// </summary>
+    /// <param name="method">HTTP 메서드.</param>
+    /// <param name="url">요청 URL.</param>
+    /// <param name="headers">대소문자를 구분하지 않는 요청 헤더 딕셔너리.</param>
+    public bool Matches(string method, string url, IDictionary<string, string> headers)
+    {
+        if (!Enabled)
+            return false;
+
+        if (!string.IsNullOrEmpty(Method) && !string.Equals(Method, method, StringComparison.OrdinalIgnoreCase))
+            return false;
+
+        if (!UrlPatternHelper.IsMatch(UrlPattern, url))
+            return false;
+
+        if (RequestHeaders != null)
+            foreach (var header in RequestHeaders)
+            {
+                if (string.IsNullOrEmpty(header.Key))
+                    continue;
+
+                if (headers == null || !headers.TryGetValue(header.Key, out var value))
+                    return false;
+
+                if (!string.IsNullOrEmpty(header.Value) &&
+                    (value == null || value.IndexOf(header.Value, StringComparison.OrdinalIgnoreCase) < 0))
+                    return false;
+            }
+
+        return true;
+    }
+}
\ No newline at end of file
@@ -1,5 +1,6 @@
 using System;
 using System.Collections.Generic;
+using SharpInspect.Core.Storage;
 
 namespace SharpInspect.Core.Models;
 
@@ -8,6 +9,11 @@ namespace SharpInspect.Core.Models;
 /// </summary>
 public class NetworkEntry
 {
+    private RingBuffer<GrpcMessage> _grpcMessageBuffer;
+    private GrpcMessage[] _grpcMessages;
+    private RingBuffer<WebSocketFrame> _webSocketFrameBuffer;
+    private WebSocketFrame[] _webSocketFrames;
+
     /// <summary>
     ///     고유 ID와 현재 타임스탬프로 새 NetworkEntry를 생성합니다.
     /// </summary>
@@ -17,13 +23,29 @@ public class NetworkEntry
         Timestamp = DateTime.UtcNow;
         RequestHeaders = new Dictionary<string, string>();
         ResponseHeaders = new Dictionary<string, string>();
+        ResponseTrailers = new Dictionary<string, string>();
     }
 
+    /// <summary>
+    ///     DevTools의 요청 차단 목록에 의해 차단되었는지 여부.
+    /// </summary>
+    public bool IsBlocked { get; set; }
+
     /// <summary>
     ///     요청이 오류로 끝났는지 여부.
     /// </summary>
     public bool IsError { get; set; }
 
+    /// <summary>
+    ///     gRPC 호출 엔트리인지 여부. 메시지는 GrpcMessages에, 호출 결과는 GrpcStatus에 기록됩니다.
+    /// </summary>
+    public bool IsGrpc { get; set; }
+
+    /// <summary>
+    ///     WebSocket 연결 엔트리인지 여부. 메시지는 WebSocketFrames에 기록됩니다.
+    /// </summary>
+    public bool IsWebSocket { get; set; }
+
     /// <summary>
     ///     요청이 시작된 타임스탬프.
     /// </summary>
@@ -39,6 +61,39 @@ public class NetworkEntry
     /// </summary>
     public Dictionary<string, string> ResponseHeaders { get; set; }
 
+    /// <summary>
+    ///     응답 트레일러 (gRPC 호출의 grpc-status, grpc-message 등).
+    /// </summary>
+    public Dictionary<string, string> ResponseTrailers { get; set; }
+
+    /// <summary>
+    ///     gRPC 호출에서 주고받은 메시지 (최대 MaxGrpcMessages개, gRPC 엔트리가 아니면 null).
+    ///     캡처 중인 호출은 메시지 링 버퍼의 스냅샷을 반환합니다.
+    /// </summary>
+    public GrpcMessage[] GrpcMessages
+    {
+        get => _grpcMessageBuffer != null ? _grpcMessageBuffer.GetAll() : _grpcMessages;
+        set
+        {
+            _grpcMessages = value;
+            _grpcMessageBuffer = null;
+        }
+    }
+
+    /// <summary>
+    ///     WebSocket 연결에서 주고받은 메시지 (최대 MaxWebSocketFrames개, WebSocket 엔트리가 아니면 null).
+    ///     캡처 중인 연결은 메시지 링 버퍼의 스냅샷을 반환합니다.
+    /// </summary>
+    public WebSocketFrame[] WebSocketFrames
+    {
+        get => _webSocketFrameBuffer != null ? _webSocketFrameBuffer.GetAll() : _webSocketFrames;
+        set
+        {
+            _webSocketFrames = value;
+            _webSocketFrameBuffer = null;
+        }
+    }
+
     /// <summary>
     ///     콘텐츠 다운로드 시간(밀리초).
     /// </summary>
@@ -74,6 +129,11 @@ public class NetworkEntry
     /// </summary>
     public double WaitingMs { get; set; }
 
+    /// <summary>
+    ///     gRPC 상태 코드 (0: OK). 호출이 아직 끝나지 않았거나 gRPC 엔트리가 아니면 null.
+    /// </summary>
+    public int? GrpcStatus { get; set; }
+
     /// <summary>
     ///     응답의 HTTP 상태 코드.
     /// </summary>
@@ -94,6 +154,21 @@ public class NetworkEntry
     /// </summary>
     public string ErrorMessage { get; set; }
 
+    /// <summary>
+    ///     gRPC 메서드 이름 (예: SayHello).
+    /// </summary>
+    public string GrpcMethod { get; set; }
+
+    /// <summary>
+    ///     패키지를 포함한 gRPC 서비스 이름 (예: greet.Greeter).
+    /// </summary>
+    public string GrpcService { get; set; }
+
+    /// <summary>
+    ///     grpc-message 트레일러의 오류 설명.
+    /// </summary>
+    public string GrpcStatusMessage { get; set; }
+
     /// <summary>
     ///     URL의 호스트 부분.
     /// </summary>
@@ -114,6 +189,11 @@ public class NetworkEntry
     /// </summary>
     public string Method { get; set; }
 
+    /// <summary>
+    ///     DevTools 목 규칙으로 처리된 요청인 경우 규칙 ID, 일반 요청이면 null.
+    /// </summary>
+    public string MockRuleId { get; set; }
+
     /// <summary>
     ///     URL의 경로 부분.
     /// </summary>
@@ -129,6 +209,11 @@ public class NetworkEntry
     /// </summary>
     public string QueryString { get; set; }
 
+    /// <summary>
+    ///     DevTools에서 재전송(Replay)된 요청인 경우 원본 엔트리의 ID, 일반 요청이면 null.
+    /// </summary>
+    public string ReplayOfId { get; set; }
+
     /// <summary>
     ///     요청 본문 내용.
     /// </summary>
@@ -144,6 +229,11 @@ public class NetworkEntry
     /// </summary>
     public string ResponseBody { get; set; }
 
+    /// <summary>
+    ///     응답 본문 인코딩. 바이너리 본문이 Base64로 저장된 경우 "base64", 텍스트 본문이면 null.
+    /// </summary>
+    public string ResponseBodyEncoding { get; set; }
+
     /// <summary>
     ///     응답 콘텐츠 타입.
     /// </summary>
@@ -154,8 +244,30 @@ public class NetworkEntry
     /// </summary>
     public string StatusText { get; set; }
 
+    /// <summary>
+    ///     요청 시작 시점의 Activity 트레이스 ID. 같은 트레이스에서 남겨진 로그와 연결하는 데 사용됩니다.
+    /// </summary>
+    public string TraceId { get; set; }
+
     /// <summary>
     ///     전체 요청 URL.
     /// </summary>
     public string Url { get; set; }
+
+    /// <summary>
+    ///     GrpcMessages를 지정한 링 버퍼에서 읽도록 설정합니다.
+    /// </summary>
+    internal void UseGrpcMessageBuffer(RingBuffer<GrpcMessage> buffer)
+    {
+        _grpcMessageBuffer = buffer;
+    }
+
+    /// <summary>
+    ///     WebSocketFrames를 지정한 링 버퍼에서 읽도록 설정합니다.
+    ///     메시지마다 배열을 복사하지 않고 버퍼가 가득 차면 오래된 메시지를 덮어씁니다.
+    /// </summary>
+    internal void UseWebSocketFrameBuffer(RingBuffer<WebSocketFrame> buffer)
+    {
+        _webSocketFrameBuffer = buffer;
+    }
 }
\ No newline at end of file
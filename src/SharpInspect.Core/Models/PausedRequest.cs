@@ -0,0 +1,74 @@
+using System;
+using System.Collections.Generic;
+
+namespace SharpInspect.Core.Models;
+
+/// <summary>
+///     브레이크포인트에서 멈춰 DevTools의 결정을 기다리는 요청 또는 응답을 나타냅니다.
+/// </summary>
+public class PausedRequest
+{
+    /// <summary>
+    ///     고유 ID로 새 PausedRequest를 생성합니다.
+    /// </summary>
+    public PausedRequest()
+    {
+        Id = Guid.NewGuid().ToString("N");
+        Headers = new Dictionary<string, string>();
+    }
+
+    /// <summary>
+    ///     응답이 없으면 자동으로 계속 진행되는 시각.
+    /// </summary>
+    public DateTime ExpiresAt { get; set; }
+
+    /// <summary>
+    ///     멈춘 시각.
+    /// </summary>
+    public DateTime PausedAt { get; set; }
+
+    /// <summary>
+    ///     멈춘 단계의 헤더. 요청 단계면 요청 헤더, 응답 단계면 응답 헤더입니다.
+    /// </summary>
+    public Dictionary<string, string> Headers { get; set; }
+
+    /// <summary>
+    ///     HTTP 상태 코드. 응답 단계에서만 사용됩니다.
+    /// </summary>
+    public int StatusCode { get; set; }
+
+    /// <summary>
+    ///     멈춘 단계.
+    /// </summary>
+    public BreakpointPhase Phase { get; set; }
+
+    /// <summary>
+    ///     멈춘 단계의 텍스트 본문. 본문이 없거나 바이너리면 null입니다.
+    /// </summary>
+    public string Body { get; set; }
+
+    /// <summary>
+    ///     고유 식별자.
+    /// </summary>
+    public string Id { get; set; }
+
+    /// <summary>
+    ///     HTTP 메서드.
+    /// </summary>
+    public string Method { get; set; }
+
+    /// <summary>
+    ///     일치한 브레이크포인트 규칙 ID.
+    /// </summary>
+    public string RuleId { get; set; }
+
+    /// <summary>
+    ///     HTTP 상태 텍스트. 응답 단계에서만 사용됩니다.
+    /// </summary>
+    public string StatusText { get; set; }
+
+    /// <summary>
+    ///     전체 요청 URL.
+    /// </summary>
+    public string Url { get; set; }
+}
\ No newline at end of file
@@ -0,0 +1,45 @@
+using System.Collections.Generic;
+
+namespace SharpInspect.Core.Models;
+
+/// <summary>
+///     DevTools에서 재전송할 HTTP 요청을 나타냅니다.
+/// </summary>
+public class ReplayRequest
+{
+    /// <summary>
+    ///     요청 헤더. Content-Type 등 콘텐츠 헤더도 포함할 수 있습니다.
+    /// </summary>
+    public Dictionary<string, string> Headers { get; set; }
+
+    /// <summary>
+    ///     요청 본문 내용.
+    /// </summary>
+    public string Body { get; set; }
+
+    /// <summary>
+    ///     HTTP 메서드 (GET, POST, PUT, DELETE 등).
+    /// </summary>
+    public string Method { get; set; }
+
+    /// <summary>
+    ///     전체 요청 URL.
+    /// </summary>
+    public string Url { get; set; }
+
+    /// <summary>
+    ///     캡처된 NetworkEntry의 메서드, URL, 헤더, 본문으로 ReplayRequest를 생성합니다.
+    /// </summary>
+    public static ReplayRequest FromEntry(NetworkEntry entry)
+    {
+        return new ReplayRequest
+        {
+            Method = entry.Method,
+            Url = entry.Url,
+            Headers = entry.RequestHeaders != null
+                ? new Dictionary<string, string>(entry.RequestHeaders)
+                : new Dictionary<string, string>(),
+            Body = entry.RequestBody
+        };
+    }
+}
\ No newline at end of file
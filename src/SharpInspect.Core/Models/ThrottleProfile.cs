@@ -0,0 +1,64 @@
+using System.Collections.Generic;
+using SharpInspect.Core.Interceptors;
+
+namespace SharpInspect.Core.Models;
+
+/// <summary>
+///     DevTools에서 선택한 네트워크 스로틀링 프로필을 나타냅니다.
+/// </summary>
+public class ThrottleProfile
+{
+    /// <summary>
+    ///     모든 호스트에 적용되는 새 ThrottleProfile을 생성합니다.
+    /// </summary>
+    public ThrottleProfile()
+    {
+        Hosts = [];
+    }
+
+    /// <summary>
+    ///     오프라인 여부. true이면 요청을 보내지 않고 네트워크 오류를 발생시킵니다.
+    /// </summary>
+    public bool Offline { get; set; }
+
+    /// <summary>
+    ///     적용할 호스트 목록. '*' 와일드카드를 사용할 수 있고, 호스트를 지정하면 하위 도메인에도 적용되며,
+    ///     비어 있으면 모든 호스트에 적용됩니다.
+    /// </summary>
+    public List<string> Hosts { get; set; }
+
+    /// <summary>
+    ///     응답 본문 대역폭(kbit/s). 0이면 제한하지 않습니다.
+    /// </summary>
+    public int DownloadKbps { get; set; }
+
+    /// <summary>
+    ///     요청마다 전송 전에 추가할 지연 시간(밀리초).
+    /// </summary>
+    public int LatencyMs { get; set; }
+
+    /// <summary>
+    ///     요청 본문 대역폭(kbit/s). 0이면 제한하지 않습니다.
+    /// </summary>
+    public int UploadKbps { get; set; }
+
+    /// <summary>
+    ///     DevTools에 표시할 프로필 이름 (예: Slow 3G).
+    /// </summary>
+    public string Name { get; set; }
+
+    /// <summary>
+    ///     지정된 호스트가 이 프로필의 적용 범위에 포함되는지 확인합니다.
+    /// </summary>
+    public bool AppliesTo(string host)
+    {
+        if (Hosts == null || Hosts.Count == 0)
+            return true;
+
+        foreach (var pattern in Hosts)
+            if (UrlPatternHelper.IsHostMatch(pattern, host))
+                return true;
+
+        return false;
+    }
+}
\ No newline at end of file
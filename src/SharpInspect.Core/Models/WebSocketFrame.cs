@@ -0,0 +1,66 @@
+using System;
+using System.Net.WebSockets;
+
+namespace SharpInspect.Core.Models;
+
+/// <summary>
+///     WebSocket 메시지의 방향.
+/// </summary>
+public enum WebSocketFrameDirection
+{
+    /// <summary>
+    ///     앱이 보낸 메시지.
+    /// </summary>
+    Sent,
+
+    /// <summary>
+    ///     앱이 받은 메시지.
+    /// </summary>
+    Received
+}
+
+/// <summary>
+///     캡처된 WebSocket 메시지를 나타냅니다. 여러 프레임으로 나뉜 메시지는 하나로 합쳐집니다.
+/// </summary>
+public class WebSocketFrame
+{
+    /// <summary>
+    ///     페이로드가 MaxBodySizeBytes를 넘어 잘렸는지 여부.
+    /// </summary>
+    public bool Truncated { get; set; }
+
+    /// <summary>
+    ///     메시지가 완료된 타임스탬프.
+    /// </summary>
+    public DateTime Timestamp { get; set; }
+
+    /// <summary>
+    ///     연결 안에서의 메시지 순번 (0부터 시작).
+    /// </summary>
+    public int Index { get; set; }
+
+    /// <summary>
+    ///     전체 페이로드 크기(바이트).
+    /// </summary>
+    public long Size { get; set; }
+
+    /// <summary>
+    ///     메시지 방향.
+    /// </summary>
+    public WebSocketFrameDirection Direction { get; set; }
+
+    /// <summary>
+    ///     메시지 타입 (Text, Binary, Close).
+    /// </summary>
+    public WebSocketMessageType Opcode { get; set; }
+
+    /// <summary>
+    ///     페이로드. 텍스트는 UTF-8 문자열, 바이너리는 Base64, Close는 "상태 코드 설명" 형식입니다.
+    /// </summary>
+    public string Payload { get; set; }
+
+    /// <summary>
+    ///     페이로드 인코딩. 바이너리 메시지이면 "base64", 그 외에는 null.
+    /// </summary>
+    public string PayloadEncoding { get; set; }
+}
\ No newline at end of file
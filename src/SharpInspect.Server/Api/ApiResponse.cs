@@ -57,6 +57,11 @@ public class StatusResponse
     /// </summary>
     public int WebSocketClients { get; set; }
 
+    /// <summary>
+    ///     WebSocket 연결당 보관하는 최대 메시지 수(MaxWebSocketFrames)를 가져오거나 설정합니다.
+    /// </summary>
+    public int MaxWebSocketFrames { get; set; }
+
     /// <summary>
     ///     서버 상태를 가져오거나 설정합니다.
     /// </summary>
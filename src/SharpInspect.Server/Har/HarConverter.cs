@@ -114,6 +114,7 @@ namespace SharpInspect.Server.Har
                 {
                     Size = entry.ResponseContentLength,
                     MimeType = entry.ResponseContentType ?? "application/octet-stream",
+                    Encoding = entry.ResponseBodyEncoding,
                     Text = entry.ResponseBody
                 },
                 RedirectURL = GetHeaderValue(entry.ResponseHeaders, "Location") ?? "",
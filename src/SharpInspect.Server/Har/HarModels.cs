@@ -281,6 +281,11 @@ namespace SharpInspect.Server.Har
         /// </summary>
         public string MimeType { get; set; }
 
+        /// <summary>
+        ///     콘텐츠 텍스트 인코딩 (바이너리 본문이면 "base64").
+        /// </summary>
+        public string Encoding { get; set; }
+
         /// <summary>
         ///     콘텐츠 텍스트.
         /// </summary>
@@ -1,6 +1,8 @@
 using System;
 using System.Collections;
+using System.Collections.Generic;
 using System.Globalization;
+using System.Reflection;
 using System.Text;
 
 namespace SharpInspect.Server.Json;
@@ -11,6 +13,9 @@ namespace SharpInspect.Server.Json;
 /// </summary>
 public static class SimpleJson
 {
+    // 중첩이 깊은 입력이 재귀 파싱으로 스택을 소진(잡을 수 없는 StackOverflowException)시키지 않도록 제한
+    private const int MaxDepth = 64;
+
     /// <summary>
     ///     객체를 JSON 문자열로 직렬화합니다.
     /// </summary>
@@ -24,6 +29,336 @@ public static class SimpleJson
         return sb.ToString();
     }
 
+    /// <summary>
+    ///     JSON 문자열을 역직렬화합니다.
+    ///     객체는 Dictionary&lt;string, object&gt;, 배열은 List&lt;object&gt;, 숫자는 double로 반환됩니다.
+    /// </summary>
+    /// <exception cref="FormatException">JSON 형식이 올바르지 않은 경우.</exception>
+    public static object Deserialize(string json)
+    {
+        if (json == null)
+            throw new ArgumentNullException(nameof(json));
+
+        var index = 0;
+        var value = ParseValue(json, ref index, 0);
+        SkipWhitespace(json, ref index);
+        if (index < json.Length)
+            throw new FormatException("Unexpected character '" + json[index] + "' at position " + index);
+
+        return value;
+    }
+
+    /// <summary>
+    ///     JSON 문자열을 지정된 타입으로 역직렬화합니다.
+    ///     속성 이름은 대소문자를 구분하지 않고 매칭되며, 알 수 없는 속성은 무시됩니다.
+    /// </summary>
+    /// <exception cref="FormatException">JSON 형식이 올바르지 않거나 타입으로 변환할 수 없는 경우.</exception>
+    public static T Deserialize<T>(string json)
+    {
+        return ConvertTo<T>(Deserialize(json));
+    }
+
+    /// <summary>
+    ///     Deserialize(string)로 파싱한 값을 지정된 타입으로 변환합니다.
+    ///     메시지 타입에 따라 데이터 부분만 나중에 변환할 때 사용합니다.
+    /// </summary>
+    /// <exception cref="FormatException">타입으로 변환할 수 없는 경우.</exception>
+    public static T ConvertTo<T>(object value)
+    {
+        return (T)ConvertValue(value, typeof(T));
+    }
+
+    private static object ConvertValue(object value, Type type)
+    {
+        if (value == null)
+            return type.IsValueType ? Activator.CreateInstance(type) : null;
+
+        if (type == typeof(object))
+            return value;
+
+        var underlying = Nullable.GetUnderlyingType(type);
+        if (underlying != null)
+            type = underlying;
+
+        try
+        {
+            if (type == typeof(string))
+                return value as string ?? Convert.ToString(value, CultureInfo.InvariantCulture);
+
+            if (type.IsEnum)
+                return value is string name
+                    ? Enum.Parse(type, name, true)
+                    : Enum.ToObject(type, Convert.ToInt64(value, CultureInfo.InvariantCulture));
+
+            if (type == typeof(DateTime))
+                return DateTime.Parse((string)value, CultureInfo.InvariantCulture, DateTimeStyles.RoundtripKind);
+
+            if (type.IsPrimitive || type == typeof(decimal))
+                return Convert.ChangeType(value, type, CultureInfo.InvariantCulture);
+
+            if (type.IsArray)
+            {
+                var items = (List<object>)value;
+                var elementType = type.GetElementType();
+                var array = Array.CreateInstance(elementType, items.Count);
+                for (var i = 0; i < items.Count; i++)
+                    array.SetValue(ConvertValue(items[i], elementType), i);
+                return array;
+            }
+
+            if (type.IsGenericType && type.GetGenericTypeDefinition() == typeof(Dictionary<,>))
+            {
+                var valueType = type.GetGenericArguments()[1];
+                var dict = (IDictionary)Activator.CreateInstance(type);
+                foreach (var pair in (Dictionary<string, object>)value)
+                    dict[pair.Key] = ConvertValue(pair.Value, valueType);
+                return dict;
+            }
+
+            if (type.IsGenericType && type.GetGenericTypeDefinition() == typeof(List<>))
+            {
+                var elementType = type.GetGenericArguments()[0];
+                var list = (IList)Activator.CreateInstance(type);
+                foreach (var item in (List<object>)value)
+                    list.Add(ConvertValue(item, elementType));
+                return list;
+            }
+
+            return ConvertObject((Dictionary<string, object>)value, type);
+        }
+        catch (Exception ex) when (ex is InvalidCastException || ex is ArgumentException || ex is OverflowException)
+        {
+            throw new FormatException("Cannot convert JSON value to " + type.Name, ex);
+        }
+    }
+
+    private static object ConvertObject(Dictionary<string, object> values, Type type)
+    {
+        var obj = Activator.CreateInstance(type);
+        foreach (var prop in type.GetProperties(BindingFlags.Public | BindingFlags.Instance))
+        {
+            if (!prop.CanWrite || prop.GetIndexParameters().Length > 0)
+                continue;
+
+            foreach (var pair in values)
+            {
+                if (!string.Equals(pair.Key, prop.Name, StringComparison.OrdinalIgnoreCase))
+                    continue;
+
+                prop.SetValue(obj, ConvertValue(pair.Value, prop.PropertyType), null);
+                break;
+            }
+        }
+
+        return obj;
+    }
+
+    private static void SkipWhitespace(string json, ref int index)
+    {
+        while (index < json.Length && char.IsWhiteSpace(json[index]))
+            index++;
+    }
+
+    private static object ParseValue(string json, ref int index, int depth)
+    {
+        SkipWhitespace(json, ref index);
+        if (index >= json.Length)
+            throw new FormatException("Unexpected end of JSON");
+
+        var c = json[index];
+        switch (c)
+        {
+            case '{':
+                return ParseObject(json, ref index, EnterNested(depth, index));
+            case '[':
+                return ParseArray(json, ref index, EnterNested(depth, index));
+            case '"':
+                return ParseString(json, ref index);
+            case 't':
+                return ParseLiteral(json, ref index, "true", true);
+            case 'f':
+                return ParseLiteral(json, ref index, "false", false);
+            case 'n':
+                return ParseLiteral(json, ref index, "null", null);
+            default:
+                if (c == '-' || char.IsDigit(c))
+                    return ParseNumber(json, ref index);
+                throw new FormatException("Unexpected character '" + c + "' at position " + index);
+        }
+    }
+
+    private static int EnterNested(int depth, int index)
+    {
+        if (depth >= MaxDepth)
+            throw new FormatException("JSON nesting exceeds " + MaxDepth + " levels at position " + index);
+
+        return depth + 1;
+    }
+
+    private static object ParseLiteral(string json, ref int index, string literal, object value)
+    {
+        if (string.CompareOrdinal(json, index, literal, 0, literal.Length) != 0)
+            throw new FormatException("Invalid literal at position " + index);
+
+        index += literal.Length;
+        return value;
+    }
+
+    private static Dictionary<string, object> ParseObject(string json, ref int index, int depth)
+    {
+        var result = new Dictionary<string, object>();
+        index++; // '{'
+
+        SkipWhitespace(json, ref index);
+        if (index < json.Length && json[index] == '}')
+        {
+            index++;
+            return result;
+        }
+
+        while (true)
+        {
+            SkipWhitespace(json, ref index);
+            if (index >= json.Length || json[index] != '"')
+                throw new FormatException("Expected property name at position " + index);
+
+            var key = ParseString(json, ref index);
+
+            SkipWhitespace(json, ref index);
+            if (index >= json.Length || json[index] != ':')
+                throw new FormatException("Expected ':' at position " + index);
+            index++;
+
+            result[key] = ParseValue(json, ref index, depth);
+
+            SkipWhitespace(json, ref index);
+            if (index >= json.Length)
+                throw new FormatException("Unexpected end of JSON");
+
+            if (json[index] == ',')
+            {
+                index++;
+                continue;
+            }
+
+            if (json[index] == '}')
+            {
+                index++;
+                return result;
+            }
+
+            throw new FormatException("Expected ',' or '}' at position " + index);
+        }
+    }
+
+    private static List<object> ParseArray(string json, ref int index, int depth)
+    {
+        var result = new List<object>();
+        index++; // '['
+
+        SkipWhitespace(json, ref index);
+        if (index < json.Length && json[index] == ']')
+        {
+            index++;
+            return result;
+        }
+
+        while (true)
+        {
+            result.Add(ParseValue(json, ref index, depth));
+
+            SkipWhitespace(json, ref index);
+            if (index >= json.Length)
+                throw new FormatException("Unexpected end of JSON");
+
+            if (json[index] == ',')
+            {
+                index++;
+                continue;
+            }
+
+            if (json[index] == ']')
+            {
+                index++;
+                return result;
+            }
+
+            throw new FormatException("Expected ',' or ']' at position " + index);
+        }
+    }
+
+    private static string ParseString(string json, ref int index)
+    {
+        var sb = new StringBuilder();
+        index++; // '"'
+
+        while (index < json.Length)
+        {
+            var c = json[index++];
+            if (c == '"')
+                return sb.ToString();
+
+            if (c != '\\')
+            {
+                sb.Append(c);
+                continue;
+            }
+
+            if (index >= json.Length)
+                break;
+
+            var escaped = json[index++];
+            switch (escaped)
+            {
+                case '"':
+                case '\\':
+                case '/':
+                    sb.Append(escaped);
+                    break;
+                case 'b':
+                    sb.Append('\b');
+                    break;
+                case 'f':
+                    sb.Append('\f');
+                    break;
+                case 'n':
+                    sb.Append('\n');
+                    break;
+                case 'r':
+                    sb.Append('\r');
+                    break;
+                case 't':
+                    sb.Append('\t');
+                    break;
+                case 'u':
+                    if (index + 4 > json.Length ||
+                        !int.TryParse(json.Substring(index, 4), NumberStyles.HexNumber, CultureInfo.InvariantCulture,
+                            out var code))
+                        throw new FormatException("Invalid unicode escape at position " + index);
+                    sb.Append((char)code);
+                    index += 4;
+                    break;
+                default:
+                    throw new FormatException("Invalid escape character '" + escaped + "' at position " + index);
+            }
+        }
+
+        throw new FormatException("Unterminated string");
+    }
+
+    private static double ParseNumber(string json, ref int index)
+    {
+        var start = index;
+        while (index < json.Length && "+-0123456789.eE".IndexOf(json[index]) != -1)
+            index++;
+
+        if (!double.TryParse(json.Substring(start, index - start), NumberStyles.Float, CultureInfo.InvariantCulture,
+                out var number))
+            throw new FormatException("Invalid number at position " + start);
+
+        return number;
+    }
+
     private static string ToCamelCase(string name)
     {
         if (string.IsNullOrEmpty(name))
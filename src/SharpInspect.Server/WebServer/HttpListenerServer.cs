@@ -1,9 +1,12 @@
 using System;
+using System.IO;
 using System.Net;
 using System.Text;
 using System.Threading;
+using System.Threading.Tasks;
 using SharpInspect.Core.Configuration;
 using SharpInspect.Core.Events;
+using SharpInspect.Core.Interceptors;
 using SharpInspect.Core.Models;
 using SharpInspect.Core.Storage;
 using SharpInspect.Server.Api;
@@ -25,6 +28,8 @@ public class HttpListenerServer : ISharpInspectServer
     private readonly ISharpInspectStore _store;
     private readonly object _lock = new();
     private readonly SharpInspectOptions _options;
+    private readonly RequestReplayer _replayer;
+    private readonly TrafficControl _traffic;
     private readonly WebSocketManager _webSocketManager;
     private bool _isRunning;
     private DateTime _startTime;
@@ -34,17 +39,21 @@ public class HttpListenerServer : ISharpInspectServer
 
     /// <summary>
     ///     새 HttpListenerServer를 생성합니다.
+    ///     traffic은 SharpInspectHandler와 같은 인스턴스여야 DevTools에서 정의한 규칙이 적용됩니다.
     /// </summary>
     public HttpListenerServer(
         ISharpInspectStore store,
         SharpInspectOptions options,
-        EventBus eventBus = null)
+        EventBus eventBus = null,
+        TrafficControl traffic = null)
     {
         _store = store ?? throw new ArgumentNullException(nameof(store));
         _options = options ?? throw new ArgumentNullException(nameof(options));
         _eventBus = eventBus ?? EventBus.Instance;
+        _traffic = traffic ?? new TrafficControl(_options, _eventBus);
         _staticFiles = new EmbeddedResourceProvider();
-        _webSocketManager = new WebSocketManager(_eventBus);
+        _webSocketManager = new WebSocketManager(_eventBus, _traffic);
+        _replayer = new RequestReplayer(_store, _options, _traffic);
     }
 
     /// <summary>
@@ -53,6 +62,7 @@ public class HttpListenerServer : ISharpInspectServer
     public void Dispose()
     {
         Stop();
+        _replayer.Dispose();
     }
 
     /// <summary>
@@ -133,6 +143,9 @@ public class HttpListenerServer : ISharpInspectServer
             }
 
             _webSocketManager.CloseAll();
+
+            // DevTools가 더 이상 결정을 내릴 수 없으므로 멈춘 요청을 모두 계속 진행
+            _traffic.Breakpoints.ResumeAll();
         }
     }
 
@@ -172,7 +185,8 @@ public class HttpListenerServer : ISharpInspectServer
                 NetworkEntryCount = _store.NetworkEntryCount,
                 ConsoleEntryCount = _store.ConsoleEntryCount,
                 PerformanceEntryCount = _store.PerformanceEntryCount,
-                WebSocketClients = _webSocketManager.ClientCount
+                WebSocketClients = _webSocketManager.ClientCount,
+                MaxWebSocketFrames = _options.MaxWebSocketFrames
             };
             WriteJson(response, status);
             return;
@@ -221,6 +235,15 @@ public class HttpListenerServer : ISharpInspectServer
             return;
         }
 
+        // POST /api/network/{id}/replay
+        if (path.StartsWith("/api/network/") && path.EndsWith("/replay") && method == "POST")
+        {
+            var id = path.Substring("/api/network/".Length,
+                path.Length - "/api/network/".Length - "/replay".Length);
+            HandleReplayRequest(request, response, id);
+            return;
+        }
+
         // GET /api/network/{id}
         if (path.StartsWith("/api/network/") && method == "GET")
         {
@@ -247,6 +270,55 @@ public class HttpListenerServer : ISharpInspectServer
             return;
         }
 
+        // GET /api/breakpoints
+        if (path == "/api/breakpoints" && method == "GET")
+        {
+            WriteJson(response, _traffic.Breakpoints.GetRules());
+            return;
+        }
+
+        // POST /api/breakpoints
+        if (path == "/api/breakpoints" && method == "POST")
+        {
+            HandleSetBreakpoints(request, response);
+            return;
+        }
+
+        // GET /api/breakpoints/paused
+        if (path == "/api/breakpoints/paused" && method == "GET")
+        {
+            WriteJson(response, _traffic.Breakpoints.GetPaused());
+            return;
+        }
+
+        // GET /api/mocks
+        if (path == "/api/mocks" && method == "GET")
+        {
+            WriteJson(response, _traffic.Mocks.GetRules());
+            return;
+        }
+
+        // POST /api/mocks
+        if (path == "/api/mocks" && method == "POST")
+        {
+            HandleSetMocks(request, response);
+            return;
+        }
+
+        // GET /api/throttling
+        if (path == "/api/throttling" && method == "GET")
+        {
+            WriteJson(response, _traffic.Throttling.GetProfile());
+            return;
+        }
+
+        // POST /api/throttling
+        if (path == "/api/throttling" && method == "POST")
+        {
+            HandleSetThrottling(request, response);
+            return;
+        }
+
         // GET /api/console
         if (path == "/api/console" && method == "GET")
         {
@@ -326,6 +398,150 @@ public class HttpListenerServer : ISharpInspectServer
         WriteJson(response, new MessageResponse { Success = false, Message = "API endpoint not found" });
     }
 
+    /// <summary>
+    ///     캡처된 요청을 검사 대상 프로세스 안에서 다시 전송합니다.
+    ///     요청 본문이 비어 있으면 원본 그대로, 있으면 본문의 method/url/headers/body로 전송합니다.
+    ///     전송은 비동기로 진행되어 요청 처리 스레드를 붙잡지 않으며, 응답은 전송이 끝나면 작성됩니다.
+    /// </summary>
+    private void HandleReplayRequest(HttpListenerRequest request, HttpListenerResponse response, string id)
+    {
+        var original = _store.GetNetworkEntry(id);
+        if (original == null)
+        {
+            response.StatusCode = 404;
+            WriteJson(response, new MessageResponse { Success = false, Message = "Entry not found" });
+            return;
+        }
+
+        ReplayRequest replay;
+        try
+        {
+            var body = ReadRequestBody(request);
+            replay = string.IsNullOrWhiteSpace(body)
+                ? ReplayRequest.FromEntry(original)
+                : SimpleJson.Deserialize<ReplayRequest>(body);
+        }
+        catch (FormatException ex)
+        {
+            response.StatusCode = 400;
+            WriteJson(response, new MessageResponse { Success = false, Message = "Invalid replay request: " + ex.Message });
+            return;
+        }
+
+        _ = SendReplayAsync(response, original.Id, replay);
+    }
+
+    private async Task SendReplayAsync(HttpListenerResponse response, string originalId, ReplayRequest replay)
+    {
+        object result;
+        try
+        {
+            result = await _replayer.ReplayAsync(originalId, replay).ConfigureAwait(false);
+            if (result == null)
+            {
+                // 네트워크 캡처가 꺼져 있거나, IgnoreUrlPatterns에 해당하거나, ReplayClient에 SharpInspectHandler가 없는 경우
+                response.StatusCode = 409;
+                result = new MessageResponse
+                {
+                    Success = false,
+                    Message = "Request was sent but not captured (network capture disabled, URL ignored, or the replay client has no SharpInspectHandler)"
+                };
+            }
+        }
+        catch (ArgumentException ex)
+        {
+            response.StatusCode = 400;
+            result = new MessageResponse { Success = false, Message = ex.Message };
+        }
+        catch (Exception ex)
+        {
+            response.StatusCode = 502;
+            result = new MessageResponse { Success = false, Message = "Replay failed: " + ex.Message };
+        }
+
+        try
+        {
+            WriteJson(response, result);
+        }
+        catch
+        {
+            // DevTools 연결이 이미 끊긴 경우
+        }
+    }
+
+    /// <summary>
+    ///     요청 본문의 규칙 배열로 브레이크포인트 규칙 목록을 교체합니다.
+    /// </summary>
+    private void HandleSetBreakpoints(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        BreakpointRule[] rules;
+        try
+        {
+            rules = SimpleJson.Deserialize<BreakpointRule[]>(ReadRequestBody(request) ?? "[]");
+        }
+        catch (FormatException ex)
+        {
+            response.StatusCode = 400;
+            WriteJson(response, new MessageResponse { Success = false, Message = "Invalid breakpoint rules: " + ex.Message });
+            return;
+        }
+
+        _traffic.Breakpoints.SetRules(rules);
+        WriteJson(response, _traffic.Breakpoints.GetRules());
+    }
+
+    /// <summary>
+    ///     요청 본문의 규칙 배열로 목 규칙 목록을 교체합니다. 배열 순서가 평가 순서입니다.
+    /// </summary>
+    private void HandleSetMocks(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        try
+        {
+            var rules = SimpleJson.Deserialize<MockRule[]>(ReadRequestBody(request) ?? "[]");
+            _traffic.Mocks.SetRules(rules);
+        }
+        catch (Exception ex) when (ex is FormatException || ex is ArgumentException)
+        {
+            response.StatusCode = 400;
+            WriteJson(response, new MessageResponse { Success = false, Message = "Invalid mock rules: " + ex.Message });
+            return;
+        }
+
+        WriteJson(response, _traffic.Mocks.GetRules());
+    }
+
+    /// <summary>
+    ///     요청 본문의 프로필로 스로틀링을 설정합니다. 본문이 비어 있거나 null이면 스로틀링을 끕니다.
+    /// </summary>
+    private void HandleSetThrottling(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        try
+        {
+            var body = ReadRequestBody(request);
+            var profile = string.IsNullOrEmpty(body) ? null : SimpleJson.Deserialize<ThrottleProfile>(body);
+            _traffic.Throttling.SetProfile(profile);
+        }
+        catch (Exception ex) when (ex is FormatException || ex is ArgumentException)
+        {
+            response.StatusCode = 400;
+            WriteJson(response, new MessageResponse { Success = false, Message = "Invalid throttling profile: " + ex.Message });
+            return;
+        }
+
+        WriteJson(response, _traffic.Throttling.GetProfile());
+    }
+
+    private string ReadRequestBody(HttpListenerRequest request)
+    {
+        if (!request.HasEntityBody)
+            return null;
+
+        using (var reader = new StreamReader(request.InputStream, request.ContentEncoding ?? Encoding.UTF8))
+        {
+            return reader.ReadToEnd();
+        }
+    }
+
     private void HandleRequest(HttpListenerContext context)
     {
         try
@@ -333,10 +549,16 @@ public class HttpListenerServer : ISharpInspectServer
             var request = context.Request;
             var response = context.Response;
 
-            // CORS 헤더 추가
-            response.Headers.Add("Access-Control-Allow-Origin", "*");
-            response.Headers.Add("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
-            response.Headers.Add("Access-Control-Allow-Headers", "Content-Type, Authorization");
+            var path = request.Url.AbsolutePath.ToLowerInvariant();
+            var isTrafficWrite = IsTrafficWriteRoute(path);
+
+            // CORS 헤더 추가 (검사 대상 앱의 트래픽을 바꾸는 API는 제외)
+            if (!isTrafficWrite)
+            {
+                response.Headers.Add("Access-Control-Allow-Origin", "*");
+                response.Headers.Add("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+                response.Headers.Add("Access-Control-Allow-Headers", "Content-Type, Authorization");
+            }
 
             // 프리플라이트 요청 처리
             if (request.HttpMethod == "OPTIONS")
@@ -358,7 +580,12 @@ public class HttpListenerServer : ISharpInspectServer
                 }
             }
 
-            var path = request.Url.AbsolutePath.ToLowerInvariant();
+            if (isTrafficWrite && request.HttpMethod == "POST" && !IsSameOrigin(request))
+            {
+                response.StatusCode = 403;
+                WriteJson(response, new MessageResponse { Success = false, Message = "Cross-origin request rejected" });
+                return;
+            }
 
             // 요청 라우팅
             if (path.StartsWith("/api/"))
@@ -386,6 +613,34 @@ public class HttpListenerServer : ISharpInspectServer
         }
     }
 
+    /// <summary>
+    ///     검사 대상 앱의 트래픽을 바꾸는 API인지 확인합니다.
+    ///     이 API는 CORS를 허용하지 않으며 DevTools 페이지(같은 출처)의 POST만 받습니다.
+    /// </summary>
+    private static bool IsTrafficWriteRoute(string path)
+    {
+        return (path.StartsWith("/api/network/") && path.EndsWith("/replay")) ||
+               path == "/api/breakpoints" ||
+               path == "/api/mocks" ||
+               path == "/api/throttling";
+    }
+
+    /// <summary>
+    ///     요청이 DevTools 페이지와 같은 출처에서 왔는지 확인합니다.
+    ///     브라우저는 교차 출처 POST와 WebSocket 연결에 항상 Origin을 보내므로,
+    ///     Origin이 없는 요청(curl 등 브라우저 밖의 도구)은 허용합니다.
+    /// </summary>
+    private static bool IsSameOrigin(HttpListenerRequest request)
+    {
+        var origin = request.Headers["Origin"];
+        if (string.IsNullOrEmpty(origin))
+            return true;
+
+        return Uri.TryCreate(origin, UriKind.Absolute, out var uri) &&
+               uri.Scheme == request.Url.Scheme &&
+               string.Equals(uri.Authority, request.Url.Authority, StringComparison.OrdinalIgnoreCase);
+    }
+
     private void HandleStaticRequest(HttpListenerRequest request, HttpListenerResponse response, string path)
     {
         // index.html로 기본 설정
@@ -415,6 +670,14 @@ public class HttpListenerServer : ISharpInspectServer
             return;
         }
 
+        // 클라이언트 메시지로 브레이크포인트를 재개하고 차단 목록을 바꿀 수 있으므로 DevTools 페이지만 허용
+        if (!IsSameOrigin(context.Request))
+        {
+            context.Response.StatusCode = 403;
+            WriteJson(context.Response, new MessageResponse { Success = false, Message = "Cross-origin request rejected" });
+            return;
+        }
+
 #if NET45_OR_GREATER || NETSTANDARD2_0 || NETCOREAPP
         _webSocketManager.AcceptWebSocket(context);
 #else
@@ -1,9 +1,12 @@
 using System;
 using System.Collections.Generic;
+using System.IO;
 using System.Net;
 using System.Text;
 using System.Threading;
 using SharpInspect.Core.Events;
+using SharpInspect.Core.Interceptors;
+using SharpInspect.Core.Models;
 using SharpInspect.Server.Json;
 #if NET45_OR_GREATER || NETSTANDARD2_0 || NETCOREAPP
 using System.Net.WebSockets;
@@ -17,6 +20,9 @@ namespace SharpInspect.Server.WebSocket;
 /// </summary>
 public class WebSocketManager : IDisposable
 {
+    // 클라이언트 메시지는 규칙/재개 명령뿐이므로 이보다 큰 메시지는 버림
+    private const int MaxMessageBytes = 4 * 1024 * 1024;
+
     private readonly EventBus _eventBus;
     private readonly List<WebSocketClient> _clients;
     private readonly object _clientsLock = new();
@@ -24,6 +30,13 @@ public class WebSocketManager : IDisposable
     private readonly IDisposable _consoleSubscription;
     private readonly IDisposable _performanceSubscription;
     private readonly IDisposable _applicationSubscription;
+    private readonly IDisposable _breakpointPausedSubscription;
+    private readonly IDisposable _breakpointResolvedSubscription;
+    private readonly IDisposable _throttleSubscription;
+    private readonly IDisposable _webSocketFrameSubscription;
+    private readonly IDisposable _grpcMessageSubscription;
+    private readonly IDisposable _grpcCompletedSubscription;
+    private readonly TrafficControl _traffic;
     private bool _disposed;
 
     /// <summary>
@@ -42,10 +55,12 @@ public class WebSocketManager : IDisposable
 
     /// <summary>
     ///     새 WebSocketManager를 생성합니다.
+    ///     traffic이 지정되면 클라이언트의 breakpoint:resume, blocking:set 메시지를 처리합니다.
     /// </summary>
-    public WebSocketManager(EventBus eventBus)
+    public WebSocketManager(EventBus eventBus, TrafficControl traffic = null)
     {
         _eventBus = eventBus ?? EventBus.Instance;
+        _traffic = traffic;
         _clients = [];
 
         // 이벤트 구독
@@ -53,6 +68,12 @@ public class WebSocketManager : IDisposable
         _consoleSubscription = _eventBus.Subscribe<ConsoleEntryEvent>(OnConsoleEntry);
         _performanceSubscription = _eventBus.Subscribe<PerformanceEntryEvent>(OnPerformanceEntry);
         _applicationSubscription = _eventBus.Subscribe<ApplicationInfoEvent>(OnApplicationInfo);
+        _breakpointPausedSubscription = _eventBus.Subscribe<BreakpointPausedEvent>(OnBreakpointPaused);
+        _breakpointResolvedSubscription = _eventBus.Subscribe<BreakpointResolvedEvent>(OnBreakpointResolved);
+        _throttleSubscription = _eventBus.Subscribe<ThrottleChangedEvent>(OnThrottleChanged);
+        _webSocketFrameSubscription = _eventBus.Subscribe<WebSocketFrameEvent>(OnWebSocketFrame);
+        _grpcMessageSubscription = _eventBus.Subscribe<GrpcMessageEvent>(OnGrpcMessage);
+        _grpcCompletedSubscription = _eventBus.Subscribe<GrpcCompletedEvent>(OnGrpcCompleted);
     }
 
 #if NET45_OR_GREATER || NETSTANDARD2_0 || NETCOREAPP
@@ -105,6 +126,8 @@ public class WebSocketManager : IDisposable
     private async Task ReceiveLoop(WebSocketClient client)
     {
         var buffer = new byte[4096];
+        var message = new MemoryStream();
+        var tooLarge = false;
 
         try
         {
@@ -123,8 +146,33 @@ public class WebSocketManager : IDisposable
                     break;
                 }
 
-                // 현재 수신 메시지를 처리하지 않음
-                // 향후 구독/구독취소 기능 추가 가능
+                // 여러 프레임으로 나뉜 메시지를 모아서 처리 (크기 제한을 넘으면 끝까지 읽고 버림)
+                if (!tooLarge && message.Length + result.Count > MaxMessageBytes)
+                {
+                    tooLarge = true;
+                    message.SetLength(0);
+                }
+
+                if (!tooLarge)
+                    message.Write(buffer, 0, result.Count);
+                if (!result.EndOfMessage)
+                    continue;
+
+                string error = null;
+                if (tooLarge)
+                    error = "Message exceeds " + MaxMessageBytes + " bytes";
+                else if (result.MessageType == WebSocketMessageType.Text)
+                    error = HandleMessage(Encoding.UTF8.GetString(message.ToArray()));
+
+                message.SetLength(0);
+                tooLarge = false;
+
+                if (error != null)
+                    await SendMessage(client, new WebSocketMessage
+                    {
+                        Type = "error",
+                        Data = new { message = error }
+                    }).ConfigureAwait(false);
             }
         }
         catch
@@ -219,11 +267,120 @@ public class WebSocketManager : IDisposable
         });
     }
 
+    /// <summary>
+    ///     클라이언트가 보낸 { type, data } 메시지를 처리합니다.
+    ///     알 수 없는 타입의 메시지는 무시하고, 잘못된 형식이면 클라이언트에 보낼 오류 메시지를 반환합니다.
+    /// </summary>
+    private string HandleMessage(string json)
+    {
+        try
+        {
+            if (!(SimpleJson.Deserialize(json) is Dictionary<string, object> message) ||
+                !message.TryGetValue("type", out var type) ||
+                !message.TryGetValue("data", out var data))
+                return "Expected a { type, data } message";
+
+            switch (type as string)
+            {
+                case "breakpoint:resume":
+                    var resolution = SimpleJson.ConvertTo<BreakpointResolution>(data);
+                    if (resolution == null)
+                        return "breakpoint:resume requires data";
+                    _traffic?.Breakpoints.Resume(resolution);
+                    break;
+                case "blocking:set":
+                    _traffic?.Blocking.SetBlockList(SimpleJson.ConvertTo<BlockList>(data));
+                    break;
+            }
+
+            return null;
+        }
+        catch (Exception ex) when (ex is FormatException || ex is ArgumentException)
+        {
+            return "Invalid message: " + ex.Message;
+        }
+    }
+
+    private void OnBreakpointPaused(BreakpointPausedEvent evt)
+    {
+        Broadcast(new WebSocketMessage
+        {
+            Type = "breakpoint:paused",
+            Data = evt.Paused
+        });
+    }
+
+    private void OnBreakpointResolved(BreakpointResolvedEvent evt)
+    {
+        Broadcast(new WebSocketMessage
+        {
+            Type = "breakpoint:resolved",
+            Data = new { id = evt.Id, reason = evt.Reason }
+        });
+    }
+
+    private void OnThrottleChanged(ThrottleChangedEvent evt)
+    {
+        Broadcast(new WebSocketMessage
+        {
+            Type = "throttling:changed",
+            Data = evt.Profile
+        });
+    }
+
+    private void OnWebSocketFrame(WebSocketFrameEvent evt)
+    {
+        Broadcast(new WebSocketMessage
+        {
+            Type = "websocket:frame",
+            Data = new { entryId = evt.EntryId, frame = evt.Frame }
+        });
+    }
+
+    private void OnGrpcMessage(GrpcMessageEvent evt)
+    {
+        Broadcast(new WebSocketMessage
+        {
+            Type = "grpc:message",
+            Data = new { entryId = evt.EntryId, message = evt.Message }
+        });
+    }
+
+    private void OnGrpcCompleted(GrpcCompletedEvent evt)
+    {
+        var entry = evt.Entry;
+        Broadcast(new WebSocketMessage
+        {
+            Type = "grpc:completed",
+            Data = new
+            {
+                entryId = entry.Id,
+                grpcStatus = entry.GrpcStatus,
+                grpcStatusMessage = entry.GrpcStatusMessage,
+                responseTrailers = entry.ResponseTrailers,
+                requestContentLength = entry.RequestContentLength,
+                responseContentLength = entry.ResponseContentLength,
+                totalMs = entry.TotalMs
+            }
+        });
+    }
+
     private void RemoveClient(WebSocketClient client)
     {
+        bool lastClient;
         lock (_clientsLock)
         {
-            _clients.Remove(client);
+            lastClient = _clients.Remove(client) && _clients.Count == 0;
+        }
+
+        // 결정을 내릴 DevTools가 남아 있지 않으면 멈춘 요청을 모두 계속 진행하고 브레이크포인트 규칙을 비워
+        // 이후 요청이 BreakpointTimeoutMs 동안 멈추지 않게 함. 세션 단위인 차단 목록도 비움
+        // (다시 연결하면 DevTools가 저장해 둔 규칙과 차단 목록을 다시 보냄)
+        if (lastClient)
+        {
+            _traffic?.Breakpoints.SetRules(null);
+            _traffic?.Breakpoints.ResumeAll();
+            _traffic?.Blocking.SetBlockList(null);
         }
     }
 
@@ -276,6 +433,12 @@ public class WebSocketManager : IDisposable
             _consoleSubscription?.Dispose();
             _performanceSubscription?.Dispose();
             _applicationSubscription?.Dispose();
+            _breakpointPausedSubscription?.Dispose();
+            _breakpointResolvedSubscription?.Dispose();
+            _throttleSubscription?.Dispose();
+            _webSocketFrameSubscription?.Dispose();
+            _grpcMessageSubscription?.Dispose();
+            _grpcCompletedSubscription?.Dispose();
             CloseAll();
         }
     }
@@ -10,15 +10,48 @@
     var networkEntries = [];
     var consoleEntries = [];
     var selectedEntry = null;
+    var baselineEntry = null;
+    var pendingReplayId = null;
+    var grpcRefreshTimer = null;
+    var grpcDetailDirty = false;
+    // HAR 가져오기 세션 { name, creator } 및 그동안 보관되는 실시간 엔트리
+    var importedSession = null;
+    var liveNetworkEntries = null;
     var currentDetailTab = 'headers';
     var currentTab = 'network';
     var applicationInfo = null;
-    var isPrettyFormat = true;
+    var bodyFormat = 'pretty';
     var networkAutoScroll = true;
     var consoleAutoScroll = true;
+    var networkQuickFilter = SharpInspectNetworkFilter.loadQuickFilter();
+    var networkFilterPredicates = [];
+    var consoleFilterState = SharpInspectConsoleFilter.load();
+    var consoleFilterPredicate = null;
+    var consoleLevelCounts = {};
+    var consoleCategories = {};
+    // 동일 예외 묶음 (시그니처 → { count, firstTimestamp, entry }), 펼친 예외/프레임 그룹 키
+    var consoleExceptionGroups = {};
+    var consoleExpanded = {};
+    // 레벨별 초당 메시지 수 (최근 PERF_MAX_POINTS초) 및 현재 1초 구간의 메시지 수
+    var consoleRateData = {};
+    var consoleRateCurrent = {};
+    var networkView = [];
+    var consoleView = [];
+    var networkVirtualList = null;
+    var consoleVirtualList = null;
+    var networkOverviewAxis = null;
+    var overviewFrameRequested = false;
 
     // Performance chart data
     var PERF_MAX_POINTS = SharpInspectCharts.PERF_MAX_POINTS;
+    var CONSOLE_RATE_COLORS = {
+        Trace: 'rgb(150, 150, 150)',
+        Debug: 'rgb(86, 156, 214)',
+        Information: 'rgb(78, 201, 176)',
+        Warning: 'rgb(206, 145, 120)',
+        Error: 'rgb(241, 76, 76)',
+        Critical: 'rgb(241, 76, 76)'
+    };
     var perfCpuData = [];
     var perfMemoryData = [];
     var perfGcHeapData = [];
@@ -36,6 +69,7 @@
     var consolePanel = document.getElementById('console-panel');
     var performancePanel = document.getElementById('performance-panel');
     var applicationPanel = document.getElementById('application-panel');
+    var mocksPanel = document.getElementById('mocks-panel');
     var networkListContainer = document.querySelector('#network-panel .list-container');
     var consoleListContainer = document.getElementById('console-list');
     var networkScrollBtn = document.getElementById('network-scroll-btn');
@@ -46,7 +80,8 @@
         network: networkPanel,
         console: consolePanel,
         performance: performancePanel,
-        application: applicationPanel
+        application: applicationPanel,
+        mocks: mocksPanel
     };
 
     // ===== Tab Switching =====
@@ -63,6 +98,10 @@
                 });
                 if (currentTab === 'performance') {
                     setTimeout(renderPerfCharts, 50);
+                } else if (currentTab === 'console') {
+                    renderConsoleRates();
+                } else if (currentTab === 'network') {
+                    requestNetworkOverviewDraw();
                 }
             });
         });
@@ -96,42 +135,497 @@
     }
 
     // ===== Network Panel =====
-    function renderNetworkList() {
-        var filter = filterInput.value.toLowerCase();
-        var filtered = networkEntries.filter(function(e) {
-            return !filter || e.url.toLowerCase().indexOf(filter) !== -1 || e.method.toLowerCase().indexOf(filter) !== -1;
-        });
-
-        networkList.innerHTML = filtered.map(function(entry) {
-            var statusClass = SharpInspectUtils.getStatusClass(entry.statusCode, entry.isError);
-            var selected = selectedEntry && selectedEntry.id === entry.id ? 'selected' : '';
-            var urlName = SharpInspectUtils.getUrlName(entry.url);
-            return '<tr data-id="' + entry.id + '" class="' + selected + '">' +
-                '<td class="' + statusClass + '">' + (entry.isError && !entry.statusCode ? 'ERR' : entry.statusCode) + '</td>' +
-                '<td>' + entry.method + '</td>' +
-                '<td title="' + SharpInspectUtils.escapeHtml(entry.url) + '">' + SharpInspectUtils.escapeHtml(urlName) + '</td>' +
-                '<td>' + SharpInspectUtils.formatBytes(entry.responseContentLength) + '</td>' +
-                '<td>' + SharpInspectUtils.formatTime(entry.totalMs) + '</td>' +
-                '</tr>';
-        }).join('');
+    function isNetworkEntryVisible(entry) {
+        return SharpInspectNetworkFilter.matches(entry, networkFilterPredicates) &&
+            SharpInspectNetworkFilter.matchesQuickFilter(entry, networkQuickFilter) &&
+            SharpInspectWaterfall.matchesRange(entry);
+    }
 
-        // Add click handlers
-        networkList.querySelectorAll('tr').forEach(function(row) {
-            row.addEventListener('click', function() {
-                var id = row.dataset.id;
-                selectedEntry = networkEntries.find(function(e) { return e.id === id; });
-                renderNetworkList();
-                detailPanel.style.display = 'block';
-                renderDetail();
+    /**
+     * 표시 중인 엔트리 기준으로 Waterfall 시간 축을 갱신하고, 변경 시 보이는 행의 막대 위치만 조정
+     */
+    function updateWaterfallAxis() {
+        if (SharpInspectWaterfall.updateAxis(networkView) && SharpInspectNetworkColumns.isVisible('waterfall')) {
+            SharpInspectWaterfall.relayout(networkList);
+        }
+    }
+
+    function updateRangeIndicator(range) {
+        var indicator = document.getElementById('network-range-indicator');
+        if (!indicator) return;
+        if (!range) {
+            indicator.style.display = 'none';
+            return;
+        }
+        var first = networkEntries.length > 0 ? SharpInspectWaterfall.getStartTime(networkEntries[0]) : range.start;
+        var startOffset = range.start - first;
+        indicator.querySelector('.range-text').textContent =
+            'Range: ' + (startOffset > 0 ? SharpInspectUtils.formatTime(startOffset) : '0 ms') +
+            ' \u2013 ' + SharpInspectUtils.formatTime(range.end - first) +
+            ' (' + SharpInspectUtils.formatTime(range.end - range.start) + ')';
+        indicator.style.display = 'inline-flex';
+    }
+
+    // ===== Network Overview =====
+    /**
+     * 다음 애니메이션 프레임에 오버뷰 타임라인 다시 그리기 (연속 호출 병합)
+     */
+    function requestNetworkOverviewDraw() {
+        if (overviewFrameRequested) return;
+        overviewFrameRequested = true;
+        window.requestAnimationFrame(function() {
+            overviewFrameRequested = false;
+            // 시간 범위를 제외한 필터만 적용하여 전체 구간에서 범위를 다시 선택할 수 있도록 함
+            var entries = networkEntries.filter(function(entry) {
+                return SharpInspectNetworkFilter.matches(entry, networkFilterPredicates) &&
+                    SharpInspectNetworkFilter.matchesQuickFilter(entry, networkQuickFilter);
             });
+            networkOverviewAxis = SharpInspectCharts.drawOverview('network-overview', entries, SharpInspectWaterfall.getRange());
         });
+    }
 
-        // Auto scroll
-        if (networkAutoScroll) {
-            scrollToBottom(networkListContainer);
+    /**
+     * 오버뷰 드래그로 시간 범위 선택, 드래그 없이 클릭하면 범위 해제
+     */
+    function initNetworkOverview() {
+        var canvas = document.getElementById('network-overview');
+        var wrapper = canvas.parentElement;
+
+        canvas.addEventListener('mousedown', function(e) {
+            if (e.button !== 0 || !networkOverviewAxis) return;
+            e.preventDefault();
+
+            var rect = canvas.getBoundingClientRect();
+            var axis = networkOverviewAxis;
+            var startX = e.clientX;
+            var brush = null;
+
+            function clampX(x) {
+                return Math.min(Math.max(x, rect.left), rect.right);
+            }
+
+            function xToTime(x) {
+                var ratio = (clampX(x) - rect.left) / (rect.width || 1);
+                return axis.start + ratio * (axis.end - axis.start);
+            }
+
+            function onMove(ev) {
+                if (!brush) {
+                    if (Math.abs(ev.clientX - startX) < 3) return;
+                    brush = document.createElement('div');
+                    brush.className = 'overview-brush';
+                    wrapper.appendChild(brush);
+                }
+                var x1 = clampX(Math.min(startX, ev.clientX));
+                var x2 = clampX(Math.max(startX, ev.clientX));
+                brush.style.left = (canvas.offsetLeft + x1 - rect.left) + 'px';
+                brush.style.width = (x2 - x1) + 'px';
+            }
+
+            function onUp(ev) {
+                document.removeEventListener('mousemove', onMove);
+                document.removeEventListener('mouseup', onUp);
+                if (!brush) {
+                    SharpInspectWaterfall.setRange(null);
+                    return;
+                }
+                wrapper.removeChild(brush);
+                SharpInspectWaterfall.setRange({
+                    start: xToTime(Math.min(startX, ev.clientX)),
+                    end: xToTime(Math.max(startX, ev.clientX))
+                });
+            }
+
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
+        });
+
+        window.addEventListener('resize', requestNetworkOverviewDraw);
+    }
+
+    function renderNetworkRow(entry) {
+        var classes = [];
+        if (selectedEntry && selectedEntry.id === entry.id) classes.push('selected');
+        if (baselineEntry && baselineEntry.id === entry.id) classes.push('baseline');
+        return '<tr data-id="' + entry.id + '" class="' + classes.join(' ') + '">' +
+            SharpInspectNetworkColumns.renderCells(entry) +
+            '</tr>';
+    }
+
+    /**
+     * 필터를 다시 적용하여 네트워크 목록 전체를 재구성
+     */
+    function renderNetworkList() {
+        networkFilterPredicates = SharpInspectNetworkFilter.parse(filterInput.value.trim());
+        networkView = SharpInspectNetworkColumns.sortList(networkEntries.filter(isNetworkEntryVisible));
+        networkVirtualList.setItems(networkView);
+        updateWaterfallAxis();
+        requestNetworkOverviewDraw();
+    }
+
+    /**
+     * 새 네트워크 엔트리를 목록에 추가 (전체 재렌더링 없이 증분 추가)
+     */
+    function appendNetworkEntry(entry) {
+        // 가져온 세션을 보는 동안 실시간 엔트리는 따로 보관
+        if (importedSession) {
+            liveNetworkEntries.push(entry);
+            if (liveNetworkEntries.length > 1000) liveNetworkEntries.shift();
+            return;
+        }
+
+        networkEntries.push(entry);
+        if (networkEntries.length > 1000) {
+            var removed = networkEntries.shift();
+            var removedIndex = networkView.indexOf(removed);
+            if (removedIndex !== -1) {
+                networkView.splice(removedIndex, 1);
+            }
+        }
+        if (isNetworkEntryVisible(entry)) {
+            SharpInspectNetworkColumns.insertSorted(networkView, entry);
+        }
+        networkVirtualList.update();
+        updateWaterfallAxis();
+        requestNetworkOverviewDraw();
+
+        // 같은 트레이스의 콘솔 행에 관련 요청 링크 표시
+        if (entry.traceId) consoleVirtualList.refresh();
+
+        // 방금 재전송한 요청이 도착하면 선택
+        if (pendingReplayId === entry.id) {
+            pendingReplayId = null;
+            selectNetworkEntry(entry);
+        }
+    }
+
+    function initNetworkList() {
+        networkVirtualList = SharpInspectVirtualList.create({
+            container: networkListContainer,
+            content: networkList,
+            columns: function() { return SharpInspectNetworkColumns.getVisibleColumns().length; },
+            estimatedRowHeight: 24,
+            getKey: function(entry) { return entry.id; },
+            renderRow: renderNetworkRow,
+            shouldStickToBottom: function() { return networkAutoScroll; }
+        });
+
+        var headerRow = document.getElementById('network-header-row');
+        SharpInspectNetworkColumns.init(headerRow, document.getElementById('network-column-menu'), function(kind) {
+            if (kind === 'resize') return;
+            headerRow.innerHTML = SharpInspectNetworkColumns.renderHeader();
+            if (kind === 'columns') networkVirtualList.refresh();
+            renderNetworkList();
+        });
+
+        SharpInspectWaterfall.init(networkListContainer, function(id) {
+            return networkEntries.find(function(entry) { return entry.id === id; });
+        });
+        SharpInspectWaterfall.onRangeChange(function(range) {
+            updateRangeIndicator(range);
+            // 선택된 엔트리가 범위 밖이면 상세 패널 닫기
+            if (selectedEntry && !SharpInspectWaterfall.matchesRange(selectedEntry)) {
+                selectedEntry = null;
+                detailPanel.style.display = 'none';
+            }
+            renderNetworkList();
+        });
+        initNetworkOverview();
+        document.getElementById('network-range-clear').addEventListener('click', function() {
+            SharpInspectWaterfall.setRange(null);
+        });
+
+        // 단일 위임 클릭 핸들러
+        networkList.addEventListener('click', function(e) {
+            var row = e.target.closest('tr[data-id]');
+            if (!row) return;
+            selectNetworkEntry(findNetworkEntry(row.dataset.id));
+        });
+
+        initNetworkRowMenu();
+        initHarImport();
+    }
+
+    // ===== HAR Import =====
+    function updateImportBanner() {
+        var banner = document.getElementById('network-import-banner');
+        document.getElementById('network-panel').classList.toggle('imported-session', !!importedSession);
+        if (!importedSession) {
+            banner.style.display = 'none';
+            return;
+        }
+        banner.querySelector('.import-banner-text').textContent =
+            'Viewing imported HAR: ' + importedSession.name + ' (' + networkEntries.length + ' requests, created by ' +
+            importedSession.creator + '). Live traffic is kept separately.';
+        banner.style.display = 'flex';
+    }
+
+    /**
+     * 네트워크 목록을 다른 엔트리 집합으로 전환 (선택/시간 범위 초기화)
+     */
+    function switchNetworkEntries(entries) {
+        networkEntries = entries;
+        selectedEntry = null;
+        detailPanel.style.display = 'none';
+        updateImportBanner();
+        if (SharpInspectWaterfall.getRange()) {
+            SharpInspectWaterfall.setRange(null);
+        } else {
+            renderNetworkList();
+        }
+    }
+
+    function importHarFile(file) {
+        var reader = new FileReader();
+        reader.onload = function() {
+            var result;
+            try {
+                result = SharpInspectHarImport.parse(reader.result);
+            } catch (err) {
+                SharpInspectUtils.showToast('Import failed: ' + err.message);
+                return;
+            }
+            if (!importedSession) {
+                liveNetworkEntries = networkEntries;
+            }
+            importedSession = { name: file.name, creator: result.creator };
+            switchNetworkEntries(result.entries);
+            SharpInspectUtils.showToast('Imported ' + result.entries.length + ' requests');
+        };
+        reader.onerror = function() {
+            SharpInspectUtils.showToast('Import failed: unable to read file');
+        };
+        reader.readAsText(file);
+    }
+
+    function closeImportedSession() {
+        if (!importedSession) return;
+        importedSession = null;
+        var live = liveNetworkEntries;
+        liveNetworkEntries = null;
+        switchNetworkEntries(live);
+    }
+
+    /**
+     * Import HAR 버튼, 드래그 앤 드롭, 가져오기 종료 버튼 연결
+     */
+    function initHarImport() {
+        var panel = document.getElementById('network-panel');
+        var fileInput = document.getElementById('import-har-input');
+
+        document.getElementById('import-har-btn').addEventListener('click', function() {
+            fileInput.click();
+        });
+        fileInput.addEventListener('change', function() {
+            if (fileInput.files && fileInput.files[0]) importHarFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        document.getElementById('network-import-close').addEventListener('click', closeImportedSession);
+
+        function hasFiles(e) {
+            return e.dataTransfer && Array.prototype.indexOf.call(e.dataTransfer.types || [], 'Files') !== -1;
+        }
+
+        panel.addEventListener('dragover', function(e) {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            panel.classList.add('drag-over');
+        });
+        panel.addEventListener('dragleave', function(e) {
+            if (!panel.contains(e.relatedTarget)) panel.classList.remove('drag-over');
+        });
+        panel.addEventListener('drop', function(e) {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            panel.classList.remove('drag-over');
+            if (e.dataTransfer.files[0]) importHarFile(e.dataTransfer.files[0]);
+        });
+    }
+
+    function findNetworkEntry(id) {
+        return networkEntries.find(function(entry) { return entry.id === id; });
+    }
+
+    function selectNetworkEntry(entry) {
+        selectedEntry = entry;
+        var isWebSocket = !!(entry && entry.isWebSocket);
+        document.getElementById('messages-tab').style.display = isWebSocket ? '' : 'none';
+        if (!isWebSocket && currentDetailTab === 'messages') showDetailTab('headers');
+        updateLogsTab();
+        networkVirtualList.refresh();
+        detailPanel.style.display = 'block';
+        updateReplayButtons();
+        renderDetail();
+    }
+
+    function showDetailTab(name) {
+        document.querySelectorAll('.detail-tab').forEach(function(t) {
+            t.classList.toggle('active', t.dataset.detail === name);
+        });
+        currentDetailTab = name;
+    }
+
+    // ===== Replay =====
+    function updateReplayButtons() {
+        // 가져온 HAR 엔트리는 서버에 없어 재전송할 수 없으므로 버튼을 숨김
+        var imported = !!(selectedEntry && selectedEntry.imported);
+        document.querySelector('.replay-actions').classList.toggle('hidden', imported);
+        ['replay-btn', 'edit-replay-btn'].forEach(function(id) {
+            document.getElementById(id).disabled = !selectedEntry || imported;
+        });
+    }
+
+    function onReplayed(entry) {
+        SharpInspectUtils.showToast('Replayed: ' + (entry.isError ? entry.errorMessage : entry.statusCode + ' ' + (entry.statusText || '')));
+        var existing = findNetworkEntry(entry.id);
+        if (existing) {
+            selectNetworkEntry(existing);
+        } else {
+            // WebSocket으로 엔트리가 도착하면 선택
+            pendingReplayId = entry.id;
         }
     }
 
+    /**
+     * Replay / Edit and Replay 버튼과 원본 요청 링크 연결
+     */
+    function initReplay() {
+        document.getElementById('replay-btn').addEventListener('click', function() {
+            if (selectedEntry && !selectedEntry.imported) SharpInspectReplay.replay(selectedEntry);
+        });
+        document.getElementById('edit-replay-btn').addEventListener('click', function() {
+            if (selectedEntry && !selectedEntry.imported) SharpInspectReplay.openEditor(selectedEntry);
+        });
+        SharpInspectReplay.init(onReplayed);
+
+        detailContent.addEventListener('click', function(e) {
+            var link = e.target.closest('[data-replay-of]');
+            if (!link) return;
+            e.preventDefault();
+            var original = findNetworkEntry(link.dataset.replayOf);
+            if (original) {
+                selectNetworkEntry(original);
+            } else {
+                SharpInspectUtils.showToast('The original request is no longer in the list');
+            }
+        });
+    }
+
+    // ===== Network Row Context Menu =====
+    function setBaselineEntry(entry) {
+        baselineEntry = entry;
+        document.getElementById('diff-tab').style.display = entry ? '' : 'none';
+        if (!entry && currentDetailTab === 'diff') showDetailTab('headers');
+        networkVirtualList.refresh();
+        if (selectedEntry) renderDetail();
+    }
+
+    /**
+     * 행 우클릭 메뉴 (기준 지정, 기준과 비교, 목 규칙, 요청 차단)
+     */
+    function initNetworkRowMenu() {
+        var menu = document.getElementById('network-row-menu');
+        var menuEntry = null;
+
+        networkList.addEventListener('contextmenu', function(e) {
+            var row = e.target.closest('tr[data-id]');
+            if (!row) return;
+            e.preventDefault();
+            menuEntry = findNetworkEntry(row.dataset.id);
+            if (!menuEntry) return;
+
+            var isBaseline = baselineEntry && baselineEntry.id === menuEntry.id;
+            var html = '<button class="copy-menu-item" data-action="baseline">' +
+                (isBaseline ? 'Unmark baseline' : 'Mark as baseline') + '</button>';
+            if (baselineEntry && !isBaseline) {
+                html += '<button class="copy-menu-item" data-action="compare">Compare with baseline</button>';
+            }
+            html += '<span class="menu-separator"></span>' +
+                '<button class="copy-menu-item" data-action="mock">Mock this response</button>' +
+                '<button class="copy-menu-item" data-action="block-url">Block request URL</button>' +
+                '<button class="copy-menu-item" data-action="block-domain">Block request domain</button>';
+            menu.innerHTML = html;
+            menu.style.left = e.clientX + 'px';
+            menu.style.top = e.clientY + 'px';
+            menu.classList.add('show');
+        });
+
+        menu.addEventListener('click', function(e) {
+            e.stopPropagation();
+            var item = e.target.closest('.copy-menu-item');
+            if (!item || !menuEntry) return;
+            menu.classList.remove('show');
+
+            switch (item.dataset.action) {
+                case 'baseline':
+                    setBaselineEntry(baselineEntry && baselineEntry.id === menuEntry.id ? null : menuEntry);
+                    SharpInspectUtils.showToast(baselineEntry ? 'Marked as baseline' : 'Baseline cleared');
+                    break;
+                case 'compare':
+                    showDetailTab('diff');
+                    selectNetworkEntry(menuEntry);
+                    break;
+                case 'mock':
+                    SharpInspectMocks.createFromEntry(menuEntry);
+                    break;
+                case 'block-url':
+                    SharpInspectBlocking.blockUrl(menuEntry);
+                    break;
+                case 'block-domain':
+                    SharpInspectBlocking.blockDomain(menuEntry);
+                    break;
+            }
+        });
+
+        document.addEventListener('click', function() {
+            menu.classList.remove('show');
+        });
+    }
+
+    // ===== Network Quick Filter Chips =====
+    function updateFilterChips() {
+        document.querySelectorAll('#network-filter-chips .filter-chip').forEach(function(chip) {
+            var active;
+            if (chip.dataset.toggle) {
+                active = networkQuickFilter[chip.dataset.toggle];
+            } else if (chip.dataset.type === 'all') {
+                active = networkQuickFilter.types.length === 0;
+            } else {
+                active = networkQuickFilter.types.indexOf(chip.dataset.type) !== -1;
+            }
+            chip.classList.toggle('active', !!active);
+        });
+    }
+
+    function initFilterChips() {
+        var container = document.getElementById('network-filter-chips');
+        if (!container) return;
+
+        container.addEventListener('click', function(e) {
+            var chip = e.target.closest('.filter-chip');
+            if (!chip) return;
+
+            if (chip.dataset.toggle) {
+                networkQuickFilter[chip.dataset.toggle] = !networkQuickFilter[chip.dataset.toggle];
+            } else if (chip.dataset.type === 'all') {
+                networkQuickFilter.types = [];
+            } else if (e.ctrlKey || e.metaKey) {
+                // Ctrl/Cmd+클릭: 다중 선택
+                var idx = networkQuickFilter.types.indexOf(chip.dataset.type);
+                if (idx === -1) networkQuickFilter.types.push(chip.dataset.type);
+                else networkQuickFilter.types.splice(idx, 1);
+            } else {
+                networkQuickFilter.types = [chip.dataset.type];
+            }
+
+            SharpInspectNetworkFilter.saveQuickFilter(networkQuickFilter);
+            updateFilterChips();
+            renderNetworkList();
+        });
+
+        updateFilterChips();
+    }
+
     function renderDetail() {
         if (!selectedEntry) return;
 
@@ -141,7 +635,15 @@
         // Body controls 표시/숨김
         var bodyControls = document.getElementById('body-controls');
         if (bodyControls) {
-            bodyControls.style.display = (currentDetailTab === 'request' || currentDetailTab === 'response') ? 'flex' : 'none';
+            var isBodyTab = currentDetailTab === 'request' || currentDetailTab === 'response';
+            bodyControls.style.display = isBodyTab && !e.isGrpc ? 'flex' : 'none';
+        }
+
+        // gRPC 호출의 Request/Response 탭은 본문 대신 protobuf 메시지를 하나씩 표시
+        if (e.isGrpc && (currentDetailTab === 'request' || currentDetailTab === 'response')) {
+            detailContent.innerHTML = SharpInspectGrpc.render(e, currentDetailTab === 'request' ? 'Request' : 'Response');
+            SharpInspectGrpc.bind(detailContent, renderDetail);
+            return;
         }
 
         switch (currentDetailTab) {
@@ -153,54 +655,472 @@
 
             case 'request':
                 var reqContentType = (e.requestHeaders && e.requestHeaders['Content-Type']) || e.requestContentType || '';
-                html = SharpInspectDetailRenderer.renderBody(
-                    e.requestBody || '(No request body)',
-                    reqContentType,
-                    isPrettyFormat
-                );
-                detailContent.innerHTML = html;
+                renderBodyContent(e.requestBody || '(No request body)', reqContentType);
                 SharpInspectDetailRenderer.initHeaderCollapse();
                 break;
 
             case 'response':
                 var resContentType = (e.responseHeaders && e.responseHeaders['Content-Type']) || '';
-                html = SharpInspectDetailRenderer.renderBody(
-                    e.responseBody || '(No response body)',
-                    resContentType,
-                    isPrettyFormat
-                );
-                detailContent.innerHTML = html;
+                if (e.responseBodyEncoding === 'base64' && e.responseBody && bodyFormat !== 'raw') {
+                    var binary = SharpInspectDetailRenderer.decodeBase64(e.responseBody);
+                    detailContent.innerHTML = binary !== null
+                        ? SharpInspectDetailRenderer.renderHexDump(binary)
+                        : SharpInspectDetailRenderer.renderBody(e.responseBody, resContentType, false);
+                    break;
+                }
+                renderBodyContent(e.responseBody || '(No response body)', resContentType);
+                break;
+
+            case 'preview':
+                detailContent.innerHTML = SharpInspectDetailRenderer.renderPreview(e);
+                SharpInspectDetailRenderer.initPreview();
                 break;
 
             case 'timing':
                 html = SharpInspectDetailRenderer.renderTiming(e);
                 detailContent.innerHTML = html;
                 break;
+
+            case 'messages':
+                SharpInspectWebSocketMessages.render(e, detailContent);
+                break;
+
+            case 'logs':
+                detailContent.innerHTML = SharpInspectNetworkLogs.render(e, consoleEntries);
+                break;
+
+            case 'diff':
+                if (!baselineEntry) {
+                    detailContent.innerHTML = '<div class="body-empty">Right-click a row and choose "Mark as baseline" to compare</div>';
+                } else if (baselineEntry.id === e.id) {
+                    detailContent.innerHTML = '<div class="body-empty">This request is the baseline. Select another request to compare</div>';
+                } else {
+                    detailContent.innerHTML = SharpInspectDiff.render(baselineEntry, e);
+                    SharpInspectDetailRenderer.initHeaderCollapse();
+                }
+                break;
         }
     }
 
+    /**
+     * 선택된 형식(Pretty/Raw/Tree)으로 본문 렌더링. Tree는 JSON 본문에만 적용되고 그 외에는 Pretty로 표시
+     */
+    function renderBodyContent(content, contentType) {
+        if (bodyFormat === 'tree' &&
+            SharpInspectDetailRenderer.detectContentType(content, contentType) === 'json' &&
+            SharpInspectJsonTree.render(detailContent, content)) {
+            return;
+        }
+        detailContent.innerHTML = SharpInspectDetailRenderer.renderBody(content, contentType, bodyFormat !== 'raw');
+    }
+
     // ===== Console Panel =====
+    function isConsoleEntryVisible(entry) {
+        return !consoleFilterPredicate || consoleFilterPredicate(entry);
+    }
+
+    function isConsoleKeyOpen(key) {
+        return !!consoleExpanded[key];
+    }
+
+    function renderConsoleRow(entry) {
+        var levelClass = SharpInspectUtils.getLevelClass(entry.level);
+        var signature = SharpInspectConsoleException.getSignature(entry);
+        var group = signature ? consoleExceptionGroups[signature] : null;
+        var repeat = entry.repeatCount || 1;
+        var time = new Date(entry.timestamp).toLocaleTimeString() +
+            (repeat > 1 ? ' &ndash; ' + new Date(entry.lastTimestamp).toLocaleTimeString() : '');
+        return '<div class="console-row" data-id="' + entry.id + '">' +
+            '<span class="' + levelClass + '">[' + entry.level + ']</span>' +
+            '<span style="color: var(--text-secondary); margin-left: 8px">' + time + '</span>' +
+            '<span style="color: var(--status-3xx); margin-left: 8px">' + (entry.category || '') + '</span>' +
+            (SharpInspectNetworkLogs.hasLink(entry, getLiveNetworkEntries())
+                ? '<button class="console-link" data-action="show-request" title="Show related request">&#128279;</button>'
+                : '') +
+            (group && group.count > 1
+                ? '<span class="exception-count" title="' + group.count + ' occurrences since ' + new Date(group.firstTimestamp).toLocaleTimeString() + '">' + group.count + '</span>'
+                : repeat > 1
+                    ? '<span class="repeat-count" title="Repeated ' + repeat + ' times in a row">' + repeat + '</span>'
+                    : '') +
+            '<div style="margin-top: 2px; white-space: pre-wrap; word-break: break-all;">' + SharpInspectUtils.escapeHtml(entry.message) + '</div>' +
+            SharpInspectConsoleProperties.render(entry, isConsoleKeyOpen) +
+            SharpInspectConsoleException.render(entry, isConsoleKeyOpen) +
+            '</div>';
+    }
+
+    /**
+     * 표시 목록에 엔트리 추가. 동일한 예외가 이미 있으면 이전 행을 빼고 최신 행에 발생 횟수를 합산
+     */
+    function addToConsoleView(entry) {
+        var signature = SharpInspectConsoleException.getSignature(entry);
+        if (signature) {
+            var group = consoleExceptionGroups[signature];
+            if (group) {
+                var idx = consoleView.lastIndexOf(group.entry);
+                if (idx !== -1) consoleView.splice(idx, 1);
+                if (consoleExpanded[group.entry.id]) consoleExpanded[entry.id] = true;
+                group.count += entry.repeatCount || 1;
+                group.entry = entry;
+            } else {
+                consoleExceptionGroups[signature] = { count: entry.repeatCount || 1, firstTimestamp: entry.timestamp, entry: entry };
+            }
+        }
+        consoleView.push(entry);
+    }
+
+    /**
+     * 버퍼에서 밀려난 엔트리를 표시 목록과 예외 묶음에서 제거
+     */
+    function removeFromConsoleView(entry) {
+        if (consoleView.length > 0 && consoleView[0] === entry) {
+            consoleView.shift();
+        }
+        delete consoleExpanded[entry.id];
+
+        var signature = SharpInspectConsoleException.getSignature(entry);
+        var group = signature ? consoleExceptionGroups[signature] : null;
+        if (!group || !isConsoleEntryVisible(entry)) return;
+        if (group.entry === entry) {
+            delete consoleExceptionGroups[signature];
+        } else {
+            group.count -= entry.repeatCount || 1;
+        }
+    }
+
+    /**
+     * 필터를 다시 적용하여 콘솔 목록 전체를 재구성
+     */
     function renderConsoleList() {
-        var filter = consoleFilterInput.value.toLowerCase();
-        var filtered = consoleEntries.filter(function(e) {
-            return !filter || e.message.toLowerCase().indexOf(filter) !== -1;
-        });
-
-        consoleList.innerHTML = filtered.map(function(entry) {
-            var levelClass = SharpInspectUtils.getLevelClass(entry.level);
-            return '<div style="padding: 4px 8px; border-bottom: 1px solid var(--border-secondary); font-family: monospace; font-size: 12px;">' +
-                '<span class="' + levelClass + '">[' + entry.level + ']</span>' +
-                '<span style="color: var(--text-secondary); margin-left: 8px">' + new Date(entry.timestamp).toLocaleTimeString() + '</span>' +
-                '<span style="color: var(--status-3xx); margin-left: 8px">' + (entry.category || '') + '</span>' +
-                '<div style="margin-top: 2px; white-space: pre-wrap; word-break: break-all;">' + SharpInspectUtils.escapeHtml(entry.message) + '</div>' +
-                (entry.exceptionDetails ? '<div style="color: var(--status-5xx); margin-top: 4px; white-space: pre-wrap;">' + SharpInspectUtils.escapeHtml(entry.exceptionDetails) + '</div>' : '') +
-                '</div>';
-        }).join('');
+        var filter = SharpInspectConsoleFilter.createPredicate(consoleFilterState, consoleFilterInput.value);
+        consoleFilterPredicate = filter.predicate;
+        consoleFilterInput.classList.toggle('invalid', !!filter.error);
+        consoleFilterInput.title = filter.error || '';
+
+        consoleLevelCounts = {};
+        consoleEntries.forEach(function(entry) { countConsoleEntry(entry, entry.repeatCount || 1); });
+        updateConsoleLevelChips();
+
+        consoleExceptionGroups = {};
+        consoleView = [];
+        consoleEntries.forEach(function(entry) {
+            if (isConsoleEntryVisible(entry)) addToConsoleView(entry);
+        });
+        consoleVirtualList.setItems(consoleView);
+    }
 
-        // Auto scroll
-        if (consoleAutoScroll) {
-            scrollToBottom(consoleListContainer);
+    /**
+     * 직전 엔트리와 레벨, 카테고리, 메시지(예외 포함)가 같은지 여부
+     */
+    function sameValues(a, b) {
+        return JSON.stringify(a || null) === JSON.stringify(b || null);
+    }
+
+    /**
+     * 합쳐도 잃는 정보가 없는 반복인지 여부
+     * 연결된 요청/트레이스, 구조화 속성, 스코프가 다르면 별도 행으로 유지 (Logs 탭과 prop:/scope: 필터에서 사라지지 않도록)
+     */
+    function isRepeatOf(previous, entry) {
+        return previous.level === entry.level &&
+            (previous.category || '') === (entry.category || '') &&
+            previous.message === entry.message &&
+            (previous.networkEntryId || null) === (entry.networkEntryId || null) &&
+            (previous.traceId || null) === (entry.traceId || null) &&
+            sameValues(previous.properties, entry.properties) &&
+            sameValues(previous.scopes, entry.scopes) &&
+            sameValues(previous.scopeProperties, entry.scopeProperties) &&
+            SharpInspectConsoleException.getSignature(previous) === SharpInspectConsoleException.getSignature(entry);
+    }
+
+    function mergeRepeat(previous, entry) {
+        previous.repeatCount = (previous.repeatCount || 1) + 1;
+        previous.lastTimestamp = entry.timestamp;
+    }
+
+    /**
+     * 연속된 동일 메시지를 첫 엔트리 하나로 합침 (반복 횟수와 마지막 시각 기록)
+     */
+    function collapseConsoleRepeats(entries) {
+        var result = [];
+        entries.forEach(function(entry) {
+            var last = result[result.length - 1];
+            if (last && isRepeatOf(last, entry)) mergeRepeat(last, entry);
+            else result.push(entry);
+        });
+        return result;
+    }
+
+    /**
+     * 새 콘솔 엔트리를 목록에 추가 (전체 재렌더링 없이 증분 추가)
+     * 직전 엔트리의 반복이면 버퍼에 넣지 않고 직전 행의 반복 횟수만 올림
+     */
+    function appendConsoleEntry(entry) {
+        consoleRateCurrent[entry.level] = (consoleRateCurrent[entry.level] || 0) + 1;
+
+        var last = consoleEntries[consoleEntries.length - 1];
+        if (last && isRepeatOf(last, entry)) {
+            mergeRepeat(last, entry);
+            countConsoleEntry(last, 1);
+            updateConsoleLevelChips();
+            if (isConsoleEntryVisible(last)) {
+                var signature = SharpInspectConsoleException.getSignature(last);
+                if (signature && consoleExceptionGroups[signature]) consoleExceptionGroups[signature].count++;
+                consoleVirtualList.invalidate(last.id);
+            }
+            return;
+        }
+
+        consoleEntries.push(entry);
+        countConsoleEntry(entry, 1);
+        if (consoleEntries.length > 5000) {
+            var removed = consoleEntries.shift();
+            countConsoleEntry(removed, -(removed.repeatCount || 1));
+            removeFromConsoleView(removed);
         }
+        updateConsoleLevelChips();
+        if (isConsoleEntryVisible(entry)) {
+            addToConsoleView(entry);
+        }
+        consoleVirtualList.update();
+        onCorrelatedConsoleEntry(entry);
+    }
+
+    /**
+     * 레벨별 엔트리 수를 갱신하고 처음 보는 카테고리를 기록
+     */
+    function countConsoleEntry(entry, delta) {
+        consoleLevelCounts[entry.level] = (consoleLevelCounts[entry.level] || 0) + delta;
+        consoleCategories[entry.category || ''] = true;
+    }
+
+    function updateConsoleLevelChips() {
+        document.querySelectorAll('#console-level-chips .filter-chip').forEach(function(chip) {
+            var level = chip.dataset.level;
+            chip.classList.toggle('active', consoleFilterState.levels.indexOf(level) !== -1);
+            chip.querySelector('.level-count').textContent = consoleLevelCounts[level] || 0;
+        });
+        document.querySelectorAll('#console-panel .filter-chip[data-option]').forEach(function(chip) {
+            chip.classList.toggle('active', !!consoleFilterState[chip.dataset.option]);
+        });
+    }
+
+    /**
+     * 지금까지 본 카테고리로 카테고리 선택 메뉴 구성 (저장된 선택 항목 포함)
+     */
+    function renderConsoleCategoryMenu() {
+        var selected = consoleFilterState.categories;
+        var names = Object.keys(consoleCategories);
+        selected.forEach(function(c) {
+            if (names.indexOf(c) === -1) names.push(c);
+        });
+        names.sort(function(a, b) { return a.localeCompare(b); });
+
+        document.getElementById('console-category-btn').innerHTML =
+            SharpInspectUtils.escapeHtml(SharpInspectConsoleFilter.getCategoryLabel(consoleFilterState)) + ' &#9660;';
+        document.getElementById('console-category-menu').innerHTML =
+            '<button class="copy-menu-item" data-action="all">' +
+            '<span class="column-check">' + (selected.length === 0 ? '&#10003;' : '') + '</span>All categories</button>' +
+            (names.length > 0 ? '<span class="menu-separator"></span>' : '') +
+            names.map(function(name) {
+                return '<button class="copy-menu-item" data-category="' + SharpInspectUtils.escapeAttr(name) + '">' +
+                    '<span class="column-check">' + (selected.indexOf(name) !== -1 ? '&#10003;' : '') + '</span>' +
+                    (name ? SharpInspectUtils.escapeHtml(name) : '(no category)') + '</button>';
+            }).join('');
+    }
+
+    function onConsoleFilterChanged() {
+        SharpInspectConsoleFilter.save(consoleFilterState);
+        renderConsoleList();
+    }
+
+    function initConsoleFilters() {
+        document.getElementById('console-level-chips').addEventListener('click', function(e) {
+            var chip = e.target.closest('.filter-chip');
+            if (!chip) return;
+            SharpInspectConsoleFilter.toggleLevel(consoleFilterState, chip.dataset.level, e.ctrlKey || e.metaKey);
+            onConsoleFilterChanged();
+        });
+
+        document.querySelectorAll('#console-panel .filter-chip[data-option]').forEach(function(chip) {
+            chip.addEventListener('click', function() {
+                consoleFilterState[chip.dataset.option] = !consoleFilterState[chip.dataset.option];
+                onConsoleFilterChanged();
+            });
+        });
+
+        var categoryBtn = document.getElementById('console-category-btn');
+        var categoryMenu = document.getElementById('console-category-menu');
+
+        categoryBtn.addEventListener('click', function(e) {
+            e.stopPropagation();
+            renderConsoleCategoryMenu();
+            categoryMenu.classList.toggle('show');
+        });
+
+        document.addEventListener('click', function() {
+            categoryMenu.classList.remove('show');
+        });
+
+        categoryMenu.addEventListener('click', function(e) {
+            // 여러 카테고리를 고를 수 있도록 메뉴를 열어 둠
+            e.stopPropagation();
+            var item = e.target.closest('.copy-menu-item');
+            if (!item) return;
+            if (item.dataset.action === 'all') {
+                consoleFilterState.categories = [];
+            } else {
+                SharpInspectConsoleFilter.toggleCategory(consoleFilterState, item.dataset.category);
+            }
+            onConsoleFilterChanged();
+            renderConsoleCategoryMenu();
+        });
+
+        renderConsoleCategoryMenu();
+        updateConsoleLevelChips();
+    }
+
+    function initConsoleList() {
+        consoleVirtualList = SharpInspectVirtualList.create({
+            container: consoleListContainer,
+            content: consoleList,
+            estimatedRowHeight: 42,
+            getKey: function(entry) { return entry.id; },
+            renderRow: renderConsoleRow,
+            shouldStickToBottom: function() { return consoleAutoScroll; }
+        });
+
+        // 예외/속성 펼치기/접기, 프레임워크 프레임 그룹 펼치기, 프레임 복사, 속성 값으로 필터, 관련 요청으로 이동
+        consoleList.addEventListener('click', function(e) {
+            var target = e.target.closest('[data-action]');
+            if (!target) return;
+
+            if (target.dataset.action === 'show-request') {
+                showRelatedRequest(findConsoleEntry(target.closest('.console-row').dataset.id));
+                return;
+            }
+
+            if (target.dataset.action === 'add-filter') {
+                var query = consoleFilterInput.value.trim();
+                if ((' ' + query + ' ').indexOf(' ' + target.dataset.token + ' ') === -1) {
+                    consoleFilterInput.value = (query ? query + ' ' : '') + target.dataset.token;
+                    renderConsoleList();
+                }
+                return;
+            }
+
+            if (target.dataset.action === 'copy-frame') {
+                SharpInspectUtils.copyToClipboard(target.dataset.frame).then(function() {
+                    SharpInspectUtils.showToast('Copied stack frame');
+                });
+                return;
+            }
+
+            var key = target.dataset.key;
+            if (consoleExpanded[key]) delete consoleExpanded[key];
+            else consoleExpanded[key] = true;
+            consoleVirtualList.invalidate(target.closest('.console-row').dataset.id);
+        });
+    }
+
+    // ===== Console Message Rate =====
+    /**
+     * 1초마다 레벨별 메시지 수를 기록하고 Console 탭이 보이면 스파크라인 갱신
+     */
+    function initConsoleRates() {
+        SharpInspectConsoleFilter.LEVELS.forEach(function(level) {
+            consoleRateData[level] = [];
+            for (var i = 0; i < PERF_MAX_POINTS; i++) consoleRateData[level].push(0);
+        });
+
+        setInterval(function() {
+            SharpInspectConsoleFilter.LEVELS.forEach(function(level) {
+                consoleRateData[level].push(consoleRateCurrent[level] || 0);
+                if (consoleRateData[level].length > PERF_MAX_POINTS) consoleRateData[level].shift();
+            });
+            consoleRateCurrent = {};
+            if (currentTab === 'console') renderConsoleRates();
+        }, 1000);
+    }
+
+    function renderConsoleRates() {
+        SharpInspectConsoleFilter.LEVELS.forEach(function(level) {
+            var data = consoleRateData[level];
+            SharpInspectCharts.drawChart('console-rate-' + level, data, CONSOLE_RATE_COLORS[level], null, { height: 14, grid: false });
+            var canvas = document.getElementById('console-rate-' + level);
+            if (canvas) {
+                canvas.title = level + ': ' + data[data.length - 1] + ' msg/s (peak ' + Math.max.apply(null, data) + ' msg/s in the last ' + PERF_MAX_POINTS + 's)';
+            }
+        });
+    }
+
+    // ===== Log Correlation =====
+    function getLiveNetworkEntries() {
+        return importedSession ? liveNetworkEntries : networkEntries;
+    }
+
+    function findConsoleEntry(id) {
+        return consoleEntries.find(function(entry) { return entry.id === id; });
+    }
+
+    function switchToTab(name) {
+        document.querySelector('.tab[data-tab="' + name + '"]').click();
+    }
+
+    /**
+     * 선택된 요청과 관련된 로그 개수를 Logs 탭 라벨에 표시
+     */
+    function updateLogsTab() {
+        var count = selectedEntry ? SharpInspectNetworkLogs.findLogs(selectedEntry, consoleEntries).length : 0;
+        document.getElementById('logs-tab').textContent = count > 0 ? 'Logs (' + count + ')' : 'Logs';
+    }
+
+    /**
+     * 새 콘솔 엔트리가 선택된 요청과 관련되면 Logs 탭 갱신
+     */
+    function onCorrelatedConsoleEntry(entry) {
+        if (!selectedEntry || !SharpInspectNetworkLogs.getRelation(selectedEntry, entry)) return;
+        updateLogsTab();
+        if (currentDetailTab === 'logs') renderDetail();
+    }
+
+    /**
+     * 콘솔 엔트리와 관련된 요청을 Network 탭에서 선택 (가져온 HAR을 보는 중이면 실시간 목록으로 복귀)
+     */
+    function showRelatedRequest(consoleEntry) {
+        var entry = consoleEntry && SharpInspectNetworkLogs.findNetworkEntry(consoleEntry, getLiveNetworkEntries());
+        if (!entry) {
+            SharpInspectUtils.showToast(consoleEntry && consoleEntry.networkEntryId
+                ? 'The related request is still in progress or no longer in the list'
+                : 'No related request in the list');
+            return;
+        }
+
+        if (importedSession) closeImportedSession();
+        switchToTab('network');
+        networkAutoScroll = false;
+        updateScrollButton(networkScrollBtn, false);
+        if (!networkVirtualList.scrollToKey(entry.id)) {
+            SharpInspectUtils.showToast('The related request is hidden by the current filter');
+        }
+        selectNetworkEntry(entry);
+    }
+
+    /**
+     * Logs 탭에서 선택한 로그를 Console 탭에서 표시
+     */
+    function showConsoleEntry(id) {
+        switchToTab('console');
+        consoleAutoScroll = false;
+        updateScrollButton(consoleScrollBtn, false);
+        if (!consoleVirtualList.scrollToKey(id)) {
+            SharpInspectUtils.showToast('The log entry is hidden by the current filter');
+        }
+    }
+
+    function initLogCorrelation() {
+        detailContent.addEventListener('click', function(e) {
+            var row = e.target.closest('[data-log-id]');
+            if (row) showConsoleEntry(row.dataset.logId);
+        });
     }
 
     // ===== Performance Panel =====
@@ -342,6 +1262,48 @@
     }
 
     // ===== WebSocket =====
+    /**
+     * 서버로 { type, data } 메시지 전송
+     * @returns {boolean} 연결되어 있어 전송했으면 true
+     */
+    function sendWebSocketMessage(message) {
+        if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+        ws.send(JSON.stringify(message));
+        return true;
+    }
+
+    /**
+     * 실시간 엔트리 검색. 가져온 세션을 보는 동안에는 따로 보관 중인 실시간 엔트리에서 찾음
+     */
+    function findLiveNetworkEntry(id) {
+        return (importedSession ? liveNetworkEntries : networkEntries).find(function(entry) {
+            return entry.id === id;
+        });
+    }
+
+    /**
+     * gRPC 메시지/완료 알림을 엔트리에 반영하고, 표시 중이면 목록과 상세를 짧은 간격으로 한 번만 다시 그림
+     */
+    function onGrpcUpdate(entry, msg) {
+        if (msg.type === 'grpc:message') {
+            SharpInspectGrpc.addMessage(entry, msg.data.message);
+        } else {
+            SharpInspectGrpc.complete(entry, msg.data);
+        }
+
+        if (importedSession) return;
+        if (entry === selectedEntry) grpcDetailDirty = true;
+        if (grpcRefreshTimer) return;
+        grpcRefreshTimer = setTimeout(function() {
+            grpcRefreshTimer = null;
+            networkVirtualList.refresh();
+            if (grpcDetailDirty) {
+                grpcDetailDirty = false;
+                renderDetail();
+            }
+        }, 100);
+    }
+
     function connectWebSocket() {
         var wsUrl = 'ws://' + window.location.host + '/ws';
         ws = new WebSocket(wsUrl);
@@ -349,6 +1311,10 @@
         ws.onopen = function() {
             wsStatus.classList.add('connected');
             wsStatus.title = 'WebSocket connected';
+            SharpInspectBreakpoints.sync();
+            SharpInspectMocks.sync();
+            SharpInspectThrottling.sync();
+            SharpInspectBlocking.sync();
         };
 
         ws.onclose = function() {
@@ -365,22 +1331,28 @@
             try {
                 var msg = JSON.parse(event.data);
                 if (msg.type === 'network:entry') {
-                    networkEntries.push(msg.data);
-                    if (networkEntries.length > 1000) {
-                        networkEntries.shift();
-                    }
-                    renderNetworkList();
+                    appendNetworkEntry(msg.data);
                 } else if (msg.type === 'console:entry') {
-                    consoleEntries.push(msg.data);
-                    if (consoleEntries.length > 5000) {
-                        consoleEntries.shift();
-                    }
-                    renderConsoleList();
+                    appendConsoleEntry(msg.data);
                 } else if (msg.type === 'performance:entry') {
                     updatePerformanceUI(msg.data);
                 } else if (msg.type === 'application:info') {
                     applicationInfo = msg.data;
                     renderApplicationInfo();
+                } else if (msg.type === 'breakpoint:paused') {
+                    SharpInspectBreakpoints.onPaused(msg.data);
+                } else if (msg.type === 'breakpoint:resolved') {
+                    SharpInspectBreakpoints.onResolved(msg.data);
+                } else if (msg.type === 'websocket:frame') {
+                    var wsEntry = findLiveNetworkEntry(msg.data.entryId);
+                    if (wsEntry) SharpInspectWebSocketMessages.addFrame(wsEntry, msg.data.frame);
+                } else if (msg.type === 'grpc:message' || msg.type === 'grpc:completed') {
+                    var grpcEntry = findLiveNetworkEntry(msg.data.entryId);
+                    if (grpcEntry) onGrpcUpdate(grpcEntry, msg);
+                } else if (msg.type === 'throttling:changed') {
+                    SharpInspectThrottling.onChanged(msg.data);
+                } else if (msg.type === 'error') {
+                    SharpInspectUtils.showToast(msg.data.message);
                 }
             } catch (ex) {}
         };
@@ -394,10 +1366,16 @@
 
         // Clear buttons
         document.getElementById('clear-btn').addEventListener('click', function() {
+            // 가져온 세션은 서버 데이터를 지우지 않고 실시간 목록으로 복귀
+            if (importedSession) {
+                closeImportedSession();
+                return;
+            }
             fetch(API_BASE + '/api/network/clear', { method: 'POST' })
                 .then(function() {
                     networkEntries = [];
                     selectedEntry = null;
+                    setBaselineEntry(null);
                     renderNetworkList();
                     detailPanel.style.display = 'none';
                 });
@@ -411,7 +1389,10 @@
             fetch(API_BASE + '/api/console/clear', { method: 'POST' })
                 .then(function() {
                     consoleEntries = [];
+                    consoleExpanded = {};
                     renderConsoleList();
+                    updateLogsTab();
+                    if (selectedEntry && currentDetailTab === 'logs') renderDetail();
                 });
         });
 
@@ -453,19 +1434,47 @@
         });
 
         networkScrollBtn.addEventListener('click', function() {
-            scrollToBottom(networkListContainer);
             networkAutoScroll = true;
+            scrollToBottom(networkListContainer);
+            networkVirtualList.update();
             updateScrollButton(networkScrollBtn, true);
         });
 
         consoleScrollBtn.addEventListener('click', function() {
-            scrollToBottom(consoleListContainer);
             consoleAutoScroll = true;
+            scrollToBottom(consoleListContainer);
+            consoleVirtualList.update();
             updateScrollButton(consoleScrollBtn, true);
         });
 
+        // Resource type chips
+        initFilterChips();
+
+        // Console level/category filters
+        initConsoleFilters();
+        initConsoleRates();
+
         // Copy dropdown
         initCopyDropdown();
+        initBulkCopyDropdown();
+
+        // Replay
+        initReplay();
+
+        // Network request <-> console log links
+        initLogCorrelation();
+
+        // Breakpoints
+        SharpInspectBreakpoints.init(sendWebSocketMessage);
+
+        // Mocks
+        SharpInspectMocks.init();
+
+        // Throttling
+        SharpInspectThrottling.init();
+
+        // Request blocking
+        SharpInspectBlocking.init(sendWebSocketMessage);
 
         // Pretty/Raw toggle
         initBodyToggle();
@@ -480,7 +1489,7 @@
                         b.classList.remove('active');
                     });
                     btn.classList.add('active');
-                    isPrettyFormat = btn.dataset.format === 'pretty';
+                    bodyFormat = btn.dataset.format;
                     renderDetail();
                 });
             });
@@ -502,7 +1511,21 @@
             });
 
             copyMenu.addEventListener('click', function(e) {
+                var setting = e.target.closest('.copy-setting-item');
+                if (setting) {
+                    e.stopPropagation();
+                    toggleCopySetting(setting);
+                    return;
+                }
+
                 var item = e.target.closest('.copy-menu-item');
+                if (item && item.dataset.action === 'settings') {
+                    e.stopPropagation();
+                    var settings = document.getElementById('copy-settings');
+                    settings.classList.toggle('show');
+                    renderCopySettings();
+                    return;
+                }
                 if (!item || !selectedEntry) return;
 
                 var format = item.getAttribute('data-format');
@@ -519,6 +1542,94 @@
         }
     }
 
+    var COPY_SETTINGS = [
+        { option: 'stripAutoHeaders', label: 'Omit hop-by-hop and auto headers (Host, Content-Length, ...)' },
+        { option: 'includeCookies', label: 'Include cookies' },
+        { option: 'compressed', label: 'Add --compressed when Accept-Encoding is set' },
+        { option: 'insecure', label: 'Skip TLS verification (-k, -SkipCertificateCheck)' },
+        { option: 'singleLine', label: 'Single-line commands' },
+        { separator: true },
+        { option: 'maskedHeaders', value: 'placeholder', label: 'Masked headers: $PLACEHOLDER' },
+        { option: 'maskedHeaders', value: 'omit', label: 'Masked headers: omit' },
+        { option: 'maskedHeaders', value: 'keep', label: 'Masked headers: keep ***masked***' }
+    ];
+
+    /**
+     * Copy as 설정 하위 메뉴 렌더링
+     */
+    function renderCopySettings() {
+        var options = SharpInspectCopyAs.getOptions();
+        document.getElementById('copy-settings').innerHTML = COPY_SETTINGS.map(function(s, i) {
+            if (s.separator) return '<div class="menu-separator"></div>';
+            var checked = s.value !== undefined ? options[s.option] === s.value : options[s.option];
+            return '<button class="copy-menu-item copy-setting-item" data-index="' + i + '">' +
+                '<span class="column-check">' + (checked ? '&#10003;' : '') + '</span>' +
+                SharpInspectUtils.escapeHtml(s.label) + '</button>';
+        }).join('');
+    }
+
+    function toggleCopySetting(item) {
+        var s = COPY_SETTINGS[parseInt(item.dataset.index, 10)];
+        if (!s) return;
+        if (s.value !== undefined) {
+            SharpInspectCopyAs.setOption(s.option, s.value);
+        } else {
+            SharpInspectCopyAs.setOption(s.option, !SharpInspectCopyAs.getOptions()[s.option]);
+        }
+        renderCopySettings();
+    }
+
+    /**
+     * 필터링된 전체 요청 복사/컬렉션 내보내기 드롭다운
+     */
+    function initBulkCopyDropdown() {
+        var bulkBtn = document.getElementById('bulk-copy-btn');
+        var bulkMenu = document.getElementById('bulk-copy-menu');
+
+        bulkBtn.addEventListener('click', function(e) {
+            e.stopPropagation();
+            bulkMenu.classList.toggle('show');
+        });
+
+        document.addEventListener('click', function() {
+            bulkMenu.classList.remove('show');
+        });
+
+        bulkMenu.addEventListener('click', function(e) {
+            var item = e.target.closest('.copy-menu-item');
+            if (!item) return;
+            bulkMenu.classList.remove('show');
+
+            // 현재 필터가 적용된 목록 기준
+            if (networkView.length === 0) {
+                SharpInspectUtils.showToast('No requests to export');
+                return;
+            }
+
+            var exportType = item.getAttribute('data-export');
+            if (exportType) {
+                var name = 'SharpInspect ' + new Date().toLocaleString();
+                var stamp = new Date().toISOString().replace(/[:.]/g, '-');
+                if (exportType === 'postman') {
+                    SharpInspectCollectionExport.download(
+                        SharpInspectCollectionExport.toPostman(networkView, name),
+                        'sharpinspect-' + stamp + '.postman_collection.json');
+                } else {
+                    SharpInspectCollectionExport.download(
+                        SharpInspectCollectionExport.toInsomnia(networkView, name),
+                        'sharpinspect-' + stamp + '.insomnia.json');
+                }
+                return;
+            }
+
+            var format = item.getAttribute('data-format');
+            var text = SharpInspectCopyAs.convertAll(networkView, format);
+            SharpInspectUtils.copyToClipboard(text).then(function() {
+                SharpInspectUtils.showToast('Copied ' + networkView.length + ' requests as ' + format);
+            });
+        });
+    }
+
     // ===== Load Initial Data =====
     function loadInitialData() {
         fetch(API_BASE + '/api/network?limit=1000')
@@ -526,13 +1637,14 @@
             .then(function(data) {
                 networkEntries = data.items || [];
                 renderNetworkList();
+                consoleVirtualList.refresh();
             })
             .catch(console.error);
 
         fetch(API_BASE + '/api/console?limit=5000')
             .then(function(r) { return r.json(); })
             .then(function(data) {
-                consoleEntries = data.items || [];
+                consoleEntries = collapseConsoleRepeats(data.items || []);
                 renderConsoleList();
             })
             .catch(console.error);
@@ -554,10 +1666,19 @@
                 renderApplicationInfo();
             })
             .catch(console.error);
+
+        fetch(API_BASE + '/api/status')
+            .then(function(r) { return r.json(); })
+            .then(function(data) {
+                SharpInspectWebSocketMessages.setMaxFrames(data.maxWebSocketFrames);
+            })
+            .catch(console.error);
     }
 
     // ===== Initialize =====
     function init() {
+        initNetworkList();
+        initConsoleList();
         initTabs();
         initDetailTabs();
         initEventHandlers();
@@ -0,0 +1,223 @@
+/**
+ * SharpInspect DevTools - Request Blocking Module
+ * URL 패턴/도메인 차단 목록을 관리하고 WebSocket으로 검사 대상 앱에 전달
+ */
+var SharpInspectBlocking = (function() {
+    'use strict';
+
+    // 차단 목록은 DevTools 세션(탭) 단위로 유지
+    var STORAGE_KEY = 'sharpinspect-blocking';
+    var BEHAVIORS = ['Throw', 'ServiceUnavailable'];
+
+    var state = { enabled: true, behavior: 'Throw', errorMessage: '', rules: [] };
+    var sendMessage = null;
+    var drawer = null;
+
+    function field(id) {
+        return document.getElementById(id);
+    }
+
+    function createId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    // ===== 세션 저장 =====
+    function loadState() {
+        try {
+            var saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+            if (!saved || typeof saved !== 'object') return;
+            state.enabled = saved.enabled !== false;
+            state.behavior = BEHAVIORS.indexOf(saved.behavior) !== -1 ? saved.behavior : 'Throw';
+            state.errorMessage = typeof saved.errorMessage === 'string' ? saved.errorMessage : '';
+            state.rules = Array.isArray(saved.rules) ? saved.rules.filter(function(r) {
+                return r && (typeof r.urlPattern === 'string' || typeof r.domain === 'string');
+            }) : [];
+        } catch (e) {}
+    }
+
+    function saveState() {
+        try {
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (e) {}
+    }
+
+    /**
+     * 차단 목록을 WebSocket으로 전송. 차단이 꺼져 있으면 빈 목록(null)을 보냄
+     * @returns {boolean} 전송 여부 (연결이 끊긴 경우 다시 연결될 때 sync에서 전송)
+     */
+    function push() {
+        if (!sendMessage) return false;
+        return sendMessage({
+            type: 'blocking:set',
+            data: state.enabled ? {
+                behavior: state.behavior,
+                errorMessage: state.errorMessage || null,
+                rules: state.rules
+            } : null
+        });
+    }
+
+    function update() {
+        saveState();
+        push();
+        render();
+    }
+
+    /**
+     * WebSocket 연결 시 호출: 서버는 마지막 연결이 끊기면 차단 목록을 비우므로 다시 전송
+     */
+    function sync() {
+        push();
+    }
+
+    // ===== 규칙 =====
+    function describeRule(rule) {
+        return rule.domain ? 'Domain: ' + rule.domain : rule.urlPattern;
+    }
+
+    function addRule(rule) {
+        var duplicate = state.rules.some(function(r) {
+            return (r.domain || '') === (rule.domain || '') && (r.urlPattern || '') === (rule.urlPattern || '');
+        });
+        if (duplicate) {
+            SharpInspectUtils.showToast('Already blocked: ' + describeRule(rule));
+        } else {
+            rule.id = createId();
+            rule.enabled = true;
+            state.rules.push(rule);
+            SharpInspectUtils.showToast('Blocked ' + describeRule(rule));
+        }
+        update();
+        open();
+    }
+
+    /**
+     * 행 메뉴: 요청 URL 차단
+     */
+    function blockUrl(entry) {
+        addRule({ urlPattern: entry.url });
+    }
+
+    /**
+     * 행 메뉴: 요청 도메인 차단 (하위 도메인 포함)
+     */
+    function blockDomain(entry) {
+        var host = entry.host;
+        if (!host) {
+            try {
+                host = new URL(entry.url).hostname;
+            } catch (e) {
+                return;
+            }
+        }
+        addRule({ domain: host });
+    }
+
+    /**
+     * 입력란의 패턴 추가. "domain:" 접두사를 붙이면 도메인 규칙
+     */
+    function addFromInput() {
+        var input = field('blocking-pattern');
+        var value = input.value.trim();
+        if (!value) return;
+
+        var domainMatch = /^domain:\s*(.+)$/i.exec(value);
+        addRule(domainMatch ? { domain: domainMatch[1].trim() } : { urlPattern: value });
+        input.value = '';
+    }
+
+    // ===== 서랍 =====
+    function render() {
+        var btn = field('blocking-btn');
+        var active = state.enabled && state.rules.some(function(r) { return r.enabled !== false; });
+        btn.textContent = state.rules.length > 0 ? 'Blocking (' + state.rules.length + ')' : 'Blocking';
+        btn.classList.toggle('active', active);
+
+        field('blocking-enabled').checked = state.enabled;
+        field('blocking-behavior').value = state.behavior;
+        field('blocking-error-message').value = state.errorMessage;
+        field('blocking-error-message').style.display = state.behavior === 'Throw' ? '' : 'none';
+        drawer.classList.toggle('disabled', !state.enabled);
+
+        var list = field('blocking-list');
+        if (state.rules.length === 0) {
+            list.innerHTML = '<div class="blocking-empty">No blocked requests. Right-click a request and choose "Block request URL" or "Block request domain", or add a pattern above.</div>';
+            return;
+        }
+
+        var escapeHtml = SharpInspectUtils.escapeHtml;
+        var escapeAttr = SharpInspectUtils.escapeAttr;
+        list.innerHTML = state.rules.map(function(rule, index) {
+            return '<div class="blocking-rule' + (rule.enabled === false ? ' blocking-rule-disabled' : '') + '" data-index="' + index + '">' +
+                '<input type="checkbox" data-action="toggle" title="Enabled"' + (rule.enabled !== false ? ' checked' : '') + '>' +
+                '<span class="blocking-pattern" title="' + escapeAttr(describeRule(rule)) + '">' + escapeHtml(describeRule(rule)) + '</span>' +
+                '<button class="copy-btn" data-action="remove" title="Remove">&#10005;</button>' +
+                '</div>';
+        }).join('');
+    }
+
+    function open() {
+        drawer.style.display = '';
+    }
+
+    function toggle() {
+        drawer.style.display = drawer.style.display === 'none' ? '' : 'none';
+    }
+
+    /**
+     * 툴바 버튼과 서랍 이벤트 연결
+     * @param {Function} send - 메시지 객체를 WebSocket으로 보내고 성공 여부를 반환하는 함수
+     */
+    function init(send) {
+        sendMessage = send;
+        drawer = field('blocking-drawer');
+        loadState();
+
+        field('blocking-btn').addEventListener('click', toggle);
+        field('blocking-close').addEventListener('click', function() {
+            drawer.style.display = 'none';
+        });
+
+        field('blocking-enabled').addEventListener('change', function(e) {
+            state.enabled = e.target.checked;
+            update();
+        });
+        field('blocking-behavior').addEventListener('change', function(e) {
+            state.behavior = e.target.value;
+            update();
+        });
+        field('blocking-error-message').addEventListener('change', function(e) {
+            state.errorMessage = e.target.value.trim();
+            update();
+        });
+
+        field('blocking-add-btn').addEventListener('click', addFromInput);
+        field('blocking-pattern').addEventListener('keydown', function(e) {
+            if (e.key === 'Enter') addFromInput();
+        });
+
+        field('blocking-list').addEventListener('click', function(e) {
+            var action = e.target.closest('[data-action]');
+            var row = e.target.closest('.blocking-rule');
+            if (!action || !row) return;
+
+            var index = parseInt(row.dataset.index, 10);
+            if (action.dataset.action === 'toggle') {
+                state.rules[index].enabled = action.checked;
+            } else if (action.dataset.action === 'remove') {
+                state.rules.splice(index, 1);
+            }
+            update();
+        });
+
+        render();
+    }
+
+    // Public API
+    return {
+        init: init,
+        sync: sync,
+        blockUrl: blockUrl,
+        blockDomain: blockDomain
+    };
+})();
@@ -0,0 +1,369 @@
+/**
+ * SharpInspect DevTools - Breakpoints Module
+ * URL 패턴/메서드 규칙으로 요청 또는 응답을 멈추고, 편집 후 계속 진행하거나 중단
+ */
+var SharpInspectBreakpoints = (function() {
+    'use strict';
+
+    var API_BASE = window.location.origin;
+    var STORAGE_KEY = 'sharpinspect-breakpoints';
+    var METHODS = ['', 'GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+    var PHASES = ['Request', 'Response'];
+
+    var rules = [];
+    var pausedQueue = [];
+    var current = null;
+    var countdownTimer = null;
+    var sendMessage = null;
+
+    var rulesDialog = null;
+    var pausedDialog = null;
+
+    function field(id) {
+        return document.getElementById(id);
+    }
+
+    // ===== 규칙 저장 =====
+    /**
+     * 저장된 규칙 목록 로드 (앱 재시작 후 서버에 다시 등록하기 위함)
+     */
+    function loadSavedRules() {
+        try {
+            var saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (!Array.isArray(saved)) return [];
+            return saved.filter(function(r) {
+                return r && typeof r.urlPattern === 'string' && PHASES.indexOf(r.phase) !== -1;
+            });
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function saveRules(list) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+        } catch (e) {}
+    }
+
+    /**
+     * 규칙 목록을 서버에 등록
+     * @returns {Promise<Array>} 서버에 등록된 규칙 목록
+     */
+    function pushRules(list) {
+        return fetch(API_BASE + '/api/breakpoints', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(list)
+        }).then(function(response) {
+            return response.json().then(function(data) {
+                if (!response.ok) throw new Error(data.message || 'HTTP ' + response.status);
+                return data;
+            });
+        });
+    }
+
+    function setRules(list) {
+        rules = list || [];
+        saveRules(rules);
+        updateToolbar();
+    }
+
+    /**
+     * WebSocket 연결 시 호출: 서버의 규칙과 멈춘 요청 목록을 가져옴.
+     * 서버에 규칙이 없으면 (앱 재시작) 저장된 규칙을 다시 등록
+     */
+    function sync() {
+        fetch(API_BASE + '/api/breakpoints')
+            .then(function(r) { return r.json(); })
+            .then(function(serverRules) {
+                var saved = loadSavedRules();
+                if (serverRules.length === 0 && saved.length > 0) {
+                    return pushRules(saved);
+                }
+                return serverRules;
+            })
+            .then(setRules)
+            .catch(function() {});
+
+        fetch(API_BASE + '/api/breakpoints/paused')
+            .then(function(r) { return r.json(); })
+            .then(function(list) {
+                pausedQueue = [];
+                list.forEach(onPaused);
+                if (current && !findPaused(current.id)) closePaused();
+                updateToolbar();
+            })
+            .catch(function() {});
+    }
+
+    // ===== 규칙 편집기 =====
+    function renderRuleRow(rule) {
+        var methodOptions = METHODS.map(function(m) {
+            return '<option value="' + m + '"' + ((rule.method || '') === m ? ' selected' : '') + '>' + (m || 'Any') + '</option>';
+        }).join('');
+        var phaseOptions = PHASES.map(function(p) {
+            return '<option value="' + p + '"' + (rule.phase === p ? ' selected' : '') + '>' + p + '</option>';
+        }).join('');
+
+        return '<div class="breakpoint-rule" data-id="' + SharpInspectUtils.escapeAttr(rule.id || '') + '">' +
+            '<input type="checkbox" class="rule-enabled" title="Enabled"' + (rule.enabled !== false ? ' checked' : '') + '>' +
+            '<select class="rule-method" title="Method">' + methodOptions + '</select>' +
+            '<select class="rule-phase" title="Break before the request is sent or after the response arrives">' + phaseOptions + '</select>' +
+            '<input type="text" class="rule-pattern" placeholder="URL contains (* = wildcard, empty = any URL)" spellcheck="false" value="' +
+                SharpInspectUtils.escapeAttr(rule.urlPattern || '') + '">' +
+            '<button class="modal-close" data-action="remove" title="Remove rule">&#10005;</button>' +
+            '</div>';
+    }
+
+    function openRulesEditor() {
+        var list = field('breakpoint-rule-list');
+        list.innerHTML = rules.map(renderRuleRow).join('');
+        field('breakpoint-rules-error').style.display = 'none';
+        rulesDialog.style.display = 'flex';
+        if (rules.length === 0) addRuleRow();
+    }
+
+    function addRuleRow() {
+        var list = field('breakpoint-rule-list');
+        list.insertAdjacentHTML('beforeend', renderRuleRow({ enabled: true, method: '', phase: 'Request', urlPattern: '' }));
+        list.lastElementChild.querySelector('.rule-pattern').focus();
+    }
+
+    function collectRules() {
+        var rows = field('breakpoint-rule-list').querySelectorAll('.breakpoint-rule');
+        return Array.prototype.map.call(rows, function(row) {
+            var rule = {
+                enabled: row.querySelector('.rule-enabled').checked,
+                method: row.querySelector('.rule-method').value,
+                phase: row.querySelector('.rule-phase').value,
+                urlPattern: row.querySelector('.rule-pattern').value.trim()
+            };
+            if (row.dataset.id) rule.id = row.dataset.id;
+            return rule;
+        });
+    }
+
+    function saveRulesEditor() {
+        var error = field('breakpoint-rules-error');
+        pushRules(collectRules()).then(function(saved) {
+            setRules(saved);
+            rulesDialog.style.display = 'none';
+        }, function(err) {
+            error.textContent = err.message;
+            error.style.display = 'block';
+        });
+    }
+
+    function updateToolbar() {
+        var enabled = rules.filter(function(r) { return r.enabled; }).length;
+        var btn = field('breakpoints-btn');
+        btn.textContent = enabled > 0 ? 'Breakpoints (' + enabled + ')' : 'Breakpoints';
+        btn.classList.toggle('active', enabled > 0);
+
+        var indicator = field('breakpoint-paused-btn');
+        indicator.style.display = pausedQueue.length > 0 ? '' : 'none';
+        indicator.textContent = '⏸ ' + pausedQueue.length + ' paused';
+    }
+
+    // ===== 멈춘 요청 =====
+    function findPaused(id) {
+        for (var i = 0; i < pausedQueue.length; i++) {
+            if (pausedQueue[i].id === id) return pausedQueue[i];
+        }
+        return null;
+    }
+
+    /**
+     * breakpoint:paused 메시지 처리. 대화상자가 닫혀 있으면 바로 표시
+     */
+    function onPaused(paused) {
+        if (findPaused(paused.id)) return;
+        pausedQueue.push(paused);
+        updateToolbar();
+        if (current) {
+            updateTitle();
+        } else {
+            showPaused(paused);
+        }
+    }
+
+    /**
+     * breakpoint:resolved 메시지 처리 (다른 탭에서 처리했거나 시간 초과)
+     */
+    function onResolved(data) {
+        pausedQueue = pausedQueue.filter(function(p) { return p.id !== data.id; });
+        updateToolbar();
+
+        if (current && current.id === data.id) {
+            if (data.reason === 'timeout') {
+                SharpInspectUtils.showToast('Breakpoint timed out - continued unmodified');
+            }
+            closePaused();
+            if (pausedQueue.length > 0) showPaused(pausedQueue[0]);
+        }
+    }
+
+    function showPaused(paused) {
+        current = paused;
+        var isResponse = paused.phase === 'Response';
+
+        updateTitle();
+        field('breakpoint-request-row').style.display = isResponse ? 'none' : '';
+        field('breakpoint-response-row').style.display = isResponse ? '' : 'none';
+        field('breakpoint-method').value = paused.method || '';
+        field('breakpoint-url').value = paused.url || '';
+        field('breakpoint-status').value = paused.statusCode || '';
+        field('breakpoint-status-text').value = paused.statusText || '';
+        field('breakpoint-response-url').textContent = (paused.method || '') + ' ' + (paused.url || '');
+        field('breakpoint-headers').value = SharpInspectReplay.formatHeaders(paused.headers);
+        field('breakpoint-body').value = paused.body || '';
+        field('breakpoint-body').placeholder = paused.body == null ? '(no text body)' : '';
+        showError(null);
+
+        pausedDialog.style.display = 'flex';
+        updateCountdown();
+        clearInterval(countdownTimer);
+        countdownTimer = setInterval(updateCountdown, 1000);
+    }
+
+    function updateTitle() {
+        var position = pausedQueue.indexOf(findPaused(current.id)) + 1;
+        field('breakpoint-title').textContent = 'Paused at ' + (current.phase === 'Response' ? 'response' : 'request') +
+            (pausedQueue.length > 1 && position > 0 ? ' (' + position + ' of ' + pausedQueue.length + ')' : '');
+    }
+
+    function closePaused() {
+        current = null;
+        clearInterval(countdownTimer);
+        countdownTimer = null;
+        pausedDialog.style.display = 'none';
+    }
+
+    function updateCountdown() {
+        if (!current) return;
+        var seconds = Math.max(0, Math.ceil((new Date(current.expiresAt) - Date.now()) / 1000));
+        field('breakpoint-countdown').textContent = 'Continues unmodified in ' + seconds + 's';
+    }
+
+    function showError(message) {
+        var error = field('breakpoint-error');
+        error.textContent = message || '';
+        error.style.display = message ? 'block' : 'none';
+    }
+
+    /**
+     * 편집 내용을 담아 breakpoint:resume 메시지 전송
+     * @param {string} action - 'Continue' 또는 'Abort'
+     */
+    function resolveCurrent(action) {
+        if (!current) return;
+
+        var resolution = { id: current.id, action: action };
+        if (action === 'Continue') {
+            try {
+                resolution.headers = SharpInspectReplay.parseHeaders(field('breakpoint-headers').value);
+            } catch (err) {
+                showError(err.message);
+                return;
+            }
+
+            var body = field('breakpoint-body').value;
+            if (current.body != null || body !== '') resolution.body = body;
+
+            if (current.phase === 'Response') {
+                var status = parseInt(field('breakpoint-status').value, 10);
+                if (isNaN(status) || status < 100 || status > 599) {
+                    showError('Status must be a number between 100 and 599');
+                    return;
+                }
+                resolution.statusCode = status;
+                resolution.statusText = field('breakpoint-status-text').value;
+            } else {
+                var url = field('breakpoint-url').value.trim();
+                if (!/^https?:\/\//i.test(url)) {
+                    showError('URL must be absolute (http:// or https://)');
+                    return;
+                }
+                resolution.method = field('breakpoint-method').value.trim().toUpperCase() || current.method;
+                resolution.url = url;
+            }
+        }
+
+        if (!sendMessage({ type: 'breakpoint:resume', data: resolution })) {
+            showError('DevTools is disconnected from the app');
+            return;
+        }
+
+        // 서버의 breakpoint:resolved를 기다리지 않고 다음 항목으로 이동
+        onResolved({ id: current.id, reason: action === 'Abort' ? 'aborted' : 'continued' });
+    }
+
+    /**
+     * 대화상자와 툴바 이벤트 연결
+     * @param {Function} send - 메시지 객체를 WebSocket으로 보내고 성공 여부를 반환하는 함수
+     */
+    function init(send) {
+        sendMessage = send;
+        rulesDialog = field('breakpoint-rules-dialog');
+        pausedDialog = field('breakpoint-dialog');
+
+        field('breakpoints-btn').addEventListener('click', openRulesEditor);
+        field('breakpoint-paused-btn').addEventListener('click', function() {
+            if (pausedQueue.length > 0) showPaused(current || pausedQueue[0]);
+        });
+
+        rulesDialog.addEventListener('click', function(e) {
+            var action = e.target.closest('[data-action]');
+            if (e.target === rulesDialog || (action && action.dataset.action === 'cancel')) {
+                rulesDialog.style.display = 'none';
+            } else if (action && action.dataset.action === 'add') {
+                addRuleRow();
+            } else if (action && action.dataset.action === 'remove') {
+                action.closest('.breakpoint-rule').remove();
+            } else if (action && action.dataset.action === 'save') {
+                saveRulesEditor();
+            }
+        });
+
+        rulesDialog.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') {
+                rulesDialog.style.display = 'none';
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                saveRulesEditor();
+            }
+        });
+
+        // 닫아도 요청은 멈춘 채로 남으며, 헤더의 표시기로 다시 열 수 있음
+        pausedDialog.addEventListener('click', function(e) {
+            var action = e.target.closest('[data-action]');
+            if (action && action.dataset.action === 'close') {
+                closePaused();
+            } else if (action && action.dataset.action === 'continue') {
+                resolveCurrent('Continue');
+            } else if (action && action.dataset.action === 'abort') {
+                resolveCurrent('Abort');
+            }
+        });
+
+        pausedDialog.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') {
+                closePaused();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                resolveCurrent('Continue');
+            }
+        });
+
+        rules = loadSavedRules();
+        updateToolbar();
+    }
+
+    // Public API
+    return {
+        init: init,
+        sync: sync,
+        onPaused: onPaused,
+        onResolved: onResolved
+    };
+})();
@@ -4,6 +4,9 @@
  */
 var SharpInspectCharts = (function() {
     var PERF_MAX_POINTS = 60;
+    var OVERVIEW_HEIGHT = 48;
+    var OVERVIEW_LABEL_HEIGHT = 12;
+    var OVERVIEW_LANE_HEIGHT = 4;
 
     /**
      * CSS 변수에서 차트 그리드 색상 가져오기
@@ -14,13 +17,15 @@ var SharpInspectCharts = (function() {
 
     /**
      * 미니 차트 그리기
+     * @param {Object} [options] - { height: 캔버스 높이(기본 120), grid: 격자 표시 여부(기본 true) }
      */
-    function drawChart(canvasId, data, color, formatLabel) {
+    function drawChart(canvasId, data, color, formatLabel, options) {
+        options = options || {};
         var canvas = document.getElementById(canvasId);
         if (!canvas) return;
         var ctx = canvas.getContext('2d');
         var w = canvas.width = canvas.offsetWidth || canvas.parentElement.offsetWidth || 300;
-        var h = canvas.height = 120;
+        var h = canvas.height = options.height || 120;
         if (w <= 0) return;
         ctx.clearRect(0, 0, w, h);
 
@@ -31,14 +36,16 @@ var SharpInspectCharts = (function() {
         var range = max - min || 1;
 
         // Grid lines
-        ctx.strokeStyle = getChartGridColor();
-        ctx.lineWidth = 0.5;
-        for (var i = 0; i <= 4; i++) {
-            var y = (h / 4) * i;
-            ctx.beginPath();
-            ctx.moveTo(0, y);
-            ctx.lineTo(w, y);
-            ctx.stroke();
+        if (options.grid !== false) {
+            ctx.strokeStyle = getChartGridColor();
+            ctx.lineWidth = 0.5;
+            for (var i = 0; i <= 4; i++) {
+                var y = (h / 4) * i;
+                ctx.beginPath();
+                ctx.moveTo(0, y);
+                ctx.lineTo(w, y);
+                ctx.stroke();
+            }
         }
 
         // Data line
@@ -63,9 +70,98 @@ var SharpInspectCharts = (function() {
         ctx.fill();
     }
 
+    /**
+     * 상태 코드 클래스 → 색상 조회 함수 (CSS 변수는 그리기 한 번에 클래스별로 한 번만 읽음)
+     */
+    function createStatusColorLookup() {
+        var style = getComputedStyle(document.documentElement);
+        var colors = {};
+        return function(statusClass) {
+            if (!colors[statusClass]) {
+                var varName = statusClass === 'status-error' ? '--status-5xx' : '--' + statusClass;
+                colors[statusClass] = style.getPropertyValue(varName).trim() || '#569cd6';
+            }
+            return colors[statusClass];
+        };
+    }
+
+    /**
+     * 네트워크 오버뷰 타임라인 그리기
+     * 요청 시작 시간을 상태 코드 클래스 색상으로 표시하고, 선택된 범위 밖은 어둡게 처리
+     * @returns {{start: number, end: number}|null} 그려진 시간 축 (epoch ms)
+     */
+    function drawOverview(canvasId, entries, range) {
+        var canvas = document.getElementById(canvasId);
+        if (!canvas) return null;
+        var ctx = canvas.getContext('2d');
+        var w = canvas.width = canvas.offsetWidth || canvas.parentElement.offsetWidth || 300;
+        var h = canvas.height = OVERVIEW_HEIGHT;
+        if (w <= 0) return null;
+        ctx.clearRect(0, 0, w, h);
+
+        if (entries.length === 0) return null;
+
+        var getStatusColor = createStatusColorLookup();
+        var start = Infinity;
+        var end = -Infinity;
+        var times = entries.map(function(e) {
+            var t = new Date(e.timestamp).getTime();
+            if (t < start) start = t;
+            if (t + (e.totalMs || 0) > end) end = t + (e.totalMs || 0);
+            return t;
+        });
+        if (end <= start) end = start + 1;
+        var span = end - start;
+
+        // Grid lines + 시각 라벨
+        ctx.strokeStyle = getChartGridColor();
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary').trim() || '#969696';
+        ctx.lineWidth = 0.5;
+        ctx.font = '9px sans-serif';
+        for (var i = 1; i < 4; i++) {
+            var gx = Math.round((w / 4) * i) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(gx, 0);
+            ctx.lineTo(gx, h);
+            ctx.stroke();
+            ctx.fillText(new Date(start + (span / 4) * i).toLocaleTimeString(), gx + 3, 9);
+        }
+
+        // 요청 막대 (겹치지 않도록 레인 배치)
+        var laneEnds = [];
+        var maxLanes = Math.floor((h - OVERVIEW_LABEL_HEIGHT) / OVERVIEW_LANE_HEIGHT);
+        for (var j = 0; j < entries.length; j++) {
+            var x = ((times[j] - start) / span) * w;
+            var barWidth = Math.max(1, ((entries[j].totalMs || 0) / span) * w);
+
+            var lane = 0;
+            while (lane < laneEnds.length && laneEnds[lane] > x) lane++;
+            if (lane >= maxLanes) lane = j % maxLanes;
+            laneEnds[lane] = x + barWidth + 1;
+
+            ctx.fillStyle = getStatusColor(SharpInspectUtils.getStatusClass(entries[j].statusCode, entries[j].isError));
+            ctx.fillRect(x, OVERVIEW_LABEL_HEIGHT + lane * OVERVIEW_LANE_HEIGHT, barWidth, OVERVIEW_LANE_HEIGHT - 1);
+        }
+
+        // 선택 범위 밖 어둡게
+        if (range) {
+            var rx1 = Math.max(0, ((range.start - start) / span) * w);
+            var rx2 = Math.min(w, ((range.end - start) / span) * w);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+            ctx.fillRect(0, 0, rx1, h);
+            ctx.fillRect(rx2, 0, w - rx2, h);
+            ctx.strokeStyle = getStatusColor('status-3xx');
+            ctx.lineWidth = 1;
+            ctx.strokeRect(rx1 + 0.5, 0.5, Math.max(1, rx2 - rx1 - 1), h - 1);
+        }
+
+        return { start: start, end: end };
+    }
+
     // Public API
     return {
         PERF_MAX_POINTS: PERF_MAX_POINTS,
-        drawChart: drawChart
+        drawChart: drawChart,
+        drawOverview: drawOverview
     };
 })();
@@ -0,0 +1,153 @@
+/**
+ * SharpInspect DevTools - Collection Export Module
+ * 네트워크 엔트리를 Postman Collection v2.1 또는 Insomnia(v4) 내보내기 형식으로 변환
+ */
+var SharpInspectCollectionExport = (function() {
+    'use strict';
+
+    var POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+    function sortByTime(entries) {
+        return entries.slice().sort(function(a, b) {
+            return new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime();
+        });
+    }
+
+    /**
+     * 클라이언트가 자동으로 계산하는 헤더(Host, Content-Length)를 제외한 헤더 목록
+     */
+    function getHeaderPairs(entry) {
+        var headers = entry.requestHeaders || {};
+        return Object.keys(headers).filter(function(k) {
+            var lower = k.toLowerCase();
+            return lower !== 'host' && lower !== 'content-length';
+        }).map(function(k) {
+            return { name: k, value: headers[k] };
+        });
+    }
+
+    function getRequestContentType(entry) {
+        var headers = entry.requestHeaders || {};
+        var key = Object.keys(headers).find(function(k) { return k.toLowerCase() === 'content-type'; });
+        return (key ? headers[key] : entry.requestContentType) || '';
+    }
+
+    function getRequestName(entry, index) {
+        return (index + 1) + '. ' + (entry.method || 'GET') + ' ' + SharpInspectUtils.getUrlName(entry.url);
+    }
+
+    function newId(prefix) {
+        return prefix + '_' + Date.now().toString(16) + Math.random().toString(16).slice(2, 10);
+    }
+
+    // ===== Postman =====
+    function toPostmanUrl(url) {
+        var result = { raw: url };
+        try {
+            var urlObj = new URL(url);
+            result.protocol = urlObj.protocol.replace(':', '');
+            result.host = urlObj.hostname.split('.');
+            if (urlObj.port) result.port = urlObj.port;
+            result.path = urlObj.pathname.split('/').filter(function(p) { return p !== ''; });
+            var query = [];
+            urlObj.searchParams.forEach(function(value, key) {
+                query.push({ key: key, value: value });
+            });
+            if (query.length > 0) result.query = query;
+        } catch (e) {}
+        return result;
+    }
+
+    /**
+     * Postman Collection v2.1 객체 생성
+     */
+    function toPostman(entries, name) {
+        return {
+            info: {
+                _postman_id: newId('sharpinspect'),
+                name: name,
+                schema: POSTMAN_SCHEMA
+            },
+            item: sortByTime(entries).map(function(entry, i) {
+                var request = {
+                    method: entry.method || 'GET',
+                    header: getHeaderPairs(entry).map(function(h) {
+                        return { key: h.name, value: h.value };
+                    }),
+                    url: toPostmanUrl(entry.url)
+                };
+                if (entry.requestBody) {
+                    request.body = { mode: 'raw', raw: entry.requestBody };
+                    if (SharpInspectDetailRenderer.detectContentType(entry.requestBody, getRequestContentType(entry)) === 'json') {
+                        request.body.options = { raw: { language: 'json' } };
+                    }
+                }
+                return { name: getRequestName(entry, i), request: request, response: [] };
+            })
+        };
+    }
+
+    // ===== Insomnia =====
+    /**
+     * Insomnia 내보내기(v4) 객체 생성
+     */
+    function toInsomnia(entries, name) {
+        var workspaceId = newId('wrk');
+        var now = Date.now();
+        var resources = [{
+            _id: workspaceId,
+            _type: 'workspace',
+            parentId: null,
+            name: name,
+            description: 'Exported from SharpInspect'
+        }];
+
+        sortByTime(entries).forEach(function(entry, i) {
+            resources.push({
+                _id: newId('req'),
+                _type: 'request',
+                parentId: workspaceId,
+                name: getRequestName(entry, i),
+                method: entry.method || 'GET',
+                url: entry.url,
+                headers: getHeaderPairs(entry),
+                body: entry.requestBody ? { mimeType: getRequestContentType(entry).split(';')[0].trim(), text: entry.requestBody } : {},
+                parameters: [],
+                // 목록 순서 유지
+                metaSortKey: i - entries.length,
+                created: now,
+                modified: now
+            });
+        });
+
+        return {
+            _type: 'export',
+            __export_format: 4,
+            __export_date: new Date(now).toISOString(),
+            __export_source: 'sharpinspect',
+            resources: resources
+        };
+    }
+
+    /**
+     * JSON 파일 다운로드
+     */
+    function download(data, fileName) {
+        var blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        var url = URL.createObjectURL(blob);
+        var link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(function() { URL.revokeObjectURL(url); }, 0);
+    }
+
+    // Public API
+    return {
+        toPostman: toPostman,
+        toInsomnia: toInsomnia,
+        download: download
+    };
+})();
@@ -0,0 +1,263 @@
+/**
+ * SharpInspect DevTools - Console Exception Module
+ * .NET 예외 문자열(Exception.ToString()) 파싱 및 접을 수 있는 구조화된 예외 뷰 렌더링
+ * (타입/메시지 헤드라인, 스택 프레임, 내부 예외, 프레임 복사)
+ */
+var SharpInspectConsoleException = (function() {
+    'use strict';
+
+    var escapeHtml = SharpInspectUtils.escapeHtml;
+    var escapeAttr = SharpInspectUtils.escapeAttr;
+
+    // 프레임워크/라이브러리 코드로 간주하여 기본으로 접는 네임스페이스
+    var FRAMEWORK_PATTERN = /^(System|Microsoft|Windows|Internal|Newtonsoft|Grpc|Polly|Npgsql|MySqlConnector|Castle|Autofac|StackExchange|Serilog|NLog|SharpInspect)\.|^lambda_method/;
+    var FRAME_PATTERN = /^\s*at (.+?)(?: in (.+):line (\d+))?\s*$/;
+    var INNER_PATTERN = /^\s*---> (.*)$/;
+    var INLINE_INNER = ' ---> ';
+    var AGGREGATE_PATTERN = /^\(Inner Exception #\d+\) ([\s\S]*)$/;
+    var SEPARATOR_PATTERN = /^\s*--- (.+) ---\s*$/;
+    var END_OF_INNER = 'End of inner exception stack trace';
+    var AGGREGATE_END = '<---';
+
+    // ===== 파싱 =====
+    function createNode(headline) {
+        var colon = headline.indexOf(': ');
+        var type = colon === -1 ? headline : headline.substring(0, colon);
+
+        // 타입 이름에는 공백이 없음 (공백이 있으면 메시지만 있는 줄로 취급)
+        if (/\s/.test(type)) {
+            return { type: '', message: headline, frames: [], inner: [] };
+        }
+        return {
+            type: type,
+            message: colon === -1 ? '' : headline.substring(colon + 2),
+            frames: [],
+            inner: []
+        };
+    }
+
+    function parseFrame(line) {
+        var m = FRAME_PATTERN.exec(line);
+        if (!m) return null;
+        return { method: m[1], file: m[2] || null, line: m[3] ? parseInt(m[3], 10) : null, text: line.trim() };
+    }
+
+    /**
+     * .NET Framework 형식의 한 줄 내부 예외 체인("Outer: msg ---> Inner: msg2")을
+     * .NET Core 형식처럼 " ---> " 로 시작하는 줄로 분리 (스택 프레임 줄은 그대로)
+     */
+    function splitInlineInner(lines) {
+        var result = [];
+        lines.forEach(function(line) {
+            var parts = parseFrame(line) ? [line] : line.split(INLINE_INNER);
+            result.push(parts[0]);
+            for (var i = 1; i < parts.length; i++) {
+                result.push(INLINE_INNER + parts[i]);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Exception.ToString() 문자열을 예외 트리로 파싱
+     * " ---> " 로 시작하는 내부 예외 체인은 안쪽 예외의 프레임이 먼저 나오고,
+     * "--- End of inner exception stack trace ---" 이후 바깥 예외의 프레임이 이어짐
+     * AggregateException의 "(Inner Exception #n) ... <---" 블록은 루트의 내부 예외로 추가
+     * @returns {{ type: string, message: string, frames: Array, inner: Array }|null}
+     */
+    function parse(text) {
+        if (!text) return null;
+
+        var lines = splitInlineInner(text.replace(/\r\n/g, '\n').split('\n'));
+        var root = createNode(lines[0].trim());
+        var chain = [root];
+        var pointer = 0;
+        var inHeader = true;
+
+        for (var i = 1; i < lines.length; i++) {
+            var line = lines[i];
+            if (!line.trim()) continue;
+
+            var innerMatch = INNER_PATTERN.exec(line);
+            if (innerMatch) {
+                var aggregateMatch = AGGREGATE_PATTERN.exec(innerMatch[1]);
+                if (aggregateMatch) {
+                    // <--- 가 나올 때까지의 줄을 하나의 예외 문자열로 재귀 파싱
+                    var block = [aggregateMatch[1]];
+                    while (i + 1 < lines.length && block[block.length - 1].indexOf(AGGREGATE_END) === -1) {
+                        block.push(lines[++i]);
+                    }
+                    var last = block[block.length - 1];
+                    block[block.length - 1] = last.replace(AGGREGATE_END, '');
+                    var aggregated = parse(block.join('\n'));
+                    if (aggregated) root.inner.push(aggregated);
+                    continue;
+                }
+
+                var node = createNode(innerMatch[1].trim());
+                chain[chain.length - 1].inner.push(node);
+                chain.push(node);
+                pointer = chain.length - 1;
+                inHeader = true;
+                continue;
+            }
+
+            var frame = parseFrame(line);
+            if (frame) {
+                chain[pointer].frames.push(frame);
+                inHeader = false;
+                continue;
+            }
+
+            var separator = SEPARATOR_PATTERN.exec(line);
+            if (separator) {
+                if (separator[1] === END_OF_INNER) {
+                    pointer = Math.max(0, pointer - 1);
+                } else {
+                    chain[pointer].frames.push({ separator: separator[1] });
+                }
+                inHeader = false;
+                continue;
+            }
+
+            // 여러 줄 메시지의 이어지는 줄, 또는 알 수 없는 형식의 줄
+            if (inHeader) {
+                var current = chain[chain.length - 1];
+                current.message += (current.message ? '\n' : '') + line;
+            } else {
+                chain[pointer].frames.push({ method: line.trim(), file: null, line: null, text: line.trim() });
+            }
+        }
+
+        return root;
+    }
+
+    /**
+     * 사용자 코드 프레임인지 판단 (프레임워크/라이브러리 네임스페이스가 아니면 사용자 코드)
+     */
+    function isUserFrame(frame) {
+        return !frame.separator && !FRAMEWORK_PATTERN.test(frame.method);
+    }
+
+    /**
+     * 엔트리의 예외 문자열 (exceptionDetails가 없으면 타입/메시지/스택 트레이스로 구성)
+     */
+    function getExceptionText(entry) {
+        if (entry.exceptionDetails) return entry.exceptionDetails;
+        if (!entry.exceptionType && !entry.stackTrace) return null;
+        var headline = (entry.exceptionType || 'Exception') + (entry.exceptionMessage ? ': ' + entry.exceptionMessage : '');
+        return headline + (entry.stackTrace ? '\n' + entry.stackTrace : '');
+    }
+
+    function hasException(entry) {
+        return !!getExceptionText(entry);
+    }
+
+    /**
+     * 동일한 예외 반복을 묶기 위한 키 (카테고리, 로그 메시지, 예외 전체가 같으면 동일)
+     */
+    function getSignature(entry) {
+        var text = getExceptionText(entry);
+        if (!text) return null;
+        return entry.level + '\n' + (entry.category || '') + '\n' + (entry.message || '') + '\n' + text;
+    }
+
+    // ===== 렌더링 =====
+    function renderFrame(frame) {
+        if (frame.separator) {
+            return '<div class="exception-separator">--- ' + escapeHtml(frame.separator) + ' ---</div>';
+        }
+
+        var location = '';
+        if (frame.file) {
+            var fileName = frame.file.split(/[\\/]/).pop();
+            location = '<span class="frame-location" title="' + escapeAttr(frame.file + ':line ' + frame.line) + '">' +
+                escapeHtml(fileName) + ':' + frame.line + '</span>';
+        }
+
+        return '<div class="exception-frame ' + (isUserFrame(frame) ? 'user-frame' : 'framework-frame') + '">' +
+            '<span class="frame-method">' + escapeHtml(frame.method) + '</span>' + location +
+            '<button class="frame-copy" data-action="copy-frame" data-frame="' + escapeAttr(frame.text) + '" title="Copy frame">Copy</button>' +
+            '</div>';
+    }
+
+    /**
+     * 프레임 목록 렌더링: 연속된 프레임워크 프레임(2개 이상)은 접힌 그룹으로 표시
+     */
+    function renderFrames(frames, keyPrefix, isOpen) {
+        var html = '';
+        var i = 0;
+        while (i < frames.length) {
+            if (isUserFrame(frames[i]) || frames[i].separator) {
+                html += renderFrame(frames[i]);
+                i++;
+                continue;
+            }
+
+            var start = i;
+            while (i < frames.length && !frames[i].separator && !isUserFrame(frames[i])) i++;
+            if (i - start < 2) {
+                html += renderFrame(frames[start]);
+                continue;
+            }
+
+            var key = keyPrefix + ':' + start;
+            var open = isOpen(key);
+            html += '<div class="exception-fold" data-action="toggle-frames" data-key="' + escapeAttr(key) + '">' +
+                (open ? '&#9662; ' : '&#9656; ') + (i - start) + ' framework frames</div>';
+            if (open) {
+                html += frames.slice(start, i).map(renderFrame).join('');
+            }
+        }
+        return html;
+    }
+
+    function renderHeadline(node) {
+        return '<span class="exception-type">' + escapeHtml(node.type || 'Exception') + '</span>' +
+            (node.message ? ': <span class="exception-message">' + escapeHtml(node.message) + '</span>' : '');
+    }
+
+    function renderNode(node, keyPrefix, isOpen) {
+        var html = renderFrames(node.frames, keyPrefix, isOpen);
+        node.inner.forEach(function(inner, index) {
+            html += '<div class="exception-inner">' +
+                '<div class="exception-inner-title">Inner exception: ' + renderHeadline(inner) + '</div>' +
+                renderNode(inner, keyPrefix + '.' + index, isOpen) +
+                '</div>';
+        });
+        return html;
+    }
+
+    /**
+     * 콘솔 행의 예외 블록 HTML
+     * @param {Object} entry - 콘솔 엔트리
+     * @param {Function} isOpen - (key) => 펼침 여부. key는 엔트리 ID 또는 "ID:경로:시작 프레임"
+     * @returns {string} 예외가 없으면 빈 문자열
+     */
+    function render(entry, isOpen) {
+        var root = parse(getExceptionText(entry));
+        if (!root) return '';
+
+        var expanded = isOpen(entry.id);
+        var html = '<div class="exception-view">' +
+            '<div class="exception-headline" data-action="toggle-exception" data-key="' + escapeAttr(entry.id) + '">' +
+            '<span class="exception-arrow">' + (expanded ? '&#9662;' : '&#9656;') + '</span>' + renderHeadline(root) +
+            '</div>';
+
+        if (expanded) {
+            html += '<div class="exception-body">' + renderNode(root, entry.id + ':0', isOpen) +
+                (entry.source ? '<div class="exception-source">Logged at ' + escapeHtml(entry.source) + '</div>' : '') +
+                '</div>';
+        }
+        return html + '</div>';
+    }
+
+    // Public API
+    return {
+        parse: parse,
+        isUserFrame: isUserFrame,
+        hasException: hasException,
+        getSignature: getSignature,
+        render: render
+    };
+})();
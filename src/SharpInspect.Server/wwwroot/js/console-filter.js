@@ -0,0 +1,226 @@
+/**
+ * SharpInspect DevTools - Console Filter Module
+ * 콘솔 로그 레벨/카테고리 필터와 텍스트(정규식, 대소문자 구분) 검색
+ * (구조화 로그 토큰: prop:Key=Value, scope:Key=Value, -부정, 값에 * 와일드카드)
+ */
+var SharpInspectConsoleFilter = (function() {
+    'use strict';
+
+    var STORAGE_KEY = 'sharpinspect-console-filter';
+    var LEVELS = ['Trace', 'Debug', 'Information', 'Warning', 'Error', 'Critical'];
+    var TOKEN_PATTERN = /(^|\s)(-?)(prop|scope):((?:"[^"]*"|[^\s"])+)/g;
+
+    function getDefaultState() {
+        return { levels: LEVELS.slice(), categories: [], regex: false, caseSensitive: false };
+    }
+
+    /**
+     * localStorage에서 필터 상태 불러오기
+     */
+    function load() {
+        var state = getDefaultState();
+        try {
+            var saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                if (Array.isArray(saved.levels)) {
+                    state.levels = saved.levels.filter(function(l) { return LEVELS.indexOf(l) !== -1; });
+                }
+                if (Array.isArray(saved.categories)) {
+                    state.categories = saved.categories.filter(function(c) { return typeof c === 'string'; });
+                }
+                state.regex = !!saved.regex;
+                state.caseSensitive = !!saved.caseSensitive;
+            }
+        } catch (e) {}
+        return state;
+    }
+
+    /**
+     * 필터 상태를 localStorage에 저장
+     */
+    function save(state) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    }
+
+    // ===== 구조화 로그 토큰 =====
+    function unquote(value) {
+        if (value.length >= 2 && value.charAt(0) === '"' && value.charAt(value.length - 1) === '"') {
+            return value.substring(1, value.length - 1);
+        }
+        return value;
+    }
+
+    /**
+     * 대소문자 구분 없이 속성 키 찾기
+     */
+    function findKey(properties, key) {
+        if (!properties) return null;
+        if (Object.prototype.hasOwnProperty.call(properties, key)) return key;
+        var lower = key.toLowerCase();
+        var keys = Object.keys(properties);
+        for (var i = 0; i < keys.length; i++) {
+            if (keys[i].toLowerCase() === lower) return keys[i];
+        }
+        return null;
+    }
+
+    /**
+     * 값 비교 함수 (대소문자 무시 일치, * 는 와일드카드)
+     */
+    function createValueMatcher(expected) {
+        if (expected.indexOf('*') !== -1) {
+            var regex = new RegExp('^' + expected.split('*').map(function(part) {
+                return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+            }).join('.*') + '$', 'i');
+            return function(value) { return value !== null && value !== undefined && regex.test(value); };
+        }
+        var lower = expected.toLowerCase();
+        return function(value) { return value !== null && value !== undefined && String(value).toLowerCase() === lower; };
+    }
+
+    /**
+     * prop:Key=Value / scope:Key=Value 토큰을 조건 함수로 변환
+     * 값 없이 prop:Key 는 속성 존재 여부, scope:Text 는 스코프 키 또는 스코프 문자열 포함 여부
+     */
+    function tokenPredicate(kind, body) {
+        var eq = body.indexOf('=');
+        var key = unquote(eq === -1 ? body : body.substring(0, eq));
+        var getProperties = kind === 'prop'
+            ? function(e) { return e.properties; }
+            : function(e) { return e.scopeProperties; };
+
+        if (eq === -1) {
+            var lower = key.toLowerCase();
+            return function(e) {
+                if (findKey(getProperties(e), key) !== null) return true;
+                return kind === 'scope' && (e.scopes || []).some(function(s) {
+                    return (s || '').toLowerCase().indexOf(lower) !== -1;
+                });
+            };
+        }
+
+        var matchValue = createValueMatcher(unquote(body.substring(eq + 1)));
+        return function(e) {
+            var properties = getProperties(e);
+            var found = findKey(properties, key);
+            return found !== null && matchValue(properties[found]);
+        };
+    }
+
+    /**
+     * 검색어에서 prop:/scope: 토큰을 분리하고 나머지를 텍스트 검색어로 반환
+     * @returns {{ text: string, predicates: Array }}
+     */
+    function parseTokens(query) {
+        var predicates = [];
+        var text = query.replace(TOKEN_PATTERN, function(match, lead, negated, kind, body) {
+            var predicate = tokenPredicate(kind, body);
+            predicates.push(negated ? function(e) { return !predicate(e); } : predicate);
+            return lead;
+        });
+        return { text: text.trim(), predicates: predicates };
+    }
+
+    /**
+     * 속성 값으로 필터 토큰 생성 (공백이 있으면 따옴표로 감쌈)
+     */
+    function createToken(kind, key, value) {
+        var text = value === null || value === undefined ? '' : String(value);
+        return kind + ':' + key + '=' + (/\s/.test(text) ? '"' + text.replace(/"/g, '') + '"' : text);
+    }
+
+    /**
+     * 검색어를 문자열 검사 함수로 변환
+     * @returns {{ test: function(string): boolean, error: string|null }}
+     */
+    function compileText(text, state) {
+        if (!text) return { test: null, error: null };
+
+        if (state.regex) {
+            try {
+                var regex = new RegExp(text, state.caseSensitive ? '' : 'i');
+                return { test: function(s) { return regex.test(s); }, error: null };
+            } catch (e) {
+                // 잘못된 정규식은 텍스트 필터 없이 표시
+                return { test: null, error: e.message };
+            }
+        }
+
+        var needle = state.caseSensitive ? text : text.toLowerCase();
+        return {
+            test: function(s) {
+                return (state.caseSensitive ? s : s.toLowerCase()).indexOf(needle) !== -1;
+            },
+            error: null
+        };
+    }
+
+    /**
+     * 필터 상태와 검색어로 엔트리 조건 함수 생성
+     * 텍스트는 메시지와 예외 상세(exceptionDetails)에서 검색, prop:/scope: 토큰은 AND 조건
+     * @returns {{ predicate: function(Object): boolean, error: string|null }}
+     */
+    function createPredicate(state, text) {
+        var tokens = parseTokens(text || '');
+        var compiled = compileText(tokens.text, state);
+        var allLevels = state.levels.length === LEVELS.length;
+
+        return {
+            predicate: function(entry) {
+                // 알 수 없는 레벨(None 등)은 레벨 필터 대상이 아님
+                if (!allLevels && LEVELS.indexOf(entry.level) !== -1 && state.levels.indexOf(entry.level) === -1) return false;
+                if (state.categories.length > 0 && state.categories.indexOf(entry.category || '') === -1) return false;
+                if (compiled.test && !compiled.test(entry.message || '') &&
+                    !(entry.exceptionDetails && compiled.test(entry.exceptionDetails))) return false;
+                for (var i = 0; i < tokens.predicates.length; i++) {
+                    if (!tokens.predicates[i](entry)) return false;
+                }
+                return true;
+            },
+            error: compiled.error
+        };
+    }
+
+    /**
+     * 레벨 토글 (Ctrl/Cmd+클릭은 해당 레벨만 표시)
+     */
+    function toggleLevel(state, level, only) {
+        if (only) {
+            state.levels = state.levels.length === 1 && state.levels[0] === level ? LEVELS.slice() : [level];
+            return;
+        }
+        var idx = state.levels.indexOf(level);
+        if (idx === -1) state.levels.push(level);
+        else state.levels.splice(idx, 1);
+    }
+
+    /**
+     * 카테고리 선택 토글 (빈 배열 = 모든 카테고리)
+     */
+    function toggleCategory(state, category) {
+        var idx = state.categories.indexOf(category);
+        if (idx === -1) state.categories.push(category);
+        else state.categories.splice(idx, 1);
+    }
+
+    /**
+     * 카테고리 드롭다운 버튼 라벨
+     */
+    function getCategoryLabel(state) {
+        if (state.categories.length === 0) return 'All categories';
+        if (state.categories.length === 1) return state.categories[0] || '(no category)';
+        return state.categories.length + ' categories';
+    }
+
+    // Public API
+    return {
+        LEVELS: LEVELS,
+        load: load,
+        save: save,
+        createPredicate: createPredicate,
+        createToken: createToken,
+        toggleLevel: toggleLevel,
+        toggleCategory: toggleCategory,
+        getCategoryLabel: getCategoryLabel
+    };
+})();
@@ -0,0 +1,98 @@
+/**
+ * SharpInspect DevTools - Console Properties Module
+ * 구조화 로그의 메시지 템플릿, 명명된 속성, 활성 스코프를 펼칠 수 있는 키/값 표로 렌더링
+ */
+var SharpInspectConsoleProperties = (function() {
+    'use strict';
+
+    var escapeHtml = SharpInspectUtils.escapeHtml;
+    var escapeAttr = SharpInspectUtils.escapeAttr;
+
+    function countKeys(properties) {
+        return properties ? Object.keys(properties).length : 0;
+    }
+
+    function hasProperties(entry) {
+        return countKeys(entry.properties) > 0 || (entry.scopes && entry.scopes.length > 0);
+    }
+
+    function renderValue(value) {
+        if (value === null || value === undefined) {
+            return '<span class="log-prop-null">null</span>';
+        }
+        return escapeHtml(String(value));
+    }
+
+    /**
+     * 클릭하면 필터에 prop:/scope: 토큰을 추가하는 키/값 행
+     */
+    function renderRow(kind, key, value) {
+        var token = SharpInspectConsoleFilter.createToken(kind, key, value);
+        return '<tr class="log-prop-row" data-action="add-filter" data-token="' + escapeAttr(token) + '" title="Filter by ' + escapeAttr(token) + '">' +
+            '<td class="log-prop-key">' + escapeHtml(key) + '</td>' +
+            '<td class="log-prop-value">' + renderValue(value) + '</td>' +
+            '</tr>';
+    }
+
+    function renderSection(title) {
+        return '<tr class="log-props-section"><td colspan="2">' + title + '</td></tr>';
+    }
+
+    function renderTable(entry) {
+        var html = '<table class="log-props">';
+
+        if (entry.messageTemplate || countKeys(entry.properties) > 0) {
+            html += renderSection('Properties');
+            if (entry.messageTemplate) {
+                html += '<tr><td class="log-prop-key">Template</td>' +
+                    '<td class="log-prop-value log-prop-template">' + escapeHtml(entry.messageTemplate) + '</td></tr>';
+            }
+            Object.keys(entry.properties || {}).forEach(function(key) {
+                html += renderRow('prop', key, entry.properties[key]);
+            });
+        }
+
+        if (entry.scopes && entry.scopes.length > 0) {
+            html += renderSection('Scopes');
+            // 바깥 스코프부터 안쪽 스코프 순서
+            html += '<tr><td class="log-prop-key">Scope</td>' +
+                '<td class="log-prop-value">' + entry.scopes.map(escapeHtml).join(' <span class="log-prop-scope-sep">&#8250;</span> ') + '</td></tr>';
+            Object.keys(entry.scopeProperties || {}).forEach(function(key) {
+                html += renderRow('scope', key, entry.scopeProperties[key]);
+            });
+        }
+
+        return html + '</table>';
+    }
+
+    /**
+     * 콘솔 행의 구조화 속성 블록 HTML
+     * @param {Object} entry - 콘솔 엔트리
+     * @param {Function} isOpen - (key) => 펼침 여부. key는 "엔트리 ID:props"
+     * @returns {string} 속성과 스코프가 없으면 빈 문자열
+     */
+    function render(entry, isOpen) {
+        if (!hasProperties(entry)) return '';
+
+        var key = entry.id + ':props';
+        var expanded = isOpen(key);
+        var propertyCount = countKeys(entry.properties);
+        var scopeCount = entry.scopes ? entry.scopes.length : 0;
+        var summary = [];
+        if (propertyCount > 0) summary.push(propertyCount + (propertyCount === 1 ? ' property' : ' properties'));
+        if (scopeCount > 0) summary.push(scopeCount + (scopeCount === 1 ? ' scope' : ' scopes'));
+
+        return '<div class="log-props-view">' +
+            '<div class="log-props-toggle" data-action="toggle-props" data-key="' + escapeAttr(key) + '">' +
+            (expanded ? '&#9662; ' : '&#9656; ') + summary.join(' &middot; ') +
+            '</div>' +
+            (expanded ? renderTable(entry) : '') +
+            '</div>';
+    }
+
+    // Public API
+    return {
+        hasProperties: hasProperties,
+        render: render
+    };
+})();
@@ -1,6 +1,7 @@
 /**
  * SharpInspect DevTools - Copy As Module
- * HTTP 요청을 다양한 형식으로 변환 (cURL, PowerShell, fetch, C# HttpClient)
+ * HTTP 요청을 다양한 형식으로 변환
+ * (cURL, PowerShell, fetch, C# HttpClient, HTTPie, Python requests, Go net/http, Node axios, wget, .http)
  */
 var SharpInspectCopyAs = (function() {
     var SQ = String.fromCharCode(39);  // 작은따옴표
@@ -8,6 +9,119 @@ var SharpInspectCopyAs = (function() {
     var DQ = String.fromCharCode(34);  // 큰따옴표
     var NL = String.fromCharCode(10);  // 줄바꿈
     var BT = String.fromCharCode(96);  // 백틱
+    var CR = String.fromCharCode(13);  // 캐리지 리턴
+    var TAB = String.fromCharCode(9);  // 탭
+
+    var STORAGE_KEY = 'sharpinspect-copy-as-options';
+    // 서버가 MaskedHeaders 값을 치환할 때 사용하는 문자열
+    var MASKED_VALUE = '***masked***';
+    // 홉 단위(hop-by-hop) 헤더와 클라이언트가 자동으로 계산하는 헤더
+    var AUTO_HEADERS = ['host', 'content-length', 'connection', 'keep-alive', 'proxy-connection',
+        'transfer-encoding', 'te', 'trailer', 'upgrade', 'expect'];
+    var MASKED_MODES = ['placeholder', 'omit', 'keep'];
+
+    var options = loadOptions();
+
+    // ===== 옵션 =====
+    function getDefaultOptions() {
+        return {
+            stripAutoHeaders: true,
+            maskedHeaders: 'placeholder',
+            includeCookies: true,
+            compressed: true,
+            insecure: false,
+            singleLine: false
+        };
+    }
+
+    /**
+     * localStorage에서 Copy as 옵션 불러오기
+     */
+    function loadOptions() {
+        var result = getDefaultOptions();
+        try {
+            var saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                Object.keys(result).forEach(function(key) {
+                    if (key === 'maskedHeaders') {
+                        if (MASKED_MODES.indexOf(saved.maskedHeaders) !== -1) result.maskedHeaders = saved.maskedHeaders;
+                    } else if (typeof saved[key] === 'boolean') {
+                        result[key] = saved[key];
+                    }
+                });
+            }
+        } catch (e) {}
+        return result;
+    }
+
+    function getOptions() {
+        var copy = {};
+        Object.keys(options).forEach(function(key) { copy[key] = options[key]; });
+        return copy;
+    }
+
+    /**
+     * 옵션 값을 변경하고 localStorage에 저장
+     */
+    function setOption(name, value) {
+        if (!Object.prototype.hasOwnProperty.call(options, name)) return;
+        if (name === 'maskedHeaders' ? MASKED_MODES.indexOf(value) === -1 : typeof value !== 'boolean') return;
+        options[name] = value;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+    }
+
+    /**
+     * 마스킹된 헤더의 자리 표시자 이름 (Authorization → $TOKEN, X-Api-Key → $X_API_KEY)
+     */
+    function getPlaceholder(headerName) {
+        var lower = headerName.toLowerCase();
+        if (lower === 'authorization') return '$TOKEN';
+        return '$' + headerName.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    }
+
+    /**
+     * 옵션에 따라 요청 헤더를 정리한 엔트리 사본 생성
+     * 자리 표시자로 바꾼 헤더는 placeholderHeaders에 기록 (셸 형식에서 변수로 확장되도록 따옴표 처리)
+     */
+    function prepareEntry(entry) {
+        var headers = entry.requestHeaders || {};
+        var prepared = {};
+        var placeholders = {};
+        Object.keys(headers).forEach(function(key) {
+            var lower = key.toLowerCase();
+            var value = headers[key];
+            if (options.stripAutoHeaders && AUTO_HEADERS.indexOf(lower) !== -1) return;
+            if (!options.includeCookies && lower === 'cookie') return;
+            if (value === MASKED_VALUE) {
+                if (options.maskedHeaders === 'omit') return;
+                if (options.maskedHeaders === 'placeholder') {
+                    value = getPlaceholder(key);
+                    placeholders[key] = true;
+                }
+            }
+            prepared[key] = value;
+        });
+
+        var copy = {};
+        Object.keys(entry).forEach(function(key) { copy[key] = entry[key]; });
+        copy.requestHeaders = prepared;
+        copy.placeholderHeaders = placeholders;
+        return copy;
+    }
+
+    function hasHeader(entry, name) {
+        return Object.keys(entry.requestHeaders || {}).some(function(k) {
+            return k.toLowerCase() === name;
+        });
+    }
+
+    /**
+     * 명령줄 인수 조합 (여러 줄 모드에서는 줄 연속 기호로 연결)
+     */
+    function joinCommand(parts, continuation, indent) {
+        if (options.singleLine) return parts.join(' ');
+        return parts.join(continuation + NL + indent);
+    }
 
     /**
      * Windows CMD 인수 이스케이프
@@ -17,6 +131,14 @@ var SharpInspectCopyAs = (function() {
         return str.split(BS).join(BS + BS).split(DQ).join(BS + DQ);
     }
 
+    /**
+     * 배치 파일에서 %가 변수/인수 참조로 해석되지 않도록 %%로 이스케이프
+     */
+    function escapeBatchPercent(str) {
+        if (!str) return str;
+        return str.split('%').join('%%');
+    }
+
     /**
      * Bash 인수 이스케이프
      */
@@ -25,6 +147,20 @@ var SharpInspectCopyAs = (function() {
         return SQ + str.split(SQ).join(SQ + BS + SQ + SQ) + SQ;
     }
 
+    function isPlaceholder(entry, key) {
+        return !!(entry.placeholderHeaders && entry.placeholderHeaders[key]);
+    }
+
+    /**
+     * Bash 헤더 인수. 자리 표시자는 작은따옴표 밖에서 큰따옴표로 감싸 셸 변수로 확장되게 함
+     * ('Authorization: '"$TOKEN")
+     */
+    function bashHeaderArg(entry, key, separator) {
+        var value = entry.requestHeaders[key];
+        if (isPlaceholder(entry, key)) return escapeBashArg(key + separator) + DQ + value + DQ;
+        return escapeBashArg(key + separator + value);
+    }
+
     /**
      * PowerShell 인수 이스케이프
      */
@@ -49,64 +185,101 @@ var SharpInspectCopyAs = (function() {
         return str.split(BS).join(BS + BS).split(DQ).join(BS + DQ).split(NL).join(BS + 'n');
     }
 
+    /**
+     * 큰따옴표 문자열 이스케이프 (Python 문자열, Go 해석 문자열 리터럴)
+     */
+    function escapeQuotedString(str) {
+        if (!str) return str;
+        return str.split(BS).join(BS + BS).split(DQ).join(BS + DQ)
+            .split(NL).join(BS + 'n').split(CR).join(BS + 'r').split(TAB).join(BS + 't');
+    }
+
+    /**
+     * .http 파일 헤더 값 정리 (줄바꿈은 요청 구조를 깨뜨리므로 공백으로 치환)
+     */
+    function escapeHttpFileValue(str) {
+        if (!str) return str;
+        return str.split(CR + NL).join(' ').split(NL).join(' ').split(CR).join(' ');
+    }
+
+    /**
+     * 클라이언트가 자동으로 계산하는 헤더를 제외한 요청 헤더 이름 목록
+     */
+    function getHeaderKeys(entry, skipHost) {
+        if (!entry.requestHeaders) return [];
+        return Object.keys(entry.requestHeaders).filter(function(k) {
+            var lower = k.toLowerCase();
+            return lower !== 'content-length' && (!skipHost || lower !== 'host');
+        });
+    }
+
+    /**
+     * 마지막 줄의 줄 연속 기호 제거
+     */
+    function trimContinuation(lines, suffix) {
+        var lastLine = lines[lines.length - 1];
+        if (lastLine && lastLine.slice(-suffix.length) === suffix) {
+            lines[lines.length - 1] = lastLine.slice(0, -suffix.length);
+        }
+    }
+
+    /**
+     * 옵션에 따른 cURL 플래그 (--compressed, -k)
+     */
+    function getCurlFlags(entry) {
+        var flags = [];
+        if (options.compressed && hasHeader(entry, 'accept-encoding')) flags.push('--compressed');
+        if (options.insecure) flags.push('-k');
+        return flags;
+    }
+
     /**
      * cURL (Windows cmd) 형식으로 변환
+     * batch가 true이면 배치 파일용으로 %를 이스케이프 (%TOKEN% 자리 표시자는 그대로 둠)
      */
-    function toCurlCmd(entry) {
-        var lines = [];
-        var method = entry.method || 'GET';
-        lines.push('curl -X ' + method + ' ^');
-        lines.push('  ' + DQ + entry.url + DQ + ' ^');
+    function toCurlCmd(entry, batch) {
+        var percent = batch ? escapeBatchPercent : function(str) { return str; };
+        var parts = ['curl -X ' + (entry.method || 'GET'), DQ + percent(entry.url) + DQ];
+        parts = parts.concat(getCurlFlags(entry));
 
         if (entry.requestHeaders) {
             var keys = Object.keys(entry.requestHeaders);
             for (var i = 0; i < keys.length; i++) {
                 var key = keys[i];
                 var value = entry.requestHeaders[key];
-                lines.push('  -H ' + DQ + key + ': ' + escapeCmdArg(value) + DQ + ' ^');
+                // CMD 환경 변수 형식 ($TOKEN → %TOKEN%)
+                value = isPlaceholder(entry, key) ? '%' + value.substring(1) + '%' : percent(value);
+                parts.push('-H ' + DQ + percent(key) + ': ' + escapeCmdArg(value) + DQ);
             }
         }
 
         if (entry.requestBody) {
-            lines.push('  -d ' + DQ + escapeCmdArg(entry.requestBody) + DQ);
-        } else {
-            var lastLine = lines[lines.length - 1];
-            if (lastLine && lastLine.slice(-1) === '^') {
-                lines[lines.length - 1] = lastLine.slice(0, -2);
-            }
+            parts.push('-d ' + DQ + escapeCmdArg(percent(entry.requestBody)) + DQ);
         }
 
-        return lines.join(NL);
+        return joinCommand(parts, ' ^', '  ');
     }
 
     /**
      * cURL (bash) 형식으로 변환
      */
     function toCurlBash(entry) {
-        var lines = [];
-        var method = entry.method || 'GET';
-        lines.push('curl -X ' + method + ' ' + BS);
-        lines.push('  ' + escapeBashArg(entry.url) + ' ' + BS);
+        var parts = ['curl -X ' + (entry.method || 'GET'), escapeBashArg(entry.url)];
+        parts = parts.concat(getCurlFlags(entry));
 
         if (entry.requestHeaders) {
             var keys = Object.keys(entry.requestHeaders);
             for (var i = 0; i < keys.length; i++) {
                 var key = keys[i];
-                var value = entry.requestHeaders[key];
-                lines.push('  -H ' + escapeBashArg(key + ': ' + value) + ' ' + BS);
+                parts.push('-H ' + bashHeaderArg(entry, key, ': '));
             }
         }
 
         if (entry.requestBody) {
-            lines.push('  -d ' + escapeBashArg(entry.requestBody));
-        } else {
-            var lastLine = lines[lines.length - 1];
-            if (lastLine && lastLine.slice(-1) === BS) {
-                lines[lines.length - 1] = lastLine.slice(0, -2);
-            }
+            parts.push('-d ' + escapeBashArg(entry.requestBody));
         }
 
-        return lines.join(NL);
+        return joinCommand(parts, ' ' + BS, '  ');
     }
 
     /**
@@ -135,21 +308,22 @@ var SharpInspectCopyAs = (function() {
             lines.push('');
         }
 
-        lines.push('Invoke-RestMethod -Uri ' + DQ + entry.url + DQ + ' -Method ' + method + ' `');
+        var parts = ['Invoke-RestMethod -Uri ' + DQ + entry.url + DQ + ' -Method ' + method];
 
         if (entry.requestHeaders && Object.keys(entry.requestHeaders).length > 0) {
-            lines.push('    -Headers $headers `');
+            parts.push('-Headers $headers');
         }
 
         if (entry.requestBody) {
-            lines.push('    -Body $body');
-        } else {
-            var lastLine = lines[lines.length - 1];
-            if (lastLine && lastLine.slice(-1) === '`') {
-                lines[lines.length - 1] = lastLine.slice(0, -2);
-            }
+            parts.push('-Body $body');
         }
 
+        if (options.insecure) {
+            parts.push('-SkipCertificateCheck');
+        }
+
+        lines.push(joinCommand(parts, ' `', '    '));
+
         return lines.join(NL);
     }
 
@@ -239,9 +413,199 @@ var SharpInspectCopyAs = (function() {
     }
 
     /**
-     * 지정된 형식으로 변환
+     * HTTPie 형식으로 변환
+     */
+    function toHttpie(entry) {
+        var method = entry.method || 'GET';
+        var parts = ['http ' + (options.insecure ? '--verify=no ' : '') + method + ' ' + escapeBashArg(entry.url)];
+
+        var keys = getHeaderKeys(entry, false);
+        for (var i = 0; i < keys.length; i++) {
+            parts.push(bashHeaderArg(entry, keys[i], ':'));
+        }
+
+        if (entry.requestBody) {
+            parts.push('--raw ' + escapeBashArg(entry.requestBody));
+        }
+
+        return joinCommand(parts, ' ' + BS, '  ');
+    }
+
+    /**
+     * Python requests 형식으로 변환
+     */
+    function toPythonRequests(entry) {
+        var lines = [];
+        var method = entry.method || 'GET';
+
+        lines.push('import requests');
+        lines.push('');
+        lines.push('url = ' + DQ + escapeQuotedString(entry.url) + DQ);
+
+        var keys = getHeaderKeys(entry, true);
+        if (keys.length > 0) {
+            lines.push('headers = {');
+            for (var i = 0; i < keys.length; i++) {
+                lines.push('    ' + DQ + escapeQuotedString(keys[i]) + DQ + ': ' + DQ + escapeQuotedString(entry.requestHeaders[keys[i]]) + DQ + ',');
+            }
+            lines.push('}');
+        }
+
+        if (entry.requestBody) {
+            lines.push('data = ' + DQ + escapeQuotedString(entry.requestBody) + DQ);
+        }
+
+        lines.push('');
+        lines.push('response = requests.request(' + DQ + method + DQ + ', url' +
+            (keys.length > 0 ? ', headers=headers' : '') +
+            (entry.requestBody ? ', data=data.encode(' + DQ + 'utf-8' + DQ + ')' : '') +
+            (options.insecure ? ', verify=False' : '') + ')');
+        lines.push('print(response.status_code)');
+        lines.push('print(response.text)');
+
+        return lines.join(NL);
+    }
+
+    /**
+     * Go net/http 형식으로 변환
+     */
+    function toGoNetHttp(entry) {
+        var lines = [];
+        var method = entry.method || 'GET';
+        var hasBody = !!entry.requestBody;
+
+        lines.push('package main');
+        lines.push('');
+        lines.push('import (');
+        lines.push(TAB + DQ + 'fmt' + DQ);
+        lines.push(TAB + DQ + 'io' + DQ);
+        lines.push(TAB + DQ + 'net/http' + DQ);
+        if (hasBody) lines.push(TAB + DQ + 'strings' + DQ);
+        lines.push(')');
+        lines.push('');
+        lines.push('func main() {');
+
+        if (hasBody) {
+            // 원시 문자열 리터럴은 백틱을 담을 수 없고 \r을 버리므로 둘 다 없을 때만 사용
+            var literal = entry.requestBody.indexOf(BT) === -1 && entry.requestBody.indexOf(CR) === -1
+                ? BT + entry.requestBody + BT
+                : DQ + escapeQuotedString(entry.requestBody) + DQ;
+            lines.push(TAB + 'body := strings.NewReader(' + literal + ')');
+        }
+        lines.push(TAB + 'req, err := http.NewRequest(' + DQ + method + DQ + ', ' + DQ + escapeQuotedString(entry.url) + DQ + ', ' + (hasBody ? 'body' : 'nil') + ')');
+        lines.push(TAB + 'if err != nil {');
+        lines.push(TAB + TAB + 'panic(err)');
+        lines.push(TAB + '}');
+
+        var keys = getHeaderKeys(entry, true);
+        for (var i = 0; i < keys.length; i++) {
+            lines.push(TAB + 'req.Header.Set(' + DQ + escapeQuotedString(keys[i]) + DQ + ', ' + DQ + escapeQuotedString(entry.requestHeaders[keys[i]]) + DQ + ')');
+        }
+
+        lines.push('');
+        lines.push(TAB + 'resp, err := http.DefaultClient.Do(req)');
+        lines.push(TAB + 'if err != nil {');
+        lines.push(TAB + TAB + 'panic(err)');
+        lines.push(TAB + '}');
+        lines.push(TAB + 'defer resp.Body.Close()');
+        lines.push('');
+        lines.push(TAB + 'respBody, _ := io.ReadAll(resp.Body)');
+        lines.push(TAB + 'fmt.Println(resp.Status)');
+        lines.push(TAB + 'fmt.Println(string(respBody))');
+        lines.push('}');
+
+        return lines.join(NL);
+    }
+
+    /**
+     * Node.js axios 형식으로 변환
+     */
+    function toAxios(entry) {
+        var lines = [];
+        var method = (entry.method || 'GET').toLowerCase();
+
+        lines.push('const axios = require(' + SQ + 'axios' + SQ + ');');
+        lines.push('');
+        lines.push('axios({');
+        lines.push('  method: ' + DQ + method + DQ + ',');
+        lines.push('  url: ' + DQ + escapeJsString(entry.url) + DQ + ',');
+
+        var keys = getHeaderKeys(entry, true);
+        if (keys.length > 0) {
+            lines.push('  headers: {');
+            for (var i = 0; i < keys.length; i++) {
+                var comma = (i < keys.length - 1) ? ',' : '';
+                lines.push('    ' + DQ + escapeJsString(keys[i]) + DQ + ': ' + DQ + escapeJsString(entry.requestHeaders[keys[i]]) + DQ + comma);
+            }
+            lines.push('  },');
+        }
+
+        if (entry.requestBody) {
+            lines.push('  data: ' + DQ + escapeJsString(entry.requestBody) + DQ);
+        } else {
+            trimContinuation(lines, ',');
+        }
+
+        lines.push('})');
+        lines.push('  .then(response => console.log(response.data))');
+        lines.push('  .catch(error => console.error(error));');
+
+        return lines.join(NL);
+    }
+
+    /**
+     * wget 형식으로 변환
+     */
+    function toWget(entry) {
+        var parts = ['wget --method=' + (entry.method || 'GET')];
+        if (options.compressed && hasHeader(entry, 'accept-encoding')) parts.push('--compression=auto');
+        if (options.insecure) parts.push('--no-check-certificate');
+
+        var keys = getHeaderKeys(entry, false);
+        for (var i = 0; i < keys.length; i++) {
+            parts.push('--header=' + bashHeaderArg(entry, keys[i], ': '));
+        }
+
+        if (entry.requestBody) {
+            parts.push('--body-data=' + escapeBashArg(entry.requestBody));
+        }
+
+        parts.push('-O - ' + escapeBashArg(entry.url));
+
+        return joinCommand(parts, ' ' + BS, '  ');
+    }
+
+    /**
+     * .http / .rest 요청 블록 형식으로 변환 (VS Code REST Client, JetBrains HTTP Client)
+     */
+    function toHttpFile(entry) {
+        var lines = [];
+        var method = entry.method || 'GET';
+
+        lines.push('### ' + method + ' ' + escapeHttpFileValue(SharpInspectUtils.getUrlName(entry.url)));
+        lines.push(method + ' ' + escapeHttpFileValue(entry.url) + ' HTTP/1.1');
+
+        var keys = getHeaderKeys(entry, false);
+        for (var i = 0; i < keys.length; i++) {
+            lines.push(escapeHttpFileValue(keys[i]) + ': ' + escapeHttpFileValue(entry.requestHeaders[keys[i]]));
+        }
+
+        if (entry.requestBody) {
+            lines.push('');
+            // '###'로 시작하는 줄은 요청 구분자로 해석되므로 앞에 공백 추가
+            lines.push(entry.requestBody.split(NL).map(function(line) {
+                return line.indexOf('###') === 0 ? ' ' + line : line;
+            }).join(NL));
+        }
+
+        return lines.join(NL);
+    }
+
+    /**
+     * 옵션(헤더 정리, 마스킹 자리 표시자)을 적용하여 지정된 형식으로 변환
      */
     function convert(entry, format) {
+        entry = prepareEntry(entry);
         switch (format) {
             case 'curl-cmd':
                 return toCurlCmd(entry);
@@ -253,11 +617,64 @@ var SharpInspectCopyAs = (function() {
                 return toFetch(entry);
             case 'csharp':
                 return toCSharpHttpClient(entry);
+            case 'httpie':
+                return toHttpie(entry);
+            case 'python':
+                return toPythonRequests(entry);
+            case 'go':
+                return toGoNetHttp(entry);
+            case 'axios':
+                return toAxios(entry);
+            case 'wget':
+                return toWget(entry);
+            case 'http-file':
+                return toHttpFile(entry);
             default:
                 return '';
         }
     }
 
+    /**
+     * 여러 요청을 시간 순서대로 실행하는 하나의 스크립트로 변환
+     * (curl-cmd, curl-bash, powershell, fetch 지원)
+     */
+    function convertAll(entries, format) {
+        var sorted = entries.slice().sort(function(a, b) {
+            return new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime();
+        });
+
+        var commentPrefix = format === 'curl-cmd' ? 'REM ' : format === 'fetch' ? '// ' : '# ';
+        var blocks = sorted.map(function(entry, i) {
+            var comment = commentPrefix + (i + 1) + '. ' + (entry.method || 'GET') + ' ' + entry.url;
+            var code;
+            if (format === 'curl-cmd') {
+                // 배치 파일로 실행되므로 REM 줄을 포함해 %를 이스케이프
+                comment = escapeBatchPercent(comment);
+                code = toCurlCmd(prepareEntry(entry), true);
+            } else {
+                code = convert(entry, format);
+            }
+            if (format === 'fetch') {
+                // 순서대로 실행되도록 await 사용
+                code = 'await ' + code;
+            }
+            return comment + NL + code;
+        });
+
+        switch (format) {
+            case 'curl-bash':
+                return '#!/usr/bin/env bash' + NL + NL + blocks.join(NL + NL);
+            case 'curl-cmd':
+                return '@echo off' + NL + NL + blocks.join(NL + NL);
+            case 'fetch':
+                return '(async () => {' + NL +
+                    blocks.join(NL + NL).split(NL).map(function(line) { return line ? '  ' + line : line; }).join(NL) +
+                    NL + '})();';
+            default:
+                return blocks.join(NL + NL);
+        }
+    }
+
     // Public API
     return {
         toCurlCmd: toCurlCmd,
@@ -265,6 +682,15 @@ var SharpInspectCopyAs = (function() {
         toPowerShell: toPowerShell,
         toFetch: toFetch,
         toCSharpHttpClient: toCSharpHttpClient,
-        convert: convert
+        toHttpie: toHttpie,
+        toPythonRequests: toPythonRequests,
+        toGoNetHttp: toGoNetHttp,
+        toAxios: toAxios,
+        toWget: toWget,
+        toHttpFile: toHttpFile,
+        convert: convert,
+        convertAll: convertAll,
+        getOptions: getOptions,
+        setOption: setOption
     };
 })();
@@ -6,19 +6,35 @@ var SharpInspectDetailRenderer = (function() {
     'use strict';
 
     var escapeHtml = SharpInspectUtils.escapeHtml;
+    var escapeAttr = SharpInspectUtils.escapeAttr;
     var formatTime = SharpInspectUtils.formatTime;
 
     // ===== Headers 렌더링 =====
     function renderHeaders(entry) {
         var html = '<div class="headers-section">';
 
+        if (entry.replayOfId) {
+            html += '<div class="replay-link">&#8635; Replay of <a href="#" data-replay-of="' +
+                escapeAttr(entry.replayOfId) + '">the original request</a></div>';
+        }
+
         // General 섹션
-        html += renderHeaderGroup('General', [
+        var general = [
             ['Request URL', entry.url],
             ['Request Method', entry.method],
-            ['Status Code', entry.statusCode + ' ' + (entry.statusText || '')],
+            ['Status Code', entry.isBlocked
+                ? '(blocked by DevTools)' + (entry.statusCode ? ' ' + entry.statusCode + ' ' + (entry.statusText || '') : '')
+                : entry.statusCode + ' ' + (entry.statusText || '')],
             ['Protocol', entry.protocol || 'HTTP/1.1']
-        ]);
+        ];
+        if (entry.isGrpc) {
+            general.push(['gRPC Method', SharpInspectGrpc.getCallName(entry) || entry.path]);
+            general.push(['gRPC Status', entry.grpcStatus === null || entry.grpcStatus === undefined
+                ? '(pending)'
+                : entry.grpcStatus + ' ' + SharpInspectGrpc.getStatusName(entry.grpcStatus) +
+                    (entry.grpcStatusMessage ? ' - ' + entry.grpcStatusMessage : '')]);
+        }
+        html += renderHeaderGroup('General', general);
 
         // Request Headers
         var reqHeaders = entry.requestHeaders || {};
@@ -34,6 +50,15 @@ var SharpInspectDetailRenderer = (function() {
         });
         html += renderHeaderGroup('Response Headers', resHeaderItems, resHeaderItems.length);
 
+        // Response Trailers (gRPC grpc-status 등)
+        var trailers = entry.responseTrailers || {};
+        var trailerItems = Object.keys(trailers).map(function(k) {
+            return [k, trailers[k]];
+        });
+        if (trailerItems.length > 0) {
+            html += renderHeaderGroup('Response Trailers', trailerItems, trailerItems.length);
+        }
+
         html += '</div>';
         return html;
     }
@@ -272,9 +297,94 @@ var SharpInspectDetailRenderer = (function() {
         return formatted.trim();
     }
 
+    // ===== Preview (이미지/HTML/바이너리) 렌더링 =====
+    var HEX_DUMP_MAX_BYTES = 64 * 1024;
+
+    /**
+     * Base64 본문을 바이너리 문자열로 디코딩 (실패 시 null)
+     */
+    function decodeBase64(content) {
+        try {
+            return atob(content);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * 오프셋/16진수/ASCII 컬럼의 Hex dump 렌더링
+     */
+    function renderHexDump(binary) {
+        var length = Math.min(binary.length, HEX_DUMP_MAX_BYTES);
+        var lines = [];
+        for (var offset = 0; offset < length; offset += 16) {
+            var hex = '';
+            var ascii = '';
+            for (var i = 0; i < 16; i++) {
+                if (i === 8) hex += ' ';
+                if (offset + i < length) {
+                    var code = binary.charCodeAt(offset + i);
+                    hex += (code < 16 ? '0' : '') + code.toString(16) + ' ';
+                    ascii += code >= 0x20 && code < 0x7f ? binary.charAt(offset + i) : '.';
+                } else {
+                    hex += '   ';
+                }
+            }
+            lines.push('<span class="hex-offset">' + ('0000000' + offset.toString(16)).slice(-8) + '</span>  ' +
+                hex + ' <span class="hex-ascii">' + escapeHtml(ascii) + '</span>');
+        }
+
+        var note = binary.length > length
+            ? '<div class="preview-info">Showing first ' + SharpInspectUtils.formatBytes(length) + ' of ' + SharpInspectUtils.formatBytes(binary.length) + '</div>'
+            : '';
+        return note + '<pre class="body-content hex-dump">' + lines.join('\n') + '</pre>';
+    }
+
+    /**
+     * 응답 본문 미리보기 렌더링
+     * image/* 는 인라인 이미지, HTML은 샌드박스 iframe, 바이너리는 Hex dump로 표시
+     */
+    function renderPreview(entry) {
+        var content = entry.responseBody;
+        if (!content) {
+            return '<div class="body-empty">(No response body)</div>';
+        }
+
+        var contentType = (entry.responseContentType || '').toLowerCase();
+        var isBase64 = entry.responseBodyEncoding === 'base64';
+
+        if (contentType.indexOf('image/') === 0) {
+            var mime = contentType.split(';')[0].trim();
+            var src = isBase64
+                ? 'data:' + mime + ';base64,' + content
+                : 'data:' + mime + ';charset=utf-8,' + encodeURIComponent(content);
+            var byteSize = isBase64 ? (decodeBase64(content) || '').length : content.length;
+            return '<div class="preview-image-container">' +
+                '<img class="preview-image" src="' + escapeAttr(src) + '" alt="">' +
+                '<div class="preview-info"><span class="preview-dimensions"></span>' +
+                escapeHtml(mime) + ' &middot; ' + SharpInspectUtils.formatBytes(byteSize) + '</div>' +
+                '</div>';
+        }
+
+        if (isBase64) {
+            var binary = decodeBase64(content);
+            if (binary === null) {
+                return '<div class="body-empty">(Unable to decode binary body)</div>';
+            }
+            return renderHexDump(binary);
+        }
+
+        if (detectContentType(content, contentType) === 'html') {
+            // 스크립트 실행과 동일 출처 접근을 막기 위해 sandbox 속성에 아무 권한도 부여하지 않음
+            return '<iframe class="preview-frame" sandbox="" srcdoc="' + escapeAttr(content) + '"></iframe>';
+        }
+
+        return renderBody(content, contentType, true);
+    }
+
     // ===== Timing 워터폴 차트 =====
-    function renderTiming(entry) {
-        var phases = [
+    function getTimingPhases(entry) {
+        return [
             { name: 'DNS Lookup', value: entry.dnsLookupMs || 0, color: '#4ec9b0' },
             { name: 'TCP Connect', value: entry.tcpConnectMs || 0, color: '#569cd6' },
             { name: 'TLS Handshake', value: entry.tlsHandshakeMs || 0, color: '#ce9178' },
@@ -282,6 +392,10 @@ var SharpInspectDetailRenderer = (function() {
             { name: 'Waiting (TTFB)', value: entry.waitingMs || 0, color: '#c586c0' },
             { name: 'Content Download', value: entry.contentDownloadMs || 0, color: '#9cdcfe' }
         ];
+    }
+
+    function renderTiming(entry) {
+        var phases = getTimingPhases(entry);
 
         var total = entry.totalMs || 0;
         var maxValue = total || 1;
@@ -336,11 +450,33 @@ var SharpInspectDetailRenderer = (function() {
         });
     }
 
+    /**
+     * 미리보기 이미지 로드 후 크기 표시
+     */
+    function initPreview() {
+        document.querySelectorAll('.preview-image').forEach(function(img) {
+            function showDimensions() {
+                var label = img.parentElement.querySelector('.preview-dimensions');
+                if (label) label.textContent = img.naturalWidth + ' \u00d7 ' + img.naturalHeight + ' \u00b7 ';
+            }
+            if (img.complete && img.naturalWidth) showDimensions();
+            else img.addEventListener('load', showDimensions);
+        });
+    }
+
     return {
         renderHeaders: renderHeaders,
         renderBody: renderBody,
+        renderPreview: renderPreview,
+        renderHexDump: renderHexDump,
+        decodeBase64: decodeBase64,
         renderTiming: renderTiming,
+        getTimingPhases: getTimingPhases,
         initHeaderCollapse: initHeaderCollapse,
+        initPreview: initPreview,
+        formatJsonValue: formatJsonValue,
+        highlightJson: highlightJson,
+        prettyPrintXml: prettyPrintXml,
         detectContentType: detectContentType
     };
 })();
@@ -0,0 +1,692 @@
+/**
+ * SharpInspect DevTools - gRPC Module
+ * gRPC 호출의 서비스/메서드와 grpc-status 표시, protobuf 메시지 해석(스키마 없는 필드 번호 트리 또는 descriptor set 기반)
+ */
+var SharpInspectGrpc = (function() {
+    'use strict';
+
+    var STORAGE_KEY = 'sharpinspect-grpc-descriptors';
+    var MAX_MESSAGES = 1000;
+    var MAX_RENDERED_MESSAGES = 200;
+    var MAX_DEPTH = 32;
+
+    var STATUS_NAMES = [
+        'OK', 'CANCELLED', 'UNKNOWN', 'INVALID_ARGUMENT', 'DEADLINE_EXCEEDED', 'NOT_FOUND', 'ALREADY_EXISTS',
+        'PERMISSION_DENIED', 'RESOURCE_EXHAUSTED', 'FAILED_PRECONDITION', 'ABORTED', 'OUT_OF_RANGE',
+        'UNIMPLEMENTED', 'INTERNAL', 'UNAVAILABLE', 'DATA_LOSS', 'UNAUTHENTICATED'
+    ];
+
+    // FieldDescriptorProto.Type
+    var TYPE = {
+        DOUBLE: 1, FLOAT: 2, INT64: 3, UINT64: 4, INT32: 5, FIXED64: 6, FIXED32: 7, BOOL: 8, STRING: 9,
+        GROUP: 10, MESSAGE: 11, BYTES: 12, UINT32: 13, ENUM: 14, SFIXED32: 15, SFIXED64: 16, SINT32: 17, SINT64: 18
+    };
+
+    // 업로드한 descriptor set 파일 목록 ({ name, data(base64) })과 해석된 타입 정보
+    var descriptorFiles = [];
+    var registry = createRegistry();
+
+    var escapeHtml = SharpInspectUtils.escapeHtml;
+    var escapeAttr = SharpInspectUtils.escapeAttr;
+
+    // ===== 호출 정보 =====
+    function getStatusName(code) {
+        return STATUS_NAMES[code] || 'STATUS_' + code;
+    }
+
+    /**
+     * 목록 Name 컬럼에 표시할 "서비스/메서드" 이름 (gRPC 엔트리가 아니면 null)
+     */
+    function getCallName(entry) {
+        if (!entry.isGrpc || !entry.grpcMethod) return null;
+        return entry.grpcService + '/' + entry.grpcMethod;
+    }
+
+    /**
+     * grpc-status가 OK가 아닌 호출인지 여부
+     */
+    function isError(entry) {
+        return !!entry.isGrpc && entry.grpcStatus !== null && entry.grpcStatus !== undefined && entry.grpcStatus !== 0;
+    }
+
+    /**
+     * Status 컬럼 셀. grpc-status를 받기 전에는 null (HTTP 상태 코드 표시)
+     */
+    function getStatusCell(entry) {
+        if (!entry.isGrpc || entry.grpcStatus === null || entry.grpcStatus === undefined) return null;
+        return {
+            text: getStatusName(entry.grpcStatus),
+            className: SharpInspectUtils.getStatusClass(entry.grpcStatus === 0 ? 200 : 500, false),
+            title: describeStatus(entry) + ' (HTTP ' + entry.statusCode + ')'
+        };
+    }
+
+    function describeStatus(entry) {
+        return 'gRPC ' + entry.grpcStatus + ' ' + getStatusName(entry.grpcStatus) +
+            (entry.grpcStatusMessage ? ': ' + entry.grpcStatusMessage : '');
+    }
+
+    // ===== 바이트 읽기 =====
+    function base64ToBytes(base64) {
+        var binary = atob(base64 || '');
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    function bytesToBase64(bytes) {
+        var binary = '';
+        for (var i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return btoa(binary);
+    }
+
+    function bytesToHex(bytes) {
+        var hex = [];
+        for (var i = 0; i < bytes.length; i++) hex.push((bytes[i] < 16 ? '0' : '') + bytes[i].toString(16));
+        return hex.join(' ');
+    }
+
+    /**
+     * UTF-8 디코딩. 올바르지 않은 UTF-8이면 null
+     */
+    function decodeUtf8(bytes) {
+        try {
+            if (typeof TextDecoder !== 'undefined') return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            var binary = '';
+            for (var i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+            return decodeURIComponent(escape(binary));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function isPrintable(text) {
+        return !/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f\ufffd]/.test(text);
+    }
+
+    /**
+     * varint 읽기. 64비트 값을 32비트 두 개(lo, hi)로 반환
+     */
+    function readVarint(reader) {
+        var lo = 0;
+        var hi = 0;
+        for (var i = 0; i < 10; i++) {
+            if (reader.pos >= reader.end) throw new Error('Truncated varint');
+            var b = reader.buf[reader.pos++];
+            if (i < 4) {
+                lo |= (b & 0x7f) << (i * 7);
+            } else if (i === 4) {
+                lo |= (b & 0x0f) << 28;
+                hi |= (b & 0x7f) >> 4;
+            } else {
+                hi |= (b & 0x7f) << (i * 7 - 32);
+            }
+            if (!(b & 0x80)) return { lo: lo >>> 0, hi: hi >>> 0 };
+        }
+        throw new Error('Invalid varint');
+    }
+
+    function readFixed(reader, size) {
+        if (reader.pos + size > reader.end) throw new Error('Truncated fixed' + size * 8);
+        var view = new DataView(reader.buf.buffer, reader.buf.byteOffset + reader.pos, size);
+        reader.pos += size;
+        return view;
+    }
+
+    function readLength(reader) {
+        var length = readVarint(reader);
+        if (length.hi !== 0 || reader.pos + length.lo > reader.end) throw new Error('Invalid length');
+        var start = reader.pos;
+        reader.pos += length.lo;
+        return reader.buf.subarray(start, reader.pos);
+    }
+
+    // ===== 64비트 정수 =====
+    function toUnsigned(v) {
+        if (v.hi < 0x200000) return v.hi * 4294967296 + v.lo;
+        if (typeof BigInt === 'function') return ((BigInt(v.hi) << BigInt(32)) + BigInt(v.lo)).toString();
+        return v.hi * 4294967296 + v.lo;
+    }
+
+    function toSigned(v) {
+        if (!(v.hi & 0x80000000)) return toUnsigned(v);
+        // 2의 보수
+        var lo = (~v.lo + 1) >>> 0;
+        var hi = (~v.hi + (lo === 0 ? 1 : 0)) >>> 0;
+        var magnitude = toUnsigned({ lo: lo, hi: hi });
+        return typeof magnitude === 'string' ? '-' + magnitude : -magnitude;
+    }
+
+    function zigzag(v) {
+        var hi = (v.hi >>> 1) ^ -(v.lo & 1);
+        var lo = ((v.lo >>> 1) | (v.hi << 31)) ^ -(v.lo & 1);
+        return toSigned({ lo: lo >>> 0, hi: hi >>> 0 });
+    }
+
+    // ===== 스키마 없는 해석 =====
+    /**
+     * 필드 번호 트리로 해석. 메시지로 해석할 수 없으면 예외
+     * @returns {Array} { number, wireType, value, kind, children } 목록
+     */
+    function parseFields(bytes, depth) {
+        var reader = { buf: bytes, pos: 0, end: bytes.length };
+        var fields = [];
+        while (reader.pos < reader.end) {
+            var tag = readVarint(reader);
+            var number = (tag.lo >>> 3) + tag.hi * 0x20000000;
+            var wireType = tag.lo & 7;
+            if (number === 0) throw new Error('Invalid field number');
+
+            var field = { number: number, wireType: wireType };
+            switch (wireType) {
+                case 0:
+                    var varint = readVarint(reader);
+                    field.kind = 'varint';
+                    field.value = toUnsigned(varint);
+                    if (varint.hi & 0x80000000) field.signed = toSigned(varint);
+                    break;
+                case 1:
+                    var view64 = readFixed(reader, 8);
+                    field.kind = 'i64';
+                    field.value = toUnsigned({ lo: view64.getUint32(0, true), hi: view64.getUint32(4, true) });
+                    field.double = view64.getFloat64(0, true);
+                    break;
+                case 2:
+                    describeLengthDelimited(field, readLength(reader), depth);
+                    break;
+                case 5:
+                    var view32 = readFixed(reader, 4);
+                    field.kind = 'i32';
+                    field.value = view32.getUint32(0, true);
+                    field.float = view32.getFloat32(0, true);
+                    break;
+                default:
+                    // 그룹(3, 4)은 proto3에서 쓰이지 않으므로 해석하지 않음
+                    throw new Error('Unsupported wire type ' + wireType);
+            }
+            fields.push(field);
+        }
+        return fields;
+    }
+
+    /**
+     * 길이 구분 필드: 출력 가능한 UTF-8 문자열, 중첩 메시지, 바이트 순으로 판단
+     */
+    function describeLengthDelimited(field, bytes, depth) {
+        var text = decodeUtf8(bytes);
+        if (text !== null && isPrintable(text)) {
+            field.kind = 'string';
+            field.value = text;
+            return;
+        }
+        if (bytes.length > 0 && depth < MAX_DEPTH) {
+            try {
+                field.children = parseFields(bytes, depth + 1);
+                field.kind = 'message';
+                return;
+            } catch (e) {}
+        }
+        field.kind = 'bytes';
+        field.value = bytes;
+    }
+
+    function formatNumber(value) {
+        return '<span class="json-number">' + escapeHtml(String(value)) + '</span>';
+    }
+
+    function renderFieldTree(fields) {
+        return '<div class="pb-tree">' + fields.map(function(field) {
+            var label = '<span class="pb-number">' + field.number + '</span>' +
+                '<span class="pb-type">' + field.kind + '</span>';
+
+            if (field.kind === 'message') {
+                return '<details class="pb-field" open><summary>' + label +
+                    '<span class="pb-hint">' + field.children.length + (field.children.length === 1 ? ' field' : ' fields') + '</span></summary>' +
+                    renderFieldTree(field.children) + '</details>';
+            }
+
+            var value;
+            if (field.kind === 'string') {
+                value = '<span class="json-string">' + escapeHtml(JSON.stringify(field.value)) + '</span>';
+            } else if (field.kind === 'bytes') {
+                value = '<span class="pb-bytes">' + (field.value.length ? escapeHtml(bytesToHex(field.value)) : '(empty)') + '</span>';
+            } else {
+                value = formatNumber(field.value);
+                if (field.signed !== undefined) value += '<span class="pb-hint">signed ' + escapeHtml(String(field.signed)) + '</span>';
+                if (field.double !== undefined) value += '<span class="pb-hint">double ' + escapeHtml(String(field.double)) + '</span>';
+                if (field.float !== undefined) value += '<span class="pb-hint">float ' + escapeHtml(String(field.float)) + '</span>';
+            }
+            return '<div class="pb-field">' + label + value + '</div>';
+        }).join('') + '</div>';
+    }
+
+    // ===== Descriptor set =====
+    function createRegistry() {
+        return { messages: {}, enums: {}, methods: {} };
+    }
+
+    /**
+     * 필드 번호별 값 목록으로 묶기 (descriptor 해석용)
+     */
+    function groupFields(bytes) {
+        var reader = { buf: bytes, pos: 0, end: bytes.length };
+        var groups = {};
+        while (reader.pos < reader.end) {
+            var tag = readVarint(reader);
+            var number = tag.lo >>> 3;
+            var value;
+            switch (tag.lo & 7) {
+                case 0: value = readVarint(reader).lo; break;
+                case 1: readFixed(reader, 8); continue;
+                case 2: value = readLength(reader); break;
+                case 5: readFixed(reader, 4); continue;
+                default: throw new Error('Unsupported wire type in descriptor');
+            }
+            (groups[number] = groups[number] || []).push(value);
+        }
+        return groups;
+    }
+
+    function getString(groups, number) {
+        return groups[number] ? decodeUtf8(groups[number][0]) : '';
+    }
+
+    function getNumber(groups, number) {
+        return groups[number] ? groups[number][0] : 0;
+    }
+
+    function list(groups, number) {
+        return (groups[number] || []).map(groupFields);
+    }
+
+    function registerEnum(target, enumProto, scope) {
+        var fullName = scope + '.' + getString(enumProto, 1);
+        var values = {};
+        list(enumProto, 2).forEach(function(value) {
+            values[getNumber(value, 2) | 0] = getString(value, 1);
+        });
+        target.enums[fullName] = values;
+    }
+
+    function registerMessage(target, messageProto, scope) {
+        var fullName = scope + '.' + getString(messageProto, 1);
+        var options = messageProto[7] ? groupFields(messageProto[7][0]) : {};
+        target.messages[fullName] = {
+            name: fullName.substring(1),
+            mapEntry: getNumber(options, 7) === 1,
+            fields: list(messageProto, 2).map(function(field) {
+                return {
+                    name: getString(field, 1),
+                    jsonName: getString(field, 10) || getString(field, 1),
+                    number: getNumber(field, 3),
+                    repeated: getNumber(field, 4) === 3,
+                    type: getNumber(field, 5),
+                    typeName: getString(field, 6)
+                };
+            })
+        };
+        list(messageProto, 3).forEach(function(nested) { registerMessage(target, nested, fullName); });
+        list(messageProto, 4).forEach(function(nested) { registerEnum(target, nested, fullName); });
+    }
+
+    /**
+     * FileDescriptorSet(protoc --descriptor_set_out --include_imports)을 해석해 타입 정보에 추가
+     */
+    function registerDescriptorSet(target, bytes) {
+        list(groupFields(bytes), 1).forEach(function(file) {
+            var pkg = getString(file, 2);
+            var scope = pkg ? '.' + pkg : '';
+            list(file, 4).forEach(function(message) { registerMessage(target, message, scope); });
+            list(file, 5).forEach(function(enumProto) { registerEnum(target, enumProto, scope); });
+            list(file, 6).forEach(function(service) {
+                var serviceName = (pkg ? pkg + '.' : '') + getString(service, 1);
+                list(service, 2).forEach(function(method) {
+                    target.methods['/' + serviceName + '/' + getString(method, 1)] = {
+                        inputType: getString(method, 2),
+                        outputType: getString(method, 3),
+                        clientStreaming: getNumber(method, 5) === 1,
+                        serverStreaming: getNumber(method, 6) === 1
+                    };
+                });
+            });
+        });
+    }
+
+    function rebuildRegistry() {
+        registry = createRegistry();
+        descriptorFiles.forEach(function(file) {
+            try {
+                registerDescriptorSet(registry, base64ToBytes(file.data));
+            } catch (e) {}
+        });
+    }
+
+    function loadDescriptors() {
+        try {
+            var saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (Array.isArray(saved)) {
+                descriptorFiles = saved.filter(function(f) {
+                    return f && typeof f.name === 'string' && typeof f.data === 'string';
+                });
+            }
+        } catch (e) {}
+        rebuildRegistry();
+    }
+
+    function saveDescriptors() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(descriptorFiles));
+        } catch (e) {
+            SharpInspectUtils.showToast('Descriptor set is too large to keep after reload');
+        }
+    }
+
+    /**
+     * 파일 입력에서 선택한 descriptor set 추가 (같은 이름이면 교체)
+     * @returns {Promise} 모든 파일을 처리하면 완료
+     */
+    function addDescriptorFiles(files) {
+        return Promise.all(Array.prototype.map.call(files, function(file) {
+            return new Promise(function(resolve) {
+                var fileReader = new FileReader();
+                fileReader.onload = function() {
+                    var bytes = new Uint8Array(fileReader.result);
+                    var parsed = createRegistry();
+                    try {
+                        registerDescriptorSet(parsed, bytes);
+                    } catch (e) {
+                        parsed = null;
+                    }
+                    if (!parsed || (Object.keys(parsed.messages).length === 0 && Object.keys(parsed.methods).length === 0)) {
+                        SharpInspectUtils.showToast('Not a protobuf descriptor set: ' + file.name);
+                    } else {
+                        descriptorFiles = descriptorFiles.filter(function(f) { return f.name !== file.name; });
+                        descriptorFiles.push({ name: file.name, data: bytesToBase64(bytes) });
+                    }
+                    resolve();
+                };
+                fileReader.onerror = function() { resolve(); };
+                fileReader.readAsArrayBuffer(file);
+            });
+        })).then(function() {
+            saveDescriptors();
+            rebuildRegistry();
+        });
+    }
+
+    function removeDescriptorFile(name) {
+        descriptorFiles = descriptorFiles.filter(function(f) { return f.name !== name; });
+        saveDescriptors();
+        rebuildRegistry();
+    }
+
+    // ===== 스키마 기반 해석 =====
+    function isPackable(type) {
+        return type !== TYPE.STRING && type !== TYPE.BYTES && type !== TYPE.MESSAGE && type !== TYPE.GROUP;
+    }
+
+    function readScalar(reader, field) {
+        switch (field.type) {
+            case TYPE.DOUBLE: return readFixed(reader, 8).getFloat64(0, true);
+            case TYPE.FLOAT: return readFixed(reader, 4).getFloat32(0, true);
+            case TYPE.FIXED32: return readFixed(reader, 4).getUint32(0, true);
+            case TYPE.SFIXED32: return readFixed(reader, 4).getInt32(0, true);
+            case TYPE.FIXED64:
+            case TYPE.SFIXED64:
+                var view = readFixed(reader, 8);
+                var v = { lo: view.getUint32(0, true), hi: view.getUint32(4, true) };
+                // proto3 JSON 매핑처럼 64비트 정수는 문자열로 표시
+                return String(field.type === TYPE.FIXED64 ? toUnsigned(v) : toSigned(v));
+        }
+
+        var varint = readVarint(reader);
+        switch (field.type) {
+            case TYPE.BOOL: return varint.lo !== 0 || varint.hi !== 0;
+            case TYPE.INT32: return varint.lo | 0;
+            case TYPE.UINT32: return varint.lo;
+            case TYPE.SINT32: return (varint.lo >>> 1) ^ -(varint.lo & 1);
+            case TYPE.INT64: return String(toSigned(varint));
+            case TYPE.UINT64: return String(toUnsigned(varint));
+            case TYPE.SINT64: return String(zigzag(varint));
+            case TYPE.ENUM:
+                var values = registry.enums[field.typeName] || {};
+                return values[varint.lo | 0] || (varint.lo | 0);
+            default: return toUnsigned(varint);
+        }
+    }
+
+    function skipField(reader, wireType) {
+        switch (wireType) {
+            case 0: return toUnsigned(readVarint(reader));
+            case 1: return toUnsigned({ lo: readFixed(reader, 4).getUint32(0, true), hi: readFixed(reader, 4).getUint32(0, true) });
+            case 2:
+                var bytes = readLength(reader);
+                var text = decodeUtf8(bytes);
+                return text !== null && isPrintable(text) ? text : bytesToBase64(bytes);
+            case 5: return readFixed(reader, 4).getUint32(0, true);
+            default: throw new Error('Unsupported wire type ' + wireType);
+        }
+    }
+
+    /**
+     * 메시지 타입에 맞춰 필드 이름이 붙은 객체로 해석 (proto3 JSON 매핑과 비슷한 형태)
+     */
+    function decodeTyped(bytes, typeName, depth) {
+        var type = registry.messages[typeName];
+        if (!type) throw new Error('Unknown message type ' + typeName);
+        if (depth > MAX_DEPTH) throw new Error('Message nesting is too deep');
+
+        var byNumber = {};
+        type.fields.forEach(function(f) { byNumber[f.number] = f; });
+
+        var result = {};
+        var reader = { buf: bytes, pos: 0, end: bytes.length };
+        while (reader.pos < reader.end) {
+            var tag = readVarint(reader);
+            var number = (tag.lo >>> 3) + tag.hi * 0x20000000;
+            var wireType = tag.lo & 7;
+            var field = byNumber[number];
+
+            if (!field) {
+                // 스키마에 없는 필드는 번호로 표시
+                result['[' + number + ']'] = skipField(reader, wireType);
+                continue;
+            }
+
+            var values;
+            if (wireType === 2 && field.type === TYPE.MESSAGE) {
+                values = [decodeTyped(readLength(reader), field.typeName, depth + 1)];
+            } else if (wireType === 2 && field.type === TYPE.STRING) {
+                values = [decodeUtf8(readLength(reader))];
+            } else if (wireType === 2 && field.type === TYPE.BYTES) {
+                values = [bytesToBase64(readLength(reader))];
+            } else if (wireType === 2 && isPackable(field.type)) {
+                var packed = readLength(reader);
+                var packedReader = { buf: packed, pos: 0, end: packed.length };
+                values = [];
+                while (packedReader.pos < packedReader.end) values.push(readScalar(packedReader, field));
+            } else {
+                values = [readScalar(reader, field)];
+            }
+
+            if (field.repeated) {
+                result[field.jsonName] = (result[field.jsonName] || []).concat(values);
+            } else {
+                result[field.jsonName] = values[values.length - 1];
+            }
+        }
+
+        // map<K, V> 필드는 객체로 변환
+        type.fields.forEach(function(f) {
+            var entryType = f.type === TYPE.MESSAGE && registry.messages[f.typeName];
+            if (entryType && entryType.mapEntry && Array.isArray(result[f.jsonName])) {
+                var map = {};
+                result[f.jsonName].forEach(function(entry) { map[entry.key] = entry.value; });
+                result[f.jsonName] = map;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 엔트리와 방향에 해당하는 메시지 타입 이름 (descriptor에 메서드가 없으면 null)
+     */
+    function getMessageType(entry, direction) {
+        var method = registry.methods['/' + entry.grpcService + '/' + entry.grpcMethod];
+        if (!method) return null;
+        return direction === 'Request' ? method.inputType : method.outputType;
+    }
+
+    // ===== 렌더링 =====
+    function renderPayload(message, typeName) {
+        if (message.compressed) {
+            return '<div class="body-empty">Compressed message (unsupported grpc-encoding)</div>' +
+                SharpInspectDetailRenderer.renderHexDump(atob(message.payload || ''));
+        }
+
+        var bytes = base64ToBytes(message.payload);
+        if (bytes.length === 0) return '<div class="pb-empty">(empty message)</div>';
+
+        if (typeName && !message.truncated) {
+            try {
+                return '<pre class="body-content body-highlighted">' +
+                    SharpInspectDetailRenderer.highlightJson(JSON.stringify(decodeTyped(bytes, typeName, 0))) + '</pre>';
+            } catch (e) {
+                // 스키마와 맞지 않으면 스키마 없이 표시
+            }
+        }
+
+        try {
+            return renderFieldTree(parseFields(bytes, 0));
+        } catch (e) {
+            return '<div class="body-empty">Not a valid protobuf message (' + escapeHtml(e.message) + ')</div>' +
+                SharpInspectDetailRenderer.renderHexDump(atob(message.payload || ''));
+        }
+    }
+
+    function formatTime(timestamp) {
+        var date = new Date(timestamp);
+        return isNaN(date.getTime()) ? '' : date.toLocaleTimeString() + '.' + ('00' + date.getMilliseconds()).slice(-3);
+    }
+
+    function renderToolbar(typeName) {
+        var schema = typeName && registry.messages[typeName]
+            ? 'Decoded as <b>' + escapeHtml(typeName.substring(1)) + '</b>'
+            : 'Schema-less decoding (field numbers)';
+        var files = descriptorFiles.map(function(f) {
+            return '<span class="grpc-descriptor">' + escapeHtml(f.name) +
+                '<button class="copy-btn" data-action="remove-descriptor" data-name="' + escapeAttr(f.name) + '" title="Remove">&#10005;</button></span>';
+        }).join('');
+        return '<div class="grpc-toolbar">' +
+            '<span class="grpc-schema">' + schema + '</span>' +
+            files +
+            '<button class="toolbar-btn" data-action="load-descriptor" title="Load a FileDescriptorSet (protoc --descriptor_set_out --include_imports) for named fields">Load descriptor set</button>' +
+            '<input type="file" class="grpc-descriptor-input" accept=".pb,.protoset,.desc,.bin" multiple style="display: none;">' +
+            '</div>';
+    }
+
+    /**
+     * Request/Response 탭: 방향별 메시지를 하나씩 해석해 표시
+     * @param {Object} entry - isGrpc 네트워크 엔트리
+     * @param {string} direction - 'Request' 또는 'Response'
+     */
+    function render(entry, direction) {
+        var typeName = getMessageType(entry, direction);
+        var messages = (entry.grpcMessages || []).filter(function(m) { return m.direction === direction; });
+
+        var html = '<div class="grpc-messages">' + renderToolbar(typeName);
+
+        if (direction === 'Response' && entry.grpcStatus !== null && entry.grpcStatus !== undefined) {
+            html += '<div class="grpc-status ' + (entry.grpcStatus === 0 ? 'grpc-status-ok' : 'grpc-status-error') + '">' +
+                escapeHtml(describeStatus(entry)) + '</div>';
+        }
+
+        if (messages.length === 0) {
+            var pending = direction === 'Response' && (entry.grpcStatus === null || entry.grpcStatus === undefined) && !entry.isError;
+            html += '<div class="body-empty">' + (pending ? 'Waiting for response messages...' : '(No ' + direction.toLowerCase() + ' messages)') + '</div>';
+            return html + '</div>';
+        }
+
+        var shown = messages.slice(-MAX_RENDERED_MESSAGES);
+        if (shown.length < messages.length) {
+            html += '<div class="preview-info">Showing last ' + shown.length + ' of ' + messages.length + ' messages</div>';
+        }
+
+        var first = messages.length - shown.length;
+        html += shown.map(function(message, i) {
+            var meta = [SharpInspectUtils.formatBytes(message.size), formatTime(message.timestamp)];
+            if (message.truncated) meta.push('truncated to MaxBodySizeBytes');
+            return '<div class="grpc-message">' +
+                '<div class="grpc-message-header">' + (messages.length > 1 ? '#' + (first + i + 1) + ' ' : '') +
+                '<span class="grpc-message-meta">' + escapeHtml(meta.join(' · ')) + '</span></div>' +
+                renderPayload(message, typeName) +
+                '</div>';
+        }).join('');
+
+        return html + '</div>';
+    }
+
+    /**
+     * render()로 그린 내용의 descriptor 버튼 연결
+     * @param {HTMLElement} target - 탭 내용 요소
+     * @param {Function} onChange - descriptor 목록이 바뀌면 호출 (다시 그리기)
+     */
+    function bind(target, onChange) {
+        var input = target.querySelector('.grpc-descriptor-input');
+        if (!input) return;
+
+        input.addEventListener('change', function() {
+            if (input.files.length === 0) return;
+            addDescriptorFiles(input.files).then(onChange);
+        });
+        target.querySelector('.grpc-toolbar').addEventListener('click', function(e) {
+            var action = e.target.closest('[data-action]');
+            if (!action) return;
+            if (action.dataset.action === 'load-descriptor') {
+                input.click();
+            } else if (action.dataset.action === 'remove-descriptor') {
+                removeDescriptorFile(action.dataset.name);
+                onChange();
+            }
+        });
+    }
+
+    // ===== 실시간 갱신 =====
+    /**
+     * grpc:message 메시지 처리: 엔트리에 메시지 추가 (이미 받은 메시지는 무시)
+     */
+    function addMessage(entry, message) {
+        var messages = entry.grpcMessages = entry.grpcMessages || [];
+        if (messages.length > 0 && messages[messages.length - 1].index >= message.index) return;
+        messages.push(message);
+        if (messages.length > MAX_MESSAGES) messages.splice(0, messages.length - MAX_MESSAGES);
+    }
+
+    /**
+     * grpc:completed 메시지 처리: 트레일러의 호출 결과를 엔트리에 반영
+     */
+    function complete(entry, data) {
+        entry.grpcStatus = data.grpcStatus;
+        entry.grpcStatusMessage = data.grpcStatusMessage;
+        entry.responseTrailers = data.responseTrailers || {};
+        entry.requestContentLength = data.requestContentLength;
+        entry.responseContentLength = data.responseContentLength;
+        entry.totalMs = data.totalMs;
+    }
+
+    loadDescriptors();
+
+    // Public API
+    return {
+        getStatusName: getStatusName,
+        getCallName: getCallName,
+        getStatusCell: getStatusCell,
+        isError: isError,
+        render: render,
+        bind: bind,
+        addMessage: addMessage,
+        complete: complete,
+        parseFields: parseFields,
+        registerDescriptorSet: registerDescriptorSet
+    };
+})();
@@ -0,0 +1,152 @@
+/**
+ * SharpInspect DevTools - HAR Import Module
+ * HAR 1.2 파일의 entries를 NetworkEntry 형태로 변환하여 오프라인으로 조회
+ */
+var SharpInspectHarImport = (function() {
+    'use strict';
+
+    var sessionCounter = 0;
+
+    /**
+     * HAR name/value 배열을 헤더 딕셔너리로 변환 (중복 이름은 ", "로 합침)
+     */
+    function toHeaderMap(pairs) {
+        var map = {};
+        (pairs || []).forEach(function(pair) {
+            if (!pair || !pair.name) return;
+            map[pair.name] = map[pair.name] !== undefined ? map[pair.name] + ', ' + pair.value : (pair.value || '');
+        });
+        return map;
+    }
+
+    function timing(value) {
+        return typeof value === 'number' && value > 0 ? value : 0;
+    }
+
+    /**
+     * postData를 요청 본문 문자열로 변환 (text가 없으면 params를 폼 형식으로 조합)
+     */
+    function getPostDataText(postData) {
+        if (!postData) return null;
+        if (postData.text) return postData.text;
+        if (postData.params && postData.params.length > 0) {
+            return postData.params.map(function(p) {
+                return encodeURIComponent(p.name) + '=' + encodeURIComponent(p.value || '');
+            }).join('&');
+        }
+        return null;
+    }
+
+    function getInitiator(harEntry) {
+        var initiator = harEntry._initiator;
+        if (!initiator) return null;
+        if (typeof initiator === 'string') return initiator;
+        return initiator.url ? initiator.type + ': ' + initiator.url : initiator.type || null;
+    }
+
+    /**
+     * HAR entry 하나를 NetworkEntry 형태로 변환
+     * @param {Object} harEntry - HAR log.entries 항목
+     * @param {string} id - 엔트리 ID
+     * @param {boolean} connectIncludesSsl - HAR 1.2 규격대로 connect에 ssl 시간이 포함되어 있는지 여부
+     */
+    function convertEntry(harEntry, id, connectIncludesSsl) {
+        var request = harEntry.request || {};
+        var response = harEntry.response || {};
+        var content = response.content || {};
+        var timings = harEntry.timings || {};
+
+        var url = request.url || '';
+        var host = '';
+        var path = '';
+        var query = '';
+        try {
+            var urlObj = new URL(url);
+            host = urlObj.hostname;
+            path = urlObj.pathname;
+            query = urlObj.search;
+        } catch (e) {}
+
+        var ssl = timing(timings.ssl);
+        var connect = timing(timings.connect);
+        var requestBody = getPostDataText(request.postData);
+        var status = response.status || 0;
+        var errorMessage = response._error || (status === 0 ? harEntry.comment || 'Request failed' : null);
+
+        return {
+            id: id,
+            imported: true,
+            timestamp: harEntry.startedDateTime,
+            method: request.method || 'GET',
+            url: url,
+            host: host,
+            path: path,
+            queryString: query,
+            protocol: response.httpVersion || request.httpVersion || '',
+            requestHeaders: toHeaderMap(request.headers),
+            requestBody: requestBody,
+            requestContentType: request.postData ? request.postData.mimeType : null,
+            requestContentLength: request.bodySize > 0 ? request.bodySize : (requestBody ? requestBody.length : 0),
+            statusCode: status,
+            statusText: response.statusText || '',
+            responseHeaders: toHeaderMap(response.headers),
+            responseBody: content.text || null,
+            responseBodyEncoding: content.encoding === 'base64' ? 'base64' : null,
+            responseContentType: content.mimeType || null,
+            responseContentLength: content.size > 0 ? content.size : (response.bodySize > 0 ? response.bodySize : 0),
+            dnsLookupMs: timing(timings.dns),
+            tcpConnectMs: connectIncludesSsl ? Math.max(0, connect - ssl) : connect,
+            tlsHandshakeMs: ssl,
+            requestSentMs: timing(timings.send),
+            waitingMs: timing(timings.wait),
+            contentDownloadMs: timing(timings.receive),
+            totalMs: timing(harEntry.time),
+            initiator: getInitiator(harEntry),
+            isError: !!errorMessage,
+            errorMessage: errorMessage
+        };
+    }
+
+    /**
+     * HAR 텍스트를 파싱하여 NetworkEntry 배열로 변환
+     * @returns {{entries: Array, creator: string}}
+     * @throws {Error} HAR 형식이 아닌 경우
+     */
+    function parse(text) {
+        var har;
+        try {
+            har = JSON.parse(text);
+        } catch (e) {
+            throw new Error('File is not valid JSON');
+        }
+        if (!har || !har.log || !Array.isArray(har.log.entries)) {
+            throw new Error('File does not contain a HAR log.entries array');
+        }
+
+        var creator = har.log.creator && har.log.creator.name ? har.log.creator.name : 'Unknown';
+        // SharpInspect 내보내기는 connect와 ssl을 분리해서 기록함
+        var connectIncludesSsl = creator !== 'SharpInspect';
+        var prefix = 'har' + (++sessionCounter) + '-';
+
+        var entries = har.log.entries.map(function(harEntry, i) {
+            return convertEntry(harEntry, prefix + i, connectIncludesSsl);
+        });
+
+        // startedDateTime이 없거나 잘못된 엔트리가 하나라도 있으면 비교가 NaN이 되므로 파일 순서를 유지
+        var times = entries.map(function(entry) { return new Date(entry.timestamp).getTime(); });
+        var sortable = times.every(function(time) { return !isNaN(time); });
+        if (sortable) {
+            entries = entries
+                .map(function(entry, i) { return { entry: entry, time: times[i], index: i }; })
+                .sort(function(a, b) { return a.time - b.time || a.index - b.index; })
+                .map(function(item) { return item.entry; });
+        }
+
+        return { entries: entries, creator: creator };
+    }
+
+    // Public API
+    return {
+        parse: parse
+    };
+})();
@@ -0,0 +1,316 @@
+/**
+ * SharpInspect DevTools - JSON Tree Module
+ * 접기/펼치기, 대용량 배열 지연 렌더링, JSONPath 복사, 하위 트리 복사, 검색을 지원하는 JSON 트리 뷰어
+ */
+var SharpInspectJsonTree = (function() {
+    'use strict';
+
+    var CHUNK_SIZE = 100;
+    var AUTO_EXPAND_DEPTH = 1;
+    var MAX_MATCHES = 500;
+
+    var escapeHtml = SharpInspectUtils.escapeHtml;
+
+    // ===== JSONPath =====
+    /**
+     * 경로 세그먼트 배열을 JSONPath 문자열로 변환 ($.items[3].price)
+     */
+    function formatPath(segments) {
+        var path = '$';
+        segments.forEach(function(seg) {
+            if (typeof seg === 'number') {
+                path += '[' + seg + ']';
+            } else if (/^[A-Za-z_$][\w$]*$/.test(seg)) {
+                path += '.' + seg;
+            } else {
+                path += "['" + seg.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "']";
+            }
+        });
+        return path;
+    }
+
+    function isContainer(value) {
+        return value !== null && typeof value === 'object';
+    }
+
+    /**
+     * 컨테이너의 자식 [키, 값] 목록 (배열은 숫자 인덱스)
+     */
+    function getChildren(value) {
+        if (Array.isArray(value)) {
+            return value.map(function(item, i) { return [i, item]; });
+        }
+        return Object.keys(value).map(function(key) { return [key, value[key]]; });
+    }
+
+    // ===== 렌더링 =====
+    /**
+     * 검색어와 일치하는 부분을 <mark>로 강조
+     */
+    function highlight(text, query) {
+        if (!query) return escapeHtml(text);
+        var lower = text.toLowerCase();
+        var html = '';
+        var pos = 0;
+        var idx;
+        while ((idx = lower.indexOf(query, pos)) !== -1) {
+            html += escapeHtml(text.substring(pos, idx)) +
+                '<mark class="json-tree-highlight">' + escapeHtml(text.substring(idx, idx + query.length)) + '</mark>';
+            pos = idx + query.length;
+        }
+        return html + escapeHtml(text.substring(pos));
+    }
+
+    function renderPrimitive(value, query) {
+        if (value === null) return '<span class="json-null">' + highlight('null', query) + '</span>';
+        if (typeof value === 'boolean') return '<span class="json-boolean">' + highlight(String(value), query) + '</span>';
+        if (typeof value === 'number') return '<span class="json-number">' + highlight(String(value), query) + '</span>';
+        return '<span class="json-string">"' + highlight(value, query) + '"</span>';
+    }
+
+    function renderPreview(value) {
+        if (Array.isArray(value)) {
+            return '<span class="json-tree-preview">Array(' + value.length + ')</span>';
+        }
+        var count = Object.keys(value).length;
+        return '<span class="json-tree-preview">{' + count + (count === 1 ? ' key' : ' keys') + '}</span>';
+    }
+
+    /**
+     * 트리 뷰어 생성
+     * @param {HTMLElement} container - 트리를 렌더링할 요소
+     * @param {*} data - JSON.parse 결과
+     */
+    function create(container, data) {
+        var nodes = {};
+        var query = '';
+        var matches = [];
+        var currentMatch = -1;
+
+        container.innerHTML =
+            '<div class="json-tree-toolbar">' +
+            '<input type="text" class="json-tree-search" placeholder="Search keys and values">' +
+            '<span class="json-tree-match-count"></span>' +
+            '<span class="json-tree-path"></span>' +
+            '</div>' +
+            '<div class="json-tree"></div>';
+
+        var tree = container.querySelector('.json-tree');
+        var searchInput = container.querySelector('.json-tree-search');
+        var matchCount = container.querySelector('.json-tree-match-count');
+        var pathLabel = container.querySelector('.json-tree-path');
+
+        /**
+         * 노드 요소 생성 (자식은 펼칠 때 렌더링)
+         */
+        function createNode(key, value, segments) {
+            var path = formatPath(segments);
+            var el = document.createElement('div');
+            el.className = 'json-tree-node';
+            el.dataset.path = path;
+
+            var keyHtml = key === null ? '' :
+                '<span class="json-tree-key" title="Click to copy path">' +
+                (typeof key === 'number' ? '<span class="json-tree-index">' + key + '</span>' : '<span class="json-key">"' + highlight(key, query) + '"</span>') +
+                '</span>: ';
+
+            var line = '<div class="json-tree-line">' +
+                '<span class="json-tree-toggle' + (isContainer(value) ? '' : ' json-tree-leaf') + '"></span>' +
+                keyHtml +
+                (isContainer(value) ? renderPreview(value) : renderPrimitive(value, query)) +
+                '<button class="json-tree-copy" title="Copy value as JSON">Copy</button>' +
+                '</div>';
+            el.innerHTML = line + (isContainer(value) ? '<div class="json-tree-children" style="display: none;"></div>' : '');
+
+            nodes[path] = { value: value, segments: segments, el: el, expanded: false, children: null, rendered: 0 };
+            if (isContainer(value) && segments.length < AUTO_EXPAND_DEPTH) {
+                expand(nodes[path]);
+            }
+            return el;
+        }
+
+        /**
+         * 다음 청크의 자식 노드 렌더링
+         */
+        function renderChunk(node, upTo) {
+            var childrenEl = node.el.querySelector('.json-tree-children');
+            var more = childrenEl.lastElementChild;
+            if (more && more.classList.contains('json-tree-more')) {
+                childrenEl.removeChild(more);
+            }
+
+            var limit = Math.min(node.children.length, Math.max(node.rendered + CHUNK_SIZE, upTo || 0));
+            var fragment = document.createDocumentFragment();
+            for (var i = node.rendered; i < limit; i++) {
+                var child = node.children[i];
+                fragment.appendChild(createNode(child[0], child[1], node.segments.concat([child[0]])));
+            }
+            node.rendered = limit;
+            childrenEl.appendChild(fragment);
+
+            var remaining = node.children.length - node.rendered;
+            if (remaining > 0) {
+                var btn = document.createElement('button');
+                btn.className = 'json-tree-more';
+                btn.dataset.path = node.el.dataset.path;
+                btn.textContent = 'Show ' + Math.min(CHUNK_SIZE, remaining) + ' more (' + remaining + ' remaining)';
+                childrenEl.appendChild(btn);
+            }
+        }
+
+        function expand(node) {
+            if (node.expanded) return;
+            node.expanded = true;
+            node.el.classList.add('expanded');
+            if (!node.children) {
+                node.children = getChildren(node.value);
+                renderChunk(node);
+            }
+            node.el.querySelector('.json-tree-children').style.display = '';
+        }
+
+        function collapse(node) {
+            node.expanded = false;
+            node.el.classList.remove('expanded');
+            node.el.querySelector('.json-tree-children').style.display = 'none';
+        }
+
+        /**
+         * 경로의 모든 상위 노드를 펼치고 해당 노드 요소 반환
+         */
+        function reveal(segments) {
+            var node = nodes['$'];
+            for (var i = 0; i < segments.length; i++) {
+                expand(node);
+                var index = Array.isArray(node.value) ? segments[i] : Object.keys(node.value).indexOf(segments[i]);
+                if (index >= node.rendered) renderChunk(node, index + 1);
+                node = nodes[formatPath(segments.slice(0, i + 1))];
+                if (!node) return null;
+            }
+            return node.el;
+        }
+
+        // ===== 검색 =====
+        function collectMatches(value, segments, out) {
+            if (out.length >= MAX_MATCHES) return;
+            if (!isContainer(value)) {
+                if (String(value).toLowerCase().indexOf(query) !== -1) out.push(segments);
+                return;
+            }
+            getChildren(value).forEach(function(child) {
+                var childSegments = segments.concat([child[0]]);
+                if (typeof child[0] === 'string' && child[0].toLowerCase().indexOf(query) !== -1) {
+                    if (out.length < MAX_MATCHES) out.push(childSegments);
+                    // 키가 일치한 원시 값은 중복 추가하지 않음
+                    if (!isContainer(child[1])) return;
+                }
+                collectMatches(child[1], childSegments, out);
+            });
+        }
+
+        function setCurrentMatch(index) {
+            var prev = tree.querySelector('.json-tree-current');
+            if (prev) prev.classList.remove('json-tree-current');
+            currentMatch = index;
+            if (index < 0 || !matches[index]) return;
+            var el = reveal(matches[index]);
+            if (el) {
+                var line = el.querySelector('.json-tree-line');
+                line.classList.add('json-tree-current');
+                if (line.scrollIntoView) line.scrollIntoView({ block: 'nearest' });
+            }
+            matchCount.textContent = (index + 1) + ' / ' + matches.length + (matches.length >= MAX_MATCHES ? '+' : '');
+        }
+
+        function search(text) {
+            query = text.trim().toLowerCase();
+            nodes = {};
+            matches = [];
+            tree.innerHTML = '';
+            tree.appendChild(createNode(null, data, []));
+
+            if (!query) {
+                matchCount.textContent = '';
+                return;
+            }
+
+            collectMatches(data, [], matches);
+            matches.forEach(reveal);
+            if (matches.length === 0) {
+                matchCount.textContent = 'No matches';
+                return;
+            }
+            setCurrentMatch(0);
+        }
+
+        // ===== 이벤트 =====
+        tree.addEventListener('click', function(e) {
+            var moreBtn = e.target.closest('.json-tree-more');
+            if (moreBtn) {
+                renderChunk(nodes[moreBtn.dataset.path]);
+                return;
+            }
+
+            var nodeEl = e.target.closest('.json-tree-node');
+            if (!nodeEl) return;
+            var node = nodes[nodeEl.dataset.path];
+
+            if (e.target.closest('.json-tree-copy')) {
+                SharpInspectUtils.copyToClipboard(JSON.stringify(node.value, null, 2)).then(function() {
+                    SharpInspectUtils.showToast('Copied value');
+                });
+            } else if (e.target.closest('.json-tree-key')) {
+                SharpInspectUtils.copyToClipboard(nodeEl.dataset.path).then(function() {
+                    SharpInspectUtils.showToast('Copied ' + nodeEl.dataset.path);
+                });
+            } else if (e.target.closest('.json-tree-line') && isContainer(node.value)) {
+                if (node.expanded) collapse(node);
+                else expand(node);
+            }
+        });
+
+        tree.addEventListener('mouseover', function(e) {
+            var nodeEl = e.target.closest('.json-tree-node');
+            pathLabel.textContent = nodeEl ? nodeEl.dataset.path : '';
+        });
+
+        tree.addEventListener('mouseleave', function() {
+            pathLabel.textContent = '';
+        });
+
+        searchInput.addEventListener('input', function() {
+            search(searchInput.value);
+        });
+
+        // Enter: 다음 결과, Shift+Enter: 이전 결과
+        searchInput.addEventListener('keydown', function(e) {
+            if (e.key !== 'Enter' || matches.length === 0) return;
+            e.preventDefault();
+            var step = e.shiftKey ? -1 : 1;
+            setCurrentMatch((currentMatch + step + matches.length) % matches.length);
+        });
+
+        search('');
+    }
+
+    /**
+     * JSON 문자열을 트리로 렌더링
+     * @returns {boolean} 파싱 성공 여부 (실패 시 아무것도 렌더링하지 않음)
+     */
+    function render(container, content) {
+        var data;
+        try {
+            data = JSON.parse(content);
+        } catch (e) {
+            return false;
+        }
+        create(container, data);
+        return true;
+    }
+
+    // Public API
+    return {
+        render: render,
+        formatPath: formatPath
+    };
+})();
@@ -0,0 +1,466 @@
+/**
+ * SharpInspect DevTools - Mocks Module
+ * URL/메서드/헤더 규칙과 일치하는 요청에 실제 서버 대신 목 응답, 지연, 네트워크 오류를 적용
+ */
+var SharpInspectMocks = (function() {
+    'use strict';
+
+    var API_BASE = window.location.origin;
+    var STORAGE_KEY = 'sharpinspect-mocks';
+    var METHODS = ['', 'GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+    var ACTIONS = ['Respond', 'Delay', 'Fail'];
+    // 캡처된 응답에서 목을 만들 때 목 본문과 맞지 않게 되는 헤더
+    var SKIPPED_RESPONSE_HEADERS = ['content-length', 'transfer-encoding', 'content-encoding'];
+
+    var rules = [];
+    var editingIndex = -1;
+    var editingId = null;
+    var dialog = null;
+
+    var escapeHtml = SharpInspectUtils.escapeHtml;
+
+    function field(id) {
+        return document.getElementById(id);
+    }
+
+    // ===== 규칙 저장 =====
+    /**
+     * 가져오거나 저장된 규칙을 서버 형식으로 정리. 올바르지 않으면 null
+     */
+    function normalizeRule(r) {
+        if (!r || typeof r !== 'object') return null;
+        if (r.urlPattern != null && typeof r.urlPattern !== 'string') return null;
+
+        var action = r.action || 'Respond';
+        if (ACTIONS.indexOf(action) === -1) return null;
+
+        var rule = {
+            enabled: r.enabled !== false,
+            name: typeof r.name === 'string' ? r.name : '',
+            method: typeof r.method === 'string' ? r.method.toUpperCase() : '',
+            urlPattern: r.urlPattern || '',
+            requestHeaders: r.requestHeaders && typeof r.requestHeaders === 'object' ? r.requestHeaders : {},
+            action: action,
+            delayMs: Math.max(0, parseInt(r.delayMs, 10) || 0),
+            statusCode: parseInt(r.statusCode, 10) || 200,
+            statusText: typeof r.statusText === 'string' ? r.statusText : '',
+            responseHeaders: r.responseHeaders && typeof r.responseHeaders === 'object' ? r.responseHeaders : {},
+            body: typeof r.body === 'string' ? r.body : '',
+            bodyEncoding: r.bodyEncoding === 'base64' ? 'base64' : null,
+            errorMessage: typeof r.errorMessage === 'string' ? r.errorMessage : ''
+        };
+        if (typeof r.id === 'string' && r.id) rule.id = r.id;
+        return rule;
+    }
+
+    function normalizeRules(list) {
+        if (!Array.isArray(list)) return [];
+        return list.map(normalizeRule).filter(function(r) { return r !== null; });
+    }
+
+    /**
+     * 저장된 규칙 목록 로드 (앱 재시작 후 서버에 다시 등록하기 위함)
+     */
+    function loadSavedRules() {
+        try {
+            return normalizeRules(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function saveRules(list) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+        } catch (e) {}
+    }
+
+    /**
+     * 규칙 목록을 서버에 등록 (배열 순서가 평가 순서)
+     * @returns {Promise<Array>} 서버에 등록된 규칙 목록
+     */
+    function pushRules(list) {
+        return fetch(API_BASE + '/api/mocks', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(list)
+        }).then(function(response) {
+            return response.json().then(function(data) {
+                if (!response.ok) throw new Error(data.message || 'HTTP ' + response.status);
+                return data;
+            });
+        });
+    }
+
+    function setRules(list) {
+        rules = list || [];
+        saveRules(rules);
+        render();
+    }
+
+    /**
+     * 변경된 규칙 목록을 서버에 등록한 뒤 화면에 반영
+     * @returns {Promise<boolean>} 등록 성공 여부
+     */
+    function applyRules(list) {
+        return pushRules(list).then(function(saved) {
+            setRules(saved);
+            return true;
+        }, function(err) {
+            SharpInspectUtils.showToast('Mock rules not saved: ' + err.message);
+            render();
+            return false;
+        });
+    }
+
+    /**
+     * WebSocket 연결 시 호출: 서버의 규칙을 가져옴.
+     * 서버에 규칙이 없으면 (앱 재시작) 저장된 규칙을 다시 등록
+     */
+    function sync() {
+        fetch(API_BASE + '/api/mocks')
+            .then(function(r) { return r.json(); })
+            .then(function(serverRules) {
+                var saved = loadSavedRules();
+                if (serverRules.length === 0 && saved.length > 0) {
+                    return pushRules(saved);
+                }
+                return serverRules;
+            })
+            .then(setRules)
+            .catch(function() {});
+    }
+
+    // ===== 규칙 목록 =====
+    function describeAction(rule) {
+        var delay = rule.delayMs > 0 ? ' +' + rule.delayMs + ' ms' : '';
+        switch (rule.action) {
+            case 'Delay': return 'Delay' + delay;
+            case 'Fail': return 'Network error' + delay;
+            default: return 'Respond ' + rule.statusCode + delay;
+        }
+    }
+
+    function describeMatch(rule) {
+        var headers = Object.keys(rule.requestHeaders || {});
+        return (rule.urlPattern || '(any URL)') +
+            (headers.length > 0 ? ' [' + headers.join(', ') + ']' : '');
+    }
+
+    function render() {
+        var list = field('mock-list');
+        var enabled = rules.filter(function(r) { return r.enabled; }).length;
+        var tab = document.querySelector('.tab[data-tab="mocks"]');
+        tab.textContent = enabled > 0 ? 'Mocks (' + enabled + ')' : 'Mocks';
+
+        if (rules.length === 0) {
+            list.innerHTML = '<tr><td colspan="6" class="mock-empty">No mock rules. Add one here, or right-click a request in Network and choose "Mock this response".</td></tr>';
+            return;
+        }
+
+        list.innerHTML = rules.map(function(rule, i) {
+            return '<tr data-index="' + i + '"' + (rule.enabled ? '' : ' class="mock-disabled"') + '>' +
+                '<td><input type="checkbox" class="mock-enabled" title="Enabled"' + (rule.enabled ? ' checked' : '') + '></td>' +
+                '<td>' + escapeHtml(rule.name || '') + '</td>' +
+                '<td>' + escapeHtml(rule.method || 'Any') + '</td>' +
+                '<td class="mock-pattern">' + escapeHtml(describeMatch(rule)) + '</td>' +
+                '<td>' + escapeHtml(describeAction(rule)) + '</td>' +
+                '<td class="mock-actions">' +
+                    '<button class="copy-btn" data-action="up" title="Move up"' + (i === 0 ? ' disabled' : '') + '>&#8593;</button>' +
+                    '<button class="copy-btn" data-action="down" title="Move down"' + (i === rules.length - 1 ? ' disabled' : '') + '>&#8595;</button>' +
+                    '<button class="copy-btn" data-action="edit">Edit</button>' +
+                    '<button class="modal-close" data-action="remove" title="Remove rule">&#10005;</button>' +
+                '</td></tr>';
+        }).join('');
+    }
+
+    function moveRule(index, delta) {
+        var target = index + delta;
+        if (target < 0 || target >= rules.length) return;
+        var list = rules.slice();
+        var rule = list.splice(index, 1)[0];
+        list.splice(target, 0, rule);
+        applyRules(list);
+    }
+
+    function toggleRule(index, enabled) {
+        var list = rules.slice();
+        list[index] = normalizeRule(list[index]);
+        list[index].enabled = enabled;
+        applyRules(list);
+    }
+
+    function removeRule(index) {
+        var list = rules.slice();
+        list.splice(index, 1);
+        applyRules(list);
+    }
+
+    // ===== 편집 대화상자 =====
+    function showError(message) {
+        var error = field('mock-error');
+        error.textContent = message || '';
+        error.style.display = message ? 'block' : 'none';
+    }
+
+    function updateActionFields() {
+        var action = field('mock-action').value;
+        field('mock-response-fields').style.display = action === 'Respond' ? '' : 'none';
+        field('mock-fail-fields').style.display = action === 'Fail' ? '' : 'none';
+    }
+
+    /**
+     * 규칙으로 채운 편집 대화상자 열기
+     * @param {Object} rule - 편집할 규칙
+     * @param {number} index - 기존 규칙 위치, 새 규칙이면 -1
+     */
+    function openEditor(rule, index) {
+        editingIndex = index;
+        editingId = rule.id || null;
+        field('mock-dialog-title').textContent = index === -1 ? 'New mock rule' : 'Edit mock rule';
+        field('mock-name').value = rule.name || '';
+        field('mock-method').value = rule.method || '';
+        field('mock-url').value = rule.urlPattern || '';
+        field('mock-request-headers').value = SharpInspectReplay.formatHeaders(rule.requestHeaders);
+        field('mock-action').value = rule.action || 'Respond';
+        field('mock-delay').value = rule.delayMs || 0;
+        field('mock-status').value = rule.statusCode || 200;
+        field('mock-status-text').value = rule.statusText || '';
+        field('mock-response-headers').value = SharpInspectReplay.formatHeaders(rule.responseHeaders);
+        field('mock-body').value = rule.body || '';
+        field('mock-body-base64').checked = rule.bodyEncoding === 'base64';
+        field('mock-error-message').value = rule.errorMessage || '';
+        updateActionFields();
+        showError(null);
+        dialog.style.display = 'flex';
+        field('mock-url').focus();
+    }
+
+    function closeEditor() {
+        editingIndex = -1;
+        editingId = null;
+        dialog.style.display = 'none';
+    }
+
+    /**
+     * 대화상자 입력값을 규칙으로 변환
+     * @throws {Error} 입력값이 올바르지 않은 경우
+     */
+    function collectEditor() {
+        var status = parseInt(field('mock-status').value, 10);
+        if (isNaN(status) || status < 100 || status > 599) {
+            throw new Error('Status must be a number between 100 and 599');
+        }
+
+        var delay = field('mock-delay').value.trim() === '' ? 0 : Number(field('mock-delay').value);
+        if (!(delay >= 0 && delay <= 600000) || Math.floor(delay) !== delay) {
+            throw new Error('Delay must be a whole number of milliseconds between 0 and 600000');
+        }
+
+        var base64 = field('mock-body-base64').checked;
+        var body = field('mock-body').value;
+        if (base64) {
+            try {
+                atob(body.replace(/\s/g, ''));
+            } catch (e) {
+                throw new Error('Body is not valid Base64');
+            }
+            body = body.replace(/\s/g, '');
+        }
+
+        var rule = normalizeRule({
+            enabled: editingIndex === -1 ? true : rules[editingIndex].enabled,
+            name: field('mock-name').value.trim(),
+            method: field('mock-method').value,
+            urlPattern: field('mock-url').value.trim(),
+            requestHeaders: SharpInspectReplay.parseHeaders(field('mock-request-headers').value),
+            action: field('mock-action').value,
+            delayMs: delay,
+            statusCode: status,
+            statusText: field('mock-status-text').value.trim(),
+            responseHeaders: SharpInspectReplay.parseHeaders(field('mock-response-headers').value),
+            body: body,
+            bodyEncoding: base64 ? 'base64' : null,
+            errorMessage: field('mock-error-message').value.trim()
+        });
+        if (editingId) rule.id = editingId;
+        return rule;
+    }
+
+    function saveEditor() {
+        var rule;
+        try {
+            rule = collectEditor();
+        } catch (err) {
+            showError(err.message);
+            return;
+        }
+
+        var list = rules.slice();
+        var isNew = editingIndex === -1;
+        if (isNew) {
+            list.push(rule);
+        } else {
+            list[editingIndex] = rule;
+        }
+
+        var saveBtn = dialog.querySelector('[data-action="save"]');
+        saveBtn.disabled = true;
+        pushRules(list).then(function(saved) {
+            setRules(saved);
+            closeEditor();
+            if (isNew) SharpInspectUtils.showToast('Mock rule added');
+        }, function(err) {
+            showError(err.message);
+        }).then(function() {
+            saveBtn.disabled = false;
+        });
+    }
+
+    /**
+     * 캡처된 엔트리의 응답으로 채운 새 규칙 편집 대화상자 열기
+     */
+    function createFromEntry(entry) {
+        var headers = {};
+        Object.keys(entry.responseHeaders || {}).forEach(function(name) {
+            if (SKIPPED_RESPONSE_HEADERS.indexOf(name.toLowerCase()) === -1) {
+                headers[name] = entry.responseHeaders[name];
+            }
+        });
+
+        openEditor({
+            name: (entry.method || 'GET') + ' ' + SharpInspectUtils.getUrlName(entry.url),
+            method: entry.method || '',
+            urlPattern: (entry.url || '').replace(/^https?:\/\//i, ''),
+            action: entry.isError && !entry.statusCode ? 'Fail' : 'Respond',
+            statusCode: entry.statusCode || 200,
+            statusText: entry.statusText || '',
+            responseHeaders: headers,
+            body: entry.responseBody || '',
+            bodyEncoding: entry.responseBodyEncoding === 'base64' ? 'base64' : null,
+            errorMessage: entry.errorMessage || ''
+        }, -1);
+    }
+
+    // ===== 가져오기/내보내기 =====
+    function exportRules() {
+        if (rules.length === 0) {
+            SharpInspectUtils.showToast('No mock rules to export');
+            return;
+        }
+        SharpInspectCollectionExport.download(rules, 'sharpinspect-mocks.json');
+    }
+
+    /**
+     * JSON 파일의 규칙을 기존 목록 뒤에 추가. ID가 겹치면 새 ID를 부여
+     */
+    function importRules(file) {
+        var reader = new FileReader();
+        reader.onload = function() {
+            var imported;
+            try {
+                var data = JSON.parse(reader.result);
+                if (!Array.isArray(data)) throw new Error('expected an array of rules');
+                imported = normalizeRules(data);
+                if (imported.length === 0) throw new Error('no valid rules found');
+            } catch (err) {
+                SharpInspectUtils.showToast('Import failed: ' + err.message);
+                return;
+            }
+
+            var ids = rules.map(function(r) { return r.id; });
+            imported.forEach(function(r) {
+                if (ids.indexOf(r.id) !== -1) delete r.id;
+            });
+            applyRules(rules.concat(imported)).then(function(ok) {
+                if (ok) SharpInspectUtils.showToast('Imported ' + imported.length + ' mock rules');
+            });
+        };
+        reader.onerror = function() {
+            SharpInspectUtils.showToast('Import failed: unable to read file');
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * 툴바, 규칙 목록, 편집 대화상자 이벤트 연결
+     */
+    function init() {
+        dialog = field('mock-dialog');
+        var fileInput = field('mock-import-input');
+
+        field('mock-method').innerHTML = METHODS.map(function(m) {
+            return '<option value="' + m + '">' + (m || 'Any') + '</option>';
+        }).join('');
+
+        field('mock-add-btn').addEventListener('click', function() {
+            openEditor({ action: 'Respond', statusCode: 200 }, -1);
+        });
+        field('mock-export-btn').addEventListener('click', exportRules);
+        field('mock-import-btn').addEventListener('click', function() {
+            fileInput.click();
+        });
+        fileInput.addEventListener('change', function() {
+            if (fileInput.files && fileInput.files[0]) importRules(fileInput.files[0]);
+            fileInput.value = '';
+        });
+
+        var list = field('mock-list');
+        list.addEventListener('change', function(e) {
+            var row = e.target.closest('tr[data-index]');
+            if (row && e.target.classList.contains('mock-enabled')) {
+                toggleRule(parseInt(row.dataset.index, 10), e.target.checked);
+            }
+        });
+        list.addEventListener('click', function(e) {
+            var action = e.target.closest('[data-action]');
+            var row = e.target.closest('tr[data-index]');
+            if (!action || !row) return;
+            var index = parseInt(row.dataset.index, 10);
+
+            switch (action.dataset.action) {
+                case 'up': moveRule(index, -1); break;
+                case 'down': moveRule(index, 1); break;
+                case 'edit': openEditor(rules[index], index); break;
+                case 'remove': removeRule(index); break;
+            }
+        });
+        list.addEventListener('dblclick', function(e) {
+            var row = e.target.closest('tr[data-index]');
+            if (row && !e.target.closest('[data-action], input')) {
+                var index = parseInt(row.dataset.index, 10);
+                openEditor(rules[index], index);
+            }
+        });
+
+        field('mock-action').addEventListener('change', updateActionFields);
+
+        dialog.addEventListener('click', function(e) {
+            var action = e.target.closest('[data-action]');
+            if (e.target === dialog || (action && action.dataset.action === 'cancel')) {
+                closeEditor();
+            } else if (action && action.dataset.action === 'save') {
+                saveEditor();
+            }
+        });
+
+        dialog.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') {
+                closeEditor();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                saveEditor();
+            }
+        });
+
+        rules = loadSavedRules();
+        render();
+    }
+
+    // Public API
+    return {
+        init: init,
+        sync: sync,
+        createFromEntry: createFromEntry
+    };
+})();
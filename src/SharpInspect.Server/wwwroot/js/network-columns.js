@@ -0,0 +1,368 @@
+/**
+ * SharpInspect DevTools - Network Columns Module
+ * Network 테이블 컬럼 정의, 정렬, 크기 조절, 표시/숨김 및 설정 저장
+ */
+var SharpInspectNetworkColumns = (function() {
+    'use strict';
+
+    var STORAGE_KEY = 'sharpinspect-network-columns';
+    var MIN_WIDTH = 40;
+
+    var escapeHtml = SharpInspectUtils.escapeHtml;
+    var escapeAttr = SharpInspectUtils.escapeAttr;
+
+    function firstLine(text) {
+        if (!text) return '';
+        var idx = text.indexOf('\n');
+        return idx === -1 ? text : text.substring(0, idx);
+    }
+
+    /**
+     * Name 셀 앞에 붙는 엔트리 표시 (재전송, 목, WebSocket, gRPC 등)
+     */
+    function renderTags(e) {
+        var html = '';
+        if (e.replayOfId) html += '<span class="entry-tag" title="Replayed from DevTools">&#8635;</span>';
+        if (e.mockRuleId) html += '<span class="entry-tag mock-tag" title="Handled by a mock rule">MOCK</span>';
+        if (e.isWebSocket) html += '<span class="entry-tag ws-tag" title="WebSocket connection">WS</span>';
+        if (e.isGrpc) html += '<span class="entry-tag grpc-tag" title="gRPC call">gRPC</span>';
+        return html;
+    }
+
+    /**
+     * Name 컬럼 값: gRPC 호출은 서비스/메서드, 그 외에는 경로와 쿼리 문자열
+     */
+    function getName(e) {
+        return SharpInspectGrpc.getCallName(e) || SharpInspectUtils.getUrlName(e.url);
+    }
+
+    function compareValues(a, b) {
+        if (a === b) return 0;
+        if (a === null || a === undefined) return -1;
+        if (b === null || b === undefined) return 1;
+        if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+        return a < b ? -1 : 1;
+    }
+
+    /**
+     * 컬럼 정의
+     * cell(entry)은 { text, className, title } 또는 HTML 문자열(html)을 반환
+     */
+    var COLUMNS = [
+        {
+            id: 'status', title: 'Status', width: 60, visible: true,
+            cell: function(e) {
+                if (e.isBlocked) {
+                    return { text: 'blocked', className: 'status-blocked', title: 'Blocked by the DevTools block list' };
+                }
+                // gRPC 호출은 트레일러의 grpc-status를 논리적 상태로 표시
+                var grpcStatus = SharpInspectGrpc.getStatusCell(e);
+                if (grpcStatus) return grpcStatus;
+                return {
+                    text: e.isError && !e.statusCode ? 'ERR' : String(e.statusCode),
+                    className: SharpInspectUtils.getStatusClass(e.statusCode, e.isError)
+                };
+            },
+            sortValue: function(e) {
+                if (e.isBlocked) return -2;
+                return e.isError && !e.statusCode ? -1 : e.statusCode;
+            }
+        },
+        {
+            id: 'method', title: 'Method', width: 60, visible: true,
+            cell: function(e) { return { text: e.method }; },
+            sortValue: function(e) { return e.method || ''; }
+        },
+        {
+            id: 'name', title: 'Name', width: 0, visible: true, fixed: true,
+            cell: function(e) {
+                return { html: renderTags(e) + escapeHtml(getName(e)), title: e.url };
+            },
+            sortValue: getName
+        },
+        {
+            id: 'host', title: 'Host', width: 160, visible: false,
+            cell: function(e) { return { text: e.host || '' }; },
+            sortValue: function(e) { return e.host || ''; }
+        },
+        {
+            id: 'protocol', title: 'Protocol', width: 80, visible: false,
+            cell: function(e) { return { text: e.protocol || '' }; },
+            sortValue: function(e) { return e.protocol || ''; }
+        },
+        {
+            id: 'contentType', title: 'Content-Type', width: 160, visible: false,
+            cell: function(e) { return { text: e.responseContentType || '' }; },
+            sortValue: function(e) { return e.responseContentType || ''; }
+        },
+        {
+            id: 'initiator', title: 'Initiator', width: 200, visible: false,
+            cell: function(e) { return { text: firstLine(e.initiator), title: e.initiator || '' }; },
+            sortValue: function(e) { return firstLine(e.initiator); }
+        },
+        {
+            id: 'requestSize', title: 'Request size', width: 90, visible: false,
+            cell: function(e) { return { text: SharpInspectUtils.formatBytes(e.requestContentLength) }; },
+            sortValue: function(e) { return e.requestContentLength || 0; }
+        },
+        {
+            id: 'size', title: 'Size', width: 80, visible: true,
+            cell: function(e) { return { text: SharpInspectUtils.formatBytes(e.responseContentLength) }; },
+            sortValue: function(e) { return e.responseContentLength || 0; }
+        },
+        {
+            id: 'time', title: 'Time', width: 80, visible: true,
+            cell: function(e) { return { text: SharpInspectUtils.formatTime(e.totalMs) }; },
+            sortValue: function(e) { return e.totalMs || 0; }
+        },
+        {
+            id: 'timestamp', title: 'Timestamp', width: 110, visible: false,
+            cell: function(e) {
+                var date = new Date(e.timestamp);
+                return { text: date.toLocaleTimeString(), title: date.toLocaleString() };
+            },
+            sortValue: function(e) { return new Date(e.timestamp).getTime(); }
+        },
+        {
+            id: 'waterfall', title: 'Waterfall', width: 240, visible: true,
+            cell: function(e) { return { html: SharpInspectWaterfall.renderCell(e), className: 'waterfall-cell' }; },
+            sortValue: function(e) { return SharpInspectWaterfall.getStartTime(e); }
+        },
+        {
+            id: 'error', title: 'Error message', width: 200, visible: false,
+            cell: function(e) { return { text: e.errorMessage || '', title: e.errorMessage || '', className: 'status-error' }; },
+            sortValue: function(e) { return e.errorMessage || ''; }
+        }
+    ];
+
+    var columnMap = {};
+    COLUMNS.forEach(function(col) { columnMap[col.id] = col; });
+
+    var state = loadState();
+    var onChange = null;
+    var suppressNextClick = false;
+
+    // ===== 상태 저장/불러오기 =====
+    function getDefaultState() {
+        var visible = {};
+        var widths = {};
+        COLUMNS.forEach(function(col) {
+            visible[col.id] = col.visible;
+            widths[col.id] = col.width;
+        });
+        return { visible: visible, widths: widths, sort: null };
+    }
+
+    function loadState() {
+        var result = getDefaultState();
+        try {
+            var saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                Object.keys(saved.visible || {}).forEach(function(id) {
+                    if (columnMap[id] && !columnMap[id].fixed) result.visible[id] = !!saved.visible[id];
+                });
+                Object.keys(saved.widths || {}).forEach(function(id) {
+                    if (columnMap[id] && saved.widths[id] >= MIN_WIDTH) result.widths[id] = saved.widths[id];
+                });
+                if (saved.sort && columnMap[saved.sort.column] && (saved.sort.dir === 'asc' || saved.sort.dir === 'desc')) {
+                    result.sort = { column: saved.sort.column, dir: saved.sort.dir };
+                }
+            }
+        } catch (e) {}
+        return result;
+    }
+
+    function saveState() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    }
+
+    function notify(kind) {
+        saveState();
+        if (onChange) onChange(kind);
+    }
+
+    // ===== 컬럼 조회 =====
+    function getVisibleColumns() {
+        return COLUMNS.filter(function(col) { return state.visible[col.id]; });
+    }
+
+    function isVisible(columnId) {
+        return !!state.visible[columnId];
+    }
+
+    // ===== 렌더링 =====
+    function renderHeader() {
+        return getVisibleColumns().map(function(col) {
+            var width = state.widths[col.id];
+            var style = width ? ' style="width: ' + width + 'px"' : '';
+            var sortClass = '';
+            if (state.sort && state.sort.column === col.id) {
+                sortClass = ' sorted-' + state.sort.dir;
+            }
+            return '<th data-column="' + col.id + '" class="sortable' + sortClass + '"' + style + '>' +
+                '<span class="th-title">' + escapeHtml(col.title) + '</span>' +
+                '<span class="col-resizer" data-column="' + col.id + '"></span>' +
+                '</th>';
+        }).join('');
+    }
+
+    function renderCells(entry) {
+        return getVisibleColumns().map(function(col) {
+            var cell = col.cell(entry);
+            var cls = cell.className ? ' class="' + cell.className + '"' : '';
+            var title = cell.title ? ' title="' + escapeAttr(cell.title) + '"' : '';
+            var content = cell.html !== undefined ? cell.html : escapeHtml(cell.text);
+            return '<td data-column="' + col.id + '"' + cls + title + '>' + content + '</td>';
+        }).join('');
+    }
+
+    // ===== 정렬 =====
+    /**
+     * 현재 정렬 기준의 비교 함수 반환 (정렬 없으면 null)
+     */
+    function getComparator() {
+        if (!state.sort) return null;
+        var col = columnMap[state.sort.column];
+        var dir = state.sort.dir === 'desc' ? -1 : 1;
+        return function(a, b) {
+            return compareValues(col.sortValue(a), col.sortValue(b)) * dir;
+        };
+    }
+
+    /**
+     * 정렬 상태를 유지하며 배열에 항목 삽입 (이진 탐색)
+     */
+    function insertSorted(list, entry) {
+        var comparator = getComparator();
+        if (!comparator) {
+            list.push(entry);
+            return;
+        }
+        var lo = 0;
+        var hi = list.length;
+        while (lo < hi) {
+            var mid = (lo + hi) >>> 1;
+            if (comparator(list[mid], entry) <= 0) lo = mid + 1;
+            else hi = mid;
+        }
+        list.splice(lo, 0, entry);
+    }
+
+    function sortList(list) {
+        var comparator = getComparator();
+        if (comparator) list.sort(comparator);
+        return list;
+    }
+
+    function toggleSort(columnId) {
+        if (!state.sort || state.sort.column !== columnId) {
+            state.sort = { column: columnId, dir: 'asc' };
+        } else if (state.sort.dir === 'asc') {
+            state.sort.dir = 'desc';
+        } else {
+            state.sort = null;
+        }
+        notify('sort');
+    }
+
+    // ===== 헤더 이벤트 =====
+    function initResize(headerRow) {
+        headerRow.addEventListener('mousedown', function(e) {
+            var resizer = e.target.closest('.col-resizer');
+            if (!resizer) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            var th = resizer.parentElement;
+            var columnId = resizer.dataset.column;
+            var startX = e.clientX;
+            var startWidth = th.offsetWidth;
+
+            function onMove(ev) {
+                var width = Math.max(MIN_WIDTH, startWidth + ev.clientX - startX);
+                th.style.width = width + 'px';
+                state.widths[columnId] = width;
+            }
+
+            function onUp() {
+                // 드래그 종료 시 발생하는 click이 정렬로 처리되지 않도록 방지
+                suppressNextClick = true;
+                setTimeout(function() { suppressNextClick = false; }, 0);
+                document.removeEventListener('mousemove', onMove);
+                document.removeEventListener('mouseup', onUp);
+                document.body.classList.remove('col-resizing');
+                notify('resize');
+            }
+
+            document.body.classList.add('col-resizing');
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
+        });
+    }
+
+    function initContextMenu(headerRow, menu) {
+        headerRow.addEventListener('contextmenu', function(e) {
+            e.preventDefault();
+            menu.innerHTML = COLUMNS.filter(function(col) { return !col.fixed; }).map(function(col) {
+                return '<button class="copy-menu-item column-menu-item" data-column="' + col.id + '">' +
+                    '<span class="column-check">' + (state.visible[col.id] ? '&#10003;' : '') + '</span>' +
+                    escapeHtml(col.title) + '</button>';
+            }).join('') +
+                '<div class="menu-separator"></div>' +
+                '<button class="copy-menu-item column-menu-item" data-action="reset">Reset columns</button>';
+            menu.style.left = e.clientX + 'px';
+            menu.style.top = e.clientY + 'px';
+            menu.classList.add('show');
+        });
+
+        menu.addEventListener('click', function(e) {
+            e.stopPropagation();
+            var item = e.target.closest('.column-menu-item');
+            if (!item) return;
+            if (item.dataset.action === 'reset') {
+                state = getDefaultState();
+            } else {
+                var id = item.dataset.column;
+                state.visible[id] = !state.visible[id];
+            }
+            menu.classList.remove('show');
+            notify('columns');
+        });
+
+        document.addEventListener('click', function() {
+            menu.classList.remove('show');
+        });
+    }
+
+    /**
+     * 헤더 행에 정렬/크기 조절/컨텍스트 메뉴 이벤트 연결
+     * @param {HTMLElement} headerRow - thead의 tr
+     * @param {HTMLElement} menu - 컬럼 표시/숨김 메뉴 요소
+     * @param {Function} changeCallback - (kind: 'sort'|'resize'|'columns') 변경 시 호출
+     */
+    function init(headerRow, menu, changeCallback) {
+        onChange = changeCallback;
+        headerRow.innerHTML = renderHeader();
+
+        headerRow.addEventListener('click', function(e) {
+            if (suppressNextClick || e.target.closest('.col-resizer')) return;
+            var th = e.target.closest('th[data-column]');
+            if (th) toggleSort(th.dataset.column);
+        });
+
+        initResize(headerRow);
+        initContextMenu(headerRow, menu);
+    }
+
+    // Public API
+    return {
+        init: init,
+        renderHeader: renderHeader,
+        renderCells: renderCells,
+        getVisibleColumns: getVisibleColumns,
+        isVisible: isVisible,
+        insertSorted: insertSorted,
+        sortList: sortList,
+        isSorted: function() { return !!state.sort; }
+    };
+})();
@@ -0,0 +1,286 @@
+/**
+ * SharpInspect DevTools - Network Diff Module
+ * 기준(baseline) 엔트리와 선택한 엔트리의 헤더, 쿼리 스트링, 요청/응답 본문 비교
+ * (JSON은 경로 기반 구조 비교, 텍스트/XML은 라인 비교)
+ */
+var SharpInspectDiff = (function() {
+    'use strict';
+
+    // LCS 테이블 최대 크기 (초과 시 공통 앞/뒤 부분만 맞추고 나머지는 전체 변경으로 처리)
+    var MAX_LCS_CELLS = 4000000;
+
+    var escapeHtml = SharpInspectUtils.escapeHtml;
+
+    // ===== 라인 diff =====
+    /**
+     * 두 텍스트의 라인 단위 차이 계산 (LCS)
+     * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+     */
+    function diffLines(oldText, newText) {
+        var a = oldText ? oldText.split('\n') : [];
+        var b = newText ? newText.split('\n') : [];
+        var result = [];
+
+        // 공통 앞부분/뒷부분은 LCS 계산에서 제외
+        var prefix = 0;
+        while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+        var suffix = 0;
+        while (suffix < a.length - prefix && suffix < b.length - prefix &&
+            a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+        var i;
+        for (i = 0; i < prefix; i++) result.push({ type: 'same', text: a[i] });
+
+        var midA = a.slice(prefix, a.length - suffix);
+        var midB = b.slice(prefix, b.length - suffix);
+        var n = midA.length;
+        var m = midB.length;
+
+        if ((n + 1) * (m + 1) > MAX_LCS_CELLS) {
+            midA.forEach(function(line) { result.push({ type: 'removed', text: line }); });
+            midB.forEach(function(line) { result.push({ type: 'added', text: line }); });
+        } else {
+            var width = m + 1;
+            var table = new Uint32Array((n + 1) * width);
+            for (var x = n - 1; x >= 0; x--) {
+                for (var y = m - 1; y >= 0; y--) {
+                    table[x * width + y] = midA[x] === midB[y]
+                        ? table[(x + 1) * width + y + 1] + 1
+                        : Math.max(table[(x + 1) * width + y], table[x * width + y + 1]);
+                }
+            }
+
+            var p = 0;
+            var q = 0;
+            while (p < n && q < m) {
+                if (midA[p] === midB[q]) {
+                    result.push({ type: 'same', text: midA[p] });
+                    p++;
+                    q++;
+                } else if (table[(p + 1) * width + q] >= table[p * width + q + 1]) {
+                    result.push({ type: 'removed', text: midA[p++] });
+                } else {
+                    result.push({ type: 'added', text: midB[q++] });
+                }
+            }
+            while (p < n) result.push({ type: 'removed', text: midA[p++] });
+            while (q < m) result.push({ type: 'added', text: midB[q++] });
+        }
+
+        for (i = a.length - suffix; i < a.length; i++) result.push({ type: 'same', text: a[i] });
+        return result;
+    }
+
+    // ===== 구조적 JSON diff =====
+    function isContainer(value) {
+        return value !== null && typeof value === 'object';
+    }
+
+    /**
+     * 두 JSON 값의 구조적 차이를 경로별로 수집
+     * @returns {Array<{path: string, type: 'added'|'removed'|'changed', oldValue: *, newValue: *}>}
+     */
+    function diffJson(oldValue, newValue) {
+        var changes = [];
+        walkJson(oldValue, newValue, [], changes);
+        return changes;
+    }
+
+    function walkJson(oldValue, newValue, segments, changes) {
+        var bothArrays = Array.isArray(oldValue) && Array.isArray(newValue);
+        var bothObjects = isContainer(oldValue) && isContainer(newValue) &&
+            !Array.isArray(oldValue) && !Array.isArray(newValue);
+
+        if (!bothArrays && !bothObjects) {
+            if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                changes.push({ path: SharpInspectJsonTree.formatPath(segments), type: 'changed', oldValue: oldValue, newValue: newValue });
+            }
+            return;
+        }
+
+        var keys;
+        if (bothArrays) {
+            keys = [];
+            for (var i = 0; i < Math.max(oldValue.length, newValue.length); i++) keys.push(i);
+        } else {
+            keys = Object.keys(oldValue);
+            Object.keys(newValue).forEach(function(key) {
+                if (!Object.prototype.hasOwnProperty.call(oldValue, key)) keys.push(key);
+            });
+        }
+
+        keys.forEach(function(key) {
+            var childSegments = segments.concat([key]);
+            var inOld = bothArrays ? key < oldValue.length : Object.prototype.hasOwnProperty.call(oldValue, key);
+            var inNew = bothArrays ? key < newValue.length : Object.prototype.hasOwnProperty.call(newValue, key);
+            if (!inNew) {
+                changes.push({ path: SharpInspectJsonTree.formatPath(childSegments), type: 'removed', oldValue: oldValue[key] });
+            } else if (!inOld) {
+                changes.push({ path: SharpInspectJsonTree.formatPath(childSegments), type: 'added', newValue: newValue[key] });
+            } else {
+                walkJson(oldValue[key], newValue[key], childSegments, changes);
+            }
+        });
+    }
+
+    // ===== 키-값 diff (헤더, 쿼리 스트링) =====
+    /**
+     * 두 키-값 맵의 차이 계산 (키는 대소문자 구분 없음)
+     */
+    function diffMaps(oldMap, newMap) {
+        var oldByKey = {};
+        var newByKey = {};
+        var names = [];
+        Object.keys(oldMap || {}).forEach(function(k) {
+            oldByKey[k.toLowerCase()] = { name: k, value: oldMap[k] };
+            names.push(k.toLowerCase());
+        });
+        Object.keys(newMap || {}).forEach(function(k) {
+            newByKey[k.toLowerCase()] = { name: k, value: newMap[k] };
+            if (!oldByKey[k.toLowerCase()]) names.push(k.toLowerCase());
+        });
+
+        var changes = [];
+        names.forEach(function(key) {
+            var o = oldByKey[key];
+            var n = newByKey[key];
+            if (!n) {
+                changes.push({ path: o.name, type: 'removed', oldValue: o.value });
+            } else if (!o) {
+                changes.push({ path: n.name, type: 'added', newValue: n.value });
+            } else if (String(o.value) !== String(n.value)) {
+                changes.push({ path: n.name, type: 'changed', oldValue: o.value, newValue: n.value });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * URL의 쿼리 스트링을 키-값 맵으로 변환 (중복 키는 ", "로 합침)
+     */
+    function parseQuery(url) {
+        var map = {};
+        try {
+            new URL(url).searchParams.forEach(function(value, key) {
+                map[key] = map[key] !== undefined ? map[key] + ', ' + value : value;
+            });
+        } catch (e) {}
+        return map;
+    }
+
+    // ===== 본문 정규화 =====
+    /**
+     * 비교 전 본문 정규화. JSON은 파싱된 값, XML/HTML은 들여쓰기된 텍스트로 변환
+     */
+    function normalizeBody(content, contentType, encoding) {
+        if (!content) return { type: 'text', text: '' };
+        if (encoding === 'base64') return { type: 'text', text: content };
+
+        var type = SharpInspectDetailRenderer.detectContentType(content, contentType);
+        if (type === 'json') {
+            try {
+                return { type: 'json', value: JSON.parse(content) };
+            } catch (e) {}
+        }
+        if (type === 'xml' || type === 'html') {
+            return { type: 'text', text: SharpInspectDetailRenderer.prettyPrintXml(content) };
+        }
+        return { type: 'text', text: content };
+    }
+
+    // ===== 렌더링 =====
+    function renderJsonValue(value) {
+        return value === undefined ? '' : SharpInspectDetailRenderer.formatJsonValue(value, 0);
+    }
+
+    function renderChangeTable(changes, formatValue) {
+        var html = '<table class="headers-table diff-table">';
+        changes.forEach(function(c) {
+            var marker = c.type === 'added' ? '+' : c.type === 'removed' ? '-' : '~';
+            html += '<tr class="diff-' + c.type + '">' +
+                '<td class="diff-marker">' + marker + '</td>' +
+                '<td class="header-name">' + escapeHtml(c.path) + '</td>' +
+                '<td class="header-value diff-old">' + (c.type !== 'added' ? formatValue(c.oldValue) : '') + '</td>' +
+                '<td class="header-value diff-new">' + (c.type !== 'removed' ? formatValue(c.newValue) : '') + '</td>' +
+                '</tr>';
+        });
+        return html + '</table>';
+    }
+
+    function renderLineDiff(lines) {
+        return '<pre class="body-content diff-lines">' + lines.map(function(line) {
+            var marker = line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  ';
+            return '<span class="diff-line diff-' + line.type + '">' + marker + escapeHtml(line.text) + '</span>';
+        }).join('\n') + '</pre>';
+    }
+
+    function renderGroup(title, changeCount, contentHtml) {
+        var summary = changeCount === 0 ? ' (no differences)' : ' (' + changeCount + (changeCount === 1 ? ' change)' : ' changes)');
+        return '<div class="headers-group">' +
+            '<div class="headers-group-title" data-collapsed="false">' +
+            '<span class="collapse-icon"></span>' +
+            '<span>' + escapeHtml(title) + summary + '</span>' +
+            '</div>' +
+            '<div class="headers-group-content">' + contentHtml + '</div>' +
+            '</div>';
+    }
+
+    function renderMapGroup(title, oldMap, newMap) {
+        var changes = diffMaps(oldMap, newMap);
+        var content = changes.length > 0
+            ? renderChangeTable(changes, function(v) { return escapeHtml(String(v)); })
+            : '';
+        return renderGroup(title, changes.length, content);
+    }
+
+    function renderBodyGroup(title, oldBody, newBody) {
+        if (oldBody.type === 'json' && newBody.type === 'json') {
+            var changes = diffJson(oldBody.value, newBody.value);
+            return renderGroup(title, changes.length, changes.length > 0 ? renderChangeTable(changes, renderJsonValue) : '');
+        }
+
+        var oldText = oldBody.type === 'json' ? JSON.stringify(oldBody.value, null, 2) : oldBody.text;
+        var newText = newBody.type === 'json' ? JSON.stringify(newBody.value, null, 2) : newBody.text;
+        var lines = diffLines(oldText, newText);
+        var changed = lines.filter(function(l) { return l.type !== 'same'; }).length;
+        return renderGroup(title, changed, changed > 0 ? renderLineDiff(lines) : '');
+    }
+
+    function describe(entry) {
+        return entry.method + ' ' + SharpInspectUtils.getUrlName(entry.url) +
+            ' · ' + (entry.statusCode || 'ERR') +
+            ' · ' + new Date(entry.timestamp).toLocaleTimeString();
+    }
+
+    /**
+     * 기준 엔트리와 대상 엔트리의 차이 렌더링
+     */
+    function render(baseline, entry) {
+        var html = '<div class="headers-section diff-view">';
+        html += '<div class="diff-summary">' +
+            '<div class="diff-removed"><span class="diff-marker">-</span> Baseline: ' + escapeHtml(describe(baseline)) + '</div>' +
+            '<div class="diff-added"><span class="diff-marker">+</span> Selected: ' + escapeHtml(describe(entry)) + '</div>' +
+            '</div>';
+
+        html += renderMapGroup('Query String', parseQuery(baseline.url), parseQuery(entry.url));
+        html += renderMapGroup('Request Headers', baseline.requestHeaders, entry.requestHeaders);
+        html += renderBodyGroup('Request Body',
+            normalizeBody(baseline.requestBody, baseline.requestContentType),
+            normalizeBody(entry.requestBody, entry.requestContentType));
+        html += renderMapGroup('Response Headers', baseline.responseHeaders, entry.responseHeaders);
+        html += renderBodyGroup('Response Body',
+            normalizeBody(baseline.responseBody, baseline.responseContentType, baseline.responseBodyEncoding),
+            normalizeBody(entry.responseBody, entry.responseContentType, entry.responseBodyEncoding));
+
+        html += '</div>';
+        return html;
+    }
+
+    // Public API
+    return {
+        render: render,
+        diffLines: diffLines,
+        diffJson: diffJson,
+        diffMaps: diffMaps
+    };
+})();
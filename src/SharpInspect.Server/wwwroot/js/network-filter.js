@@ -0,0 +1,362 @@
+/**
+ * SharpInspect DevTools - Network Filter Module
+ * Chrome 스타일 필터 쿼리 파싱 및 매칭
+ * (status:5xx, method:POST, domain:, larger-than:, duration>, mime:, has-response-header:, grpc-status:, -부정, /정규식/)
+ */
+var SharpInspectNetworkFilter = (function() {
+    'use strict';
+
+    /**
+     * 닫는 구분자 위치 찾기 (정규식 안의 \/ 처럼 백슬래시로 이스케이프된 문자는 건너뜀)
+     * @returns {number} 없으면 -1
+     */
+    function findClosing(query, delimiter, from) {
+        for (var i = from; i < query.length; i++) {
+            var ch = query.charAt(i);
+            if (ch === '\\' && delimiter === '/') {
+                i++;
+            } else if (ch === delimiter) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * 쿼리 문자열을 토큰 배열로 분리
+     * 공백으로 구분하되 /정규식/ 과 "따옴표" 내부의 공백은 유지
+     */
+    function tokenize(query) {
+        var tokens = [];
+        var i = 0;
+        var len = query.length;
+
+        while (i < len) {
+            while (i < len && /\s/.test(query.charAt(i))) i++;
+            if (i >= len) break;
+
+            var start = i;
+            var negated = query.charAt(i) === '-' && i + 1 < len && !/\s/.test(query.charAt(i + 1));
+            var bodyStart = negated ? i + 1 : i;
+            var first = query.charAt(bodyStart);
+
+            if (first === '/' || first === '"') {
+                var end = findClosing(query, first, bodyStart + 1);
+                if (end !== -1) {
+                    i = end + 1;
+                    // 정규식 플래그 허용 (/abc/i)
+                    while (i < len && /[a-z]/.test(query.charAt(i))) i++;
+                    tokens.push(query.substring(start, i));
+                    continue;
+                }
+            }
+
+            while (i < len && !/\s/.test(query.charAt(i))) {
+                if (query.charAt(i) === '"') {
+                    var close = query.indexOf('"', i + 1);
+                    i = close === -1 ? len : close + 1;
+                } else {
+                    i++;
+                }
+            }
+            tokens.push(query.substring(start, i));
+        }
+
+        return tokens;
+    }
+
+    function unquote(value) {
+        if (value.length >= 2 && value.charAt(0) === '"' && value.charAt(value.length - 1) === '"') {
+            return value.substring(1, value.length - 1);
+        }
+        return value;
+    }
+
+    /**
+     * 크기 문자열을 바이트로 변환 (100, 100k, 1.5m)
+     */
+    function parseSize(value) {
+        var match = /^(\d+(?:\.\d+)?)\s*(b|k|kb|m|mb)?$/i.exec(value);
+        if (!match) return NaN;
+        var num = parseFloat(match[1]);
+        var unit = (match[2] || '').toLowerCase();
+        if (unit === 'k' || unit === 'kb') return num * 1024;
+        if (unit === 'm' || unit === 'mb') return num * 1024 * 1024;
+        return num;
+    }
+
+    /**
+     * 와일드카드(*) 패턴을 정규식으로 변환
+     */
+    function wildcardToRegex(pattern) {
+        var escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp('^' + escaped + '$', 'i');
+    }
+
+    /**
+     * 헤더 이름을 대소문자 구분 없이 검색
+     */
+    function hasHeader(headers, name) {
+        if (!headers) return false;
+        var lower = name.toLowerCase();
+        return Object.keys(headers).some(function(k) {
+            return k.toLowerCase() === lower;
+        });
+    }
+
+    function compare(actual, op, expected) {
+        switch (op) {
+            case '>': return actual > expected;
+            case '>=': return actual >= expected;
+            case '<': return actual < expected;
+            case '<=': return actual <= expected;
+            default: return actual === expected;
+        }
+    }
+
+    function textPredicate(text) {
+        var lower = text.toLowerCase();
+        return function(e) {
+            return (e.url || '').toLowerCase().indexOf(lower) !== -1 ||
+                (e.method || '').toLowerCase().indexOf(lower) !== -1;
+        };
+    }
+
+    function statusPredicate(value) {
+        var lower = value.toLowerCase();
+        if (lower === 'error' || lower === 'err') {
+            return function(e) { return !!e.isError && !e.statusCode; };
+        }
+        if (lower === 'blocked') {
+            return function(e) { return !!e.isBlocked; };
+        }
+        var classMatch = /^([1-5])xx$/.exec(lower);
+        if (classMatch) {
+            var cls = parseInt(classMatch[1], 10);
+            return function(e) { return Math.floor(e.statusCode / 100) === cls; };
+        }
+        var code = parseInt(lower, 10);
+        if (isNaN(code)) return null;
+        return function(e) { return e.statusCode === code; };
+    }
+
+    /**
+     * grpc-status:5, grpc-status:not_found, grpc-status:error (OK가 아닌 모든 상태)
+     */
+    function grpcStatusPredicate(value) {
+        var lower = value.toLowerCase();
+        if (lower === 'error' || lower === 'err') return SharpInspectGrpc.isError;
+        return function(e) {
+            if (!e.isGrpc || e.grpcStatus === null || e.grpcStatus === undefined) return false;
+            return String(e.grpcStatus) === lower || SharpInspectGrpc.getStatusName(e.grpcStatus).toLowerCase() === lower;
+        };
+    }
+
+    function keyValuePredicate(key, value) {
+        if (!value) return null;
+
+        switch (key) {
+            case 'status':
+            case 'status-code':
+                return statusPredicate(value);
+
+            case 'method':
+                var method = value.toUpperCase();
+                return function(e) { return (e.method || '').toUpperCase() === method; };
+
+            case 'domain':
+            case 'host':
+                var hostRegex = wildcardToRegex(value);
+                return function(e) { return hostRegex.test(e.host || ''); };
+
+            case 'larger-than':
+                var size = parseSize(value);
+                if (isNaN(size)) return null;
+                return function(e) { return e.responseContentLength > size; };
+
+            case 'mime':
+            case 'mime-type':
+                var mime = value.toLowerCase();
+                return function(e) { return (e.responseContentType || '').toLowerCase().indexOf(mime) !== -1; };
+
+            case 'has-response-header':
+                return function(e) { return hasHeader(e.responseHeaders, value); };
+
+            case 'has-request-header':
+                return function(e) { return hasHeader(e.requestHeaders, value); };
+
+            case 'grpc-status':
+                return grpcStatusPredicate(value);
+
+            case 'scheme':
+                var scheme = value.toLowerCase() + ':';
+                return function(e) { return (e.url || '').toLowerCase().indexOf(scheme) === 0; };
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 단일 토큰을 조건 함수로 변환
+     */
+    function parseToken(token) {
+        var negated = false;
+        var body = token;
+
+        if (body.length > 1 && body.charAt(0) === '-') {
+            negated = true;
+            body = body.substring(1);
+        }
+
+        var predicate = null;
+
+        // /정규식/플래그
+        var regexMatch = /^\/(.+)\/([a-z]*)$/.exec(body);
+        if (regexMatch) {
+            try {
+                var regex = new RegExp(regexMatch[1], regexMatch[2] || 'i');
+                predicate = function(e) { return regex.test(e.url || ''); };
+            } catch (ex) {
+                predicate = null;
+            }
+        }
+
+        // duration>500, duration<=100
+        if (!predicate) {
+            var durationMatch = /^duration(>=|<=|>|<|=|:)(\d+(?:\.\d+)?)$/i.exec(body);
+            if (durationMatch) {
+                var op = durationMatch[1] === ':' ? '=' : durationMatch[1];
+                var ms = parseFloat(durationMatch[2]);
+                predicate = function(e) { return compare(e.totalMs || 0, op, ms); };
+            }
+        }
+
+        // key:value
+        if (!predicate) {
+            var colon = body.indexOf(':');
+            if (colon > 0) {
+                predicate = keyValuePredicate(body.substring(0, colon).toLowerCase(), unquote(body.substring(colon + 1)));
+            }
+        }
+
+        // 일반 텍스트 (URL/메서드 부분 일치)
+        if (!predicate) {
+            predicate = textPredicate(unquote(body));
+        }
+
+        return negated ? function(e) { return !predicate(e); } : predicate;
+    }
+
+    /**
+     * 필터 쿼리를 조건 함수 배열로 파싱
+     */
+    function parse(query) {
+        if (!query) return [];
+        return tokenize(query).map(parseToken);
+    }
+
+    /**
+     * 엔트리가 모든 조건을 만족하는지 확인 (AND)
+     */
+    function matches(entry, predicates) {
+        for (var i = 0; i < predicates.length; i++) {
+            if (!predicates[i](entry)) return false;
+        }
+        return true;
+    }
+
+    // ===== 리소스 타입 퀵 필터 =====
+    var QUICK_FILTER_STORAGE_KEY = 'sharpinspect-network-quick-filter';
+    var RESOURCE_TYPES = ['json', 'xml', 'html', 'form', 'text', 'ws', 'grpc', 'other'];
+
+    /**
+     * detectContentType() 분류를 퀵 필터 리소스 타입으로 매핑
+     */
+    function detectResourceType(entry) {
+        if (entry.isWebSocket) return 'ws';
+        if (entry.isGrpc) return 'grpc';
+
+        var contentType = (entry.responseContentType || '').toLowerCase();
+        var type = SharpInspectDetailRenderer.detectContentType(entry.responseBody, contentType);
+
+        if (type === 'json' || type === 'xml' || type === 'html') return type;
+        if (type === 'form-urlencoded' || type === 'form-data') return 'form';
+
+        // 'text' 분류 중 실제 텍스트가 아닌 것은 Other로 분류
+        if (contentType) {
+            if (contentType.indexOf('text/') === 0 || contentType.indexOf('javascript') !== -1) return 'text';
+            return 'other';
+        }
+        return entry.responseBody ? 'text' : 'other';
+    }
+
+    /**
+     * 엔트리의 리소스 타입 (본문 검사는 엔트리당 한 번만 하고 결과를 엔트리에 저장)
+     */
+    function getResourceType(entry) {
+        if (entry.resourceType === undefined) entry.resourceType = detectResourceType(entry);
+        return entry.resourceType;
+    }
+
+    function getDefaultQuickFilter() {
+        return { types: [], errorsOnly: false, httpErrorsOnly: false };
+    }
+
+    /**
+     * localStorage에서 퀵 필터 상태 불러오기
+     */
+    function loadQuickFilter() {
+        var state = getDefaultQuickFilter();
+        try {
+            var saved = JSON.parse(localStorage.getItem(QUICK_FILTER_STORAGE_KEY));
+            if (saved) {
+                state.types = (saved.types || []).filter(function(t) {
+                    return RESOURCE_TYPES.indexOf(t) !== -1;
+                });
+                state.errorsOnly = !!saved.errorsOnly;
+                state.httpErrorsOnly = !!saved.httpErrorsOnly;
+            }
+        } catch (e) {}
+        return state;
+    }
+
+    /**
+     * 퀵 필터 상태를 localStorage에 저장
+     */
+    function saveQuickFilter(state) {
+        localStorage.setItem(QUICK_FILTER_STORAGE_KEY, JSON.stringify(state));
+    }
+
+    /**
+     * 엔트리가 퀵 필터(리소스 타입, 오류 토글)를 만족하는지 확인
+     */
+    function matchesQuickFilter(entry, state) {
+        if (state.errorsOnly && !entry.isError && !SharpInspectGrpc.isError(entry)) return false;
+        if (state.httpErrorsOnly && !(entry.statusCode >= 400 && entry.statusCode < 600)) return false;
+        if (state.types.length > 0 && state.types.indexOf(getResourceType(entry)) === -1) return false;
+        return true;
+    }
+
+    /**
+     * 쿼리로 엔트리 배열을 필터링
+     */
+    function apply(entries, query) {
+        var predicates = parse(query);
+        if (predicates.length === 0) return entries.slice();
+        return entries.filter(function(e) {
+            return matches(e, predicates);
+        });
+    }
+
+    // Public API
+    return {
+        parse: parse,
+        matches: matches,
+        apply: apply,
+        getResourceType: getResourceType,
+        loadQuickFilter: loadQuickFilter,
+        saveQuickFilter: saveQuickFilter,
+        matchesQuickFilter: matchesQuickFilter
+    };
+})();
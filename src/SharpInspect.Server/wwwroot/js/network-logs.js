@@ -0,0 +1,109 @@
+/**
+ * SharpInspect DevTools - Network Logs Module
+ * 네트워크 요청과 콘솔 로그의 연결 (요청 처리 중 남겨진 로그, 같은 Activity 트레이스의 로그)
+ * 상세 패널 Logs 탭 렌더링과 콘솔 행에서 관련 요청 찾기
+ */
+var SharpInspectNetworkLogs = (function() {
+    'use strict';
+
+    var escapeHtml = SharpInspectUtils.escapeHtml;
+    var escapeAttr = SharpInspectUtils.escapeAttr;
+
+    /**
+     * 콘솔 엔트리와 네트워크 엔트리의 관계
+     * @returns {string|null} 'request' (요청 처리 중 로그), 'trace' (같은 트레이스), 관계 없으면 null
+     */
+    function getRelation(networkEntry, consoleEntry) {
+        if (consoleEntry.networkEntryId && consoleEntry.networkEntryId === networkEntry.id) return 'request';
+        if (consoleEntry.traceId && consoleEntry.traceId === networkEntry.traceId) return 'trace';
+        return null;
+    }
+
+    /**
+     * 네트워크 엔트리와 관련된 콘솔 엔트리 목록 (시간순)
+     */
+    function findLogs(networkEntry, consoleEntries) {
+        return consoleEntries.filter(function(entry) {
+            return getRelation(networkEntry, entry) !== null;
+        });
+    }
+
+    /**
+     * 콘솔 엔트리와 관련된 네트워크 엔트리 찾기
+     * 요청 ID가 있으면 해당 요청, 없으면 같은 트레이스에서 로그 시각과 가장 가까운 요청
+     */
+    function findNetworkEntry(consoleEntry, networkEntries) {
+        if (consoleEntry.networkEntryId) {
+            return networkEntries.find(function(entry) { return entry.id === consoleEntry.networkEntryId; }) || null;
+        }
+        if (!consoleEntry.traceId) return null;
+
+        var time = new Date(consoleEntry.timestamp).getTime();
+        var best = null;
+        var bestDistance = Infinity;
+        networkEntries.forEach(function(entry) {
+            if (entry.traceId !== consoleEntry.traceId) return;
+            var distance = Math.abs(new Date(entry.timestamp).getTime() - time);
+            if (distance < bestDistance) {
+                best = entry;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * 콘솔 행에 관련 요청 링크를 표시할지 여부
+     * 요청 ID가 있으면 항상 (요청이 아직 진행 중일 수 있음), 트레이스 ID만 있으면 같은 트레이스의 요청이 있을 때만
+     */
+    function hasLink(consoleEntry, networkEntries) {
+        if (consoleEntry.networkEntryId) return true;
+        return !!consoleEntry.traceId && networkEntries.some(function(entry) {
+            return entry.traceId === consoleEntry.traceId;
+        });
+    }
+
+    function renderRow(networkEntry, consoleEntry, start) {
+        var relation = getRelation(networkEntry, consoleEntry);
+        var offset = Math.round(new Date(consoleEntry.timestamp).getTime() - start);
+        return '<div class="network-log-row" data-log-id="' + escapeAttr(consoleEntry.id) + '" title="Show in Console">' +
+            '<span class="network-log-offset">' + (offset >= 0 ? '+' : '') + offset + ' ms</span>' +
+            '<span class="' + SharpInspectUtils.getLevelClass(consoleEntry.level) + '">[' + consoleEntry.level + ']</span>' +
+            '<span class="network-log-category">' + escapeHtml(consoleEntry.category || '') + '</span>' +
+            (relation === 'trace' ? '<span class="network-log-trace" title="Logged in the same trace, outside this request">trace</span>' : '') +
+            '<div class="network-log-message">' + escapeHtml(consoleEntry.message || '') +
+            (consoleEntry.exceptionType ? ' <span class="network-log-exception">' + escapeHtml(consoleEntry.exceptionType) + '</span>' : '') +
+            '</div>' +
+            '</div>';
+    }
+
+    /**
+     * Logs 탭 HTML
+     * @param {Object} networkEntry - 선택된 네트워크 엔트리
+     * @param {Array} consoleEntries - 전체 콘솔 엔트리
+     */
+    function render(networkEntry, consoleEntries) {
+        var logs = findLogs(networkEntry, consoleEntries);
+        var trace = networkEntry.traceId
+            ? '<div class="network-log-summary">Trace ID <code>' + escapeHtml(networkEntry.traceId) + '</code></div>'
+            : '';
+
+        if (logs.length === 0) {
+            return trace + '<div class="body-empty">No console logs were recorded for this request</div>';
+        }
+
+        var start = new Date(networkEntry.timestamp).getTime();
+        return trace + '<div class="network-logs">' +
+            logs.map(function(entry) { return renderRow(networkEntry, entry, start); }).join('') +
+            '</div>';
+    }
+
+    // Public API
+    return {
+        getRelation: getRelation,
+        findLogs: findLogs,
+        findNetworkEntry: findNetworkEntry,
+        hasLink: hasLink,
+        render: render
+    };
+})();
@@ -0,0 +1,265 @@
+/**
+ * SharpInspect DevTools - Network Waterfall Module
+ * 모든 요청을 공통 시간 축에 배치하는 Waterfall 컬럼, 페이즈 툴팁, 시간 범위 브러시
+ */
+var SharpInspectWaterfall = (function() {
+    'use strict';
+
+    var DRAG_THRESHOLD_PX = 3;
+    var FALLBACK_COLOR = '#569cd6';
+
+    var escapeHtml = SharpInspectUtils.escapeHtml;
+    var formatTime = SharpInspectUtils.formatTime;
+
+    // 현재 시간 축 { start, end } (epoch ms)
+    var axis = null;
+    // 브러시로 선택된 시간 범위 { start, end } 또는 null
+    var range = null;
+    var rangeListeners = [];
+
+    function getStartTime(entry) {
+        return new Date(entry.timestamp).getTime();
+    }
+
+    function getEndTime(entry) {
+        return getStartTime(entry) + (entry.totalMs || 0);
+    }
+
+    // ===== 시간 축 =====
+    /**
+     * 엔트리 목록으로 시간 축 계산. 범위가 선택되어 있으면 해당 범위로 확대
+     * @returns {boolean} 축이 변경되었는지 여부
+     */
+    function updateAxis(entries) {
+        var next = null;
+        if (range) {
+            next = { start: range.start, end: range.end };
+        } else if (entries.length > 0) {
+            var start = Infinity;
+            var end = -Infinity;
+            for (var i = 0; i < entries.length; i++) {
+                var s = getStartTime(entries[i]);
+                var e = s + (entries[i].totalMs || 0);
+                if (s < start) start = s;
+                if (e > end) end = e;
+            }
+            next = { start: start, end: Math.max(end, start + 1) };
+        }
+
+        var changed = !axis || !next || axis.start !== next.start || axis.end !== next.end;
+        axis = next;
+        return changed;
+    }
+
+    function getAxis() {
+        return axis;
+    }
+
+    function timeToPercent(time) {
+        if (!axis) return 0;
+        return ((time - axis.start) / (axis.end - axis.start)) * 100;
+    }
+
+    // ===== 셀 렌더링 =====
+    function renderCell(entry) {
+        if (!axis) return '';
+
+        var total = entry.totalMs || 0;
+        var start = getStartTime(entry);
+        var end = getEndTime(entry);
+        var left = timeToPercent(start);
+        var width = timeToPercent(end) - left;
+
+        var phases = SharpInspectDetailRenderer.getTimingPhases(entry).filter(function(p) {
+            return p.value > 0;
+        });
+        var phaseSum = phases.reduce(function(sum, p) { return sum + p.value; }, 0);
+
+        var segments;
+        if (phaseSum > 0) {
+            segments = phases.map(function(p) {
+                return '<span class="waterfall-segment" style="flex-grow: ' + p.value + '; background: ' + p.color + ';"></span>';
+            }).join('');
+            // 페이즈 합계가 전체 시간보다 짧으면 나머지를 흐리게 표시
+            if (total > phaseSum) {
+                segments += '<span class="waterfall-segment waterfall-segment-rest" style="flex-grow: ' + (total - phaseSum) + ';"></span>';
+            }
+        } else {
+            var color = entry.isError ? 'var(--status-5xx)' : FALLBACK_COLOR;
+            segments = '<span class="waterfall-segment" style="flex-grow: 1; background: ' + color + ';"></span>';
+        }
+
+        return '<div class="waterfall-track">' +
+            '<div class="waterfall-bar" data-id="' + entry.id + '" data-start="' + start + '" data-end="' + end + '" style="left: ' + left + '%; width: ' + width + '%;">' +
+            segments +
+            '</div></div>';
+    }
+
+    /**
+     * 이미 렌더링된 막대의 위치만 현재 시간 축에 맞게 갱신 (행을 다시 만들지 않음)
+     */
+    function relayout(root) {
+        if (!axis) return;
+        var bars = root.querySelectorAll('.waterfall-bar[data-start]');
+        for (var i = 0; i < bars.length; i++) {
+            var left = timeToPercent(Number(bars[i].dataset.start));
+            bars[i].style.left = left + '%';
+            bars[i].style.width = (timeToPercent(Number(bars[i].dataset.end)) - left) + '%';
+        }
+    }
+
+    function renderTooltip(entry) {
+        var phases = SharpInspectDetailRenderer.getTimingPhases(entry);
+        var html = '<div class="waterfall-tooltip-title">' + escapeHtml(SharpInspectUtils.getUrlName(entry.url)) + '</div>';
+        var offset = axis ? getStartTime(entry) - axis.start : 0;
+        html += '<div class="waterfall-tooltip-row"><span>Started at</span><span>' +
+            (offset > 0 ? formatTime(offset) : '0 ms') + '</span></div>';
+        phases.forEach(function(p) {
+            if (p.value <= 0) return;
+            html += '<div class="waterfall-tooltip-row">' +
+                '<span><span class="timing-legend-color" style="background: ' + p.color + ';"></span>' + p.name + '</span>' +
+                '<span>' + formatTime(p.value) + '</span></div>';
+        });
+        html += '<div class="waterfall-tooltip-row waterfall-tooltip-total"><span>Total</span><span>' +
+            formatTime(entry.totalMs) + '</span></div>';
+        return html;
+    }
+
+    // ===== 시간 범위 =====
+    function getRange() {
+        return range;
+    }
+
+    /**
+     * 시간 범위 설정 (null이면 해제) 및 리스너 알림
+     */
+    function setRange(newRange) {
+        range = newRange && newRange.end > newRange.start ? { start: newRange.start, end: newRange.end } : null;
+        rangeListeners.forEach(function(listener) { listener(range); });
+    }
+
+    function onRangeChange(listener) {
+        rangeListeners.push(listener);
+    }
+
+    /**
+     * 엔트리가 선택된 시간 범위와 겹치는지 확인
+     */
+    function matchesRange(entry) {
+        if (!range) return true;
+        return getStartTime(entry) <= range.end && getEndTime(entry) >= range.start;
+    }
+
+    // ===== 이벤트 =====
+    /**
+     * 툴팁 및 브러시 이벤트 연결
+     * @param {HTMLElement} container - 네트워크 목록 스크롤 컨테이너
+     * @param {Function} getEntry - (id) => NetworkEntry
+     */
+    function init(container, getEntry) {
+        var tooltip = document.createElement('div');
+        tooltip.className = 'waterfall-tooltip';
+        document.body.appendChild(tooltip);
+
+        container.addEventListener('mouseover', function(e) {
+            var bar = e.target.closest('.waterfall-bar');
+            if (!bar) return;
+            var entry = getEntry(bar.dataset.id);
+            if (!entry) return;
+            tooltip.innerHTML = renderTooltip(entry);
+            tooltip.classList.add('show');
+        });
+
+        container.addEventListener('mousemove', function(e) {
+            if (!tooltip.classList.contains('show')) return;
+            tooltip.style.left = (e.clientX + 12) + 'px';
+            tooltip.style.top = (e.clientY + 12) + 'px';
+        });
+
+        container.addEventListener('mouseout', function(e) {
+            var bar = e.target.closest('.waterfall-bar');
+            if (bar && !bar.contains(e.relatedTarget)) {
+                tooltip.classList.remove('show');
+            }
+        });
+
+        initBrush(container);
+    }
+
+    function initBrush(container) {
+        var suppressClick = false;
+
+        container.addEventListener('mousedown', function(e) {
+            if (e.button !== 0 || !axis) return;
+            var cell = e.target.closest('td[data-column="waterfall"]');
+            if (!cell) return;
+
+            var cellRect = cell.getBoundingClientRect();
+            var containerRect = container.getBoundingClientRect();
+            var startX = e.clientX;
+            var brush = null;
+
+            function clampX(x) {
+                return Math.min(Math.max(x, cellRect.left), cellRect.right);
+            }
+
+            function xToTime(x) {
+                var ratio = (clampX(x) - cellRect.left) / (cellRect.width || 1);
+                return axis.start + ratio * (axis.end - axis.start);
+            }
+
+            function onMove(ev) {
+                if (!brush) {
+                    if (Math.abs(ev.clientX - startX) < DRAG_THRESHOLD_PX) return;
+                    brush = document.createElement('div');
+                    brush.className = 'waterfall-brush';
+                    brush.style.top = container.scrollTop + 'px';
+                    brush.style.height = container.clientHeight + 'px';
+                    container.appendChild(brush);
+                    document.body.classList.add('waterfall-brushing');
+                }
+                var x1 = clampX(Math.min(startX, ev.clientX));
+                var x2 = clampX(Math.max(startX, ev.clientX));
+                brush.style.left = (x1 - containerRect.left + container.scrollLeft) + 'px';
+                brush.style.width = (x2 - x1) + 'px';
+            }
+
+            function onUp(ev) {
+                document.removeEventListener('mousemove', onMove);
+                document.removeEventListener('mouseup', onUp);
+                if (!brush) return;
+
+                container.removeChild(brush);
+                document.body.classList.remove('waterfall-brushing');
+                suppressClick = true;
+                setTimeout(function() { suppressClick = false; }, 0);
+
+                var t1 = xToTime(Math.min(startX, ev.clientX));
+                var t2 = xToTime(Math.max(startX, ev.clientX));
+                setRange({ start: t1, end: t2 });
+            }
+
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
+        });
+
+        // 드래그 종료 시 행 선택 클릭 방지
+        container.addEventListener('click', function(e) {
+            if (suppressClick) e.stopPropagation();
+        }, true);
+    }
+
+    // Public API
+    return {
+        init: init,
+        updateAxis: updateAxis,
+        getAxis: getAxis,
+        renderCell: renderCell,
+        relayout: relayout,
+        getRange: getRange,
+        setRange: setRange,
+        onRangeChange: onRangeChange,
+        matchesRange: matchesRange,
+        getStartTime: getStartTime
+    };
+})();
@@ -0,0 +1,164 @@
+/**
+ * SharpInspect DevTools - Replay Module
+ * 선택한 요청을 검사 대상 프로세스에서 다시 전송 (그대로 재전송 / 편집 후 재전송)
+ */
+var SharpInspectReplay = (function() {
+    'use strict';
+
+    var API_BASE = window.location.origin;
+
+    var dialog = null;
+    var editingEntry = null;
+    var onReplayed = null;
+
+    // ===== 헤더 텍스트 변환 =====
+    /**
+     * 헤더 딕셔너리를 "Name: value" 줄 목록으로 변환
+     */
+    function formatHeaders(headers) {
+        return Object.keys(headers || {}).map(function(k) {
+            return k + ': ' + headers[k];
+        }).join('\n');
+    }
+
+    /**
+     * "Name: value" 줄 목록을 헤더 딕셔너리로 변환
+     * @throws {Error} 콜론이 없는 줄이 있는 경우
+     */
+    function parseHeaders(text) {
+        var headers = {};
+        (text || '').split('\n').forEach(function(line, i) {
+            if (!line.trim()) return;
+            var idx = line.indexOf(':', 1);
+            if (idx === -1) {
+                throw new Error('Header line ' + (i + 1) + ' must be "Name: value"');
+            }
+            headers[line.substring(0, idx).trim()] = line.substring(idx + 1).trim();
+        });
+        return headers;
+    }
+
+    // ===== 서버 요청 =====
+    /**
+     * 재전송 요청. request가 없으면 원본 그대로 재전송
+     * @returns {Promise<Object>} 재전송으로 캡처된 NetworkEntry
+     */
+    function send(entryId, request) {
+        return fetch(API_BASE + '/api/network/' + encodeURIComponent(entryId) + '/replay', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: request ? JSON.stringify(request) : ''
+        }).then(function(response) {
+            return response.json().then(function(data) {
+                if (!response.ok) throw new Error(data.message || 'HTTP ' + response.status);
+                return data;
+            });
+        });
+    }
+
+    /**
+     * 엔트리를 그대로 재전송
+     */
+    function replay(entry) {
+        return send(entry.id, null).then(function(result) {
+            if (onReplayed) onReplayed(result);
+        }, function(err) {
+            SharpInspectUtils.showToast('Replay failed: ' + err.message);
+        });
+    }
+
+    // ===== 편집 대화상자 =====
+    function field(id) {
+        return document.getElementById(id);
+    }
+
+    function showError(message) {
+        var error = field('replay-error');
+        error.textContent = message || '';
+        error.style.display = message ? 'block' : 'none';
+    }
+
+    /**
+     * 엔트리의 메서드, URL, 헤더, 본문으로 채운 편집 대화상자 열기
+     */
+    function openEditor(entry) {
+        editingEntry = entry;
+        field('replay-method').value = entry.method || 'GET';
+        field('replay-url').value = entry.url || '';
+        field('replay-headers').value = formatHeaders(entry.requestHeaders);
+        field('replay-body').value = entry.requestBody || '';
+        showError(null);
+        dialog.style.display = 'flex';
+        field('replay-url').focus();
+    }
+
+    function closeEditor() {
+        editingEntry = null;
+        dialog.style.display = 'none';
+    }
+
+    function submitEditor() {
+        if (!editingEntry) return;
+
+        var request;
+        try {
+            request = {
+                method: field('replay-method').value.trim().toUpperCase() || 'GET',
+                url: field('replay-url').value.trim(),
+                headers: parseHeaders(field('replay-headers').value),
+                body: field('replay-body').value
+            };
+        } catch (err) {
+            showError(err.message);
+            return;
+        }
+
+        var sendBtn = dialog.querySelector('[data-action="send"]');
+        sendBtn.disabled = true;
+        send(editingEntry.id, request).then(function(entry) {
+            closeEditor();
+            if (onReplayed) onReplayed(entry);
+        }, function(err) {
+            showError(err.message);
+        }).then(function() {
+            sendBtn.disabled = false;
+        });
+    }
+
+    /**
+     * 대화상자 이벤트 연결
+     * @param {Function} callback - 재전송된 엔트리를 받는 콜백
+     */
+    function init(callback) {
+        onReplayed = callback;
+        dialog = field('replay-dialog');
+
+        dialog.addEventListener('click', function(e) {
+            var action = e.target.closest('[data-action]');
+            if (e.target === dialog || (action && action.dataset.action === 'cancel')) {
+                closeEditor();
+            } else if (action && action.dataset.action === 'send') {
+                submitEditor();
+            }
+        });
+
+        dialog.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') {
+                closeEditor();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                submitEditor();
+            }
+        });
+    }
+
+    // Public API
+    return {
+        init: init,
+        replay: replay,
+        openEditor: openEditor,
+        send: send,
+        formatHeaders: formatHeaders,
+        parseHeaders: parseHeaders
+    };
+})();
@@ -0,0 +1,254 @@
+/**
+ * SharpInspect DevTools - Throttling Module
+ * 네트워크 스로틀링 프로필(Offline, Slow 3G, Fast 3G, 사용자 지정)을 검사 대상 앱에 적용
+ */
+var SharpInspectThrottling = (function() {
+    'use strict';
+
+    var API_BASE = window.location.origin;
+    var STORAGE_KEY = 'sharpinspect-throttling';
+
+    // Chrome DevTools 프리셋과 같은 값
+    var PRESETS = {
+        fast3g: { name: 'Fast 3G', latencyMs: 563, downloadKbps: 1440, uploadKbps: 675 },
+        slow3g: { name: 'Slow 3G', latencyMs: 2000, downloadKbps: 400, uploadKbps: 400 },
+        offline: { name: 'Offline', offline: true }
+    };
+
+    var settings = { custom: { latencyMs: 0, downloadKbps: 0, uploadKbps: 0 }, hosts: [] };
+    var current = null;
+    var dialog = null;
+    var editingKey = 'none';
+
+    function field(id) {
+        return document.getElementById(id);
+    }
+
+    // ===== 설정 저장 =====
+    /**
+     * 사용자 지정 값과 호스트 범위 로드. 선택한 프로필은 앱을 다시 시작하면 해제됨
+     */
+    function loadSettings() {
+        try {
+            var saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (!saved || typeof saved !== 'object') return;
+            if (saved.custom && typeof saved.custom === 'object') {
+                settings.custom = {
+                    latencyMs: Math.max(0, parseInt(saved.custom.latencyMs, 10) || 0),
+                    downloadKbps: Math.max(0, parseInt(saved.custom.downloadKbps, 10) || 0),
+                    uploadKbps: Math.max(0, parseInt(saved.custom.uploadKbps, 10) || 0)
+                };
+            }
+            if (Array.isArray(saved.hosts)) {
+                settings.hosts = saved.hosts.filter(function(h) { return typeof h === 'string' && h; });
+            }
+        } catch (e) {}
+    }
+
+    function storeSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (e) {}
+    }
+
+    // ===== 프로필 =====
+    /**
+     * 선택 상자 값으로 서버에 보낼 프로필 생성. 'none'이면 null
+     */
+    function buildProfile(key) {
+        if (key === 'none') return null;
+
+        var base = key === 'custom' ? settings.custom : PRESETS[key];
+        return {
+            name: key === 'custom' ? 'Custom' : base.name,
+            offline: !!base.offline,
+            latencyMs: base.latencyMs || 0,
+            downloadKbps: base.downloadKbps || 0,
+            uploadKbps: base.uploadKbps || 0,
+            hosts: settings.hosts.slice()
+        };
+    }
+
+    /**
+     * 서버 프로필에 해당하는 선택 상자 값
+     */
+    function keyOf(profile) {
+        if (!profile) return 'none';
+        for (var key in PRESETS) {
+            if (PRESETS.hasOwnProperty(key) && PRESETS[key].name === profile.name) return key;
+        }
+        return 'custom';
+    }
+
+    function describe(profile) {
+        if (profile.offline) return 'No network';
+        var parts = [];
+        if (profile.latencyMs > 0) parts.push(profile.latencyMs + ' ms latency');
+        if (profile.downloadKbps > 0) parts.push('↓ ' + profile.downloadKbps + ' kbit/s');
+        if (profile.uploadKbps > 0) parts.push('↑ ' + profile.uploadKbps + ' kbit/s');
+        return parts.join(', ') || 'No limits';
+    }
+
+    /**
+     * 프로필을 서버에 적용
+     * @returns {Promise<Object|null>} 적용된 프로필
+     */
+    function push(profile) {
+        return fetch(API_BASE + '/api/throttling', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(profile)
+        }).then(function(response) {
+            return response.json().then(function(data) {
+                if (!response.ok) throw new Error(data.message || 'HTTP ' + response.status);
+                return data;
+            });
+        });
+    }
+
+    function apply(key) {
+        push(buildProfile(key)).then(onChanged, function(err) {
+            SharpInspectUtils.showToast('Throttling not applied: ' + err.message);
+            onChanged(current);
+        });
+    }
+
+    /**
+     * throttling:changed 메시지 또는 서버 응답 처리: 선택 상자와 헤더 표시 갱신
+     */
+    function onChanged(profile) {
+        current = profile || null;
+        var select = field('throttle-select');
+        select.value = keyOf(current);
+        select.parentNode.classList.toggle('active', !!current);
+
+        var indicator = field('throttle-indicator');
+        if (!current) {
+            indicator.style.display = 'none';
+            return;
+        }
+
+        var hosts = current.hosts || [];
+        var scope = hosts.length > 0 ? hosts.join(', ') : 'all hosts';
+        indicator.textContent = current.name +
+            (hosts.length > 0 ? ' (' + hosts.length + (hosts.length === 1 ? ' host)' : ' hosts)') : '');
+        indicator.title = 'Network throttling: ' + describe(current) + ' - ' + scope + '. Click to turn off.';
+        indicator.style.display = '';
+    }
+
+    /**
+     * WebSocket 연결 시 호출: 앱에 적용된 프로필을 가져옴
+     */
+    function sync() {
+        fetch(API_BASE + '/api/throttling')
+            .then(function(r) { return r.json(); })
+            .then(onChanged)
+            .catch(function() {});
+    }
+
+    // ===== 설정 대화상자 =====
+    function showError(message) {
+        var error = field('throttle-error');
+        error.textContent = message || '';
+        error.style.display = message ? 'block' : 'none';
+    }
+
+    /**
+     * 설정 대화상자 열기
+     * @param {string} key - 저장 후 적용할 선택 상자 값 (없으면 현재 프로필)
+     */
+    function openSettings(key) {
+        editingKey = typeof key === 'string' ? key : keyOf(current);
+        field('throttle-latency').value = settings.custom.latencyMs;
+        field('throttle-download').value = settings.custom.downloadKbps;
+        field('throttle-upload').value = settings.custom.uploadKbps;
+        field('throttle-hosts').value = settings.hosts.join('\n');
+        showError(null);
+        dialog.style.display = 'flex';
+        field('throttle-latency').focus();
+    }
+
+    function closeSettings() {
+        dialog.style.display = 'none';
+        field('throttle-select').value = keyOf(current);
+    }
+
+    function readNumber(id, label) {
+        var text = field(id).value.trim();
+        var value = text === '' ? 0 : Number(text);
+        if (!(value >= 0) || Math.floor(value) !== value) {
+            throw new Error(label + ' must be a whole number of 0 or more');
+        }
+        return value;
+    }
+
+    /**
+     * 사용자 지정 값과 호스트 범위를 저장하고 선택한 프로필을 다시 적용
+     */
+    function saveDialog() {
+        try {
+            settings.custom = {
+                latencyMs: readNumber('throttle-latency', 'Latency'),
+                downloadKbps: readNumber('throttle-download', 'Download'),
+                uploadKbps: readNumber('throttle-upload', 'Upload')
+            };
+        } catch (err) {
+            showError(err.message);
+            return;
+        }
+        settings.hosts = field('throttle-hosts').value.split(/[\n,]/).map(function(h) {
+            return h.trim();
+        }).filter(function(h) { return h; });
+        storeSettings();
+
+        dialog.style.display = 'none';
+        if (editingKey !== 'none') apply(editingKey);
+    }
+
+    /**
+     * 툴바 선택 상자, 헤더 표시, 설정 대화상자 이벤트 연결
+     */
+    function init() {
+        dialog = field('throttle-dialog');
+        loadSettings();
+
+        field('throttle-select').addEventListener('change', function(e) {
+            if (e.target.value === 'custom') {
+                openSettings('custom');
+            } else {
+                apply(e.target.value);
+            }
+        });
+        field('throttle-settings-btn').addEventListener('click', openSettings);
+        field('throttle-indicator').addEventListener('click', function() {
+            apply('none');
+        });
+
+        dialog.addEventListener('click', function(e) {
+            var action = e.target.closest('[data-action]');
+            if (e.target === dialog || (action && action.dataset.action === 'cancel')) {
+                closeSettings();
+            } else if (action && action.dataset.action === 'save') {
+                saveDialog();
+            }
+        });
+
+        dialog.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') {
+                closeSettings();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                saveDialog();
+            }
+        });
+
+        onChanged(null);
+    }
+
+    // Public API
+    return {
+        init: init,
+        sync: sync,
+        onChanged: onChanged
+    };
+})();
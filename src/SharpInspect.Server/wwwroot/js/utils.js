@@ -56,6 +56,13 @@ var SharpInspectUtils = (function() {
         return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
     }
 
+    /**
+     * HTML 속성 값 이스케이프 (큰따옴표로 감싼 속성에 사용)
+     */
+    function escapeAttr(text) {
+        return escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
     /**
      * 토스트 메시지 표시
      */
@@ -117,6 +124,7 @@ var SharpInspectUtils = (function() {
         getStatusClass: getStatusClass,
         getLevelClass: getLevelClass,
         escapeHtml: escapeHtml,
+        escapeAttr: escapeAttr,
         showToast: showToast,
         copyToClipboard: copyToClipboard,
         getUrlName: getUrlName
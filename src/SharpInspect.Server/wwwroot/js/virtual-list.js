@@ -0,0 +1,294 @@
+/**
+ * SharpInspect DevTools - Virtual List Module
+ * 보이는 영역의 행만 DOM으로 생성하는 가상 스크롤 렌더러
+ * (가변 행 높이 측정, 키 기반 행 재사용, requestAnimationFrame 배치 렌더링)
+ */
+var SharpInspectVirtualList = (function() {
+    'use strict';
+
+    var DEFAULT_ROW_HEIGHT = 24;
+    var DEFAULT_OVERSCAN_PX = 300;
+
+    /**
+     * HTML 문자열로부터 단일 요소 생성 (tr 포함)
+     */
+    function createElementFromHtml(html) {
+        var template = document.createElement('template');
+        template.innerHTML = html.trim();
+        return template.content.firstElementChild;
+    }
+
+    /**
+     * 가상 리스트 생성
+     * @param {Object} options
+     * @param {HTMLElement} options.container - 스크롤 컨테이너
+     * @param {HTMLElement} options.content - 행이 렌더링될 요소 (tbody 또는 div)
+     * @param {Function} options.renderRow - (item) => 행 HTML 문자열
+     * @param {Function} options.getKey - (item) => 고유 키
+     * @param {Function} [options.shouldStickToBottom] - 렌더링 후 맨 아래로 스크롤할지 여부
+     * @param {number} [options.estimatedRowHeight] - 측정 전 예상 행 높이
+     * @param {number|Function} [options.columns] - 테이블 스페이서의 colspan
+     */
+    function create(options) {
+        var container = options.container;
+        var content = options.content;
+        var isTable = content.tagName === 'TBODY';
+        var estimatedRowHeight = options.estimatedRowHeight || DEFAULT_ROW_HEIGHT;
+        var overscan = options.overscan || DEFAULT_OVERSCAN_PX;
+
+        var items = [];
+        var heightCache = {};
+        var rowCache = {};
+        var renderedKeys = [];
+        var frameRequested = false;
+        var cachedHeightCount = 0;
+
+        var topSpacer = createSpacer();
+        var bottomSpacer = createSpacer();
+        content.innerHTML = '';
+        content.appendChild(topSpacer);
+        content.appendChild(bottomSpacer);
+
+        function createSpacer() {
+            var spacer;
+            if (isTable) {
+                spacer = document.createElement('tr');
+                spacer.className = 'virtual-spacer';
+                spacer.appendChild(document.createElement('td'));
+            } else {
+                spacer = document.createElement('div');
+                spacer.className = 'virtual-spacer';
+            }
+            return spacer;
+        }
+
+        function setSpacerHeight(spacer, height) {
+            if (isTable) {
+                var columns = typeof options.columns === 'function' ? options.columns() : options.columns;
+                spacer.firstChild.colSpan = columns || 1;
+            }
+            spacer.style.height = height + 'px';
+            spacer.style.display = height > 0 ? '' : 'none';
+        }
+
+        function getHeight(item) {
+            var h = heightCache[options.getKey(item)];
+            return h === undefined ? estimatedRowHeight : h;
+        }
+
+        /**
+         * 스크롤 컨테이너 기준 content 시작 위치 (sticky 헤더 등 보정)
+         */
+        function getContentOffset() {
+            if (content === container) return 0;
+            var containerRect = container.getBoundingClientRect();
+            var contentRect = content.getBoundingClientRect();
+            return contentRect.top - containerRect.top + container.scrollTop;
+        }
+
+        function render() {
+            frameRequested = false;
+
+            var heights = new Array(items.length);
+            var total = 0;
+            for (var i = 0; i < items.length; i++) {
+                heights[i] = getHeight(items[i]);
+                total += heights[i];
+            }
+
+            var contentOffset = getContentOffset();
+            var stick = options.shouldStickToBottom ? options.shouldStickToBottom() : false;
+            var viewTop = stick
+                ? Math.max(0, contentOffset + total - container.clientHeight)
+                : container.scrollTop;
+            var windowTop = viewTop - contentOffset - overscan;
+            var windowBottom = viewTop - contentOffset + container.clientHeight + overscan;
+
+            // 보이는 범위 계산
+            var start = 0;
+            var offset = 0;
+            while (start < items.length && offset + heights[start] < windowTop) {
+                offset += heights[start];
+                start++;
+            }
+            var topHeight = offset;
+            var end = start;
+            while (end < items.length && offset < windowBottom) {
+                offset += heights[end];
+                end++;
+            }
+            var bottomHeight = total - offset;
+
+            syncRows(start, end);
+            setSpacerHeight(topSpacer, topHeight);
+            setSpacerHeight(bottomSpacer, bottomHeight);
+
+            var measuredChange = measureRows(start, end);
+
+            if (stick) {
+                container.scrollTop = container.scrollHeight;
+            }
+
+            // 측정된 높이가 예상과 다르면 다음 프레임에 범위 재계산
+            if (measuredChange) {
+                update();
+            }
+        }
+
+        /**
+         * 범위 내 행을 키 기준으로 재사용/생성하고 범위 밖 행은 제거
+         */
+        function syncRows(start, end) {
+            var nextKeys = [];
+            var nextKeySet = {};
+            for (var i = start; i < end; i++) {
+                var key = options.getKey(items[i]);
+                nextKeys.push(key);
+                nextKeySet[key] = true;
+            }
+
+            renderedKeys.forEach(function(key) {
+                if (!nextKeySet[key] && rowCache[key]) {
+                    content.removeChild(rowCache[key]);
+                    delete rowCache[key];
+                }
+            });
+
+            var cursor = topSpacer.nextSibling;
+            for (var j = 0; j < nextKeys.length; j++) {
+                var rowKey = nextKeys[j];
+                var row = rowCache[rowKey];
+                if (!row) {
+                    row = createElementFromHtml(options.renderRow(items[start + j]));
+                    rowCache[rowKey] = row;
+                }
+                if (row !== cursor) {
+                    content.insertBefore(row, cursor);
+                } else {
+                    cursor = cursor.nextSibling;
+                }
+            }
+
+            renderedKeys = nextKeys;
+        }
+
+        function measureRows(start, end) {
+            var changed = false;
+            for (var i = start; i < end; i++) {
+                var key = options.getKey(items[i]);
+                var row = rowCache[key];
+                if (!row) continue;
+                var h = row.offsetHeight;
+                if (h > 0 && heightCache[key] !== h) {
+                    if (Math.abs((heightCache[key] || estimatedRowHeight) - h) > 1) changed = true;
+                    if (heightCache[key] === undefined) cachedHeightCount++;
+                    heightCache[key] = h;
+                }
+            }
+
+            // 버퍼에서 밀려난 항목이 누적되지 않도록 주기적으로 정리
+            if (cachedHeightCount > items.length * 2 + 100) {
+                pruneHeightCache();
+            }
+            return changed;
+        }
+
+        /**
+         * 다음 애니메이션 프레임에 렌더링 예약 (연속 호출 병합)
+         */
+        function update() {
+            if (frameRequested) return;
+            frameRequested = true;
+            window.requestAnimationFrame(render);
+        }
+
+        /**
+         * 표시할 항목 배열 교체 (참조 유지, 이후 변경 시 update() 호출)
+         */
+        function setItems(newItems) {
+            items = newItems;
+            pruneHeightCache();
+            update();
+        }
+
+        /**
+         * 더 이상 표시되지 않는 항목의 높이 캐시 제거
+         */
+        function pruneHeightCache() {
+            var keys = {};
+            items.forEach(function(item) { keys[options.getKey(item)] = true; });
+            Object.keys(heightCache).forEach(function(key) {
+                if (!keys[key]) delete heightCache[key];
+            });
+            cachedHeightCount = Object.keys(heightCache).length;
+        }
+
+        /**
+         * 렌더링된 행을 모두 다시 생성 (선택 상태 등 변경 시)
+         */
+        function refresh() {
+            renderedKeys.forEach(function(key) {
+                if (rowCache[key]) content.removeChild(rowCache[key]);
+            });
+            rowCache = {};
+            renderedKeys = [];
+            update();
+        }
+
+        /**
+         * 특정 항목의 높이 캐시를 무효화하고 행을 다시 생성 (펼치기/접기 등)
+         */
+        function invalidate(key) {
+            if (heightCache[key] !== undefined) cachedHeightCount--;
+            delete heightCache[key];
+            if (rowCache[key]) {
+                var fresh = null;
+                for (var i = 0; i < items.length; i++) {
+                    if (options.getKey(items[i]) === key) {
+                        fresh = createElementFromHtml(options.renderRow(items[i]));
+                        break;
+                    }
+                }
+                if (fresh) {
+                    content.replaceChild(fresh, rowCache[key]);
+                    rowCache[key] = fresh;
+                }
+            }
+            update();
+        }
+
+        /**
+         * 지정된 키의 항목이 가운데 오도록 스크롤
+         * @returns {boolean} 목록에 항목이 없으면 false
+         */
+        function scrollToKey(key) {
+            var offset = 0;
+            for (var i = 0; i < items.length; i++) {
+                var height = getHeight(items[i]);
+                if (options.getKey(items[i]) === key) {
+                    container.scrollTop = Math.max(0, getContentOffset() + offset - (container.clientHeight - height) / 2);
+                    update();
+                    return true;
+                }
+                offset += height;
+            }
+            return false;
+        }
+
+        container.addEventListener('scroll', update);
+        window.addEventListener('resize', update);
+
+        return {
+            setItems: setItems,
+            update: update,
+            refresh: refresh,
+            invalidate: invalidate,
+            scrollToKey: scrollToKey
+        };
+    }
+
+    // Public API
+    return {
+        create: create
+    };
+})();
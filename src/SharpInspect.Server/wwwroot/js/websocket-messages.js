@@ -0,0 +1,309 @@
+/**
+ * SharpInspect DevTools - WebSocket Messages Module
+ * WebSocket 연결 엔트리의 Messages 탭: 주고받은 메시지 목록, 메시지 필터, SignalR 허브 메시지 해석
+ */
+var SharpInspectWebSocketMessages = (function() {
+    'use strict';
+
+    // 서버의 MaxWebSocketFrames (/api/status에서 받아 setMaxFrames로 설정)
+    var maxFrames = 1000;
+    var RECORD_SEPARATOR = '\u001e';
+
+    // SignalR JSON 허브 프로토콜 메시지 타입
+    var HUB_MESSAGE_TYPES = {
+        1: 'Invocation',
+        2: 'StreamItem',
+        3: 'Completion',
+        4: 'StreamInvocation',
+        5: 'CancelInvocation',
+        6: 'Ping',
+        7: 'Close',
+        8: 'Ack',
+        9: 'Sequence'
+    };
+
+    var filterText = '';
+    var filterDirection = 'all';
+    var currentEntry = null;
+    var container = null;
+    var selectedIndex = null;
+    var refreshTimer = null;
+
+    var escapeHtml = SharpInspectUtils.escapeHtml;
+    var escapeAttr = SharpInspectUtils.escapeAttr;
+
+    // ===== SignalR =====
+    /**
+     * SignalR JSON 허브 프로토콜 페이로드 해석 (레코드 구분자 0x1E로 끝나는 JSON 메시지들)
+     * @returns {Array|null} 해석된 허브 메시지 목록, SignalR 메시지가 아니면 null
+     */
+    function decodeSignalR(payload) {
+        if (!payload || payload.indexOf(RECORD_SEPARATOR) === -1) return null;
+
+        var parts = payload.split(RECORD_SEPARATOR).filter(function(p) { return p.trim(); });
+        var messages = [];
+        for (var i = 0; i < parts.length; i++) {
+            var message;
+            try {
+                message = JSON.parse(parts[i]);
+            } catch (e) {
+                return null;
+            }
+            if (!message || typeof message !== 'object' || Array.isArray(message)) return null;
+
+            if (message.type === undefined) {
+                message.kind = message.protocol ? 'Handshake' : 'Handshake response';
+            } else {
+                message.kind = HUB_MESSAGE_TYPES[message.type] || 'Type ' + message.type;
+            }
+            messages.push(message);
+        }
+        return messages.length > 0 ? messages : null;
+    }
+
+    function formatArguments(args) {
+        if (!Array.isArray(args)) return '';
+        return args.map(function(arg) {
+            var text = JSON.stringify(arg);
+            return text && text.length > 60 ? text.substring(0, 57) + '...' : text;
+        }).join(', ');
+    }
+
+    function describeHubMessage(message) {
+        if (message.target) return message.kind + ' ' + message.target + '(' + formatArguments(message.arguments) + ')';
+        if (message.error) return message.kind + ' error: ' + message.error;
+        if (message.kind === 'Handshake') return 'Handshake ' + message.protocol + ' v' + message.version;
+        return message.kind + (message.invocationId ? ' #' + message.invocationId : '');
+    }
+
+    // ===== 메시지 =====
+    function getHubMessages(frame) {
+        if (frame.hubMessages === undefined) {
+            frame.hubMessages = frame.opcode === 'Text' ? decodeSignalR(frame.payload) : null;
+        }
+        return frame.hubMessages;
+    }
+
+    function summarize(frame) {
+        if (frame.opcode === 'Close') return 'Connection close' + (frame.payload ? ': ' + frame.payload : '');
+        if (frame.payloadEncoding === 'base64') return 'Binary message';
+
+        var hub = getHubMessages(frame);
+        if (hub) return hub.map(describeHubMessage).join('; ');
+
+        var text = frame.payload || '';
+        return text.length > 200 ? text.substring(0, 200) + '...' : text;
+    }
+
+    /**
+     * 메시지 필터 조건 생성. /.../ 형식이면 정규식, 그 외에는 대소문자 무시 포함 검색
+     */
+    function createMatcher(text) {
+        if (!text) return function() { return true; };
+
+        var regexMatch = /^\/(.+)\/([a-z]*)$/.exec(text);
+        if (regexMatch) {
+            try {
+                var regex = new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+                return function(value) { return regex.test(value); };
+            } catch (e) {}
+        }
+
+        var lower = text.toLowerCase();
+        return function(value) { return value.toLowerCase().indexOf(lower) !== -1; };
+    }
+
+    function getVisibleFrames() {
+        var matches = createMatcher(filterText);
+        return (currentEntry.webSocketFrames || []).filter(function(frame) {
+            if (filterDirection !== 'all' && frame.direction !== filterDirection) return false;
+            return matches((frame.payload || '') + ' ' + summarize(frame));
+        });
+    }
+
+    function formatTime(timestamp) {
+        var date = new Date(timestamp);
+        if (isNaN(date.getTime())) return '';
+        var pad = function(n, width) { return ('000' + n).slice(-(width || 2)); };
+        return pad(date.getHours()) + ':' + pad(date.getMinutes()) + ':' + pad(date.getSeconds()) + '.' +
+            pad(date.getMilliseconds(), 3);
+    }
+
+    function formatSize(frame) {
+        return frame.size + ' B' + (frame.truncated ? ' (truncated)' : '');
+    }
+
+    // ===== 렌더링 =====
+    function renderRows() {
+        var list = container.querySelector('.ws-frame-list tbody');
+        var frames = getVisibleFrames();
+        var scroller = container.querySelector('.ws-frame-list');
+        var atBottom = scroller.scrollHeight - scroller.scrollTop - scroller.clientHeight < 30;
+
+        if (frames.length === 0) {
+            var message = (currentEntry.webSocketFrames || []).length === 0
+                ? 'No messages yet'
+                : 'No messages match the filter';
+            list.innerHTML = '<tr><td colspan="5" class="ws-frame-empty">' + message + '</td></tr>';
+            return;
+        }
+
+        list.innerHTML = frames.map(function(frame) {
+            var sent = frame.direction === 'Sent';
+            return '<tr class="ws-frame ' + (sent ? 'ws-sent' : 'ws-received') +
+                (frame.opcode === 'Close' ? ' ws-close' : '') +
+                (frame.index === selectedIndex ? ' selected' : '') + '" data-index="' + frame.index + '">' +
+                '<td class="ws-direction" title="' + (sent ? 'Sent' : 'Received') + '">' + (sent ? '&#8593;' : '&#8595;') + '</td>' +
+                '<td class="ws-data">' + escapeHtml(summarize(frame)) + '</td>' +
+                '<td>' + escapeHtml(frame.opcode) + '</td>' +
+                '<td>' + escapeHtml(formatSize(frame)) + '</td>' +
+                '<td>' + formatTime(frame.timestamp) + '</td>' +
+                '</tr>';
+        }).join('');
+
+        if (atBottom) scroller.scrollTop = scroller.scrollHeight;
+    }
+
+    function renderPayload() {
+        var pane = container.querySelector('.ws-frame-detail');
+        var frame = null;
+        (currentEntry.webSocketFrames || []).forEach(function(f) {
+            if (f.index === selectedIndex) frame = f;
+        });
+
+        if (!frame) {
+            pane.style.display = 'none';
+            return;
+        }
+        pane.style.display = '';
+
+        var html;
+        var hub = getHubMessages(frame);
+        if (frame.payloadEncoding === 'base64') {
+            var binary = SharpInspectDetailRenderer.decodeBase64(frame.payload);
+            html = binary !== null ? SharpInspectDetailRenderer.renderHexDump(binary) : escapeHtml(frame.payload);
+        } else if (hub) {
+            html = hub.map(function(message) {
+                var title = message.kind + (message.target ? ' ' + message.target : '') +
+                    (message.invocationId ? ' #' + message.invocationId : '');
+                var fields = {};
+                Object.keys(message).forEach(function(key) {
+                    if (key !== 'kind') fields[key] = message[key];
+                });
+                return '<div class="ws-hub-message">' +
+                    '<div class="ws-hub-title">' + escapeHtml(title) + '</div>' +
+                    (message.arguments ? '<div class="ws-hub-label">Arguments</div><pre class="body-content body-highlighted">' +
+                        SharpInspectDetailRenderer.highlightJson(JSON.stringify(message.arguments)) + '</pre>' : '') +
+                    '<div class="ws-hub-label">Message</div><pre class="body-content body-highlighted">' +
+                    SharpInspectDetailRenderer.highlightJson(JSON.stringify(fields)) + '</pre>' +
+                    '</div>';
+            }).join('');
+        } else {
+            html = '<pre class="body-content body-highlighted">' +
+                SharpInspectDetailRenderer.highlightJson(frame.payload || '') + '</pre>';
+        }
+
+        if (frame.truncated) {
+            html = '<div class="modal-hint">Payload truncated to MaxBodySizeBytes (' + frame.size + ' bytes in total)</div>' + html;
+        }
+        pane.innerHTML = html;
+    }
+
+    /**
+     * Messages 탭 렌더링. 같은 엔트리를 다시 렌더링하면 필터 입력란은 유지하고 목록만 갱신
+     * @param {Object} entry - isWebSocket 네트워크 엔트리
+     * @param {HTMLElement} target - 탭 내용을 그릴 요소
+     */
+    function render(entry, target) {
+        if (currentEntry !== entry) selectedIndex = null;
+        currentEntry = entry;
+        container = target;
+
+        var root = target.querySelector('.ws-messages');
+        if (!root || root.dataset.entryId !== entry.id) {
+            target.innerHTML = '<div class="ws-messages" data-entry-id="' + escapeAttr(entry.id) + '">' +
+                '<div class="ws-messages-toolbar">' +
+                '<input type="text" class="ws-filter" placeholder="Filter messages (text or /regex/)" spellcheck="false">' +
+                '<select class="ws-direction-filter" title="Direction">' +
+                '<option value="all">All</option><option value="Sent">Sent</option><option value="Received">Received</option>' +
+                '</select>' +
+                '<span class="ws-count"></span>' +
+                '</div>' +
+                '<div class="ws-frame-list"><table class="ws-frame-table">' +
+                '<thead><tr><th></th><th>Data</th><th>Opcode</th><th>Length</th><th>Time</th></tr></thead>' +
+                '<tbody></tbody></table></div>' +
+                '<div class="ws-frame-detail" style="display: none;"></div>' +
+                '</div>';
+            root = target.querySelector('.ws-messages');
+            root.querySelector('.ws-filter').value = filterText;
+            root.querySelector('.ws-direction-filter').value = filterDirection;
+            bindEvents(root);
+        }
+
+        refreshNow();
+    }
+
+    function refreshNow() {
+        var total = (currentEntry.webSocketFrames || []).length;
+        container.querySelector('.ws-count').textContent = total + (total === 1 ? ' message' : ' messages');
+        renderRows();
+        renderPayload();
+    }
+
+    function bindEvents(root) {
+        root.querySelector('.ws-filter').addEventListener('input', function(e) {
+            filterText = e.target.value.trim();
+            renderRows();
+        });
+        root.querySelector('.ws-direction-filter').addEventListener('change', function(e) {
+            filterDirection = e.target.value;
+            renderRows();
+        });
+        root.querySelector('.ws-frame-table tbody').addEventListener('click', function(e) {
+            var row = e.target.closest('tr[data-index]');
+            if (!row) return;
+            var index = parseInt(row.dataset.index, 10);
+            selectedIndex = selectedIndex === index ? null : index;
+            renderRows();
+            renderPayload();
+        });
+    }
+
+    /**
+     * websocket:frame 메시지 처리: 엔트리에 메시지를 추가하고, 표시 중이면 목록을 갱신
+     * @returns {boolean} 현재 표시 중인 엔트리인지 여부
+     */
+    function addFrame(entry, frame) {
+        entry.webSocketFrames = entry.webSocketFrames || [];
+        entry.webSocketFrames.push(frame);
+        if (entry.webSocketFrames.length > maxFrames) {
+            entry.webSocketFrames.splice(0, entry.webSocketFrames.length - maxFrames);
+        }
+        entry.totalMs = Math.max(entry.totalMs || 0, new Date(frame.timestamp) - new Date(entry.timestamp));
+
+        var visible = entry === currentEntry && container && container.querySelector('.ws-messages[data-entry-id]');
+        if (visible && !refreshTimer) {
+            // 메시지가 몰려도 목록은 짧은 간격으로 한 번만 다시 그림
+            refreshTimer = setTimeout(function() {
+                refreshTimer = null;
+                if (container.querySelector('.ws-messages[data-entry-id="' + currentEntry.id + '"]')) refreshNow();
+            }, 100);
+        }
+        return !!visible;
+    }
+
+    /**
+     * 연결당 보관할 최대 메시지 수 설정 (서버의 MaxWebSocketFrames와 맞춤)
+     */
+    function setMaxFrames(value) {
+        if (value > 0) maxFrames = value;
+    }
+
+    // Public API
+    return {
+        render: render,
+        addFrame: addFrame,
+        setMaxFrames: setMaxFrames,
+        decodeSignalR: decodeSignalR
+    };
+})();
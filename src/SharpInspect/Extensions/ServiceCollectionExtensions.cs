@@ -1,5 +1,6 @@
 #if MODERN_DOTNET || NETSTANDARD2_0
 using System;
+using System.Net.Http;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Logging;
 using SharpInspect.Core.Configuration;
@@ -29,7 +30,8 @@ public static class ServiceCollectionExtensions
                 {
                     var store = sp.GetRequiredService<ISharpInspectStore>();
                     var options = sp.GetRequiredService<SharpInspectOptions>();
-                    return new SharpInspectHandler(store, options);
+                    var traffic = sp.GetRequiredService<TrafficControl>();
+                    return new SharpInspectHandler(store, options, new HttpClientHandler(), traffic);
                 });
         }
 
@@ -73,6 +75,7 @@ public static class ServiceCollectionExtensions
                 return new InMemoryStore(options.MaxNetworkEntries, options.MaxConsoleEntries,
                     options.MaxPerformanceEntries, eventBus);
             });
+            services.AddSingleton(sp => new TrafficControl(options, sp.GetRequiredService<EventBus>()));
 
             // 서버 등록
             services.AddSingleton<ISharpInspectServer, HttpListenerServer>();
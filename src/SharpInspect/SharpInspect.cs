@@ -9,6 +9,7 @@ using SharpInspect.Core.Interceptors;
 using SharpInspect.Core.Logging;
 using SharpInspect.Core.Storage;
 using System.Net.Http;
+using System.Net.WebSockets;
 using SharpInspect.Server.WebServer;
 
 namespace SharpInspect;
@@ -27,6 +28,7 @@ public static class SharpInspectDevTools
     private static ISharpInspectServer _server;
     private static readonly object _lock = new();
     private static PerformanceInterceptor _performanceInterceptor;
+    private static TrafficControl _traffic;
     private static TraceHook _traceHook;
 
     /// <summary>
@@ -68,6 +70,11 @@ public static class SharpInspectDevTools
     /// </summary>
     public static ISharpInspectStore Store => _store;
 
+    /// <summary>
+    ///     DevTools에서 설정한 브레이크포인트와 목 규칙을 가져옵니다.
+    /// </summary>
+    public static TrafficControl Traffic => _traffic;
+
     /// <summary>
     ///     현재 설정 옵션을 가져옵니다.
     /// </summary>
@@ -123,9 +130,10 @@ public static class SharpInspectDevTools
             // EventBus를 Store에 전달하여 엔트리 추가 시 자동으로 이벤트 발행
             _store = new InMemoryStore(Options.MaxNetworkEntries, Options.MaxConsoleEntries,
                 Options.MaxPerformanceEntries, EventBus);
+            _traffic = new TrafficControl(Options, EventBus);
 
             // .NET Framework용 HTTP 인터셉터 초기화
-            HttpWebRequestInterceptor.Initialize(_store, Options);
+            HttpWebRequestInterceptor.Initialize(_store, Options, _traffic);
 
             // 콘솔 후킹 초기화
             if (Options.EnableConsoleCapture)
@@ -141,7 +149,7 @@ public static class SharpInspectDevTools
             if (Options.EnableApplicationCapture) _applicationInterceptor = new ApplicationInterceptor(_store, Options);
 
             // 웹 서버 시작
-            _server = new HttpListenerServer(_store, Options, EventBus);
+            _server = new HttpListenerServer(_store, Options, EventBus, _traffic);
             _server.Start();
 
             if (Options.AutoOpenBrowser) OpenBrowser(Options.GetDevToolsUrl());
@@ -176,6 +184,9 @@ public static class SharpInspectDevTools
             _server?.Dispose();
             _server = null;
 
+            _traffic?.Breakpoints.ResumeAll();
+            _traffic = null;
+
             _consoleHook?.Dispose();
             _consoleHook = null;
 
@@ -285,7 +296,7 @@ public static class SharpInspectDevTools
         if (!_initialized)
             throw new InvalidOperationException("SharpInspect must be initialized before creating an HttpClient.");
 
-        var handler = new SharpInspectHandler(_store, Options);
+        var handler = new SharpInspectHandler(_store, Options, new HttpClientHandler(), _traffic);
         return new HttpClient(handler);
     }
 
@@ -302,7 +313,7 @@ public static class SharpInspectDevTools
         if (!_initialized)
             throw new InvalidOperationException("SharpInspect must be initialized before creating a handler.");
 
-        return new SharpInspectHandler(_store, Options);
+        return new SharpInspectHandler(_store, Options, new HttpClientHandler(), _traffic);
     }
 
     /// <summary>
@@ -318,7 +329,30 @@ public static class SharpInspectDevTools
         if (!_initialized)
             throw new InvalidOperationException("SharpInspect must be initialized before creating a handler.");
 
-        return new SharpInspectHandler(_store, Options, innerHandler);
+        return new SharpInspectHandler(_store, Options, innerHandler, _traffic);
+    }
+
+    /// <summary>
+    ///     연결된 WebSocket(ClientWebSocket 등)을 감싸 주고받는 메시지를 Network 탭에 캡처합니다.
+    ///     비활성화 상태이거나 네트워크 캡처가 꺼져 있거나 무시할 URL이면 원래 WebSocket을 그대로 반환합니다.
+    /// </summary>
+    /// <param name="webSocket">이미 연결된 WebSocket.</param>
+    /// <param name="uri">연결한 WebSocket URI.</param>
+    public static WebSocket WrapWebSocket(WebSocket webSocket, Uri uri)
+    {
+        if (webSocket == null) throw new ArgumentNullException(nameof(webSocket));
+        if (uri == null) throw new ArgumentNullException(nameof(uri));
+
+        if (_disabled)
+            return webSocket;
+
+        if (!_initialized)
+            throw new InvalidOperationException("SharpInspect must be initialized before wrapping a WebSocket.");
+
+        if (!Options.EnableNetworkCapture || Options.ShouldIgnoreUrl(uri))
+            return webSocket;
+
+        return new SharpInspectWebSocket(_store, Options, webSocket, uri, EventBus);
     }
 
     /// <summary>
@@ -0,0 +1,184 @@
+using System;
+using System.Linq;
+using System.Net;
+using System.Net.Http;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Events;
+using SharpInspect.Core.Interceptors;
+using SharpInspect.Core.Models;
+using SharpInspect.Core.Storage;
+using Xunit;
+
+namespace SharpInspect.Core.Tests.Interceptors
+{
+    /// <summary>
+    ///     BlockManager 클래스와 SharpInspectHandler의 요청 차단 처리 단위 테스트.
+    /// </summary>
+    public class BlockManagerTests
+    {
+        #region FindRule Tests
+
+        [Theory]
+        [InlineData("example.com", "https://example.com/a", true)]
+        [InlineData("example.com", "https://api.example.com/a", true)]
+        [InlineData("example.com", "https://notexample.com/a", false)]
+        [InlineData("*.cdn.net", "https://img.cdn.net/a.png", true)]
+        [InlineData("api.example.com", "https://other.example.com/api.example.com", false)]
+        public void FindRule_MatchesDomain(string domain, string url, bool expected)
+        {
+            // Arrange
+            var manager = new BlockManager();
+            manager.SetBlockList(new BlockList { Rules = [new BlockRule { Domain = domain }] });
+
+            // Act
+            var rule = manager.FindRule(new Uri(url));
+
+            // Assert
+            (rule != null).Should().Be(expected);
+        }
+
+        [Fact]
+        public void FindRule_MatchesUrlPatternAndSkipsDisabledOrEmptyRules()
+        {
+            // Arrange
+            var manager = new BlockManager();
+            manager.SetBlockList(new BlockList
+            {
+                Rules =
+                [
+                    new BlockRule { UrlPattern = "/api/orders", Enabled = false },
+                    new BlockRule(),
+                    new BlockRule { UrlPattern = "/api/*/items" }
+                ]
+            });
+
+            // Act
+            var orders = manager.FindRule(new Uri("https://example.com/api/orders"));
+            var items = manager.FindRule(new Uri("https://example.com/api/orders/items"));
+
+            // Assert
+            orders.Should().BeNull();
+            items.Should().NotBeNull();
+            items.UrlPattern.Should().Be("/api/*/items");
+        }
+
+        [Fact]
+        public void SetBlockList_Null_ClearsRules()
+        {
+            // Arrange
+            var manager = new BlockManager();
+            manager.SetBlockList(new BlockList { Rules = [new BlockRule { Domain = "example.com" }] });
+
+            // Act
+            manager.SetBlockList(null);
+
+            // Assert
+            manager.GetBlockList().Rules.Should().BeEmpty();
+            manager.FindRule(new Uri("https://example.com/")).Should().BeNull();
+        }
+
+        #endregion
+
+        #region SharpInspectHandler Tests
+
+        [Fact]
+        public async Task Handler_ThrowBehavior_ThrowsWithoutSendingAndMarksEntry()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var inner = new CountingHandler();
+            var blockList = new BlockList
+            {
+                Behavior = BlockBehavior.Throw,
+                ErrorMessage = "No such host is known.",
+                Rules = [new BlockRule { Domain = "example.com" }]
+            };
+            using var client = CreateClient(store, inner, blockList);
+
+            // Act
+            var act = () => client.GetAsync("https://api.example.com/test");
+
+            // Assert
+            (await act.Should().ThrowAsync<HttpRequestException>()).WithMessage("No such host is known.");
+            inner.Count.Should().Be(0);
+            var entry = store.GetNetworkEntries().Single();
+            entry.IsBlocked.Should().BeTrue();
+            entry.IsError.Should().BeTrue();
+        }
+
+        [Fact]
+        public async Task Handler_ServiceUnavailableBehavior_Returns503WithoutSending()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var inner = new CountingHandler();
+            var blockList = new BlockList
+            {
+                Behavior = BlockBehavior.ServiceUnavailable,
+                Rules = [new BlockRule { UrlPattern = "/api/test" }]
+            };
+            using var client = CreateClient(store, inner, blockList);
+
+            // Act
+            var response = await client.GetAsync("https://example.com/api/test");
+
+            // Assert
+            response.StatusCode.Should().Be(HttpStatusCode.ServiceUnavailable);
+            inner.Count.Should().Be(0);
+            var entry = store.GetNetworkEntries().Single();
+            entry.IsBlocked.Should().BeTrue();
+            entry.StatusCode.Should().Be(503);
+        }
+
+        [Fact]
+        public async Task Handler_UnmatchedRequest_IsSent()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var inner = new CountingHandler();
+            var blockList = new BlockList { Rules = [new BlockRule { Domain = "blocked.com" }] };
+            using var client = CreateClient(store, inner, blockList);
+
+            // Act
+            var response = await client.GetAsync("https://example.com/api/test");
+
+            // Assert
+            response.StatusCode.Should().Be(HttpStatusCode.OK);
+            inner.Count.Should().Be(1);
+            store.GetNetworkEntries().Single().IsBlocked.Should().BeFalse();
+        }
+
+        #endregion
+
+        #region Helpers
+
+        private static HttpClient CreateClient(InMemoryStore store, HttpMessageHandler inner, BlockList blockList)
+        {
+            var options = new SharpInspectOptions();
+            var traffic = new TrafficControl(options, new EventBus());
+            traffic.Blocking.SetBlockList(blockList);
+            return new HttpClient(new SharpInspectHandler(store, options, inner, traffic));
+        }
+
+        /// <summary>
+        ///     전송 횟수를 세고 200 응답을 반환하는 테스트용 핸들러.
+        /// </summary>
+        private class CountingHandler : HttpMessageHandler
+        {
+            public int Count { get; private set; }
+
+            protected override Task<HttpResponseMessage> SendAsync(
+                HttpRequestMessage request,
+                CancellationToken cancellationToken)
+            {
+                Count++;
+                return Task.FromResult(new HttpResponseMessage(HttpStatusCode.OK) { Content = new StringContent("ok") });
+            }
+        }
+
+        #endregion
+    }
+}
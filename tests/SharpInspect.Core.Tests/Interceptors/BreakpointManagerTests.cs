@@ -0,0 +1,285 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Net;
+using System.Net.Http;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Events;
+using SharpInspect.Core.Interceptors;
+using SharpInspect.Core.Models;
+using SharpInspect.Core.Storage;
+using Xunit;
+
+namespace SharpInspect.Core.Tests.Interceptors
+{
+    /// <summary>
+    ///     BreakpointManager 클래스와 SharpInspectHandler의 브레이크포인트 처리 단위 테스트.
+    /// </summary>
+    public class BreakpointManagerTests
+    {
+        #region FindRule Tests
+
+        [Theory]
+        [InlineData("/api/orders", "GET", "https://example.com/api/orders/1", true)]
+        [InlineData("/API/ORDERS", "", "https://example.com/api/orders/1", true)]
+        [InlineData("example.com/*/orders", "get", "https://example.com/api/orders", true)]
+        [InlineData("/api/orders", "POST", "https://example.com/api/orders/1", false)]
+        [InlineData("/api/users", "", "https://example.com/api/orders/1", false)]
+        [InlineData("", "", "https://example.com/anything", true)]
+        public void FindRule_MatchesMethodAndUrlPattern(string pattern, string method, string url, bool expected)
+        {
+            // Arrange
+            var manager = new BreakpointManager(new SharpInspectOptions(), new EventBus());
+            manager.SetRules([new BreakpointRule { UrlPattern = pattern, Method = method }]);
+
+            // Act
+            var rule = manager.FindRule(BreakpointPhase.Request, "GET", url);
+
+            // Assert
+            (rule != null).Should().Be(expected);
+        }
+
+        [Fact]
+        public void FindRule_DisabledOrOtherPhase_ReturnsNull()
+        {
+            // Arrange
+            var manager = new BreakpointManager(new SharpInspectOptions(), new EventBus());
+            manager.SetRules(
+            [
+                new BreakpointRule { UrlPattern = "/api", Enabled = false },
+                new BreakpointRule { UrlPattern = "/api", Phase = BreakpointPhase.Response }
+            ]);
+
+            // Act
+            var rule = manager.FindRule(BreakpointPhase.Request, "GET", "https://example.com/api");
+
+            // Assert
+            rule.Should().BeNull();
+        }
+
+        #endregion
+
+        #region PauseAsync Tests
+
+        [Fact]
+        public async Task PauseAsync_Resume_ReturnsResolutionAndPublishesEvents()
+        {
+            // Arrange
+            var eventBus = new EventBus();
+            var events = new List<string>();
+            eventBus.Subscribe<BreakpointPausedEvent>(e => events.Add(e.EventType));
+            eventBus.Subscribe<BreakpointResolvedEvent>(e => events.Add(e.EventType + ":" + e.Reason));
+            var manager = new BreakpointManager(new SharpInspectOptions(), eventBus);
+            var paused = new PausedRequest { Url = "https://example.com/api" };
+
+            // Act
+            var task = manager.PauseAsync(paused, CancellationToken.None);
+            manager.GetPaused().Should().ContainSingle().Which.Should().BeSameAs(paused);
+            var resumed = manager.Resume(new BreakpointResolution { Id = paused.Id, Body = "edited" });
+            var resolution = await task;
+
+            // Assert
+            resumed.Should().BeTrue();
+            resolution.Body.Should().Be("edited");
+            manager.PausedCount.Should().Be(0);
+            events.Should().Equal("breakpoint:paused", "breakpoint:resolved:continued");
+        }
+
+        [Fact]
+        public async Task PauseAsync_Timeout_ContinuesWithoutEdits()
+        {
+            // Arrange
+            var options = new SharpInspectOptions { BreakpointTimeoutMs = 50 };
+            var manager = new BreakpointManager(options, new EventBus());
+
+            // Act
+            var resolution = await manager.PauseAsync(new PausedRequest(), CancellationToken.None);
+
+            // Assert
+            resolution.Action.Should().Be(BreakpointAction.Continue);
+            resolution.Body.Should().BeNull();
+            manager.PausedCount.Should().Be(0);
+        }
+
+        [Fact]
+        public async Task PauseAsync_Cancelled_ThrowsAndLeavesQueue()
+        {
+            // Arrange
+            var manager = new BreakpointManager(new SharpInspectOptions(), new EventBus());
+            using var cts = new CancellationTokenSource();
+
+            // Act
+            var task = manager.PauseAsync(new PausedRequest(), cts.Token);
+            cts.Cancel();
+            var act = () => task;
+
+            // Assert
+            await act.Should().ThrowAsync<OperationCanceledException>();
+            manager.PausedCount.Should().Be(0);
+        }
+
+        [Fact]
+        public async Task ResumeAll_ContinuesEveryPausedRequest()
+        {
+            // Arrange
+            var manager = new BreakpointManager(new SharpInspectOptions(), new EventBus());
+            var first = manager.PauseAsync(new PausedRequest(), CancellationToken.None);
+            var second = manager.PauseAsync(new PausedRequest(), CancellationToken.None);
+
+            // Act
+            manager.ResumeAll();
+            var resolutions = await Task.WhenAll(first, second);
+
+            // Assert
+            resolutions.Should().OnlyContain(r => r.Action == BreakpointAction.Continue);
+            manager.PausedCount.Should().Be(0);
+        }
+
+        [Fact]
+        public void Resume_UnknownId_ReturnsFalse()
+        {
+            // Arrange
+            var manager = new BreakpointManager(new SharpInspectOptions(), new EventBus());
+
+            // Act
+            var resumed = manager.Resume(new BreakpointResolution { Id = "unknown" });
+
+            // Assert
+            resumed.Should().BeFalse();
+        }
+
+        #endregion
+
+        #region SharpInspectHandler Tests
+
+        [Fact]
+        public async Task Handler_RequestBreakpoint_AppliesEditsBeforeSending()
+        {
+            // Arrange
+            var options = new SharpInspectOptions();
+            var traffic = new TrafficControl(options, new EventBus());
+            var manager = traffic.Breakpoints;
+            manager.SetRules([new BreakpointRule { UrlPattern = "/api/test" }]);
+            var inner = new RecordingHandler();
+            using var client = new HttpClient(new SharpInspectHandler(new InMemoryStore(), options, inner, traffic));
+            var request = new HttpRequestMessage(HttpMethod.Get, "https://example.com/api/test");
+            request.Headers.TryAddWithoutValidation("Authorization", "Bearer secret");
+            request.Headers.TryAddWithoutValidation("X-Remove", "1");
+
+            // Act
+            var task = client.SendAsync(request);
+            var paused = await WaitForPausedAsync(manager);
+            var headers = new Dictionary<string, string>(paused.Headers);
+            headers.Remove("X-Remove");
+            headers["X-Added"] = "2";
+            manager.Resume(new BreakpointResolution
+            {
+                Id = paused.Id,
+                Method = "post",
+                Url = "https://example.com/api/edited",
+                Headers = headers,
+                Body = "edited"
+            });
+            await task;
+
+            // Assert
+            paused.Headers["Authorization"].Should().Be("***masked***");
+            var sent = inner.Requests.Single();
+            sent.Method.Should().Be(HttpMethod.Post);
+            sent.RequestUri.Should().Be(new Uri("https://example.com/api/edited"));
+            sent.Headers.Authorization.ToString().Should().Be("Bearer secret");
+            sent.Headers.Contains("X-Remove").Should().BeFalse();
+            sent.Headers.GetValues("X-Added").Should().Equal("2");
+            inner.Bodies.Single().Should().Be("edited");
+        }
+
+        [Fact]
+        public async Task Handler_RequestBreakpointAbort_ThrowsAndStoresErrorEntry()
+        {
+            // Arrange
+            var options = new SharpInspectOptions();
+            var store = new InMemoryStore();
+            var traffic = new TrafficControl(options, new EventBus());
+            var manager = traffic.Breakpoints;
+            manager.SetRules([new BreakpointRule { UrlPattern = "/api/test" }]);
+            var inner = new RecordingHandler();
+            using var client = new HttpClient(new SharpInspectHandler(store, options, inner, traffic));
+
+            // Act
+            var task = client.GetAsync("https://example.com/api/test");
+            var paused = await WaitForPausedAsync(manager);
+            manager.Resume(new BreakpointResolution { Id = paused.Id, Action = BreakpointAction.Abort });
+            var act = () => task;
+
+            // Assert
+            await act.Should().ThrowAsync<HttpRequestException>();
+            inner.Requests.Should().BeEmpty();
+            var entry = store.GetNetworkEntries().Single();
+            entry.IsError.Should().BeTrue();
+            entry.Url.Should().Be("https://example.com/api/test");
+        }
+
+        [Fact]
+        public async Task Handler_ResponseBreakpoint_AppliesStatusAndBody()
+        {
+            // Arrange
+            var options = new SharpInspectOptions();
+            var store = new InMemoryStore();
+            var traffic = new TrafficControl(options, new EventBus());
+            var manager = traffic.Breakpoints;
+            manager.SetRules([new BreakpointRule { UrlPattern = "/api/test", Phase = BreakpointPhase.Response }]);
+            using var client = new HttpClient(new SharpInspectHandler(store, options, new RecordingHandler(), traffic));
+
+            // Act
+            var task = client.GetAsync("https://example.com/api/test");
+            var paused = await WaitForPausedAsync(manager);
+            manager.Resume(new BreakpointResolution { Id = paused.Id, StatusCode = 503, Body = "edited" });
+            var response = await task;
+
+            // Assert
+            paused.StatusCode.Should().Be(200);
+            paused.Body.Should().Be("ok");
+            response.StatusCode.Should().Be(HttpStatusCode.ServiceUnavailable);
+            (await response.Content.ReadAsStringAsync()).Should().Be("edited");
+            store.GetNetworkEntries().Single().StatusCode.Should().Be(503);
+        }
+
+        #endregion
+
+        #region Helpers
+
+        private static async Task<PausedRequest> WaitForPausedAsync(BreakpointManager manager)
+        {
+            for (var i = 0; i < 200 && manager.PausedCount == 0; i++)
+                await Task.Delay(10);
+
+            return manager.GetPaused().Single();
+        }
+
+        /// <summary>
+        ///     전송된 요청을 기록하고 200 응답을 반환하는 테스트용 핸들러.
+        /// </summary>
+        private class RecordingHandler : HttpMessageHandler
+        {
+            public List<HttpRequestMessage> Requests { get; } = [];
+
+            public List<string> Bodies { get; } = [];
+
+            protected override async Task<HttpResponseMessage> SendAsync(
+                HttpRequestMessage request,
+                CancellationToken cancellationToken)
+            {
+                Requests.Add(request);
+                if (request.Content != null)
+                    Bodies.Add(await request.Content.ReadAsStringAsync());
+
+                return new HttpResponseMessage(HttpStatusCode.OK) { Content = new StringContent("ok") };
+            }
+        }
+
+        #endregion
+    }
+}
\ No newline at end of file
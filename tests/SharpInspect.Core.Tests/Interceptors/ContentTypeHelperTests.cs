@@ -0,0 +1,62 @@
+using FluentAssertions;
+using SharpInspect.Core.Interceptors;
+using Xunit;
+
+namespace SharpInspect.Core.Tests.Interceptors
+{
+    /// <summary>
+    ///     ContentTypeHelper 클래스의 단위 테스트.
+    /// </summary>
+    public class ContentTypeHelperTests
+    {
+        #region IsTextContentType Tests
+
+        [Theory]
+        [InlineData("application/json")]
+        [InlineData("application/problem+json; charset=utf-8")]
+        [InlineData("text/html")]
+        [InlineData("text/plain; charset=utf-8")]
+        [InlineData("application/xml")]
+        [InlineData("image/svg+xml")]
+        [InlineData("application/javascript")]
+        [InlineData("application/x-www-form-urlencoded")]
+        [InlineData("APPLICATION/JSON")]
+        public void IsTextContentType_WithTextTypes_ReturnsTrue(string contentType)
+        {
+            // Act
+            var result = ContentTypeHelper.IsTextContentType(contentType);
+
+            // Assert
+            result.Should().BeTrue();
+        }
+
+        [Theory]
+        [InlineData("image/png")]
+        [InlineData("application/pdf")]
+        [InlineData("application/octet-stream")]
+        [InlineData("application/x-protobuf")]
+        [InlineData("application/grpc")]
+        public void IsTextContentType_WithBinaryTypes_ReturnsFalse(string contentType)
+        {
+            // Act
+            var result = ContentTypeHelper.IsTextContentType(contentType);
+
+            // Assert
+            result.Should().BeFalse();
+        }
+
+        [Theory]
+        [InlineData(null)]
+        [InlineData("")]
+        public void IsTextContentType_WithMissingContentType_ReturnsTrue(string contentType)
+        {
+            // Act
+            var result = ContentTypeHelper.IsTextContentType(contentType);
+
+            // Assert
+            result.Should().BeTrue();
+        }
+
+        #endregion
+    }
+}
@@ -0,0 +1,334 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.IO.Compression;
+using System.Linq;
+using System.Net;
+using System.Net.Http;
+using System.Net.Http.Headers;
+using System.Text;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Events;
+using SharpInspect.Core.Interceptors;
+using SharpInspect.Core.Models;
+using SharpInspect.Core.Storage;
+using Xunit;
+
+namespace SharpInspect.Core.Tests.Interceptors
+{
+    /// <summary>
+    ///     SharpInspectHandler의 gRPC 호출 캡처와 GrpcHelper 단위 테스트.
+    /// </summary>
+    public class GrpcCallCaptureTests
+    {
+        private const string Url = "https://localhost:5001/greet.Greeter/SayHello";
+
+        #region GrpcHelper Tests
+
+        [Theory]
+        [InlineData("/greet.Greeter/SayHello", "greet.Greeter", "SayHello")]
+        [InlineData("/api/greet.Greeter/SayHello", "greet.Greeter", "SayHello")]
+        [InlineData("Greeter/SayHello/", "Greeter", "SayHello")]
+        public void TryParseMethod_WithGrpcPath_ReturnsServiceAndMethod(string path, string service, string method)
+        {
+            // Act
+            var result = GrpcHelper.TryParseMethod(path, out var parsedService, out var parsedMethod);
+
+            // Assert
+            result.Should().BeTrue();
+            parsedService.Should().Be(service);
+            parsedMethod.Should().Be(method);
+        }
+
+        [Theory]
+        [InlineData(null)]
+        [InlineData("")]
+        [InlineData("/SayHello")]
+        public void TryParseMethod_WithoutServiceAndMethod_ReturnsFalse(string path)
+        {
+            // Act
+            var result = GrpcHelper.TryParseMethod(path, out var service, out var method);
+
+            // Assert
+            result.Should().BeFalse();
+            service.Should().BeNull();
+            method.Should().BeNull();
+        }
+
+        [Theory]
+        [InlineData("application/grpc", true)]
+        [InlineData("application/grpc+proto", true)]
+        [InlineData("application/grpc-web", true)]
+        [InlineData("application/grpc-web-text", false)]
+        [InlineData("application/json", false)]
+        [InlineData(null, false)]
+        public void IsGrpcContentType_ReturnsExpected(string contentType, bool expected)
+        {
+            // Act
+            var result = GrpcHelper.IsGrpcContentType(contentType);
+
+            // Assert
+            result.Should().Be(expected);
+        }
+
+        #endregion
+
+        #region SharpInspectHandler Tests
+
+        [Fact]
+        public async Task Handler_UnaryCall_RecordsMessagesAndTrailerStatus()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var eventBus = new EventBus();
+            var messageEvents = new List<GrpcMessageEvent>();
+            var completedEvents = new List<GrpcCompletedEvent>();
+            eventBus.Subscribe<GrpcMessageEvent>(messageEvents.Add);
+            eventBus.Subscribe<GrpcCompletedEvent>(completedEvents.Add);
+            var inner = new GrpcServerHandler(Frame(Bytes("world")));
+            inner.Trailers["grpc-status"] = "0";
+            using var client = CreateClient(store, new SharpInspectOptions(), inner, eventBus);
+
+            // Act
+            var response = await client.SendAsync(CreateRequest(Frame(Bytes("hello"))));
+            await response.Content.ReadAsByteArrayAsync();
+
+            // Assert
+            inner.RequestBody.Should().Equal(Frame(Bytes("hello")));
+            var entry = store.GetNetworkEntries().Single();
+            entry.IsGrpc.Should().BeTrue();
+            entry.GrpcService.Should().Be("greet.Greeter");
+            entry.GrpcMethod.Should().Be("SayHello");
+            entry.GrpcStatus.Should().Be(0);
+            entry.ResponseTrailers["grpc-status"].Should().Be("0");
+            entry.RequestBody.Should().BeNull();
+            entry.ResponseBody.Should().BeNull();
+            entry.GrpcMessages.Should().HaveCount(2);
+            entry.GrpcMessages[0].Direction.Should().Be(GrpcMessageDirection.Request);
+            entry.GrpcMessages[0].Payload.Should().Be(Convert.ToBase64String(Bytes("hello")));
+            entry.GrpcMessages[0].Size.Should().Be(5);
+            entry.GrpcMessages[1].Direction.Should().Be(GrpcMessageDirection.Response);
+            entry.GrpcMessages[1].Index.Should().Be(1);
+            entry.GrpcMessages[1].Payload.Should().Be(Convert.ToBase64String(Bytes("world")));
+            messageEvents.Select(e => e.Message).Should().Equal(entry.GrpcMessages);
+            messageEvents.Should().OnlyContain(e => e.EntryId == entry.Id);
+            completedEvents.Should().ContainSingle().Which.Entry.Should().BeSameAs(entry);
+        }
+
+        [Fact]
+        public async Task Handler_StreamingResponse_RecordsEachMessage()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var inner = new GrpcServerHandler(Frame(Bytes("a")).Concat(Frame(Bytes("bb"))).Concat(Frame(new byte[0])).ToArray());
+            using var client = CreateClient(store, new SharpInspectOptions(), inner);
+
+            // Act
+            var response = await client.SendAsync(CreateRequest(Frame(Bytes("hello"))), HttpCompletionOption.ResponseHeadersRead);
+            using (var stream = await response.Content.ReadAsStreamAsync())
+            {
+                var buffer = new byte[3];
+                while (await stream.ReadAsync(buffer, 0, buffer.Length) > 0)
+                {
+                }
+            }
+
+            // Assert
+            var entry = store.GetNetworkEntries().Single();
+            entry.GrpcMessages.Where(m => m.Direction == GrpcMessageDirection.Response)
+                .Select(m => m.Size).Should().Equal(1, 2, 0);
+            entry.ResponseContentLength.Should().Be(18);
+        }
+
+        [Fact]
+        public async Task Handler_GzipMessage_StoresDecompressedPayload()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var compressed = Gzip(Bytes("compressed"));
+            var inner = new GrpcServerHandler(Frame(compressed, true));
+            inner.ResponseHeaders["grpc-encoding"] = "gzip";
+            using var client = CreateClient(store, new SharpInspectOptions(), inner);
+
+            // Act
+            var response = await client.SendAsync(CreateRequest(Frame(Bytes("hello"))));
+            await response.Content.ReadAsByteArrayAsync();
+
+            // Assert
+            var message = store.GetNetworkEntries().Single().GrpcMessages.Last();
+            message.Compressed.Should().BeFalse();
+            message.Size.Should().Be(compressed.Length);
+            message.Payload.Should().Be(Convert.ToBase64String(Bytes("compressed")));
+        }
+
+        [Fact]
+        public async Task Handler_TrailersOnlyResponse_RecordsStatusFromHeaders()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var inner = new GrpcServerHandler(new byte[0]);
+            inner.ResponseHeaders["grpc-status"] = "5";
+            inner.ResponseHeaders["grpc-message"] = "user%20not%20found";
+            using var client = CreateClient(store, new SharpInspectOptions(), inner);
+
+            // Act
+            await client.SendAsync(CreateRequest(Frame(Bytes("hello"))));
+
+            // Assert
+            var entry = store.GetNetworkEntries().Single();
+            entry.GrpcStatus.Should().Be(5);
+            entry.GrpcStatusMessage.Should().Be("user not found");
+            entry.GrpcMessages.Should().ContainSingle().Which.Direction.Should().Be(GrpcMessageDirection.Request);
+        }
+
+        [Fact]
+        public async Task Handler_GrpcWebResponse_ReadsTrailerFrame()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var body = Frame(Bytes("world")).Concat(Frame(Bytes("grpc-status:3\r\ngrpc-message:bad\r\n"), flags: 0x80));
+            var inner = new GrpcServerHandler(body.ToArray(), "application/grpc-web");
+            using var client = CreateClient(store, new SharpInspectOptions(), inner);
+
+            // Act
+            var response = await client.SendAsync(CreateRequest(Frame(Bytes("hello")), "application/grpc-web"));
+            await response.Content.ReadAsByteArrayAsync();
+
+            // Assert
+            var entry = store.GetNetworkEntries().Single();
+            entry.GrpcStatus.Should().Be(3);
+            entry.GrpcStatusMessage.Should().Be("bad");
+            entry.ResponseTrailers["grpc-message"].Should().Be("bad");
+            entry.GrpcMessages.Should().HaveCount(2);
+        }
+
+        [Fact]
+        public async Task Handler_MoreThanMaxMessages_KeepsLatestMessages()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var options = new SharpInspectOptions { MaxGrpcMessages = 2 };
+            var body = new[] { "a", "b", "c" }.SelectMany(text => Frame(Bytes(text))).ToArray();
+            using var client = CreateClient(store, options, new GrpcServerHandler(body));
+
+            // Act
+            var response = await client.SendAsync(CreateRequest(Frame(Bytes("hello"))));
+            await response.Content.ReadAsByteArrayAsync();
+
+            // Assert
+            var messages = store.GetNetworkEntries().Single().GrpcMessages;
+            messages.Select(m => m.Index).Should().Equal(2, 3);
+            messages.Select(m => m.Payload).Should().Equal(
+                Convert.ToBase64String(Bytes("b")), Convert.ToBase64String(Bytes("c")));
+        }
+
+        [Fact]
+        public async Task Handler_NonGrpcResponse_CapturesBodyAsUsual()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var inner = new GrpcServerHandler(Bytes("not found"), "text/plain");
+            using var client = CreateClient(store, new SharpInspectOptions(), inner);
+
+            // Act
+            await client.SendAsync(CreateRequest(Frame(Bytes("hello"))));
+
+            // Assert
+            var entry = store.GetNetworkEntries().Single();
+            entry.IsGrpc.Should().BeTrue();
+            entry.GrpcStatus.Should().BeNull();
+            entry.ResponseBody.Should().Be("not found");
+        }
+
+        #endregion
+
+        #region Helpers
+
+        private static HttpClient CreateClient(
+            InMemoryStore store,
+            SharpInspectOptions options,
+            HttpMessageHandler inner,
+            EventBus eventBus = null)
+        {
+            var traffic = new TrafficControl(options, eventBus ?? new EventBus());
+            return new HttpClient(new SharpInspectHandler(store, options, inner, traffic));
+        }
+
+        private static HttpRequestMessage CreateRequest(byte[] body, string contentType = "application/grpc")
+        {
+            var content = new ByteArrayContent(body);
+            content.Headers.ContentType = new MediaTypeHeaderValue(contentType);
+            return new HttpRequestMessage(HttpMethod.Post, Url) { Content = content };
+        }
+
+        private static byte[] Bytes(string text)
+        {
+            return Encoding.UTF8.GetBytes(text);
+        }
+
+        /// <summary>
+        ///     압축 플래그와 빅 엔디언 길이로 이루어진 5바이트 헤더를 붙여 gRPC 메시지 프레임을 만듭니다.
+        /// </summary>
+        private static byte[] Frame(byte[] message, bool compressed = false, byte flags = 0)
+        {
+            var frame = new byte[message.Length + 5];
+            frame[0] = (byte)(flags | (compressed ? 1 : 0));
+            frame[1] = (byte)(message.Length >> 24);
+            frame[2] = (byte)(message.Length >> 16);
+            frame[3] = (byte)(message.Length >> 8);
+            frame[4] = (byte)message.Length;
+            Array.Copy(message, 0, frame, 5, message.Length);
+            return frame;
+        }
+
+        private static byte[] Gzip(byte[] data)
+        {
+            using var output = new MemoryStream();
+            using (var gzip = new GZipStream(output, CompressionMode.Compress))
+                gzip.Write(data, 0, data.Length);
+            return output.ToArray();
+        }
+
+        /// <summary>
+        ///     요청 본문을 끝까지 읽은 뒤 지정된 gRPC 응답 본문, 헤더, 트레일러를 반환하는 테스트용 핸들러.
+        /// </summary>
+        private class GrpcServerHandler : HttpMessageHandler
+        {
+            private readonly byte[] _responseBody;
+            private readonly string _contentType;
+
+            public GrpcServerHandler(byte[] responseBody, string contentType = "application/grpc")
+            {
+                _responseBody = responseBody;
+                _contentType = contentType;
+            }
+
+            public byte[] RequestBody { get; private set; }
+
+            public Dictionary<string, string> ResponseHeaders { get; } = new();
+
+            public Dictionary<string, string> Trailers { get; } = new();
+
+            protected override async Task<HttpResponseMessage> SendAsync(
+                HttpRequestMessage request,
+                CancellationToken cancellationToken)
+            {
+                RequestBody = await request.Content.ReadAsByteArrayAsync();
+
+                var content = new ByteArrayContent(_responseBody);
+                content.Headers.ContentType = new MediaTypeHeaderValue(_contentType);
+                var response = new HttpResponseMessage(HttpStatusCode.OK) { Content = content };
+                foreach (var header in ResponseHeaders)
+                    response.Headers.TryAddWithoutValidation(header.Key, header.Value);
+                foreach (var trailer in Trailers)
+                    response.TrailingHeaders.TryAddWithoutValidation(trailer.Key, trailer.Value);
+                return response;
+            }
+        }
+
+        #endregion
+    }
+}
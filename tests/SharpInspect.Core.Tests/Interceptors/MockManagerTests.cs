@@ -0,0 +1,276 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Net;
+using System.Net.Http;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Events;
+using SharpInspect.Core.Interceptors;
+using SharpInspect.Core.Models;
+using SharpInspect.Core.Storage;
+using Xunit;
+
+namespace SharpInspect.Core.Tests.Interceptors
+{
+    /// <summary>
+    ///     MockManager 클래스와 인터셉터의 목 규칙 처리 단위 테스트.
+    /// </summary>
+    public class MockManagerTests
+    {
+        #region FindRule Tests
+
+        [Theory]
+        [InlineData("X-Tenant", "acme", true)]
+        [InlineData("x-tenant", "ACME", true)]
+        [InlineData("X-Tenant", "", true)]
+        [InlineData("X-Tenant", "other", false)]
+        [InlineData("X-Missing", "", false)]
+        public void FindRule_MatchesRequestHeaders(string name, string value, bool expected)
+        {
+            // Arrange
+            var manager = new MockManager();
+            var rule = new MockRule { UrlPattern = "/api" };
+            rule.RequestHeaders[name] = value;
+            manager.SetRules([rule]);
+            var headers = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase)
+            {
+                ["X-Tenant"] = "acme-corp"
+            };
+
+            // Act
+            var found = manager.FindRule("GET", "https://example.com/api/orders", headers);
+
+            // Assert
+            (found != null).Should().Be(expected);
+        }
+
+        [Fact]
+        public void FindRule_SkipsDisabledAndReturnsFirstMatchInOrder()
+        {
+            // Arrange
+            var manager = new MockManager();
+            manager.SetRules(
+            [
+                new MockRule { Name = "disabled", UrlPattern = "/api", Enabled = false },
+                new MockRule { Name = "post", UrlPattern = "/api", Method = "POST" },
+                new MockRule { Name = "first", UrlPattern = "/api/*" },
+                new MockRule { Name = "second", UrlPattern = "/api/orders" }
+            ]);
+
+            // Act
+            var rule = manager.FindRule("GET", "https://example.com/api/orders", null);
+
+            // Assert
+            rule.Name.Should().Be("first");
+        }
+
+        #endregion
+
+        #region SetRules Tests
+
+        [Theory]
+        [InlineData(-1)]
+        [InlineData(1000)]
+        public void SetRules_StatusCodeOutOfRange_ThrowsAndKeepsRules(int statusCode)
+        {
+            // Arrange
+            var manager = new MockManager();
+            var existing = new MockRule { UrlPattern = "/api/a" };
+            manager.SetRules([existing]);
+
+            // Act
+            var act = () => manager.SetRules([new MockRule { UrlPattern = "/api/b", StatusCode = statusCode }]);
+
+            // Assert
+            act.Should().Throw<ArgumentException>();
+            manager.GetRules().Should().Equal(existing);
+        }
+
+        [Fact]
+        public void SetRules_InvalidBase64Body_Throws()
+        {
+            // Arrange
+            var manager = new MockManager();
+            var rule = new MockRule { UrlPattern = "/api/a", Body = "not base64!", BodyEncoding = "base64" };
+
+            // Act
+            var act = () => manager.SetRules([rule]);
+
+            // Assert
+            act.Should().Throw<ArgumentException>().WithMessage("*base64*");
+        }
+
+        #endregion
+
+        #region SharpInspectHandler Tests
+
+        [Fact]
+        public async Task Handler_RespondMock_ReturnsCannedResponseWithoutSending()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var inner = new CountingHandler();
+            var rule = new MockRule
+            {
+                UrlPattern = "/api/test",
+                StatusCode = 404,
+                StatusText = "Missing",
+                Body = "{\"error\":\"none\"}"
+            };
+            rule.ResponseHeaders["Content-Type"] = "application/json";
+            rule.ResponseHeaders["Content-Length"] = "999";
+            rule.ResponseHeaders["X-Mocked"] = "1";
+            using var client = CreateClient(store, inner, rule);
+
+            // Act
+            var response = await client.GetAsync("https://example.com/api/test");
+
+            // Assert
+            inner.Count.Should().Be(0);
+            response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+            response.ReasonPhrase.Should().Be("Missing");
+            response.Headers.GetValues("X-Mocked").Should().Equal("1");
+            response.Content.Headers.ContentType.MediaType.Should().Be("application/json");
+            (await response.Content.ReadAsStringAsync()).Should().Be("{\"error\":\"none\"}");
+            var entry = store.GetNetworkEntries().Single();
+            entry.MockRuleId.Should().Be(rule.Id);
+            entry.StatusCode.Should().Be(404);
+        }
+
+        [Fact]
+        public async Task Handler_Base64Mock_ReturnsBinaryBody()
+        {
+            // Arrange
+            var rule = new MockRule
+            {
+                UrlPattern = "/logo.png",
+                Body = Convert.ToBase64String([1, 2, 3]),
+                BodyEncoding = ContentTypeHelper.Base64Encoding
+            };
+            using var client = CreateClient(new InMemoryStore(), new CountingHandler(), rule);
+
+            // Act
+            var bytes = await client.GetByteArrayAsync("https://example.com/logo.png");
+
+            // Assert
+            bytes.Should().Equal(1, 2, 3);
+        }
+
+        [Fact]
+        public async Task Handler_FailMock_ThrowsAndStoresErrorEntry()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var inner = new CountingHandler();
+            var rule = new MockRule { UrlPattern = "/api/test", Action = MockAction.Fail, ErrorMessage = "Offline" };
+            using var client = CreateClient(store, inner, rule);
+
+            // Act
+            var act = () => client.GetAsync("https://example.com/api/test");
+
+            // Assert
+            (await act.Should().ThrowAsync<HttpRequestException>()).WithMessage("Offline");
+            inner.Count.Should().Be(0);
+            var entry = store.GetNetworkEntries().Single();
+            entry.IsError.Should().BeTrue();
+            entry.MockRuleId.Should().Be(rule.Id);
+        }
+
+        [Fact]
+        public async Task Handler_DelayMock_SendsAfterDelay()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var inner = new CountingHandler();
+            var rule = new MockRule { UrlPattern = "/api/test", Action = MockAction.Delay, DelayMs = 100 };
+            using var client = CreateClient(store, inner, rule);
+
+            // Act
+            var response = await client.GetAsync("https://example.com/api/test");
+
+            // Assert
+            inner.Count.Should().Be(1);
+            response.StatusCode.Should().Be(HttpStatusCode.OK);
+            store.GetNetworkEntries().Single().TotalMs.Should().BeGreaterOrEqualTo(90);
+        }
+
+        #endregion
+
+        #region HttpWebRequestInterceptor Tests
+
+        [Fact]
+        public void GetResponseWithCapture_FailMock_ThrowsWithoutSending()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var traffic = new TrafficControl(new SharpInspectOptions(), new EventBus());
+            var rule = new MockRule { UrlPattern = "/api/legacy", Action = MockAction.Fail, ErrorMessage = "offline" };
+            traffic.Mocks.SetRules([rule]);
+            HttpWebRequestInterceptor.Initialize(store, new SharpInspectOptions(), traffic);
+            var request = WebRequest.CreateHttp("https://example.com/api/legacy");
+
+            // Act
+            var act = () => HttpWebRequestInterceptor.GetResponseWithCapture(request);
+
+            // Assert
+            var ex = act.Should().Throw<WebException>().Which;
+            ex.Status.Should().Be(WebExceptionStatus.ConnectFailure);
+            ex.Message.Should().Be("offline");
+            var entry = store.GetNetworkEntries().Single();
+            entry.IsError.Should().BeTrue();
+            entry.MockRuleId.Should().Be(rule.Id);
+        }
+
+        [Fact]
+        public void GetResponseWithCapture_RespondMock_SendsRealRequest()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var traffic = new TrafficControl(new SharpInspectOptions(), new EventBus());
+            traffic.Mocks.SetRules([new MockRule { UrlPattern = "/api/legacy", Body = "mocked" }]);
+            HttpWebRequestInterceptor.Initialize(store, new SharpInspectOptions(), traffic);
+            // 닫힌 포트로 보내 실제 전송이 실패하는지 확인
+            var request = WebRequest.CreateHttp("http://127.0.0.1:1/api/legacy");
+
+            // Act
+            var act = () => HttpWebRequestInterceptor.GetResponseWithCapture(request);
+
+            // Assert
+            act.Should().Throw<WebException>();
+            store.GetNetworkEntries().Single().MockRuleId.Should().BeNull();
+        }
+
+        #endregion
+
+        #region Helpers
+
+        private static HttpClient CreateClient(InMemoryStore store, HttpMessageHandler inner, MockRule rule)
+        {
+            var options = new SharpInspectOptions();
+            var traffic = new TrafficControl(options, new EventBus());
+            traffic.Mocks.SetRules([rule]);
+            return new HttpClient(new SharpInspectHandler(store, options, inner, traffic));
+        }
+
+        /// <summary>
+        ///     전송 횟수를 세고 200 응답을 반환하는 테스트용 핸들러.
+        /// </summary>
+        private class CountingHandler : HttpMessageHandler
+        {
+            public int Count { get; private set; }
+
+            protected override Task<HttpResponseMessage> SendAsync(
+                HttpRequestMessage request,
+                CancellationToken cancellationToken)
+            {
+                Count++;
+                return Task.FromResult(new HttpResponseMessage(HttpStatusCode.OK) { Content = new StringContent("ok") });
+            }
+        }
+
+        #endregion
+    }
+}
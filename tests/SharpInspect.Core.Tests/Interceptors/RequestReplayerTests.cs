@@ -0,0 +1,244 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Net;
+using System.Net.Http;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Events;
+using SharpInspect.Core.Interceptors;
+using SharpInspect.Core.Models;
+using SharpInspect.Core.Storage;
+using Xunit;
+
+namespace SharpInspect.Core.Tests.Interceptors
+{
+    /// <summary>
+    ///     RequestReplayer 클래스의 단위 테스트.
+    /// </summary>
+    public class RequestReplayerTests
+    {
+        #region ReplayAsync Tests
+
+        [Fact]
+        public async Task ReplayAsync_ValidRequest_StoresEntryLinkedToOriginal()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var handler = new RecordingHandler();
+            using var replayer = new RequestReplayer(store, new SharpInspectOptions(), handler);
+
+            // Act
+            var entry = await replayer.ReplayAsync("original-id", CreateReplay("GET", "https://example.com/api/test"));
+
+            // Assert
+            entry.Should().NotBeNull();
+            entry.ReplayOfId.Should().Be("original-id");
+            entry.StatusCode.Should().Be(200);
+            store.GetNetworkEntry(entry.Id).Should().BeSameAs(entry);
+            handler.Requests.Should().ContainSingle();
+        }
+
+        [Fact]
+        public async Task ReplayAsync_AutoHeaders_AreNotSent()
+        {
+            // Arrange
+            var handler = new RecordingHandler();
+            using var replayer = new RequestReplayer(new InMemoryStore(), new SharpInspectOptions(), handler);
+            var replay = CreateReplay("GET", "https://example.com/api/test");
+            replay.Headers["Host"] = "example.com";
+            replay.Headers["Connection"] = "keep-alive";
+            replay.Headers["X-Trace"] = "abc";
+
+            // Act
+            await replayer.ReplayAsync("original-id", replay);
+
+            // Assert
+            var sent = handler.Requests.Single();
+            sent.Headers.Contains("Connection").Should().BeFalse();
+            sent.Headers.GetValues("X-Trace").Should().Equal("abc");
+        }
+
+        [Fact]
+        public async Task ReplayAsync_MaskedHeader_ThrowsWithoutSending()
+        {
+            // Arrange
+            var handler = new RecordingHandler();
+            using var replayer = new RequestReplayer(new InMemoryStore(), new SharpInspectOptions(), handler);
+            var replay = CreateReplay("GET", "https://example.com/api/test");
+            replay.Headers["Authorization"] = "***masked***";
+
+            // Act
+            var act = () => replayer.ReplayAsync("original-id", replay);
+
+            // Assert
+            (await act.Should().ThrowAsync<ArgumentException>()).WithMessage("*Authorization*");
+            handler.Requests.Should().BeEmpty();
+        }
+
+        [Fact]
+        public async Task ReplayAsync_WithTraffic_AppliesMockRules()
+        {
+            // Arrange
+            var options = new SharpInspectOptions();
+            var traffic = new TrafficControl(options, new EventBus());
+            traffic.Mocks.SetRules([new MockRule { UrlPattern = "/api/test", StatusCode = 418 }]);
+            var handler = new RecordingHandler();
+            using var replayer = new RequestReplayer(new InMemoryStore(), options, handler, traffic);
+
+            // Act
+            var entry = await replayer.ReplayAsync("original-id", CreateReplay("GET", "https://example.com/api/test"));
+
+            // Assert
+            entry.StatusCode.Should().Be(418);
+            entry.MockRuleId.Should().NotBeNull();
+            handler.Requests.Should().BeEmpty();
+        }
+
+        [Fact]
+        public async Task ReplayAsync_ReplayClient_SendsThroughAppClient()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var options = new SharpInspectOptions();
+            var traffic = new TrafficControl(options, new EventBus());
+            var appHandler = new RecordingHandler();
+            traffic.ReplayClient = new HttpClient(new SharpInspectHandler(store, options, appHandler, traffic));
+            var defaultHandler = new RecordingHandler();
+            using var replayer = new RequestReplayer(store, options, defaultHandler, traffic);
+
+            // Act
+            var entry = await replayer.ReplayAsync("original-id", CreateReplay("GET", "https://example.com/api/test"));
+
+            // Assert
+            entry.ReplayOfId.Should().Be("original-id");
+            appHandler.Requests.Should().ContainSingle();
+            defaultHandler.Requests.Should().BeEmpty();
+        }
+
+        [Fact]
+        public async Task ReplayAsync_WithBody_SendsBodyAndContentHeaders()
+        {
+            // Arrange
+            var handler = new RecordingHandler();
+            using var replayer = new RequestReplayer(new InMemoryStore(), new SharpInspectOptions(), handler);
+            var replay = CreateReplay("post", "https://example.com/api/test");
+            replay.Headers["Content-Type"] = "application/json";
+            replay.Body = "{\"a\":1}";
+
+            // Act
+            var entry = await replayer.ReplayAsync("original-id", replay);
+
+            // Assert
+            handler.Requests.Single().Method.Should().Be(HttpMethod.Post);
+            handler.Bodies.Single().Should().Be("{\"a\":1}");
+            entry.RequestBody.Should().Be("{\"a\":1}");
+            entry.RequestContentType.Should().Be("application/json");
+        }
+
+        [Fact]
+        public async Task ReplayAsync_InnerHandlerThrows_ReturnsErrorEntry()
+        {
+            // Arrange
+            var handler = new RecordingHandler { Exception = new HttpRequestException("Connection refused") };
+            using var replayer = new RequestReplayer(new InMemoryStore(), new SharpInspectOptions(), handler);
+
+            // Act
+            var entry = await replayer.ReplayAsync("original-id", CreateReplay("GET", "https://example.com/api/test"));
+
+            // Assert
+            entry.IsError.Should().BeTrue();
+            entry.ErrorMessage.Should().Be("Connection refused");
+            entry.ReplayOfId.Should().Be("original-id");
+        }
+
+        [Fact]
+        public async Task ReplayAsync_IgnoredUrl_ReturnsNull()
+        {
+            // Arrange
+            var options = new SharpInspectOptions { IgnoreUrlPatterns = ["/health"] };
+            using var replayer = new RequestReplayer(new InMemoryStore(), options, new RecordingHandler());
+
+            // Act
+            var entry = await replayer.ReplayAsync("original-id", CreateReplay("GET", "https://example.com/health"));
+
+            // Assert
+            entry.Should().BeNull();
+        }
+
+        #endregion
+
+        #region CreateRequestMessage Tests
+
+        [Fact]
+        public void CreateRequestMessage_RelativeUrl_ThrowsArgumentException()
+        {
+            // Act
+            var act = () => RequestReplayer.CreateRequestMessage(CreateReplay("GET", "/api/test"));
+
+            // Assert
+            act.Should().Throw<ArgumentException>();
+        }
+
+        [Fact]
+        public void CreateRequestMessage_FromEntry_CopiesMethodUrlAndHeaders()
+        {
+            // Arrange
+            var entry = TestHelpers.CreateNetworkEntry(method: "DELETE");
+            entry.RequestHeaders["Accept"] = "application/json";
+
+            // Act
+            var request = RequestReplayer.CreateRequestMessage(ReplayRequest.FromEntry(entry));
+
+            // Assert
+            request.Method.Should().Be(HttpMethod.Delete);
+            request.RequestUri.Should().Be(new Uri("https://example.com/api/test"));
+            request.Headers.Accept.ToString().Should().Be("application/json");
+            request.Content.Should().BeNull();
+        }
+
+        #endregion
+
+        #region Helpers
+
+        private static ReplayRequest CreateReplay(string method, string url)
+        {
+            return new ReplayRequest
+            {
+                Method = method,
+                Url = url,
+                Headers = new Dictionary<string, string>()
+            };
+        }
+
+        /// <summary>
+        ///     전송된 요청을 기록하고 200 응답을 반환하는 테스트용 핸들러.
+        /// </summary>
+        private class RecordingHandler : HttpMessageHandler
+        {
+            public List<HttpRequestMessage> Requests { get; } = [];
+
+            public List<string> Bodies { get; } = [];
+
+            public Exception Exception { get; set; }
+
+            protected override async Task<HttpResponseMessage> SendAsync(
+                HttpRequestMessage request,
+                CancellationToken cancellationToken)
+            {
+                Requests.Add(request);
+                if (request.Content != null)
+                    Bodies.Add(await request.Content.ReadAsStringAsync());
+
+                if (Exception != null)
+                    throw Exception;
+
+                return new HttpResponseMessage(HttpStatusCode.OK) { Content = new StringContent("ok") };
+            }
+        }
+
+        #endregion
+    }
+}
\ No newline at end of file
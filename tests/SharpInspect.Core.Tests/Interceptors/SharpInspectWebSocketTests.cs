@@ -0,0 +1,315 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Net.WebSockets;
+using System.Text;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Events;
+using SharpInspect.Core.Interceptors;
+using SharpInspect.Core.Models;
+using SharpInspect.Core.Storage;
+using Xunit;
+
+namespace SharpInspect.Core.Tests.Interceptors
+{
+    /// <summary>
+    ///     SharpInspectWebSocket 클래스의 WebSocket 메시지 캡처 단위 테스트.
+    /// </summary>
+    public class SharpInspectWebSocketTests
+    {
+        #region Connection Tests
+
+        [Fact]
+        public void Constructor_AddsWebSocketEntry()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var inner = new FakeWebSocket("json");
+
+            // Act
+            var socket = new SharpInspectWebSocket(
+                store, new SharpInspectOptions(), inner, new Uri("wss://example.com/hub?id=1"), new EventBus());
+
+            // Assert
+            var entry = store.GetNetworkEntries().Single();
+            entry.Should().BeSameAs(socket.Entry);
+            entry.IsWebSocket.Should().BeTrue();
+            entry.StatusCode.Should().Be(101);
+            entry.Host.Should().Be("example.com");
+            entry.Path.Should().Be("/hub");
+            entry.QueryString.Should().Be("?id=1");
+            entry.ResponseHeaders["Sec-WebSocket-Protocol"].Should().Be("json");
+            entry.WebSocketFrames.Should().BeEmpty();
+            socket.SubProtocol.Should().Be("json");
+        }
+
+        #endregion
+
+        #region Message Tests
+
+        [Fact]
+        public async Task SendAsync_FragmentedMessage_RecordsOneFrame()
+        {
+            // Arrange
+            var eventBus = new EventBus();
+            var events = new List<WebSocketFrameEvent>();
+            eventBus.Subscribe<WebSocketFrameEvent>(events.Add);
+            var inner = new FakeWebSocket();
+            var socket = CreateSocket(new InMemoryStore(), new SharpInspectOptions(), inner, eventBus);
+
+            // Act
+            await socket.SendAsync(Bytes("hello "), WebSocketMessageType.Text, false, CancellationToken.None);
+            await socket.SendAsync(Bytes("world"), WebSocketMessageType.Text, true, CancellationToken.None);
+
+            // Assert
+            inner.SentCount.Should().Be(2);
+            var frame = socket.Entry.WebSocketFrames.Single();
+            frame.Direction.Should().Be(WebSocketFrameDirection.Sent);
+            frame.Opcode.Should().Be(WebSocketMessageType.Text);
+            frame.Payload.Should().Be("hello world");
+            frame.Size.Should().Be(11);
+            frame.Truncated.Should().BeFalse();
+            events.Should().ContainSingle();
+            events[0].EntryId.Should().Be(socket.Entry.Id);
+            events[0].Frame.Should().BeSameAs(frame);
+        }
+
+        [Fact]
+        public async Task ReceiveAsync_BinaryMessage_RecordsBase64Payload()
+        {
+            // Arrange
+            var inner = new FakeWebSocket();
+            inner.Enqueue(new byte[] { 1, 2, 3 }, WebSocketMessageType.Binary, true);
+            var socket = CreateSocket(new InMemoryStore(), new SharpInspectOptions(), inner);
+
+            // Act
+            var result = await socket.ReceiveAsync(new ArraySegment<byte>(new byte[16]), CancellationToken.None);
+
+            // Assert
+            result.Count.Should().Be(3);
+            var frame = socket.Entry.WebSocketFrames.Single();
+            frame.Direction.Should().Be(WebSocketFrameDirection.Received);
+            frame.Payload.Should().Be("AQID");
+            frame.PayloadEncoding.Should().Be("base64");
+            frame.Size.Should().Be(3);
+        }
+
+        [Fact]
+        public async Task SendAsync_LargerThanMaxBodySize_TruncatesPayload()
+        {
+            // Arrange
+            var options = new SharpInspectOptions { MaxBodySizeBytes = 5 };
+            var socket = CreateSocket(new InMemoryStore(), options, new FakeWebSocket());
+
+            // Act
+            await socket.SendAsync(Bytes("0123456789"), WebSocketMessageType.Text, true, CancellationToken.None);
+
+            // Assert
+            var frame = socket.Entry.WebSocketFrames.Single();
+            frame.Payload.Should().Be("01234");
+            frame.Size.Should().Be(10);
+            frame.Truncated.Should().BeTrue();
+        }
+
+        [Fact]
+        public async Task SendAsync_TruncatedInsideMultiByteCharacter_CutsBeforeCharacter()
+        {
+            // Arrange
+            var options = new SharpInspectOptions { MaxBodySizeBytes = 4 };
+            var socket = CreateSocket(new InMemoryStore(), options, new FakeWebSocket());
+
+            // Act
+            await socket.SendAsync(Bytes("abc한글"), WebSocketMessageType.Text, true, CancellationToken.None);
+
+            // Assert
+            var frame = socket.Entry.WebSocketFrames.Single();
+            frame.Payload.Should().Be("abc");
+            frame.Size.Should().Be(9);
+            frame.Truncated.Should().BeTrue();
+        }
+
+        [Fact]
+        public async Task SendAsync_FailedSend_IsNotRecorded()
+        {
+            // Arrange
+            var inner = new FakeWebSocket { SendError = new WebSocketException("Connection reset") };
+            var socket = CreateSocket(new InMemoryStore(), new SharpInspectOptions(), inner);
+
+            // Act
+            var act = () => socket.SendAsync(Bytes("hello"), WebSocketMessageType.Text, true, CancellationToken.None);
+
+            // Assert
+            await act.Should().ThrowAsync<WebSocketException>();
+            socket.Entry.WebSocketFrames.Should().BeEmpty();
+        }
+
+        [Fact]
+        public async Task SendAsync_MoreThanMaxFrames_KeepsLatestFrames()
+        {
+            // Arrange
+            var options = new SharpInspectOptions { MaxWebSocketFrames = 2 };
+            var socket = CreateSocket(new InMemoryStore(), options, new FakeWebSocket());
+
+            // Act
+            foreach (var text in new[] { "a", "b", "c" })
+                await socket.SendAsync(Bytes(text), WebSocketMessageType.Text, true, CancellationToken.None);
+
+            // Assert
+            socket.Entry.WebSocketFrames.Select(f => f.Payload).Should().Equal("b", "c");
+            socket.Entry.WebSocketFrames.Select(f => f.Index).Should().Equal(1, 2);
+        }
+
+        [Fact]
+        public async Task WebSocketFrames_ReturnsSnapshot_UnaffectedByLaterFrames()
+        {
+            // Arrange
+            var options = new SharpInspectOptions { MaxWebSocketFrames = 2 };
+            var socket = CreateSocket(new InMemoryStore(), options, new FakeWebSocket());
+            await socket.SendAsync(Bytes("a"), WebSocketMessageType.Text, true, CancellationToken.None);
+            var snapshot = socket.Entry.WebSocketFrames;
+
+            // Act
+            foreach (var text in new[] { "b", "c" })
+                await socket.SendAsync(Bytes(text), WebSocketMessageType.Text, true, CancellationToken.None);
+
+            // Assert
+            snapshot.Select(f => f.Payload).Should().Equal("a");
+            socket.Entry.WebSocketFrames.Select(f => f.Payload).Should().Equal("b", "c");
+        }
+
+        [Fact]
+        public async Task CloseFrames_AreRecordedInBothDirections()
+        {
+            // Arrange
+            var inner = new FakeWebSocket();
+            inner.EnqueueClose(WebSocketCloseStatus.NormalClosure, "bye");
+            var socket = CreateSocket(new InMemoryStore(), new SharpInspectOptions(), inner);
+
+            // Act
+            await socket.ReceiveAsync(new ArraySegment<byte>(new byte[16]), CancellationToken.None);
+            await socket.CloseOutputAsync(WebSocketCloseStatus.NormalClosure, null, CancellationToken.None);
+
+            // Assert
+            var frames = socket.Entry.WebSocketFrames;
+            frames.Should().HaveCount(2);
+            frames[0].Direction.Should().Be(WebSocketFrameDirection.Received);
+            frames[0].Opcode.Should().Be(WebSocketMessageType.Close);
+            frames[0].Payload.Should().Be("1000 bye");
+            frames[1].Direction.Should().Be(WebSocketFrameDirection.Sent);
+            frames[1].Payload.Should().Be("1000");
+            inner.CloseOutputCalled.Should().BeTrue();
+        }
+
+        #endregion
+
+        #region Helpers
+
+        private static SharpInspectWebSocket CreateSocket(
+            InMemoryStore store,
+            SharpInspectOptions options,
+            WebSocket inner,
+            EventBus eventBus = null)
+        {
+            return new SharpInspectWebSocket(
+                store, options, inner, new Uri("ws://localhost:5000/hub"), eventBus ?? new EventBus());
+        }
+
+        private static ArraySegment<byte> Bytes(string text)
+        {
+            return new ArraySegment<byte>(Encoding.UTF8.GetBytes(text));
+        }
+
+        /// <summary>
+        ///     보낸 횟수를 세고 미리 넣어 둔 메시지를 수신하는 테스트용 WebSocket.
+        /// </summary>
+        private class FakeWebSocket : WebSocket
+        {
+            private readonly Queue<WebSocketReceiveResult> _results = new();
+            private readonly Queue<byte[]> _data = new();
+            private readonly string _subProtocol;
+
+            public FakeWebSocket(string subProtocol = null)
+            {
+                _subProtocol = subProtocol;
+            }
+
+            public bool CloseOutputCalled { get; private set; }
+
+            public int SentCount { get; private set; }
+
+            public Exception SendError { get; set; }
+
+            public override WebSocketCloseStatus? CloseStatus => null;
+
+            public override string CloseStatusDescription => null;
+
+            public override WebSocketState State => WebSocketState.Open;
+
+            public override string SubProtocol => _subProtocol;
+
+            public void Enqueue(byte[] data, WebSocketMessageType messageType, bool endOfMessage)
+            {
+                _data.Enqueue(data);
+                _results.Enqueue(new WebSocketReceiveResult(data.Length, messageType, endOfMessage));
+            }
+
+            public void EnqueueClose(WebSocketCloseStatus status, string description)
+            {
+                _data.Enqueue(new byte[0]);
+                _results.Enqueue(new WebSocketReceiveResult(0, WebSocketMessageType.Close, true, status, description));
+            }
+
+            public override void Abort()
+            {
+            }
+
+            public override Task CloseAsync(
+                WebSocketCloseStatus closeStatus,
+                string statusDescription,
+                CancellationToken cancellationToken)
+            {
+                return Task.CompletedTask;
+            }
+
+            public override Task CloseOutputAsync(
+                WebSocketCloseStatus closeStatus,
+                string statusDescription,
+                CancellationToken cancellationToken)
+            {
+                CloseOutputCalled = true;
+                return Task.CompletedTask;
+            }
+
+            public override void Dispose()
+            {
+            }
+
+            public override Task<WebSocketReceiveResult> ReceiveAsync(
+                ArraySegment<byte> buffer,
+                CancellationToken cancellationToken)
+            {
+                var data = _data.Dequeue();
+                Array.Copy(data, 0, buffer.Array, buffer.Offset, data.Length);
+                return Task.FromResult(_results.Dequeue());
+            }
+
+            public override Task SendAsync(
+                ArraySegment<byte> buffer,
+                WebSocketMessageType messageType,
+                bool endOfMessage,
+                CancellationToken cancellationToken)
+            {
+                if (SendError != null)
+                    return Task.FromException(SendError);
+
+                SentCount++;
+                return Task.CompletedTask;
+            }
+        }
+
+        #endregion
+    }
+}
@@ -0,0 +1,217 @@
+using System;
+using System.Collections.Generic;
+using System.Diagnostics;
+using System.Linq;
+using System.Net;
+using System.Net.Http;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Events;
+using SharpInspect.Core.Interceptors;
+using SharpInspect.Core.Models;
+using SharpInspect.Core.Storage;
+using Xunit;
+
+namespace SharpInspect.Core.Tests.Interceptors
+{
+    /// <summary>
+    ///     ThrottleManager 클래스와 SharpInspectHandler의 네트워크 스로틀링 처리 단위 테스트.
+    /// </summary>
+    public class ThrottleManagerTests
+    {
+        #region FindProfile Tests
+
+        [Theory]
+        [InlineData("", "api.example.com", true)]
+        [InlineData("api.example.com", "api.example.com", true)]
+        [InlineData("example.com", "API.Example.com", true)]
+        [InlineData("example.com", "notexample.com", false)]
+        [InlineData("*.cdn.net", "img.cdn.net", true)]
+        [InlineData("*.cdn.net", "cdn.net.evil.com", false)]
+        [InlineData("api.example.com", "other.example.com", false)]
+        public void FindProfile_MatchesHostScope(string host, string requestHost, bool expected)
+        {
+            // Arrange
+            var manager = new ThrottleManager(new EventBus());
+            var profile = new ThrottleProfile { Name = "Slow 3G" };
+            if (host.Length > 0)
+                profile.Hosts.Add(host);
+            manager.SetProfile(profile);
+
+            // Act
+            var found = manager.FindProfile(requestHost);
+
+            // Assert
+            (found != null).Should().Be(expected);
+        }
+
+        [Fact]
+        public void SetProfile_PublishesChangedEvent()
+        {
+            // Arrange
+            var eventBus = new EventBus();
+            var events = new List<ThrottleChangedEvent>();
+            eventBus.Subscribe<ThrottleChangedEvent>(events.Add);
+            var manager = new ThrottleManager(eventBus);
+            var profile = new ThrottleProfile { Name = "Offline", Offline = true };
+
+            // Act
+            manager.SetProfile(profile);
+            manager.SetProfile(null);
+
+            // Assert
+            events.Select(e => e.Profile).Should().Equal(profile, null);
+            manager.GetProfile().Should().BeNull();
+            manager.FindProfile("example.com").Should().BeNull();
+        }
+
+        [Fact]
+        public void SetProfile_NegativeValue_ThrowsAndKeepsProfile()
+        {
+            // Arrange
+            var manager = new ThrottleManager(new EventBus());
+            var profile = new ThrottleProfile { Name = "Fast 3G", LatencyMs = 563 };
+            manager.SetProfile(profile);
+
+            // Act
+            var act = () => manager.SetProfile(new ThrottleProfile { DownloadKbps = -1 });
+
+            // Assert
+            act.Should().Throw<ArgumentException>();
+            manager.GetProfile().Should().BeSameAs(profile);
+        }
+
+        #endregion
+
+        #region SharpInspectHandler Tests
+
+        [Fact]
+        public async Task Handler_Offline_ThrowsWithoutSendingAndStoresErrorEntry()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var inner = new CountingHandler(0);
+            using var client = CreateClient(store, inner, new ThrottleProfile { Name = "Offline", Offline = true });
+
+            // Act
+            var act = () => client.GetAsync("https://example.com/api/test");
+
+            // Assert
+            await act.Should().ThrowAsync<HttpRequestException>();
+            inner.Count.Should().Be(0);
+            store.GetNetworkEntries().Single().IsError.Should().BeTrue();
+        }
+
+        [Fact]
+        public async Task Handler_Latency_DelaysRequest()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            using var client = CreateClient(store, new CountingHandler(0), new ThrottleProfile { LatencyMs = 200 });
+
+            // Act
+            var stopwatch = Stopwatch.StartNew();
+            await client.GetAsync("https://example.com/api/test");
+            stopwatch.Stop();
+
+            // Assert
+            stopwatch.ElapsedMilliseconds.Should().BeGreaterOrEqualTo(180);
+            store.GetNetworkEntries().Single().TotalMs.Should().BeGreaterOrEqualTo(180);
+        }
+
+        [Fact]
+        public async Task Handler_DownloadKbps_LimitsBodyReadRate()
+        {
+            // Arrange
+            // 800 kbit/s = 100 KB/s, 25 KB 본문은 약 250ms
+            var inner = new CountingHandler(25000);
+            using var client = CreateClient(new InMemoryStore(), inner, new ThrottleProfile { DownloadKbps = 800 });
+
+            // Act
+            var stopwatch = Stopwatch.StartNew();
+            var body = await client.GetByteArrayAsync("https://example.com/api/test");
+            stopwatch.Stop();
+
+            // Assert
+            body.Should().HaveCount(25000);
+            stopwatch.ElapsedMilliseconds.Should().BeGreaterOrEqualTo(200);
+        }
+
+        [Fact]
+        public async Task Handler_LargeDownloadKbps_DoesNotOverflowToMinimumRate()
+        {
+            // Arrange
+            var inner = new CountingHandler(25000);
+            using var client = CreateClient(new InMemoryStore(), inner, new ThrottleProfile { DownloadKbps = int.MaxValue });
+            client.Timeout = TimeSpan.FromSeconds(5);
+
+            // Act
+            var stopwatch = Stopwatch.StartNew();
+            var body = await client.GetByteArrayAsync("https://example.com/api/test");
+            stopwatch.Stop();
+
+            // Assert
+            body.Should().HaveCount(25000);
+            stopwatch.ElapsedMilliseconds.Should().BeLessThan(1000);
+        }
+
+        [Fact]
+        public async Task Handler_HostOutOfScope_IsNotThrottled()
+        {
+            // Arrange
+            var inner = new CountingHandler(0);
+            var profile = new ThrottleProfile { Offline = true };
+            profile.Hosts.Add("api.example.com");
+            using var client = CreateClient(new InMemoryStore(), inner, profile);
+
+            // Act
+            var response = await client.GetAsync("https://other.example.com/api/test");
+
+            // Assert
+            response.StatusCode.Should().Be(HttpStatusCode.OK);
+            inner.Count.Should().Be(1);
+        }
+
+        #endregion
+
+        #region Helpers
+
+        private static HttpClient CreateClient(InMemoryStore store, HttpMessageHandler inner, ThrottleProfile profile)
+        {
+            var options = new SharpInspectOptions();
+            var traffic = new TrafficControl(options, new EventBus());
+            traffic.Throttling.SetProfile(profile);
+            return new HttpClient(new SharpInspectHandler(store, options, inner, traffic));
+        }
+
+        /// <summary>
+        ///     전송 횟수를 세고 지정된 크기의 본문으로 200 응답을 반환하는 테스트용 핸들러.
+        /// </summary>
+        private class CountingHandler : HttpMessageHandler
+        {
+            private readonly int _bodySize;
+
+            public CountingHandler(int bodySize)
+            {
+                _bodySize = bodySize;
+            }
+
+            public int Count { get; private set; }
+
+            protected override Task<HttpResponseMessage> SendAsync(
+                HttpRequestMessage request,
+                CancellationToken cancellationToken)
+            {
+                Count++;
+                return Task.FromResult(new HttpResponseMessage(HttpStatusCode.OK)
+                {
+                    Content = new ByteArrayContent(new byte[_bodySize])
+                });
+            }
+        }
+
+        #endregion
+    }
+}
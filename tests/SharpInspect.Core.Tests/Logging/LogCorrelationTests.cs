@@ -0,0 +1,133 @@
+using System.Diagnostics;
+using System.Linq;
+using System.Net;
+using System.Net.Http;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using Microsoft.Extensions.Logging;
+using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Interceptors;
+using SharpInspect.Core.Logging;
+using SharpInspect.Core.Storage;
+using Xunit;
+
+namespace SharpInspect.Core.Tests.Logging
+{
+    /// <summary>
+    ///     LogCorrelation 클래스의 로그-네트워크 요청 연결 단위 테스트.
+    /// </summary>
+    public class LogCorrelationTests
+    {
+        #region Context Tests
+
+        [Fact]
+        public void BeginNetworkEntry_Dispose_RestoresPreviousId()
+        {
+            // Arrange & Act
+            using (LogCorrelation.BeginNetworkEntry("outer"))
+            {
+                using (LogCorrelation.BeginNetworkEntry("inner"))
+                {
+                    LogCorrelation.NetworkEntryId.Should().Be("inner");
+                }
+
+                // Assert
+                LogCorrelation.NetworkEntryId.Should().Be("outer");
+            }
+
+            LogCorrelation.NetworkEntryId.Should().BeNull();
+        }
+
+        [Fact]
+        public void TraceId_WithCurrentActivity_ReturnsW3CTraceId()
+        {
+            // Arrange
+            var activity = new Activity("test");
+            activity.SetIdFormat(ActivityIdFormat.W3C);
+
+            // Act
+            activity.Start();
+            var traceId = LogCorrelation.TraceId;
+            activity.Stop();
+
+            // Assert
+            traceId.Should().Be(activity.TraceId.ToHexString());
+        }
+
+        #endregion
+
+        #region Handler Tests
+
+        [Fact]
+        public async Task SendAsync_LogDuringRequest_IsTaggedWithNetworkEntryId()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var options = new SharpInspectOptions();
+            var logger = new SharpInspectLoggerProvider(store, options).CreateLogger("Http");
+            using var client = new HttpClient(new SharpInspectHandler(store, options, new LoggingHandler(logger)));
+
+            // Act
+            await client.GetAsync("http://localhost/api/orders");
+            logger.LogInformation("After request");
+
+            // Assert
+            var networkEntry = store.GetNetworkEntries().Single();
+            var logs = store.GetConsoleEntries();
+            logs.Single(e => e.Message == "Sending request").NetworkEntryId.Should().Be(networkEntry.Id);
+            logs.Single(e => e.Message == "After request").NetworkEntryId.Should().BeNull();
+        }
+
+        [Fact]
+        public async Task SendAsync_InsideActivity_SharesTraceIdWithLogs()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var options = new SharpInspectOptions();
+            var logger = new SharpInspectLoggerProvider(store, options).CreateLogger("App");
+            using var client = new HttpClient(new SharpInspectHandler(store, options, new LoggingHandler(logger)));
+            var activity = new Activity("request");
+            activity.SetIdFormat(ActivityIdFormat.W3C);
+
+            // Act
+            activity.Start();
+            logger.LogInformation("Handling request");
+            await client.GetAsync("http://localhost/api/orders");
+            activity.Stop();
+
+            // Assert
+            var networkEntry = store.GetNetworkEntries().Single();
+            networkEntry.TraceId.Should().Be(activity.TraceId.ToHexString());
+            store.GetConsoleEntries().Should().OnlyContain(e => e.TraceId == networkEntry.TraceId);
+        }
+
+        #endregion
+
+        #region Helpers
+
+        /// <summary>
+        ///     요청을 처리하는 동안 로그를 남기고 200 응답을 반환하는 테스트용 핸들러.
+        /// </summary>
+        private class LoggingHandler : HttpMessageHandler
+        {
+            private readonly ILogger _logger;
+
+            public LoggingHandler(ILogger logger)
+            {
+                _logger = logger;
+            }
+
+            protected override async Task<HttpResponseMessage> SendAsync(
+                HttpRequestMessage request,
+                CancellationToken cancellationToken)
+            {
+                await Task.Yield();
+                _logger.LogInformation("Sending request");
+                return new HttpResponseMessage(HttpStatusCode.OK) { Content = new StringContent("ok") };
+            }
+        }
+
+        #endregion
+    }
+}
@@ -0,0 +1,136 @@
+using System.Collections.Generic;
+using System.Linq;
+using FluentAssertions;
+using Microsoft.Extensions.Logging;
+using SharpInspect.Core.Configuration;
+using SharpInspect.Core.Logging;
+using SharpInspect.Core.Storage;
+using Xunit;
+
+namespace SharpInspect.Core.Tests.Logging
+{
+    /// <summary>
+    ///     SharpInspectLogger 클래스의 구조화 로그 속성 및 스코프 캡처 단위 테스트.
+    /// </summary>
+    public class SharpInspectLoggerTests
+    {
+        #region Property Tests
+
+        [Fact]
+        public void Log_WithMessageTemplate_CapturesTemplateAndProperties()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var logger = CreateLogger(store);
+
+            // Act
+            logger.LogWarning("Order {OrderId} failed for {Customer} ({Tags})", 42, "alice", new[] { "a", "b" });
+
+            // Assert
+            var entry = store.GetConsoleEntries().Single();
+            entry.Message.Should().Be("Order 42 failed for alice (a, b)");
+            entry.MessageTemplate.Should().Be("Order {OrderId} failed for {Customer} ({Tags})");
+            entry.Properties["OrderId"].Should().Be("42");
+            entry.Properties["Customer"].Should().Be("alice");
+            entry.Properties["Tags"].Should().Be("[a, b]");
+            entry.Properties.Should().HaveCount(3);
+        }
+
+        [Fact]
+        public void Log_WithoutPlaceholders_DoesNotCaptureTemplate()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var logger = CreateLogger(store);
+
+            // Act
+            logger.LogInformation("Started");
+
+            // Assert
+            var entry = store.GetConsoleEntries().Single();
+            entry.MessageTemplate.Should().BeNull();
+            entry.Properties.Should().BeNull();
+            entry.Scopes.Should().BeNull();
+        }
+
+        #endregion
+
+        #region Scope Tests
+
+        [Fact]
+        public void BeginScope_CapturesScopesOutermostFirst()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var logger = CreateLogger(store);
+
+            // Act
+            using (logger.BeginScope(new Dictionary<string, object> { ["RequestId"] = "abc", ["UserId"] = 7 }))
+            using (logger.BeginScope("Processing order {OrderId}", 42))
+            using (logger.BeginScope("batch"))
+            {
+                logger.LogInformation("Saved");
+            }
+
+            // Assert
+            var entry = store.GetConsoleEntries().Single();
+            entry.Scopes.Should().Equal("RequestId: abc, UserId: 7", "Processing order 42", "batch");
+            entry.ScopeProperties["RequestId"].Should().Be("abc");
+            entry.ScopeProperties["UserId"].Should().Be("7");
+            entry.ScopeProperties["OrderId"].Should().Be("42");
+            entry.ScopeProperties.Should().HaveCount(3);
+        }
+
+        [Fact]
+        public void BeginScope_AfterDispose_IsNotCaptured()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var logger = CreateLogger(store);
+
+            // Act
+            using (logger.BeginScope("outer"))
+            {
+            }
+
+            logger.LogInformation("After");
+
+            // Assert
+            store.GetConsoleEntries().Single().Scopes.Should().BeNull();
+        }
+
+        [Fact]
+        public void Provider_WithExternalScopeProvider_CapturesFactoryScopes()
+        {
+            // Arrange
+            var store = new InMemoryStore();
+            var provider = new SharpInspectLoggerProvider(store, new SharpInspectOptions());
+            var logger = provider.CreateLogger("Test");
+            var scopeProvider = new LoggerExternalScopeProvider();
+
+            // Act
+            provider.SetScopeProvider(scopeProvider);
+            using (scopeProvider.Push(new Dictionary<string, object> { ["RequestId"] = "r-1" }))
+            {
+                logger.LogInformation("Handled");
+            }
+
+            // Assert
+            var entry = store.GetConsoleEntries().Single();
+            entry.Category.Should().Be("Test");
+            entry.ScopeProperties["RequestId"].Should().Be("r-1");
+            provider.CreateLogger("Test").Should().BeSameAs(logger);
+        }
+
+        #endregion
+
+        #region Helpers
+
+        private static ILogger CreateLogger(InMemoryStore store)
+        {
+            return new SharpInspectLoggerProvider(store, new SharpInspectOptions()).CreateLogger("Test");
+        }
+
+        #endregion
+    }
+}
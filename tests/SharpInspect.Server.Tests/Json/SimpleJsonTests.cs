@@ -580,5 +580,161 @@ namespace SharpInspect.Server.Tests.Json
         }
 
         #endregion
+
+        #region Deserialize Tests
+
+        [Fact]
+        public void Deserialize_Object_ReturnsDictionary()
+        {
+            // Act
+            var result = SimpleJson.Deserialize("{\"name\":\"Test\",\"count\":3,\"ok\":true,\"none\":null}");
+
+            // Assert
+            var dict = result.Should().BeOfType<Dictionary<string, object>>().Subject;
+            dict["name"].Should().Be("Test");
+            dict["count"].Should().Be(3.0);
+            dict["ok"].Should().Be(true);
+            dict["none"].Should().BeNull();
+        }
+
+        [Fact]
+        public void Deserialize_Array_ReturnsList()
+        {
+            // Act
+            var result = SimpleJson.Deserialize("[1, \"two\", [3]]");
+
+            // Assert
+            var list = result.Should().BeOfType<List<object>>().Subject;
+            list.Should().HaveCount(3);
+            list[1].Should().Be("two");
+            list[2].Should().BeOfType<List<object>>();
+        }
+
+        [Fact]
+        public void Deserialize_EscapedString_UnescapesCharacters()
+        {
+            // Act
+            var result = SimpleJson.Deserialize("\"a\\\"b\\nc\\u00e9\"");
+
+            // Assert
+            result.Should().Be("a\"b\nc\u00e9");
+        }
+
+        [Fact]
+        public void Deserialize_SerializedString_RoundTrips()
+        {
+            // Arrange
+            var original = "line1\nline2\t\"quoted\" \\ 한글";
+
+            // Act
+            var result = SimpleJson.Deserialize(SimpleJson.Serialize(original));
+
+            // Assert
+            result.Should().Be(original);
+        }
+
+        [Theory]
+        [InlineData("{\"a\":}")]
+        [InlineData("[1,]")]
+        [InlineData("\"unterminated")]
+        [InlineData("[1] extra")]
+        [InlineData("")]
+        public void Deserialize_InvalidJson_ThrowsFormatException(string json)
+        {
+            // Act
+            var act = () => SimpleJson.Deserialize(json);
+
+            // Assert
+            act.Should().Throw<FormatException>();
+        }
+
+        [Fact]
+        public void Deserialize_DeeplyNestedInput_ThrowsFormatException()
+        {
+            // Arrange
+            var json = new string('[', 1000000) + new string(']', 1000000);
+
+            // Act
+            var act = () => SimpleJson.Deserialize(json);
+
+            // Assert
+            act.Should().Throw<FormatException>().WithMessage("*nesting*");
+        }
+
+        [Fact]
+        public void Deserialize_NestingAtLimit_Parses()
+        {
+            // Arrange
+            var json = new string('[', 64) + new string(']', 64);
+
+            // Act
+            var result = SimpleJson.Deserialize(json);
+
+            // Assert
+            result.Should().BeOfType<List<object>>();
+        }
+
+        [Fact]
+        public void DeserializeGeneric_Model_MapsPropertiesCaseInsensitively()
+        {
+            // Act
+            var result = SimpleJson.Deserialize<ReplayRequest>(
+                "{\"method\":\"POST\",\"URL\":\"https://example.com\",\"headers\":{\"X-Test\":\"1\"},\"unknown\":1}");
+
+            // Assert
+            result.Method.Should().Be("POST");
+            result.Url.Should().Be("https://example.com");
+            result.Headers.Should().ContainKey("X-Test").WhoseValue.Should().Be("1");
+            result.Body.Should().BeNull();
+        }
+
+        [Fact]
+        public void DeserializeGeneric_ListOfNumbers_ConvertsElements()
+        {
+            // Act
+            var result = SimpleJson.Deserialize<List<int>>("[1,2,3]");
+
+            // Assert
+            result.Should().Equal(1, 2, 3);
+        }
+
+        [Fact]
+        public void DeserializeGeneric_Enum_ParsesName()
+        {
+            // Act
+            var result = SimpleJson.Deserialize<SharpInspectLogLevel>("\"warning\"");
+
+            // Assert
+            result.Should().Be(SharpInspectLogLevel.Warning);
+        }
+
+        [Fact]
+        public void DeserializeGeneric_TypeMismatch_ThrowsFormatException()
+        {
+            // Act
+            var act = () => SimpleJson.Deserialize<List<int>>("{\"a\":1}");
+
+            // Assert
+            act.Should().Throw<FormatException>();
+        }
+
+        [Fact]
+        public void ConvertTo_ParsedMessageData_ConvertsToModel()
+        {
+            // Arrange
+            var message = (Dictionary<string, object>)SimpleJson.Deserialize(
+                "{\"type\":\"breakpoint:resume\",\"data\":{\"id\":\"abc\",\"action\":\"abort\",\"statusCode\":503}}");
+
+            // Act
+            var result = SimpleJson.ConvertTo<BreakpointResolution>(message["data"]);
+
+            // Assert
+            result.Id.Should().Be("abc");
+            result.Action.Should().Be(BreakpointAction.Abort);
+            result.StatusCode.Should().Be(503);
+            result.Headers.Should().BeNull();
+        }
+
+        #endregion
     }
 }